@@ -1,9 +1,30 @@
 import app from './src/app.js';
 import connectDB from './src/config/database.js';
-import config from './src/config/env.js';
+import config, { findInsecureDefaults } from './src/config/env.js';
+import { bootstrapAdmin } from './src/services/adminBootstrap.js';
+import { initRoles } from './src/services/permissionService.js';
+import { initDepartments } from './src/services/departmentService.js';
+import { initSigningKeys } from './src/services/signingKeyService.js';
+import { initUserPurge } from './src/services/userDeletionService.js';
 
-// Connect to database
-connectDB();
+// Never run production with the development fallback secrets
+const insecureDefaults = findInsecureDefaults();
+if (insecureDefaults.length > 0) {
+  console.error(`❌ Refusing to start in production: set ${insecureDefaults.join(', ')}`);
+  process.exit(1);
+}
+
+// Connect to database, load token signing keys, then create the first
+// admin if none exists yet, load role permissions, move free-text
+// departments onto the Department collection and start purging deleted
+// users past their retention period. Requests are only accepted once
+// all of that is done.
+await connectDB();
+await initSigningKeys();
+await bootstrapAdmin();
+await initRoles();
+await initDepartments();
+await initUserPurge();
 
 const PORT = config.port;
 
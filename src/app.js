@@ -5,6 +5,7 @@ import rateLimit from 'express-rate-limit';
 import config from './config/env.js';
 import { errorHandler } from './middleware/errorHandler.js';
 import { notFound } from './middleware/notFound.js';
+import { requestId } from './middleware/requestId.js';
 
 
 // Import routes
@@ -15,9 +16,15 @@ import projectRoutes from './routes/projectRoutes.js';
 import moduleRoutes from './routes/moduleRoutes.js';
 import dailyUpdateRoutes from './routes/dailyUpdateRoutes.js';  // NEW
 import statsRoutes from './routes/statsRoutes.js';              // NEW
+import invitationRoutes from './routes/invitationRoutes.js';
+import leaveRoutes from './routes/leaveRoutes.js';
+import wellKnownRoutes from './routes/wellKnownRoutes.js';
 
 const app = express();
 
+// Tag every request so audit entries and logs can be correlated
+app.use(requestId);
+
 // Security middleware
 app.use(helmet());
 
@@ -49,6 +56,9 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Public discovery documents (JWKS for services verifying our tokens)
+app.use('/.well-known', wellKnownRoutes);
+
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
@@ -57,6 +67,8 @@ app.use('/api/projects', projectRoutes);
 app.use('/api/modules', moduleRoutes);
 app.use('/api/daily-updates', dailyUpdateRoutes);  // NEW
 app.use('/api/stats', statsRoutes);                // NEW
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/leave', leaveRoutes);
 
 // Error handling
 app.use(notFound);
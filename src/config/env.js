@@ -2,19 +2,171 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
+// Development-only defaults; the server refuses to start with these in production
+const FALLBACK_SECRETS = {
+  JWT_SECRET: 'fallback-secret-key',
+  JWT_REFRESH_SECRET: 'fallback-refresh-secret-key'
+};
+
+// Parse an optional JSON env var (e.g. a group -> role map)
+const parseJson = (value, fallback) => {
+  if (!value) return fallback;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.warn(`⚠️ Ignoring invalid JSON in environment: ${value}`);
+    return fallback;
+  }
+};
+
+// Seconds per unit of a jsonwebtoken lifetime ('15m', '7d', '12 hours');
+// a bare number string is milliseconds, as jsonwebtoken reads it
+const DURATION_UNITS = {
+  '': 0.001, ms: 0.001, msec: 0.001, msecs: 0.001, millisecond: 0.001, milliseconds: 0.001,
+  s: 1, sec: 1, secs: 1, second: 1, seconds: 1,
+  m: 60, min: 60, mins: 60, minute: 60, minutes: 60,
+  h: 3600, hr: 3600, hrs: 3600, hour: 3600, hours: 3600,
+  d: 86400, day: 86400, days: 86400,
+  w: 604800, week: 604800, weeks: 604800,
+  y: 31557600, yr: 31557600, yrs: 31557600, year: 31557600, years: 31557600
+};
+
+// Seconds in a token lifetime (0 when it can't be read)
+export const lifetimeSeconds = (value) => {
+  if (typeof value === 'number') return value;
+
+  const match = /^(\d+(?:\.\d+)?)\s*([a-z]*)$/i.exec(`${value}`.trim());
+  const perUnit = match && DURATION_UNITS[match[2].toLowerCase()];
+  return perUnit ? parseFloat(match[1]) * perUnit : 0;
+};
+
+const jwtExpire = process.env.JWT_EXPIRE || '15m';
+const jwtRefreshExpire = process.env.JWT_REFRESH_EXPIRE || '7d';
+
+// A day past the longest access or refresh token lifetime
+const tokenRetentionDays = Math.ceil(
+  Math.max(lifetimeSeconds(jwtExpire), lifetimeSeconds(jwtRefreshExpire)) / 86400
+) + 1;
+
 export const config = {
   port: process.env.PORT || 5000,
   nodeEnv: process.env.NODE_ENV || 'development',
   mongoUri: process.env.MONGODB_URI || 'mongodb://localhost:27017/user_management',
-  jwtSecret: process.env.JWT_SECRET || 'fallback-secret-key',
-  jwtExpire: process.env.JWT_EXPIRE || '15m',
-  jwtRefreshSecret: process.env.JWT_REFRESH_SECRET || 'fallback-refresh-secret-key',
-  jwtRefreshExpire: process.env.JWT_REFRESH_EXPIRE || '7d',
+  // HMAC secret for short-lived internal tokens (2FA challenges, invitations)
+  jwtSecret: process.env.JWT_SECRET || FALLBACK_SECRETS.JWT_SECRET,
+  jwtExpire,
+  // Only used to verify refresh tokens issued before asymmetric signing
+  jwtRefreshSecret: process.env.JWT_REFRESH_SECRET || FALLBACK_SECRETS.JWT_REFRESH_SECRET,
+  jwtRefreshExpire,
+  // Asymmetric signing keys for access/refresh tokens, published at /.well-known/jwks.json
+  jwtKeys: {
+    algorithm: process.env.JWT_ALGORITHM || 'ES256', // ES256 | RS256
+    issuer: process.env.JWT_ISSUER || 'managex',
+    rotationDays: parseInt(process.env.JWT_KEY_ROTATION_DAYS, 10) || 30,
+    // Retired keys stay published until tokens they signed have expired;
+    // JWT_RETIRED_KEY_DAYS can only lengthen that
+    retiredKeyDays: Math.max(parseInt(process.env.JWT_RETIRED_KEY_DAYS, 10) || 0, tokenRetentionDays),
+    // New keys are published this long before they start signing
+    activationDelaySeconds: parseInt(process.env.JWT_KEY_ACTIVATION_DELAY_SECONDS, 10) || 300,
+    refreshSeconds: parseInt(process.env.JWT_KEY_REFRESH_SECONDS, 10) || 60,
+    // HS256 tokens from before asymmetric signing; production only accepts
+    // them when opted in for the changeover
+    acceptLegacyTokens: process.env.JWT_ACCEPT_LEGACY_TOKENS
+      ? process.env.JWT_ACCEPT_LEGACY_TOKENS === 'true'
+      : process.env.NODE_ENV !== 'production'
+  },
+  twoFactorChallengeExpire: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m',
+  twoFactorIssuer: process.env.TWO_FACTOR_ISSUER || 'ManageX',
   corsOrigin: process.env.CORS_ORIGIN || '*',
+  clientUrl: process.env.CLIENT_URL || 'http://localhost:3000',
   admin: {
     email: process.env.ADMIN_EMAIL || 'admin@company.com',
-    password: process.env.ADMIN_PASSWORD || 'Admin@123456'
+    // Only used to create the first admin; there is deliberately no default
+    password: process.env.ADMIN_PASSWORD
+  },
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || 'console', // console | file
+    from: process.env.MAIL_FROM || 'ManageX <no-reply@managex.local>',
+    outputDir: process.env.MAIL_OUTPUT_DIR || 'mail-outbox'
+  },
+  loginLockout: {
+    maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5,
+    lockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15,
+    windowMinutes: parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES, 10) || 15,
+    baseDelayMs: 1000,
+    maxDelayMs: 30 * 1000
+  },
+  // Defaults for new passwords; admins can override them at runtime
+  passwordPolicy: {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8,
+    maxLength: parseInt(process.env.PASSWORD_MAX_LENGTH, 10) || 128,
+    requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+    requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+    requireNumber: process.env.PASSWORD_REQUIRE_NUMBER !== 'false',
+    requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true',
+    disallowPersonalInfo: process.env.PASSWORD_DISALLOW_PERSONAL_INFO !== 'false',
+    // How many recent passwords (including the current one) can't be reused; 0 disables
+    historyCount: parseInt(process.env.PASSWORD_HISTORY_COUNT ?? '5', 10),
+    checkBreached: process.env.PASSWORD_CHECK_BREACHED !== 'false',
+    // Extra newline-separated list checked alongside src/data/common-passwords.txt
+    blocklistFile: process.env.PASSWORD_BLOCKLIST_FILE
+  },
+  passwordResetExpireMinutes: parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES, 10) || 30,
+  emailVerificationExpireHours: parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS, 10) || 24,
+  invitationExpireHours: parseInt(process.env.INVITATION_EXPIRE_HOURS, 10) || 72,
+  impersonationExpireMinutes: parseInt(process.env.IMPERSONATION_EXPIRE_MINUTES, 10) || 15,
+  apiTokens: {
+    defaultExpireDays: parseInt(process.env.API_TOKEN_DEFAULT_EXPIRE_DAYS, 10) || 30,
+    maxExpireDays: parseInt(process.env.API_TOKEN_MAX_EXPIRE_DAYS, 10) || 365
+  },
+  // OpenID Connect single sign-on (enabled when issuer and client id are set)
+  oidc: {
+    issuer: process.env.OIDC_ISSUER,
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET,
+    // Defaults to `${clientUrl}/auth/oidc/callback`
+    redirectUri: process.env.OIDC_REDIRECT_URI,
+    scopes: process.env.OIDC_SCOPES || 'openid email profile',
+    // Claim names (dotted paths allowed, e.g. realm_access.roles)
+    claims: {
+      email: process.env.OIDC_EMAIL_CLAIM || 'email',
+      name: process.env.OIDC_NAME_CLAIM || 'name',
+      groups: process.env.OIDC_GROUPS_CLAIM || 'groups'
+    },
+    // IdP group -> role / department; the first matching group wins
+    groupRoles: parseJson(process.env.OIDC_GROUP_ROLES, {}),
+    groupDepartments: parseJson(process.env.OIDC_GROUP_DEPARTMENTS, {}),
+    autoProvision: process.env.OIDC_AUTO_PROVISION !== 'false',
+    stateExpireMinutes: parseInt(process.env.OIDC_STATE_EXPIRE_MINUTES, 10) || 10
+  },
+  // Most audit entries returned by one CSV export
+  auditExportLimit: parseInt(process.env.AUDIT_EXPORT_LIMIT, 10) || 10000,
+  // Deleted users can be restored for retentionDays, then are purged
+  userDeletion: {
+    retentionDays: parseInt(process.env.USER_DELETION_RETENTION_DAYS, 10) || 30,
+    purgeIntervalMinutes: parseInt(process.env.USER_PURGE_INTERVAL_MINUTES, 10) || 60
+  },
+  // Hours a user is expected to log on a full working day (Monday to Friday)
+  workdayHours: parseFloat(process.env.WORKDAY_HOURS) || 8,
+  // Most rows accepted by one CSV user import
+  userImportMaxRows: parseInt(process.env.USER_IMPORT_MAX_ROWS, 10) || 1000,
+  // How often each instance reloads role permissions edited elsewhere
+  roleRefreshSeconds: parseInt(process.env.ROLE_REFRESH_SECONDS, 10) || 60
+};
+
+/**
+ * Environment variables still on their development fallback in production
+ */
+export const findInsecureDefaults = (settings = config) => {
+  if (settings.nodeEnv !== 'production') {
+    return [];
   }
+
+  return [
+    settings.jwtSecret === FALLBACK_SECRETS.JWT_SECRET && 'JWT_SECRET',
+    settings.jwtRefreshSecret === FALLBACK_SECRETS.JWT_REFRESH_SECRET && 'JWT_REFRESH_SECRET'
+  ].filter(Boolean);
 };
 
-export default config;
\ No newline at end of file
+export default config;
@@ -0,0 +1,280 @@
+// Central permission registry. Every action checked by routes and
+// controllers must be listed here.
+//
+// A role grants an action either everywhere (`project:read`) or narrowed
+// by a scope suffix (`project:read:lead`), where the scope describes the
+// user's relation to the resource:
+//   own      - the resource is the user, or belongs to / was created by them
+//   lead     - the user is the assigned lead of the (resource's) project
+//   member   - the user is assigned to the (resource's) project
+//   assigned - the user is assigned to the resource itself
+//   manager  - the user is the manager of the resource (a user) or of its user
+export const PERMISSIONS = {
+  'user:list': 'List users and pending approvals',
+  'user:read': 'View user profiles',
+  'user:update': 'Update user profiles',
+  'user:approve': 'Approve or reject registrations',
+  'user:deactivate': 'Activate or deactivate users',
+  'user:delete': 'Delete users',
+  'user:changeRole': 'Change user roles',
+  'user:manageSecurity': 'Manage user sessions, two-factor and lockouts',
+  'user:impersonate': 'Sign in as a user for support',
+  'user:import': 'Import users from CSV',
+  'user:exportData': "Export a user's personal data",
+  'user:erase': 'Erase (anonymize) user accounts',
+  'user:assignManager': 'Set who users report to',
+  'user:orgChart': 'View the org chart',
+
+  'invitation:create': 'Invite users',
+  'invitation:read': 'View invitations',
+  'invitation:revoke': 'Revoke and resend invitations',
+
+  'admin:dashboard': 'View the admin dashboard',
+  'admin:manage': 'Manage admin accounts',
+  'role:manage': 'Manage roles and their permissions',
+  'settings:manage': 'Change security settings',
+  'audit:read': 'View and export the audit log',
+  'department:read': 'View departments',
+  'department:manage': 'Create, update and delete departments',
+
+  'project:create': 'Create projects',
+  'project:read': 'View projects',
+  'project:update': 'Update projects',
+  'project:delete': 'Delete projects',
+  'project:assignLead': 'List leads available for a project',
+  'project:assignUsers': 'Assign and remove project members',
+
+  'module:create': 'Create modules',
+  'module:read': 'View modules',
+  'module:update': 'Update modules',
+  'module:delete': 'Delete modules',
+  'module:updateProgress': 'Update module progress',
+
+  'dailyUpdate:create': 'Submit daily updates',
+  'dailyUpdate:read': 'View daily updates',
+  'dailyUpdate:update': 'Edit daily updates',
+  'dailyUpdate:review': 'Review daily updates for a project',
+  'dailyUpdate:teamSummary': 'View the daily team summary',
+
+  'leave:request': 'Request and cancel own time off',
+  'leave:review': 'Approve or reject leave requests',
+  'leave:calendar': 'View the team leave calendar',
+
+  'workload:read': 'View capacity, utilization and over-allocation',
+
+  'stats:viewOwn': 'View own statistics',
+  'stats:leaderboard': 'View leaderboards',
+  'stats:viewTeam': 'View statistics for led projects',
+  'stats:viewUser': 'View statistics for a user',
+  'stats:viewProject': 'View statistics for a project',
+  'stats:viewSystem': 'View system-wide statistics'
+};
+
+export const PERMISSION_SCOPES = ['own', 'lead', 'member', 'assigned', 'manager'];
+
+// Role of the Admin collection; it can't be given to regular users
+export const ADMIN_ROLE = 'admin';
+
+// Seeded into the Role collection on startup and used until it is loaded.
+// Permissions added here later are granted to existing roles once.
+export const DEFAULT_ROLES = [
+  {
+    name: ADMIN_ROLE,
+    description: 'Administrator',
+    isSystem: true,
+    allowSelfRegistration: false,
+    permissions: [
+      'user:list',
+      'user:read',
+      'user:update',
+      'user:approve',
+      'user:deactivate',
+      'user:delete',
+      'user:changeRole',
+      'user:manageSecurity',
+      'user:impersonate',
+      'user:import',
+      'user:exportData',
+      'user:erase',
+      'user:assignManager',
+      'user:orgChart',
+      'invitation:create',
+      'invitation:read',
+      'invitation:revoke',
+      'admin:dashboard',
+      'admin:manage',
+      'role:manage',
+      'settings:manage',
+      'audit:read',
+      'department:read',
+      'department:manage',
+      'project:create',
+      'project:read',
+      'project:update',
+      'project:delete',
+      'project:assignLead',
+      'module:read',
+      'dailyUpdate:read',
+      'dailyUpdate:review',
+      'leave:review',
+      'leave:calendar',
+      'workload:read',
+      'stats:viewOwn',
+      'stats:leaderboard',
+      'stats:viewUser',
+      'stats:viewProject',
+      'stats:viewSystem'
+    ]
+  },
+  {
+    name: 'lead',
+    description: 'Project lead',
+    isSystem: true,
+    allowSelfRegistration: true,
+    permissions: [
+      'user:list',
+      'user:read',
+      'user:update',
+      'user:orgChart',
+      'invitation:create:lead',
+      'invitation:read:own',
+      'invitation:revoke:own',
+      'department:read',
+      'project:read:lead',
+      'project:assignUsers:lead',
+      'module:create:lead',
+      'module:read:lead',
+      'module:update:lead',
+      'module:delete:lead',
+      'module:updateProgress:lead',
+      'module:updateProgress:assigned',
+      'dailyUpdate:read:own',
+      'dailyUpdate:read:manager',
+      'dailyUpdate:review:lead',
+      'dailyUpdate:teamSummary:lead',
+      'leave:request',
+      'leave:review:lead',
+      'leave:review:manager',
+      'leave:calendar:lead',
+      'leave:calendar:member',
+      'workload:read:own',
+      'workload:read:lead',
+      'workload:read:manager',
+      'stats:viewOwn',
+      'stats:leaderboard',
+      'stats:viewTeam',
+      'stats:viewUser',
+      'stats:viewProject:lead'
+    ]
+  },
+  {
+    name: 'user',
+    description: 'Team member',
+    isSystem: true,
+    allowSelfRegistration: true,
+    permissions: [
+      'user:read:own',
+      'user:read:manager',
+      'user:update:own',
+      'user:orgChart',
+      'department:read',
+      'project:read:member',
+      'module:read:member',
+      'module:read:assigned',
+      'module:update:assigned',
+      'module:updateProgress:assigned',
+      'dailyUpdate:create:member',
+      'dailyUpdate:read:own',
+      'dailyUpdate:read:manager',
+      'dailyUpdate:update:own',
+      'leave:request',
+      'leave:calendar:member',
+      'workload:read:own',
+      'workload:read:manager',
+      'stats:viewOwn',
+      'stats:leaderboard',
+      'stats:viewUser:manager'
+    ]
+  }
+];
+
+// Permissions refused while an admin is impersonating a user: anything
+// that deletes data or changes someone's access
+export const IMPERSONATION_BLOCKED_PERMISSIONS = [
+  'user:approve',
+  'user:deactivate',
+  'user:delete',
+  'user:erase',
+  'user:changeRole',
+  'user:assignManager',
+  'user:manageSecurity',
+  'user:impersonate',
+  'invitation:revoke',
+  'admin:manage',
+  'role:manage',
+  'settings:manage',
+  'department:manage',
+  'project:delete',
+  'module:delete'
+];
+
+// Scopes for personal API tokens. A token may only use the listed
+// permissions, and never more than its owner's role grants.
+export const API_TOKEN_SCOPES = {
+  'stats:read': {
+    description: 'Read statistics and leaderboards',
+    permissions: [
+      'stats:viewOwn',
+      'stats:leaderboard',
+      'stats:viewTeam',
+      'stats:viewUser',
+      'stats:viewProject',
+      'stats:viewSystem',
+      'workload:read'
+    ]
+  },
+  'projects:read': {
+    description: 'Read projects and modules',
+    permissions: ['project:read', 'module:read']
+  },
+  'projects:write': {
+    description: 'Create and update projects and modules',
+    permissions: [
+      'project:create',
+      'project:update',
+      'project:assignUsers',
+      'module:create',
+      'module:update',
+      'module:updateProgress'
+    ]
+  },
+  'dailyUpdates:read': {
+    description: 'Read daily updates',
+    permissions: ['dailyUpdate:read', 'dailyUpdate:review', 'dailyUpdate:teamSummary']
+  },
+  'dailyUpdates:write': {
+    description: 'Submit and edit daily updates',
+    permissions: ['dailyUpdate:create', 'dailyUpdate:update']
+  },
+  'users:read': {
+    description: 'Read user profiles',
+    permissions: ['user:list', 'user:read', 'user:orgChart']
+  }
+};
+
+/**
+ * Check a grant string such as `project:read` or `project:read:lead`
+ */
+export const isValidPermission = (grant) => {
+  if (typeof grant !== 'string') {
+    return false;
+  }
+
+  const [resource, action, scope, ...rest] = grant.split(':');
+
+  if (rest.length > 0 || !PERMISSIONS[`${resource}:${action}`]) {
+    return false;
+  }
+
+  return scope === undefined || PERMISSION_SCOPES.includes(scope);
+};
@@ -1,16 +1,56 @@
 import User from '../models/user.js';
+import Admin from '../models/Admin.js';
+import RefreshToken from '../models/RefreshToken.js';
+import Setting from '../models/Setting.js';
+import LoginAttempt from '../models/LoginAttempt.js';
+import config from '../config/env.js';
+import {
+  getActiveSessions,
+  revokeSession,
+  invalidateTokens
+} from '../services/sessionService.js';
+import {
+  TWO_FACTOR_ENFORCED_ROLES_KEY,
+  getEnforcedRoles
+} from '../services/twoFactorService.js';
+import { roleExists, isAssignableRole } from '../services/permissionService.js';
+import {
+  SELF_REGISTRATION_KEY,
+  isSelfRegistrationOpen
+} from '../services/invitationService.js';
+import {
+  REQUIRE_VERIFIED_EMAIL_KEY,
+  isVerifiedEmailRequired
+} from '../services/emailVerificationService.js';
+import { recordAudit } from '../services/auditService.js';
+import { sendInvitationEmail } from '../services/mailService.js';
+import {
+  PASSWORD_POLICY_KEY,
+  getPasswordPolicy,
+  parsePolicyUpdate,
+  checkNewPassword
+} from '../services/passwordPolicyService.js';
+import {
+  IMPORT_MODES,
+  parseImportFile,
+  validateImportRows,
+  importRows,
+  summarizeImport,
+  buildImportReport
+} from '../services/userImportService.js';
 
 // @desc    Get dashboard statistics
 // @route   GET /api/admin/stats
-// @access  Private (Admin)
+// @access  Private (admin:dashboard)
 export const getDashboardStats = async (req, res, next) => {
   try {
-    const totalUsers = await User.countDocuments({ role: 'user' });
-    const totalLeads = await User.countDocuments({ role: 'lead' });
-    const activeUsers = await User.countDocuments({ isActive: true });
-    const inactiveUsers = await User.countDocuments({ isActive: false });
+    // Deleted users wait out their restore period but aren't counted
+    const totalUsers = await User.countDocuments({ role: 'user', deletedAt: null });
+    const totalLeads = await User.countDocuments({ role: 'lead', deletedAt: null });
+    const activeUsers = await User.countDocuments({ isActive: true, deletedAt: null });
+    const inactiveUsers = await User.countDocuments({ isActive: false, deletedAt: null });
 
-    const recentUsers = await User.find()
+    const recentUsers = await User.find({ deletedAt: null })
       .sort({ createdAt: -1 })
       .limit(5)
       .select('name email role createdAt');
@@ -35,10 +75,13 @@ export const getDashboardStats = async (req, res, next) => {
 
 // @desc    Get users by department
 // @route   GET /api/admin/users-by-department
-// @access  Private (Admin)
+// @access  Private (admin:dashboard)
 export const getUsersByDepartment = async (req, res, next) => {
   try {
     const departments = await User.aggregate([
+      {
+        $match: { deletedAt: null }
+      },
       {
         $group: {
           _id: '$department',
@@ -46,6 +89,27 @@ export const getUsersByDepartment = async (req, res, next) => {
           users: { $push: { name: '$name', email: '$email', role: '$role' } }
         }
       },
+      {
+        $lookup: {
+          from: 'departments',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'department'
+        }
+      },
+      {
+        // Left out for users without a department
+        $set: { department: { $arrayElemAt: ['$department', 0] } }
+      },
+      {
+        $project: {
+          count: 1,
+          users: 1,
+          'department.name': 1,
+          'department.code': 1,
+          'department.isActive': 1
+        }
+      },
       {
         $sort: { count: -1 }
       }
@@ -62,7 +126,7 @@ export const getUsersByDepartment = async (req, res, next) => {
 
 // @desc    Bulk update user roles
 // @route   PATCH /api/admin/bulk-update-roles
-// @access  Private (Admin)
+// @access  Private (user:changeRole)
 export const bulkUpdateRoles = async (req, res, next) => {
   try {
     const { userIds, newRole } = req.body;
@@ -74,18 +138,38 @@ export const bulkUpdateRoles = async (req, res, next) => {
       });
     }
 
-    if (!['user', 'lead'].includes(newRole)) {
+    if (!isAssignableRole(newRole)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid role'
       });
     }
 
+    const changedUsers = await User.find({
+      _id: { $in: userIds },
+      role: { $ne: newRole }
+    }).select('_id role');
+    const changedIds = changedUsers.map(u => u._id);
+
     const result = await User.updateMany(
-      { _id: { $in: userIds } },
+      { _id: { $in: changedIds } },
       { role: newRole }
     );
 
+    // Tokens issued with the old role must stop working
+    await invalidateTokens(changedIds, 'User', 'access_revoked');
+
+    for (const user of changedUsers) {
+      await recordAudit(req, {
+        action: 'user.role_change',
+        targetType: 'User',
+        targetId: user._id,
+        before: { role: user.role },
+        after: { role: newRole },
+        metadata: { bulk: true }
+      });
+    }
+
     res.status(200).json({
       success: true,
       message: `${result.modifiedCount} users updated successfully`,
@@ -94,4 +178,682 @@ export const bulkUpdateRoles = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+// @desc    Import users from a CSV of name, email, role, department, phone
+// @route   POST /api/admin/users/import
+// @access  Private (user:import)
+export const importUsers = async (req, res, next) => {
+  try {
+    // dryRun=true only validates; format=csv downloads the per-row report
+    const { mode = 'invite', format = 'json' } = req.query;
+    const dryRun = req.query.dryRun === 'true';
+
+    if (!IMPORT_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: `mode must be one of: ${IMPORT_MODES.join(', ')}`
+      });
+    }
+
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'format must be json or csv'
+      });
+    }
+
+    // Raw text/csv body, or JSON { csv }
+    const file = typeof req.body === 'string' ? req.body : req.body?.csv;
+    const { rows, error } = parseImportFile(file);
+
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+
+    await validateImportRows(rows, req.user);
+
+    if (dryRun) {
+      rows.forEach(row => {
+        row.status = row.errors.length > 0 ? 'invalid' : 'valid';
+      });
+    } else {
+      await importRows(rows, mode, req.user);
+    }
+
+    const summary = summarizeImport(rows);
+
+    if (!dryRun) {
+      await recordAudit(req, {
+        action: 'user.import',
+        targetType: 'User',
+        metadata: { mode, ...summary }
+      });
+    }
+
+    if (format === 'csv') {
+      const date = new Date().toISOString().slice(0, 10);
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="user-import${dryRun ? '-dry-run' : ''}-${date}.csv"`);
+      return res.status(200).send(buildImportReport(rows));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: dryRun ? 'Import file checked; nothing was created' : 'Import finished',
+      dryRun,
+      mode,
+      summary,
+      data: rows
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get all admin accounts
+// @route   GET /api/admin/admins
+// @access  Private (admin:manage)
+export const getAdmins = async (req, res, next) => {
+  try {
+    const admins = await Admin.find().sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: admins.length,
+      data: admins
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create admin account with a password
+// @route   POST /api/admin/admins
+// @access  Private (admin:manage)
+export const createAdmin = async (req, res, next) => {
+  try {
+    const { name, email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide email and password'
+      });
+    }
+
+    const adminExists = await Admin.findOne({ email });
+    if (adminExists) {
+      return res.status(400).json({
+        success: false,
+        message: 'Admin already exists with this email'
+      });
+    }
+
+    const { error } = await checkNewPassword(password, { name, email });
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+
+    const admin = await Admin.create({
+      name,
+      email,
+      password,
+      invitedBy: req.user._id
+    });
+
+    await recordAudit(req, {
+      action: 'admin.create',
+      targetType: 'Admin',
+      targetId: admin._id,
+      after: { name: admin.name, email: admin.email }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Admin created successfully',
+      data: admin
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Invite admin (admin sets own password when accepting)
+// @route   POST /api/admin/admins/invite
+// @access  Private (admin:manage)
+export const inviteAdmin = async (req, res, next) => {
+  try {
+    const { name, email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide email'
+      });
+    }
+
+    const adminExists = await Admin.findOne({ email });
+    if (adminExists) {
+      return res.status(400).json({
+        success: false,
+        message: 'Admin already exists with this email'
+      });
+    }
+
+    const admin = new Admin({
+      name,
+      email,
+      invitePending: true,
+      invitedBy: req.user._id
+    });
+    const inviteToken = admin.createInviteToken(config.invitationExpireHours);
+    await admin.save();
+
+    // The token only ever goes to the invited inbox
+    await sendInvitationEmail(
+      admin.email,
+      req.user.name,
+      `${config.clientUrl}/accept-admin-invite?token=${inviteToken}`,
+      'admin',
+      config.invitationExpireHours
+    );
+
+    await recordAudit(req, {
+      action: 'admin.invite',
+      targetType: 'Admin',
+      targetId: admin._id,
+      after: { name: admin.name, email: admin.email }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Admin invited successfully. An invitation was sent to ${admin.email}.`,
+      data: admin
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Enable/disable admin account
+// @route   PATCH /api/admin/admins/:id/toggle-status
+// @access  Private (admin:manage)
+export const toggleAdminStatus = async (req, res, next) => {
+  try {
+    const admin = await Admin.findById(req.params.id);
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    if (admin._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot disable your own account'
+      });
+    }
+
+    if (admin.isActive && await isLastActiveAdmin(admin)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot disable the last active admin'
+      });
+    }
+
+    admin.isActive = !admin.isActive;
+    await admin.save();
+
+    // Disabled admins lose all sessions immediately
+    if (!admin.isActive) {
+      await invalidateTokens(admin._id, 'Admin', 'account_disabled');
+    }
+
+    await recordAudit(req, {
+      action: admin.isActive ? 'admin.enable' : 'admin.disable',
+      targetType: 'Admin',
+      targetId: admin._id,
+      before: { isActive: !admin.isActive },
+      after: { isActive: admin.isActive }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Admin ${admin.isActive ? 'enabled' : 'disabled'} successfully`,
+      data: admin
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete admin account
+// @route   DELETE /api/admin/admins/:id
+// @access  Private (admin:manage)
+export const deleteAdmin = async (req, res, next) => {
+  try {
+    const admin = await Admin.findById(req.params.id);
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    if (admin._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot delete your own account'
+      });
+    }
+
+    if (admin.isActive && await isLastActiveAdmin(admin)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete the last active admin'
+      });
+    }
+
+    await RefreshToken.deleteMany({ userId: admin._id, userModel: 'Admin' });
+    await admin.deleteOne();
+
+    await recordAudit(req, {
+      action: 'admin.delete',
+      targetType: 'Admin',
+      targetId: admin._id,
+      before: { name: admin.name, email: admin.email, isActive: admin.isActive },
+      after: null
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Admin deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Session and two-factor routes serve users (/users/:userId/...) and admins (/admins/:adminId/...)
+const accountTarget = (req) => (req.params.adminId
+  ? { Model: Admin, userModel: 'Admin', id: req.params.adminId, auditPrefix: 'admin' }
+  : { Model: User, userModel: 'User', id: req.params.userId, auditPrefix: 'user' });
+
+// @desc    Get a user's or admin's active sessions
+// @route   GET /api/admin/users/:userId/sessions (or /admins/:adminId/sessions)
+// @access  Private (user:manageSecurity, admin:manage for admins)
+export const getUserSessions = async (req, res, next) => {
+  try {
+    const target = accountTarget(req);
+    const account = await target.Model.findById(target.id).select('name email role');
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: `${target.userModel} not found`
+      });
+    }
+
+    const sessions = await getActiveSessions(account._id, target.userModel);
+
+    res.status(200).json({
+      success: true,
+      user: account,
+      count: sessions.length,
+      data: sessions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke one of a user's or admin's sessions
+// @route   DELETE /api/admin/users/:userId/sessions/:id (or /admins/:adminId/sessions/:id)
+// @access  Private (user:manageSecurity, admin:manage for admins)
+export const revokeUserSession = async (req, res, next) => {
+  try {
+    const target = accountTarget(req);
+    const revoked = await revokeSession(target.id, target.userModel, req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await recordAudit(req, {
+      action: `${target.auditPrefix}.session_revoke`,
+      targetType: target.userModel,
+      targetId: target.id,
+      metadata: { sessionId: req.params.id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke all of a user's or admin's sessions
+// @route   DELETE /api/admin/users/:userId/sessions (or /admins/:adminId/sessions)
+// @access  Private (user:manageSecurity, admin:manage for admins)
+export const revokeAllUserSessions = async (req, res, next) => {
+  try {
+    const target = accountTarget(req);
+    const result = await RefreshToken.revokeAllForUser(target.id, target.userModel, 'logout_all');
+
+    await recordAudit(req, {
+      action: `${target.auditPrefix}.sessions_revoke`,
+      targetType: target.userModel,
+      targetId: target.id,
+      metadata: { revoked: result.modifiedCount }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${result.modifiedCount} session(s) revoked successfully`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get two-factor enforcement settings
+// @route   GET /api/admin/settings/two-factor
+// @access  Private (settings:manage)
+export const getTwoFactorSettings = async (req, res, next) => {
+  try {
+    const enforcedRoles = await getEnforcedRoles();
+
+    res.status(200).json({
+      success: true,
+      data: { enforcedRoles }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Set which roles must use two-factor authentication
+// @route   PUT /api/admin/settings/two-factor
+// @access  Private (settings:manage)
+export const updateTwoFactorSettings = async (req, res, next) => {
+  try {
+    const { enforcedRoles } = req.body;
+
+    if (!Array.isArray(enforcedRoles) || !enforcedRoles.every(roleExists)) {
+      return res.status(400).json({
+        success: false,
+        message: 'enforcedRoles must be a list of existing roles'
+      });
+    }
+
+    const previousRoles = await getEnforcedRoles();
+    const setting = await Setting.setValue(
+      TWO_FACTOR_ENFORCED_ROLES_KEY,
+      [...new Set(enforcedRoles)],
+      req.user._id
+    );
+
+    await recordAudit(req, {
+      action: 'settings.update',
+      targetType: 'Setting',
+      targetId: TWO_FACTOR_ENFORCED_ROLES_KEY,
+      before: { enforcedRoles: previousRoles },
+      after: { enforcedRoles: setting.value }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor settings updated successfully',
+      data: { enforcedRoles: setting.value }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get registration settings
+// @route   GET /api/admin/settings/registration
+// @access  Private (settings:manage)
+export const getRegistrationSettings = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        selfRegistrationOpen: await isSelfRegistrationOpen(),
+        requireVerifiedEmail: await isVerifiedEmailRequired()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update registration settings (open self-registration, verified email before approval)
+// @route   PUT /api/admin/settings/registration
+// @access  Private (settings:manage)
+export const updateRegistrationSettings = async (req, res, next) => {
+  try {
+    const { selfRegistrationOpen, requireVerifiedEmail } = req.body;
+
+    if (selfRegistrationOpen === undefined && requireVerifiedEmail === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide selfRegistrationOpen or requireVerifiedEmail'
+      });
+    }
+
+    for (const [name, value] of Object.entries({ selfRegistrationOpen, requireVerifiedEmail })) {
+      if (value !== undefined && typeof value !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          message: `${name} must be true or false`
+        });
+      }
+    }
+
+    const before = {
+      selfRegistrationOpen: await isSelfRegistrationOpen(),
+      requireVerifiedEmail: await isVerifiedEmailRequired()
+    };
+
+    if (selfRegistrationOpen !== undefined) {
+      await Setting.setValue(SELF_REGISTRATION_KEY, selfRegistrationOpen, req.user._id);
+    }
+    if (requireVerifiedEmail !== undefined) {
+      await Setting.setValue(REQUIRE_VERIFIED_EMAIL_KEY, requireVerifiedEmail, req.user._id);
+    }
+
+    const after = {
+      selfRegistrationOpen: await isSelfRegistrationOpen(),
+      requireVerifiedEmail: await isVerifiedEmailRequired()
+    };
+
+    await recordAudit(req, {
+      action: 'settings.update',
+      targetType: 'Setting',
+      targetId: 'registration',
+      before,
+      after
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Registration settings updated successfully',
+      data: after
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the password policy
+// @route   GET /api/admin/settings/password-policy
+// @access  Private (settings:manage)
+export const getPasswordPolicySettings = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: await getPasswordPolicy()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change password policy rules (applies to passwords set from now on)
+// @route   PUT /api/admin/settings/password-policy
+// @access  Private (settings:manage)
+export const updatePasswordPolicySettings = async (req, res, next) => {
+  try {
+    const current = await getPasswordPolicy();
+    const { updates, error } = parsePolicyUpdate(req.body, current);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const overrides = await Setting.getValue(PASSWORD_POLICY_KEY, {});
+    await Setting.setValue(
+      PASSWORD_POLICY_KEY,
+      { ...(overrides || {}), ...updates },
+      req.user._id
+    );
+
+    await recordAudit(req, {
+      action: 'settings.update',
+      targetType: 'Setting',
+      targetId: PASSWORD_POLICY_KEY,
+      before: current,
+      after: { ...current, ...updates }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password policy updated successfully',
+      data: { ...current, ...updates }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reset a user's or admin's two-factor authentication (lost device)
+// @route   DELETE /api/admin/users/:userId/two-factor (or /admins/:adminId/two-factor)
+// @access  Private (user:manageSecurity, admin:manage for admins)
+export const resetUserTwoFactor = async (req, res, next) => {
+  try {
+    const target = accountTarget(req);
+
+    // Your own 2FA is turned off with a code, not by resetting it
+    if (target.id === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot reset your own two-factor authentication'
+      });
+    }
+
+    const account = await target.Model.findById(target.id);
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: `${target.userModel} not found`
+      });
+    }
+
+    const wasEnabled = Boolean(account.twoFactor?.enabled);
+    account.twoFactor = { enabled: false };
+    await account.save();
+
+    await recordAudit(req, {
+      action: `${target.auditPrefix}.two_factor_reset`,
+      targetType: target.userModel,
+      targetId: account._id,
+      before: { twoFactorEnabled: wasEnabled },
+      after: { twoFactorEnabled: false }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Two-factor authentication reset. The ${target.userModel.toLowerCase()} must enroll again if required.`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get locked and throttled login emails
+// @route   GET /api/admin/locked-accounts
+// @access  Private (user:manageSecurity)
+export const getLockedAccounts = async (req, res, next) => {
+  try {
+    const now = new Date();
+    const lockedAccounts = await LoginAttempt.find({
+      $or: [
+        { lockedUntil: { $gt: now } },
+        { nextAttemptAt: { $gt: now } }
+      ]
+    }).sort({ lastFailedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: lockedAccounts.length,
+      data: lockedAccounts
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Unlock an account locked by failed logins
+// @route   DELETE /api/admin/locked-accounts/:id
+// @access  Private (user:manageSecurity)
+export const unlockAccount = async (req, res, next) => {
+  try {
+    const attempt = await LoginAttempt.findByIdAndDelete(req.params.id);
+
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Locked account not found'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'user.unlock',
+      targetType: 'LoginAttempt',
+      targetId: attempt._id,
+      metadata: { email: attempt.email }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${attempt.email} unlocked successfully`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Pending invitations can't log in, so they don't count as active admins
+const isLastActiveAdmin = async (admin) => {
+  const otherActiveAdmins = await Admin.countDocuments({
+    _id: { $ne: admin._id },
+    isActive: true,
+    invitePending: { $ne: true }
+  });
+  return otherActiveAdmins === 0;
+};
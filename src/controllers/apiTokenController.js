@@ -0,0 +1,173 @@
+import ApiToken from '../models/ApiToken.js';
+import config from '../config/env.js';
+import { API_TOKEN_SCOPES } from '../constants/permissions.js';
+import { can } from '../services/permissionService.js';
+import { recordAudit } from '../services/auditService.js';
+
+// Scopes the user's role can actually use (a token never exceeds its owner)
+const getAvailableScopes = (user) =>
+  Object.entries(API_TOKEN_SCOPES)
+    .filter(([, scope]) => scope.permissions.some(action => can(user, action)))
+    .map(([name, scope]) => ({ name, description: scope.description }));
+
+// User and Admin ids live in separate collections, so ownership needs both
+const ownerOf = (user) => ({
+  userId: user._id,
+  userModel: user.role === 'admin' ? 'Admin' : 'User'
+});
+
+const getTokenStatus = (apiToken) => {
+  if (apiToken.revokedAt) return 'revoked';
+  if (apiToken.expiresAt <= new Date()) return 'expired';
+  return 'active';
+};
+
+// @desc    Get the API token scopes available to the current user
+// @route   GET /api/auth/tokens/scopes
+// @access  Private
+export const getApiTokenScopes = async (req, res, next) => {
+  try {
+    const scopes = getAvailableScopes(req.user);
+
+    res.status(200).json({
+      success: true,
+      count: scopes.length,
+      data: scopes
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a personal API token (the token is only returned once)
+// @route   POST /api/auth/tokens
+// @access  Private
+export const createApiToken = async (req, res, next) => {
+  try {
+    const { name, scopes, expiresInDays = config.apiTokens.defaultExpireDays } = req.body;
+
+    if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a name and at least one scope'
+      });
+    }
+
+    const available = getAvailableScopes(req.user).map(scope => scope.name);
+    const invalidScopes = scopes.filter(scope => !available.includes(scope));
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid scopes: ${invalidScopes.join(', ')}`,
+        code: 'INVALID_SCOPE'
+      });
+    }
+
+    const days = Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > config.apiTokens.maxExpireDays) {
+      return res.status(400).json({
+        success: false,
+        message: `expiresInDays must be between 1 and ${config.apiTokens.maxExpireDays}`
+      });
+    }
+
+    const { rawToken, apiToken } = await ApiToken.generate({
+      name,
+      ...ownerOf(req.user),
+      scopes: [...new Set(scopes)],
+      tokenVersion: req.user.tokenVersion || 0,
+      expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+    });
+
+    await recordAudit(req, {
+      action: 'api_token.create',
+      targetType: 'ApiToken',
+      targetId: apiToken._id,
+      after: { name: apiToken.name, scopes: apiToken.scopes, expiresAt: apiToken.expiresAt }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API token created. Copy it now, it will not be shown again.',
+      token: rawToken,
+      data: {
+        _id: apiToken._id,
+        name: apiToken.name,
+        tokenPrefix: apiToken.tokenPrefix,
+        scopes: apiToken.scopes,
+        expiresAt: apiToken.expiresAt,
+        createdAt: apiToken.createdAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the current user's API tokens
+// @route   GET /api/auth/tokens
+// @access  Private
+export const getApiTokens = async (req, res, next) => {
+  try {
+    const apiTokens = await ApiToken.find(ownerOf(req.user))
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: apiTokens.length,
+      data: apiTokens.map(apiToken => ({
+        _id: apiToken._id,
+        name: apiToken.name,
+        tokenPrefix: apiToken.tokenPrefix,
+        scopes: apiToken.scopes,
+        status: getTokenStatus(apiToken),
+        expiresAt: apiToken.expiresAt,
+        lastUsedAt: apiToken.lastUsedAt,
+        lastUsedIp: apiToken.lastUsedIp,
+        revokedAt: apiToken.revokedAt,
+        createdAt: apiToken.createdAt
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke one of the current user's API tokens
+// @route   DELETE /api/auth/tokens/:id
+// @access  Private
+export const revokeApiToken = async (req, res, next) => {
+  try {
+    const apiToken = await ApiToken.findOne({
+      _id: req.params.id,
+      ...ownerOf(req.user)
+    });
+
+    if (!apiToken) {
+      return res.status(404).json({
+        success: false,
+        message: 'API token not found'
+      });
+    }
+
+    if (!apiToken.revokedAt) {
+      apiToken.revokedAt = new Date();
+      await apiToken.save();
+
+      await recordAudit(req, {
+        action: 'api_token.revoke',
+        targetType: 'ApiToken',
+        targetId: apiToken._id,
+        metadata: { name: apiToken.name }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'API token revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
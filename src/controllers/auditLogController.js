@@ -0,0 +1,87 @@
+import AuditLog from '../models/AuditLog.js';
+import config from '../config/env.js';
+import { buildAuditFilter } from '../services/auditService.js';
+import { toCsv } from '../utils/csv.js';
+
+const CSV_COLUMNS = [
+  { header: 'timestamp', value: entry => entry.createdAt },
+  { header: 'action', value: entry => entry.action },
+  { header: 'actor_id', value: entry => entry.actor?.id },
+  { header: 'actor_email', value: entry => entry.actor?.email },
+  { header: 'actor_role', value: entry => entry.actor?.role },
+  { header: 'impersonator_email', value: entry => entry.impersonator?.email },
+  { header: 'target_type', value: entry => entry.targetType },
+  { header: 'target_id', value: entry => entry.targetId },
+  { header: 'before', value: entry => entry.changes?.before },
+  { header: 'after', value: entry => entry.changes?.after },
+  { header: 'metadata', value: entry => entry.metadata },
+  { header: 'ip_address', value: entry => entry.ipAddress },
+  { header: 'user_agent', value: entry => entry.userAgent },
+  { header: 'request_id', value: entry => entry.requestId }
+];
+
+// @desc    Get audit log entries (filter by actor, target, action, date range)
+// @route   GET /api/admin/audit-logs
+// @access  Private (audit:read)
+export const getAuditLogs = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const { filter, error } = buildAuditFilter(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const entries = await AuditLog.find(filter)
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const count = await AuditLog.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+      data: entries
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Export audit log entries as CSV (same filters as the list)
+// @route   GET /api/admin/audit-logs/export
+// @access  Private (audit:read)
+export const exportAuditLogs = async (req, res, next) => {
+  try {
+    const { filter, error } = buildAuditFilter(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    // One extra row tells us whether the export was cut off
+    const entries = await AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(config.auditExportLimit + 1)
+      .lean();
+
+    const truncated = entries.length > config.auditExportLimit;
+    const rows = truncated ? entries.slice(0, config.auditExportLimit) : entries;
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.set('X-Export-Truncated', String(truncated));
+    res.status(200).send(toCsv(rows, CSV_COLUMNS));
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,14 +1,107 @@
 import User from '../models/user.js';
 import Admin from '../models/Admin.js';
 import RefreshToken from '../models/RefreshToken.js';
+import PasswordResetToken from '../models/PasswordResetToken.js';
+import Invitation from '../models/Invitation.js';
+import Project from '../models/Project.js';
 import config from '../config/env.js';
 import {
   generateAccessToken,
   generateRefreshToken,
   verifyRefreshToken,
-  saveRefreshToken
+  verifyChallengeToken,
+  saveRefreshToken,
+  checkAccountAccess
 } from '../middleware/auth.js';
+import {
+  getActiveSessions,
+  revokeSession,
+  invalidateTokens
+} from '../services/sessionService.js';
+import {
+  TWO_FACTOR_SECRET_FIELDS,
+  getLoginChallenge,
+  isTwoFactorEnforced,
+  verifySecondFactor,
+  resetRecoveryCodes
+} from '../services/twoFactorService.js';
+import {
+  checkLoginAllowed,
+  recordFailedLogin,
+  clearFailedLogins,
+  sendThrottleResponse
+} from '../services/loginThrottleService.js';
+import { generateSecret, buildOtpauthUri, verifyTOTP } from '../utils/totp.js';
 import { sendWelcomeNotification } from '../services/notificationService.js';
+import {
+  getSelfRegistrationRoles,
+  isAssignableRole
+} from '../services/permissionService.js';
+import {
+  isSelfRegistrationOpen,
+  findInvitationByToken
+} from '../services/invitationService.js';
+import {
+  isOidcEnabled,
+  createAuthorizationRequest,
+  exchangeAuthorizationCode,
+  mapClaims,
+  resolveSsoUser
+} from '../services/oidcService.js';
+import {
+  sendVerificationEmail,
+  confirmEmailToken
+} from '../services/emailVerificationService.js';
+import {
+  PASSWORD_FIELDS,
+  checkNewPassword,
+  setPassword
+} from '../services/passwordPolicyService.js';
+import {
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail
+} from '../services/mailService.js';
+import { resolveDepartment } from '../services/departmentService.js';
+
+// Issue access/refresh tokens and send the login response
+const completeLogin = async (req, res, account, userModel, message, extra = {}) => {
+  await clearFailedLogins(account.email, userModel);
+
+  account.lastLogin = new Date();
+  await account.save();
+
+  const accessToken = generateAccessToken(account._id, account.role, account.tokenVersion);
+  const refreshToken = generateRefreshToken(account._id, account.role, account.tokenVersion);
+
+  await saveRefreshToken(refreshToken, account._id, userModel, req);
+
+  const data = userModel === 'Admin'
+    ? {
+      id: account._id,
+      name: account.name,
+      email: account.email,
+      role: account.role
+    }
+    : {
+      id: account._id,
+      name: account.name,
+      email: account.email,
+      role: account.role,
+      phone: account.phone,
+      department: account.department,
+      approved: account.approved,
+      passwordChangeRequired: account.passwordChangeRequired
+    };
+
+  res.status(200).json({
+    success: true,
+    message,
+    accessToken,
+    refreshToken,
+    data,
+    ...extra
+  });
+};
 
 // @desc    Admin Login
 // @route   POST /api/auth/admin/login
@@ -24,46 +117,92 @@ export const adminLogin = async (req, res, next) => {
       });
     }
 
-    // Check against hardcoded admin credentials
-    if (email !== config.admin.email || password !== config.admin.password) {
+    // Refuse while this email is locked out or throttled
+    const throttle = await checkLoginAllowed(email, 'Admin');
+    if (throttle) {
+      return sendThrottleResponse(res, throttle);
+    }
+
+    // Find admin and include password
+    const admin = await Admin.findOne({ email }).select('+password');
+
+    // Check password (invited admins have no password until they accept)
+    const isPasswordMatch = admin ? await admin.comparePassword(password) : false;
+
+    if (!isPasswordMatch) {
+      const lockout = await recordFailedLogin(email, 'Admin', req.ip);
+      if (lockout) {
+        return sendThrottleResponse(res, lockout);
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Find or create admin in database
-    let admin = await Admin.findOne({ email: config.admin.email });
-    
-    if (!admin) {
-      admin = await Admin.create({
-        email: config.admin.email,
-        password: config.admin.password,
-        role: 'admin'
+    // Check if admin is active
+    if (!admin.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your account has been deactivated'
       });
     }
 
-    // Update last login
-    admin.lastLogin = new Date();
-    await admin.save();
+    // Second factor required: return a challenge instead of tokens
+    const challenge = await getLoginChallenge(admin);
+    if (challenge) {
+      return res.status(200).json({ success: true, ...challenge });
+    }
 
-    // Generate tokens
-    const accessToken = generateAccessToken(admin._id, 'admin');
-    const refreshToken = generateRefreshToken(admin._id, 'admin');
+    await completeLogin(req, res, admin, 'Admin', 'Admin login successful');
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Save refresh token to database
-    await saveRefreshToken(refreshToken, admin._id, 'Admin', req);
+// @desc    Accept admin invitation and set password
+// @route   POST /api/auth/admin/accept-invite
+// @access  Public
+export const acceptAdminInvite = async (req, res, next) => {
+  try {
+    const { token, password, name } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide invitation token and password'
+      });
+    }
+
+    const admin = await Admin.findOne({
+      inviteToken: Admin.hashToken(token),
+      inviteExpiresAt: { $gt: new Date() },
+      invitePending: true
+    });
+
+    if (!admin) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    if (name) admin.name = name;
+    const { error } = await setPassword(admin, password);
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+
+    admin.invitePending = false;
+    admin.inviteToken = undefined;
+    admin.inviteExpiresAt = undefined;
+    await admin.save();
 
     res.status(200).json({
       success: true,
-      message: 'Admin login successful',
-      accessToken,
-      refreshToken,
-      data: {
-        id: admin._id,
-        email: admin.email,
-        role: admin.role
-      }
+      message: 'Invitation accepted. You can now log in.',
+      data: admin
     });
   } catch (error) {
     next(error);
@@ -77,14 +216,33 @@ export const register = async (req, res, next) => {
   try {
     const { name, email, password, role, phone, department, fcmToken } = req.body;
 
-    // Validate role
-    if (role && !['user', 'lead'].includes(role)) {
+    if (!(await isSelfRegistrationOpen())) {
+      return res.status(403).json({
+        success: false,
+        message: 'Registration is by invitation only',
+        code: 'REGISTRATION_CLOSED'
+      });
+    }
+
+    // Validate role against roles open to self-registration
+    const registrationRoles = getSelfRegistrationRoles();
+    if (role && !registrationRoles.includes(role)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid role. Must be either "user" or "lead"'
+        message: `Invalid role. Must be one of: ${registrationRoles.join(', ')}`
       });
     }
 
+    const { error } = await checkNewPassword(password, { name, email });
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+
+    const { department: userDepartment, error: departmentError } = await resolveDepartment(department);
+    if (departmentError) {
+      return res.status(departmentError.status).json(departmentError.body);
+    }
+
     // Check if user exists
     const userExists = await User.findOne({ email });
     if (userExists) {
@@ -101,32 +259,36 @@ export const register = async (req, res, next) => {
       password,
       role: role || 'user',
       phone,
-      department,
+      department: userDepartment?._id,
       fcmToken: fcmToken || null,
       approved: false // Default: pending approval
     });
 
+    // Admins see whether the address is real before approving
+    await sendVerificationEmail(user, req.ip);
+
     // Send welcome notification (if FCM token provided)
     if (fcmToken) {
       await sendWelcomeNotification(fcmToken, user.name);
     }
 
     // Generate tokens
-    const accessToken = generateAccessToken(user._id, user.role);
-    const refreshToken = generateRefreshToken(user._id, user.role);
+    const accessToken = generateAccessToken(user._id, user.role, user.tokenVersion);
+    const refreshToken = generateRefreshToken(user._id, user.role, user.tokenVersion);
 
     // Save refresh token to database
     await saveRefreshToken(refreshToken, user._id, 'User', req);
 
     res.status(201).json({
       success: true,
-      message: 'Registration successful. Please wait for admin approval.',
+      message: 'Registration successful. Please verify your email and wait for admin approval.',
       accessToken,
       refreshToken,
       data: {
         id: user._id,
         name: user.name,
         email: user.email,
+        emailVerified: user.emailVerified,
         role: user.role,
         phone: user.phone,
         department: user.department,
@@ -138,6 +300,115 @@ export const register = async (req, res, next) => {
   }
 };
 
+// @desc    Accept an invitation and create an approved account
+// @route   POST /api/auth/accept-invite
+// @access  Public
+export const acceptInvite = async (req, res, next) => {
+  try {
+    const { token, name, password, phone, fcmToken } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide invitation token and password'
+      });
+    }
+
+    const { invitation, error } = await findInvitationByToken(token);
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+
+    const { error: passwordError } = await checkNewPassword(password, {
+      name: name || invitation.name,
+      email: invitation.email
+    });
+    if (passwordError) {
+      return res.status(passwordError.status).json(passwordError.body);
+    }
+
+    // The role may have been deleted since the invitation was sent
+    if (!isAssignableRole(invitation.role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The invited role no longer exists'
+      });
+    }
+
+    const userExists = await User.findOne({ email: invitation.email });
+    if (userExists) {
+      return res.status(400).json({
+        success: false,
+        message: 'User already exists with this email'
+      });
+    }
+
+    // Claim the invitation atomically so it can only be used once
+    const claimed = await Invitation.findOneAndUpdate(
+      { _id: invitation._id, status: 'pending', tokenId: invitation.tokenId },
+      { status: 'accepted', acceptedAt: new Date() },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation is invalid',
+        code: 'INVITE_INVALID'
+      });
+    }
+
+    let user;
+    try {
+      user = await User.create({
+        name: name || invitation.name,
+        email: invitation.email,
+        password,
+        role: invitation.role,
+        phone: phone || invitation.phone,
+        department: invitation.department,
+        fcmToken: fcmToken || null,
+        // The invitation link was delivered to this address
+        emailVerified: true,
+        emailVerifiedAt: new Date(),
+        approved: true,
+        approvedAt: new Date(),
+        approvedBy: invitation.createdByModel === 'Admin' ? invitation.createdBy : undefined
+      });
+    } catch (createError) {
+      // Let the invitee retry with corrected details
+      await Invitation.updateOne(
+        { _id: invitation._id },
+        { status: 'pending', acceptedAt: null }
+      );
+      throw createError;
+    }
+
+    await Invitation.updateOne({ _id: invitation._id }, { acceptedUser: user._id });
+
+    if (invitation.project) {
+      await Project.updateOne(
+        { _id: invitation.project, isActive: true },
+        { $addToSet: { assignedUsers: user._id } }
+      );
+    }
+
+    if (fcmToken) {
+      await sendWelcomeNotification(fcmToken, user.name);
+    }
+
+    // Roles that require 2FA enroll before receiving tokens
+    const challenge = await getLoginChallenge(user);
+    if (challenge) {
+      return res.status(200).json({ success: true, ...challenge });
+    }
+
+    await completeLogin(req, res, user, 'User', 'Invitation accepted successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    User/Lead Login
 // @route   POST /api/auth/login
 // @access  Public
@@ -152,17 +423,31 @@ export const login = async (req, res, next) => {
       });
     }
 
+    // Refuse while this email is locked out or throttled
+    const throttle = await checkLoginAllowed(email, 'User');
+    if (throttle) {
+      return sendThrottleResponse(res, throttle);
+    }
+
     // Find user and include password
     const user = await User.findOne({ email }).select('+password');
 
-    if (!user) {
+    // Check password
+    const isPasswordMatch = user ? await user.comparePassword(password) : false;
+
+    if (!isPasswordMatch) {
+      const lockout = await recordFailedLogin(email, 'User', req.ip);
+      if (lockout) {
+        return sendThrottleResponse(res, lockout);
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Check if user is active
+    // Account state is only revealed once the password is correct
     if (!user.isActive) {
       return res.status(401).json({
         success: false,
@@ -170,16 +455,6 @@ export const login = async (req, res, next) => {
       });
     }
 
-    // Check password
-    const isPasswordMatch = await user.comparePassword(password);
-
-    if (!isPasswordMatch) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
-      });
-    }
-
     // Check if user is approved
     if (!user.approved) {
       return res.status(403).json({
@@ -189,42 +464,99 @@ export const login = async (req, res, next) => {
       });
     }
 
+    // Second factor required: return a challenge instead of tokens
+    const challenge = await getLoginChallenge(user);
+    if (challenge) {
+      return res.status(200).json({ success: true, ...challenge });
+    }
+
     // Update FCM token if provided
     if (fcmToken && fcmToken !== user.fcmToken) {
       user.fcmToken = fcmToken;
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+    await completeLogin(req, res, user, 'User', 'Login successful');
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user._id, user.role);
-    const refreshToken = generateRefreshToken(user._id, user.role);
+// @desc    Start single sign-on (OIDC authorization code + PKCE)
+// @route   GET /api/auth/oidc/authorize
+// @access  Public
+export const startOidcLogin = async (req, res, next) => {
+  try {
+    if (!isOidcEnabled()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Single sign-on is not configured',
+        code: 'SSO_DISABLED'
+      });
+    }
 
-    // Save refresh token to database
-    await saveRefreshToken(refreshToken, user._id, 'User', req);
+    const { authorizationUrl, state } = await createAuthorizationRequest(req.ip);
 
     res.status(200).json({
       success: true,
-      message: 'Login successful',
-      accessToken,
-      refreshToken,
-      data: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        phone: user.phone,
-        department: user.department,
-        approved: user.approved
-      }
+      authorizationUrl,
+      state
     });
   } catch (error) {
     next(error);
   }
 };
 
+// @desc    Finish single sign-on with the code returned by the identity provider
+// @route   POST /api/auth/oidc/callback
+// @access  Public
+export const completeOidcLogin = async (req, res, next) => {
+  try {
+    const { code, state, fcmToken } = req.body;
+
+    if (!isOidcEnabled()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Single sign-on is not configured',
+        code: 'SSO_DISABLED'
+      });
+    }
+
+    if (!code || !state) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide code and state'
+      });
+    }
+
+    const claims = await exchangeAuthorizationCode({ code, state });
+
+    const { user, error } = await resolveSsoUser(mapClaims(claims));
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your account has been deactivated'
+      });
+    }
+
+    const challenge = await getLoginChallenge(user);
+    if (challenge) {
+      return res.status(200).json({ success: true, ...challenge });
+    }
+
+    if (fcmToken && fcmToken !== user.fcmToken) {
+      user.fcmToken = fcmToken;
+    }
+
+    await completeLogin(req, res, user, 'User', 'Login successful');
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Update FCM Token
 // @route   PATCH /api/auth/fcm-token
 // @access  Private
@@ -285,11 +617,7 @@ export const refreshAccessToken = async (req, res, next) => {
       });
     }
 
-    // Check if refresh token exists in database and is not revoked
-    const storedToken = await RefreshToken.findOne({
-      token: refreshToken,
-      isRevoked: false
-    });
+    const storedToken = await RefreshToken.findOne({ token: refreshToken });
 
     if (!storedToken) {
       return res.status(401).json({
@@ -298,13 +626,90 @@ export const refreshAccessToken = async (req, res, next) => {
       });
     }
 
-    // Generate new access token
-    const newAccessToken = generateAccessToken(decoded.id, decoded.role);
+    // A rotated token being presented again means it was stolen:
+    // revoke the whole family so neither party can keep using it
+    if (storedToken.isRevoked) {
+      if (storedToken.revokedReason === 'rotated') {
+        await RefreshToken.revokeFamily(storedToken.family, 'reuse_detected');
+
+        console.warn(
+          `🚨 Refresh token reuse detected: ${storedToken.userModel} ${storedToken.userId}, ` +
+          `family ${storedToken.family}, ip ${req.ip}, user-agent ${req.headers['user-agent']}`
+        );
+
+        return res.status(401).json({
+          success: false,
+          message: 'Refresh token reuse detected. Please log in again.',
+          code: 'REFRESH_TOKEN_REUSED'
+        });
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token is invalid or has been revoked'
+      });
+    }
+
+    // Re-check the account: it may have been deactivated, deleted or demoted
+    const AccountModel = storedToken.userModel === 'Admin' ? Admin : User;
+    const account = await AccountModel.findById(storedToken.userId);
+
+    if (!account) {
+      await RefreshToken.revokeFamily(storedToken.family, 'account_deleted');
+
+      return res.status(401).json({
+        success: false,
+        message: 'User no longer exists'
+      });
+    }
+
+    const accessError = checkAccountAccess(account, decoded.tv);
+    if (accessError) {
+      // Pending users keep their session so it works once they're approved
+      if (accessError.body.code !== 'PENDING_APPROVAL') {
+        await RefreshToken.revokeFamily(storedToken.family, 'access_revoked');
+      }
+      return res.status(accessError.status).json(accessError.body);
+    }
+
+    // Revoke the presented token atomically so concurrent refreshes can't both rotate it
+    const rotatedToken = await RefreshToken.findOneAndUpdate(
+      { _id: storedToken._id, isRevoked: false },
+      { isRevoked: true, revokedAt: new Date(), revokedReason: 'rotated' }
+    );
+
+    if (!rotatedToken) {
+      await RefreshToken.revokeFamily(storedToken.family, 'reuse_detected');
+
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token reuse detected. Please log in again.',
+        code: 'REFRESH_TOKEN_REUSED'
+      });
+    }
+
+    // Generate new token pair in the same family
+    const newAccessToken = generateAccessToken(account._id, account.role, account.tokenVersion);
+    const newRefreshToken = generateRefreshToken(account._id, account.role, account.tokenVersion);
+
+    const savedToken = await saveRefreshToken(
+      newRefreshToken,
+      storedToken.userId,
+      storedToken.userModel,
+      req,
+      storedToken
+    );
+
+    await RefreshToken.updateOne(
+      { _id: storedToken._id },
+      { replacedBy: savedToken._id }
+    );
 
     res.status(200).json({
       success: true,
       message: 'Access token refreshed successfully',
-      accessToken: newAccessToken
+      accessToken: newAccessToken,
+      refreshToken: newRefreshToken
     });
   } catch (error) {
     next(error);
@@ -327,8 +732,8 @@ export const logout = async (req, res, next) => {
 
     // Revoke the refresh token
     await RefreshToken.updateOne(
-      { token: refreshToken },
-      { isRevoked: true }
+      { token: refreshToken, isRevoked: false },
+      { isRevoked: true, revokedAt: new Date(), revokedReason: 'logout' }
     );
 
     res.status(200).json({
@@ -349,10 +754,7 @@ export const logoutAll = async (req, res, next) => {
     const userModel = req.user.role === 'admin' ? 'Admin' : 'User';
 
     // Revoke all refresh tokens for this user
-    await RefreshToken.updateMany(
-      { userId, userModel, isRevoked: false },
-      { isRevoked: true }
-    );
+    await RefreshToken.revokeAllForUser(userId, userModel, 'logout_all');
 
     res.status(200).json({
       success: true,
@@ -363,6 +765,501 @@ export const logoutAll = async (req, res, next) => {
   }
 };
 
+// @desc    Get active sessions for current user
+// @route   GET /api/auth/sessions
+// @access  Private
+export const getSessions = async (req, res, next) => {
+  try {
+    const userModel = req.user.role === 'admin' ? 'Admin' : 'User';
+    const sessions = await getActiveSessions(req.user._id, userModel);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke one of current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+export const deleteSession = async (req, res, next) => {
+  try {
+    const userModel = req.user.role === 'admin' ? 'Admin' : 'User';
+    const revoked = await revokeSession(req.user._id, userModel, req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Request password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+export const forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide email'
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+
+    // Same response whether or not the account exists
+    if (user && user.isActive) {
+      const resetToken = await PasswordResetToken.generate(
+        user._id,
+        config.passwordResetExpireMinutes,
+        req.ip
+      );
+      const resetUrl = `${config.clientUrl}/reset-password?token=${resetToken}`;
+
+      await sendPasswordResetEmail(
+        user.email,
+        user.name,
+        resetUrl,
+        config.passwordResetExpireMinutes
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reset password using emailed token
+// @route   POST /api/auth/reset-password
+// @access  Public
+export const resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide reset token and new password'
+      });
+    }
+
+    // Rules that don't depend on the account are checked before the token is used
+    const { error: weakPassword } = await checkNewPassword(password, null);
+    if (weakPassword) {
+      return res.status(weakPassword.status).json(weakPassword.body);
+    }
+
+    // Claim the token atomically so it can only be used once
+    const resetToken = await PasswordResetToken.findOneAndUpdate(
+      {
+        tokenHash: PasswordResetToken.hashToken(token),
+        usedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      { usedAt: new Date() },
+      { new: true }
+    );
+
+    if (!resetToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset token is invalid or has expired'
+      });
+    }
+
+    const user = await User.findById(resetToken.user).select(PASSWORD_FIELDS);
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset token is invalid or has expired'
+      });
+    }
+
+    const { error } = await setPassword(user, password);
+    if (error) {
+      // Let the user choose another password with the same link
+      await PasswordResetToken.updateOne({ _id: resetToken._id }, { usedAt: null });
+      return res.status(error.status).json(error.body);
+    }
+
+    await user.save();
+
+    // Sign the user out everywhere
+    await invalidateTokens(user._id, 'User', 'password_reset');
+
+    await sendPasswordChangedEmail(user.email, user.name);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successful. Please log in with your new password.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Confirm an email address (registration or change of email)
+// @route   POST /api/auth/verify-email
+// @access  Public
+export const verifyEmail = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide verification token'
+      });
+    }
+
+    const { user, purpose, error } = await confirmEmailToken(token);
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: purpose === 'change'
+        ? 'Email address changed successfully'
+        : 'Email address verified successfully',
+      data: {
+        email: user.email,
+        emailVerified: user.emailVerified
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Send a new email verification link
+// @route   POST /api/auth/verify-email/resend
+// @access  Public
+export const resendVerificationEmail = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide email'
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+
+    // Same response whether or not the account exists or is verified
+    if (user && user.isActive && !user.emailVerified) {
+      await sendVerificationEmail(user, req.ip);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If an unverified account exists for this email, a verification link has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Verify 2FA code and complete login
+// @route   POST /api/auth/2fa/verify
+// @access  Public (challenge token)
+export const verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode, fcmToken } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide challenge token and code'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyChallengeToken(challengeToken, '2fa_verify');
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge token',
+        code: 'CHALLENGE_EXPIRED'
+      });
+    }
+
+    const isAdmin = decoded.role === 'admin';
+    const Model = isAdmin ? Admin : User;
+    const account = await Model.findById(decoded.id).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (!account || !account.isActive || !account.twoFactor?.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge token',
+        code: 'CHALLENGE_EXPIRED'
+      });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const accountType = isAdmin ? 'Admin' : 'User';
+    const throttle = await checkLoginAllowed(account.email, accountType);
+    if (throttle) {
+      return sendThrottleResponse(res, throttle);
+    }
+
+    const isValid = await verifySecondFactor(account, { code, recoveryCode });
+
+    if (!isValid) {
+      const lockout = await recordFailedLogin(account.email, accountType, req.ip);
+      if (lockout) {
+        return sendThrottleResponse(res, lockout);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    if (!isAdmin && fcmToken && fcmToken !== account.fcmToken) {
+      account.fcmToken = fcmToken;
+    }
+
+    await completeLogin(
+      req,
+      res,
+      account,
+      accountType,
+      isAdmin ? 'Admin login successful' : 'Login successful'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Start 2FA enrollment (generate secret and provisioning URI)
+// @route   POST /api/auth/2fa/setup
+// @access  Private (or 2FA setup challenge)
+export const setupTwoFactor = async (req, res, next) => {
+  try {
+    const Model = req.user.role === 'admin' ? Admin : User;
+    const account = await Model.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (account.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    account.twoFactor.pendingSecret = secret;
+    await account.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri(secret, account.email, config.twoFactorIssuer)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Confirm 2FA enrollment with a code
+// @route   POST /api/auth/2fa/enable
+// @access  Private (or 2FA setup challenge)
+export const enableTwoFactor = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the code from your authenticator app'
+      });
+    }
+
+    const isAdmin = req.user.role === 'admin';
+    const Model = isAdmin ? Admin : User;
+    const account = await Model.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (account.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!account.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please start two-factor setup first'
+      });
+    }
+
+    const step = verifyTOTP(account.twoFactor.pendingSecret, code);
+
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    account.twoFactor.secret = account.twoFactor.pendingSecret;
+    account.twoFactor.pendingSecret = undefined;
+    account.twoFactor.enabled = true;
+    account.twoFactor.enabledAt = new Date();
+    account.twoFactor.lastUsedStep = step;
+    const recoveryCodes = resetRecoveryCodes(account);
+    await account.save();
+
+    // Enrollment forced at login finishes the login
+    if (req.twoFactorSetupChallenge) {
+      return completeLogin(
+        req,
+        res,
+        account,
+        isAdmin ? 'Admin' : 'User',
+        'Two-factor authentication enabled. Login successful',
+        { recoveryCodes }
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      recoveryCodes
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Disable 2FA
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+export const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your password and a two-factor code'
+      });
+    }
+
+    if (await isTwoFactorEnforced(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: `Two-factor authentication is required for role '${req.user.role}'`
+      });
+    }
+
+    const Model = req.user.role === 'admin' ? Admin : User;
+    const account = await Model.findById(req.user._id)
+      .select(`+password ${TWO_FACTOR_SECRET_FIELDS}`);
+
+    if (!account.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const isPasswordMatch = await account.comparePassword(password);
+    const isCodeValid = isPasswordMatch && await verifySecondFactor(account, { code, recoveryCode });
+
+    if (!isCodeValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or two-factor code'
+      });
+    }
+
+    account.twoFactor = { enabled: false };
+    await account.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Regenerate 2FA recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+export const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the code from your authenticator app'
+      });
+    }
+
+    const Model = req.user.role === 'admin' ? Admin : User;
+    const account = await Model.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (!account.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const isValid = await verifySecondFactor(account, { code });
+
+    if (!isValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const recoveryCodes = resetRecoveryCodes(account);
+    await account.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Recovery codes regenerated. Previous codes no longer work.',
+      recoveryCodes
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Get current logged in user
 // @route   GET /api/auth/me
 // @access  Private
@@ -370,7 +1267,18 @@ export const getMe = async (req, res, next) => {
   try {
     res.status(200).json({
       success: true,
-      data: req.user
+      data: req.user,
+      ...(req.impersonator && {
+        impersonation: {
+          id: req.impersonation._id,
+          impersonator: {
+            id: req.impersonator._id,
+            name: req.impersonator.name,
+            email: req.impersonator.email
+          },
+          expiresAt: req.impersonation.expiresAt
+        }
+      })
     });
   } catch (error) {
     next(error);
@@ -2,10 +2,56 @@ import DailyUpdate from '../models/DailyUpdate.js';
 import Project from '../models/Project.js';
 import Module from '../models/Module.js';
 import User from '../models/user.js';
+import { can } from '../services/permissionService.js';
+import {
+  startOfDay,
+  isWorkingDay,
+  getApprovedLeave,
+  groupLeaveByUser,
+  leaveOnDay
+} from '../services/leaveService.js';
+import { sendMissingUpdateReminder } from '../services/notificationService.js';
+import config from '../config/env.js';
+
+// Project members who are away on `day` and those yet to post an update.
+// Nobody is expected to post on weekends or while on full-day leave.
+const teamAttendance = async (project, day, updates) => {
+  const members = await User.find({
+    _id: { $in: project.assignedUsers },
+    isActive: true,
+    deletedAt: null
+  }).select('name email fcmToken');
+
+  const leaveByUser = groupLeaveByUser(await getApprovedLeave(members.map(member => member._id), day, day));
+  const posted = new Set(updates.map(update => (update.user._id ?? update.user).toString()));
+  const workingDay = isWorkingDay(day);
+
+  const onLeave = [];
+  const missingUpdates = [];
+  let expectedHours = 0;
+
+  for (const member of members) {
+    const leaves = leaveByUser.get(member._id.toString()) || [];
+    const away = leaveOnDay(leaves, day);
+    const user = { _id: member._id, name: member.name, email: member.email };
+
+    if (away > 0) {
+      onLeave.push({ user, away, type: leaves[0].type, halfDay: leaves[0].halfDay });
+    }
+    if (workingDay) {
+      expectedHours += (1 - away) * config.workdayHours;
+      if (away < 1 && !posted.has(member._id.toString())) {
+        missingUpdates.push({ ...user, fcmToken: member.fcmToken });
+      }
+    }
+  }
+
+  return { onLeave, missingUpdates, expectedHours };
+};
 
 // @desc    Create daily update (User only)
 // @route   POST /api/daily-updates
-// @access  Private (User)
+// @access  Private (dailyUpdate:create)
 export const createDailyUpdate = async (req, res, next) => {
   try {
     const {
@@ -27,11 +73,7 @@ export const createDailyUpdate = async (req, res, next) => {
       });
     }
 
-    const isAssigned = projectDoc.assignedUsers.some(
-      userId => userId.toString() === req.user._id.toString()
-    );
-
-    if (!isAssigned) {
+    if (!can(req.user, 'dailyUpdate:create', projectDoc)) {
       return res.status(403).json({
         success: false,
         message: 'You are not assigned to this project'
@@ -91,7 +133,7 @@ export const createDailyUpdate = async (req, res, next) => {
 
 // @desc    Get daily updates for a project (Lead, Admin)
 // @route   GET /api/daily-updates/project/:projectId
-// @access  Private (Lead, Admin)
+// @access  Private (dailyUpdate:review)
 export const getDailyUpdatesByProject = async (req, res, next) => {
   try {
     const { projectId } = req.params;
@@ -106,8 +148,7 @@ export const getDailyUpdatesByProject = async (req, res, next) => {
     }
 
     // Check authorization
-    if (req.user.role === 'lead' && 
-        project.assignedLead.toString() !== req.user._id.toString()) {
+    if (!can(req.user, 'dailyUpdate:review', project)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view these updates'
@@ -144,7 +185,7 @@ export const getDailyUpdatesByProject = async (req, res, next) => {
 
 // @desc    Get user's own daily updates
 // @route   GET /api/daily-updates/my-updates
-// @access  Private (User)
+// @access  Private (dailyUpdate:read)
 export const getMyDailyUpdates = async (req, res, next) => {
   try {
     const { projectId, startDate, endDate } = req.query;
@@ -175,9 +216,57 @@ export const getMyDailyUpdates = async (req, res, next) => {
   }
 };
 
+// @desc    Get a user's daily updates (own, or a direct report's for managers)
+// @route   GET /api/daily-updates/user/:userId
+// @access  Private (dailyUpdate:read)
+export const getUserDailyUpdates = async (req, res, next) => {
+  try {
+    const { projectId, startDate, endDate } = req.query;
+
+    const user = await User.findById(req.params.userId).select('name email manager');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!can(req.user, 'dailyUpdate:read', { user })) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view these updates'
+      });
+    }
+
+    const query = { user: user._id };
+
+    if (projectId) query.project = projectId;
+
+    if (startDate && endDate) {
+      query.date = {
+        $gte: new Date(startDate),
+        $lte: new Date(endDate)
+      };
+    }
+
+    const updates = await DailyUpdate.find(query)
+      .populate('project', 'name')
+      .populate('module', 'name estimatedTime')
+      .sort({ date: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: updates.length,
+      data: updates
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Update daily update (User can edit only their own)
 // @route   PUT /api/daily-updates/:id
-// @access  Private (User)
+// @access  Private (dailyUpdate:update)
 export const updateDailyUpdate = async (req, res, next) => {
   try {
     const {
@@ -198,7 +287,7 @@ export const updateDailyUpdate = async (req, res, next) => {
     }
 
     // Check if user owns this update
-    if (dailyUpdate.user.toString() !== req.user._id.toString()) {
+    if (!can(req.user, 'dailyUpdate:update', dailyUpdate)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this entry'
@@ -242,7 +331,7 @@ export const updateDailyUpdate = async (req, res, next) => {
 
 // @desc    Get team daily updates summary (Lead only)
 // @route   GET /api/daily-updates/team-summary/:projectId
-// @access  Private (Lead)
+// @access  Private (dailyUpdate:teamSummary)
 export const getTeamDailySummary = async (req, res, next) => {
   try {
     const { projectId } = req.params;
@@ -256,8 +345,7 @@ export const getTeamDailySummary = async (req, res, next) => {
       });
     }
 
-    // Check if lead owns this project
-    if (project.assignedLead.toString() !== req.user._id.toString()) {
+    if (!can(req.user, 'dailyUpdate:teamSummary', project)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view this summary'
@@ -297,14 +385,72 @@ export const getTeamDailySummary = async (req, res, next) => {
       totalHours += update.hoursWorked;
     }
 
+    const { onLeave, missingUpdates, expectedHours } = await teamAttendance(project, targetDate, updates);
+
     res.status(200).json({
       success: true,
       date: targetDate,
       totalHours,
+      expectedHours,
       teamMembers: Object.values(userSummary).length,
-      summary: Object.values(userSummary)
+      summary: Object.values(userSummary),
+      onLeave,
+      missingUpdates: missingUpdates.map(({ fcmToken, ...user }) => user)
     });
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+// @desc    Remind project members who haven't posted a daily update (?date=); skips anyone on leave
+// @route   POST /api/daily-updates/team-summary/:projectId/remind
+// @access  Private (dailyUpdate:teamSummary)
+export const remindMissingUpdates = async (req, res, next) => {
+  try {
+    const project = await Project.findById(req.params.projectId);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!can(req.user, 'dailyUpdate:teamSummary', project)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to send reminders for this project'
+      });
+    }
+
+    const targetDate = startOfDay(req.query.date || new Date());
+    if (Number.isNaN(targetDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date'
+      });
+    }
+
+    const nextDay = new Date(targetDate);
+    nextDay.setDate(nextDay.getDate() + 1);
+
+    const updates = await DailyUpdate.find({
+      project: project._id,
+      date: { $gte: targetDate, $lt: nextDay }
+    }).select('user');
+
+    const { missingUpdates } = await teamAttendance(project, targetDate, updates);
+
+    const fcmTokens = missingUpdates.map(user => user.fcmToken).filter(Boolean);
+    if (fcmTokens.length > 0) {
+      await sendMissingUpdateReminder(fcmTokens, project.name, targetDate.toDateString());
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Reminded ${missingUpdates.length} team member(s)`,
+      data: missingUpdates.map(({ fcmToken, ...user }) => user)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,267 @@
+import Department, { NAME_COLLATION } from '../models/Department.js';
+import User from '../models/user.js';
+import Project from '../models/Project.js';
+import {
+  normalizeDepartmentName,
+  checkDepartmentHead,
+  checkParent,
+  getDepartmentUsage,
+  buildDepartmentTree
+} from '../services/departmentService.js';
+import { recordAudit, snapshot } from '../services/auditService.js';
+
+// Department fields recorded in audit diffs
+const AUDITED_FIELDS = ['name', 'code', 'description', 'parent', 'head', 'isActive'];
+
+// Another department already using the name or code, if any
+const findConflict = (name, code, excludeId) => Department.findOne({
+  _id: { $ne: excludeId },
+  $or: [{ name: normalizeDepartmentName(name) }, { code: `${code}`.toUpperCase().trim() }]
+}).collation(NAME_COLLATION);
+
+// Validate a requested parent and head; returns { error } to send
+const checkRelations = async (departmentId, { parent, head }) => {
+  if (parent) {
+    const { error } = await checkParent(departmentId, parent);
+    if (error) return { error };
+  }
+
+  if (head) {
+    const { error } = await checkDepartmentHead(head);
+    if (error) return { error };
+  }
+
+  return {};
+};
+
+// @desc    Get departments with member and project counts (?active=true|false&tree=true)
+// @route   GET /api/admin/departments
+// @access  Private (department:read)
+export const getDepartments = async (req, res, next) => {
+  try {
+    const { active, tree } = req.query;
+
+    const query = {};
+    if (active !== undefined) query.isActive = active === 'true';
+
+    const departments = await Department.find(query)
+      .populate('head', 'name email')
+      .populate('parent', 'name code')
+      .sort({ name: 1 })
+      .lean();
+
+    const userCounts = await User.aggregate([
+      { $match: { department: { $ne: null }, deletedAt: null } },
+      { $group: { _id: '$department', count: { $sum: 1 } } }
+    ]);
+    const projectCounts = await Project.aggregate([
+      { $match: { isActive: true } },
+      { $group: { _id: '$department', count: { $sum: 1 } } }
+    ]);
+    const countsOf = (counts) => Object.fromEntries(counts.map(c => [String(c._id), c.count]));
+    const usersByDepartment = countsOf(userCounts);
+    const projectsByDepartment = countsOf(projectCounts);
+
+    const data = departments.map(department => ({
+      ...department,
+      userCount: usersByDepartment[department._id] || 0,
+      projectCount: projectsByDepartment[department._id] || 0
+    }));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data: tree === 'true' ? buildDepartmentTree(data) : data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a department with its subdepartments
+// @route   GET /api/admin/departments/:id
+// @access  Private (department:read)
+export const getDepartment = async (req, res, next) => {
+  try {
+    const department = await Department.findById(req.params.id)
+      .populate('head', 'name email')
+      .populate('parent', 'name code');
+
+    if (!department) {
+      return res.status(404).json({
+        success: false,
+        message: 'Department not found'
+      });
+    }
+
+    const children = await Department.find({ parent: department._id })
+      .select('name code isActive')
+      .sort({ name: 1 });
+    const usage = await getDepartmentUsage(department._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...department.toObject(),
+        children,
+        userCount: usage.users,
+        projectCount: usage.projects
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a department
+// @route   POST /api/admin/departments
+// @access  Private (department:manage)
+export const createDepartment = async (req, res, next) => {
+  try {
+    const { name, code, description, parent, head } = req.body;
+
+    if (!name || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a department name and code'
+      });
+    }
+
+    if (await findConflict(name, code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A department already exists with this name or code'
+      });
+    }
+
+    const { error } = await checkRelations(null, { parent, head });
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+
+    const department = await Department.create({
+      name,
+      code,
+      description,
+      parent: parent || null,
+      head: head || null,
+      updatedBy: req.user._id
+    });
+
+    await recordAudit(req, {
+      action: 'department.create',
+      targetType: 'Department',
+      targetId: department._id,
+      after: snapshot(department, AUDITED_FIELDS)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Department created successfully',
+      data: department
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update a department; parent and head accept null to clear them
+// @route   PUT /api/admin/departments/:id
+// @access  Private (department:manage)
+export const updateDepartment = async (req, res, next) => {
+  try {
+    const { name, code, description, parent, head, isActive } = req.body;
+
+    const department = await Department.findById(req.params.id);
+
+    if (!department) {
+      return res.status(404).json({
+        success: false,
+        message: 'Department not found'
+      });
+    }
+
+    if ((name || code) && await findConflict(name ?? department.name, code ?? department.code, department._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A department already exists with this name or code'
+      });
+    }
+
+    const { error } = await checkRelations(department._id, { parent, head });
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+
+    const before = snapshot(department, AUDITED_FIELDS);
+
+    if (name) department.name = name;
+    if (code) department.code = code;
+    if (description !== undefined) department.description = description;
+    if (parent !== undefined) department.parent = parent || null;
+    if (head !== undefined) department.head = head || null;
+    if (isActive !== undefined) department.isActive = Boolean(isActive);
+    department.updatedBy = req.user._id;
+
+    await department.save();
+
+    await recordAudit(req, {
+      action: 'department.update',
+      targetType: 'Department',
+      targetId: department._id,
+      before,
+      after: snapshot(department, AUDITED_FIELDS)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Department updated successfully',
+      data: department
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a department nothing refers to (deactivate it otherwise)
+// @route   DELETE /api/admin/departments/:id
+// @access  Private (department:manage)
+export const deleteDepartment = async (req, res, next) => {
+  try {
+    const department = await Department.findById(req.params.id);
+
+    if (!department) {
+      return res.status(404).json({
+        success: false,
+        message: 'Department not found'
+      });
+    }
+
+    const usage = await getDepartmentUsage(department._id);
+    if (usage.users > 0 || usage.projects > 0 || usage.children > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Department is still in use; deactivate it instead',
+        code: 'DEPARTMENT_IN_USE',
+        data: usage
+      });
+    }
+
+    await department.deleteOne();
+
+    await recordAudit(req, {
+      action: 'department.delete',
+      targetType: 'Department',
+      targetId: department._id,
+      before: snapshot(department, AUDITED_FIELDS),
+      after: null
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Department deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
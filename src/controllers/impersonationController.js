@@ -0,0 +1,168 @@
+import User from '../models/user.js';
+import Impersonation from '../models/Impersonation.js';
+import ImpersonationRequest from '../models/ImpersonationRequest.js';
+import { generateImpersonationToken } from '../middleware/auth.js';
+import { startImpersonationSession } from '../services/impersonationService.js';
+import { recordAudit } from '../services/auditService.js';
+
+// @desc    Sign in as a user for support (short-lived, audited)
+// @route   POST /api/admin/impersonate/:userId
+// @access  Private (user:impersonate)
+export const startImpersonation = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || !`${reason}`.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a reason for impersonating this user'
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.isActive || !user.approved) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only active, approved users can be impersonated'
+      });
+    }
+
+    const impersonation = await startImpersonationSession(req.user, user, reason, req);
+    const accessToken = generateImpersonationToken(user, req.user, impersonation);
+
+    await recordAudit(req, {
+      action: 'user.impersonate',
+      targetType: 'User',
+      targetId: user._id,
+      metadata: { impersonationId: impersonation._id, reason }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Now impersonating ${user.name}`,
+      accessToken,
+      expiresAt: impersonation.expiresAt,
+      data: {
+        impersonationId: impersonation._id,
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          department: user.department
+        },
+        impersonator: {
+          id: req.user._id,
+          name: req.user.name,
+          email: req.user.email
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    End the current impersonation (token stops working)
+// @route   POST /api/auth/impersonation/end
+// @access  Private (impersonation token)
+export const endImpersonation = async (req, res, next) => {
+  try {
+    if (!req.impersonation) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are not impersonating a user'
+      });
+    }
+
+    req.impersonation.endedAt = new Date();
+    await req.impersonation.save();
+
+    // Recorded with the user as actor and the admin as impersonator
+    await recordAudit(req, {
+      action: 'impersonation.end',
+      targetType: 'User',
+      targetId: req.user._id,
+      metadata: { impersonationId: req.impersonation._id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Impersonation ended'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get impersonation sessions
+// @route   GET /api/admin/impersonations
+// @access  Private (user:impersonate)
+export const getImpersonations = async (req, res, next) => {
+  try {
+    const { admin, user, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (admin) query.admin = admin;
+    if (user) query.user = user;
+
+    const impersonations = await Impersonation.find(query)
+      .populate('admin', 'name email')
+      .populate('user', 'name email role')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const count = await Impersonation.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+      data: impersonations
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get every request made during an impersonation session
+// @route   GET /api/admin/impersonations/:id/requests
+// @access  Private (user:impersonate)
+export const getImpersonationRequests = async (req, res, next) => {
+  try {
+    const impersonation = await Impersonation.findById(req.params.id)
+      .populate('admin', 'name email')
+      .populate('user', 'name email role');
+
+    if (!impersonation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Impersonation session not found'
+      });
+    }
+
+    const requests = await ImpersonationRequest.find({ impersonation: impersonation._id })
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: requests.length,
+      data: {
+        impersonation,
+        requests
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,265 @@
+import Invitation from '../models/Invitation.js';
+import Project from '../models/Project.js';
+import User from '../models/user.js';
+import {
+  can,
+  getPermissionScopes,
+  isAssignableRole
+} from '../services/permissionService.js';
+import {
+  issueInvitationToken,
+  sendInvitation
+} from '../services/invitationService.js';
+import { recordAudit } from '../services/auditService.js';
+import { resolveDepartment } from '../services/departmentService.js';
+
+// Role given to invitees when none is chosen
+const DEFAULT_ROLE = User.schema.path('role').defaultValue;
+
+// @desc    Invite a user with a preset role, department and project
+// @route   POST /api/invitations
+// @access  Private (invitation:create)
+export const createInvitation = async (req, res, next) => {
+  try {
+    const { email, name, role, department, projectId } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide email'
+      });
+    }
+
+    const inviteRole = role || DEFAULT_ROLE;
+
+    if (!isAssignableRole(inviteRole)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid role'
+      });
+    }
+
+    // Choosing anything but the default role is a role change
+    if (inviteRole !== DEFAULT_ROLE && !can(req.user, 'user:changeRole')) {
+      return res.status(403).json({
+        success: false,
+        message: `Not authorized to invite users as '${inviteRole}'`
+      });
+    }
+
+    let project = null;
+    if (projectId) {
+      project = await Project.findById(projectId);
+
+      if (!project || !project.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Project not found'
+        });
+      }
+    }
+
+    // Scoped grants may only invite into projects the user leads
+    if (!can(req.user, 'invitation:create', { project })) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only invite users to projects you lead'
+      });
+    }
+
+    const { department: inviteDepartment, error } = await resolveDepartment(department);
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+
+    const normalizedEmail = `${email}`.toLowerCase().trim();
+
+    const userExists = await User.findOne({ email: normalizedEmail });
+    if (userExists) {
+      return res.status(400).json({
+        success: false,
+        message: 'User already exists with this email'
+      });
+    }
+
+    const pendingInvitation = await Invitation.findOne({
+      email: normalizedEmail,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    });
+    if (pendingInvitation) {
+      return res.status(400).json({
+        success: false,
+        message: 'A pending invitation already exists for this email'
+      });
+    }
+
+    const invitation = new Invitation({
+      email: normalizedEmail,
+      name,
+      role: inviteRole,
+      department: inviteDepartment?._id || project?.department,
+      project: project?._id,
+      createdBy: req.user._id,
+      createdByModel: req.user.role === 'admin' ? 'Admin' : 'User'
+    });
+    const inviteToken = issueInvitationToken(invitation);
+    await invitation.save();
+
+    await sendInvitation(invitation, inviteToken, req.user.name);
+
+    await recordAudit(req, {
+      action: 'invitation.create',
+      targetType: 'Invitation',
+      targetId: invitation._id,
+      after: {
+        email: invitation.email,
+        role: invitation.role,
+        department: invitation.department,
+        project: invitation.project
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent successfully',
+      inviteToken,
+      data: invitation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get invitations (scoped grants see only their own)
+// @route   GET /api/invitations
+// @access  Private (invitation:read)
+export const getInvitations = async (req, res, next) => {
+  try {
+    const { status, email, page = 1, limit = 10 } = req.query;
+
+    await Invitation.expireStale();
+
+    const query = {};
+    if (status) query.status = status;
+    if (email) query.email = `${email}`.toLowerCase().trim();
+
+    if (!getPermissionScopes(req.user, 'invitation:read').includes('any')) {
+      query.createdBy = req.user._id;
+    }
+
+    const invitations = await Invitation.find(query)
+      .populate('project', 'name department')
+      .populate('createdBy', 'name email')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const count = await Invitation.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+      data: invitations
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke a pending invitation
+// @route   PATCH /api/invitations/:id/revoke
+// @access  Private (invitation:revoke)
+export const revokeInvitation = async (req, res, next) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    if (!can(req.user, 'invitation:revoke', invitation)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to revoke this invitation'
+      });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot revoke an invitation that is ${invitation.status}`
+      });
+    }
+
+    invitation.status = 'revoked';
+    invitation.revokedAt = new Date();
+    await invitation.save();
+
+    await recordAudit(req, {
+      action: 'invitation.revoke',
+      targetType: 'Invitation',
+      targetId: invitation._id,
+      before: { status: 'pending' },
+      after: { status: 'revoked' },
+      metadata: { email: invitation.email }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation revoked successfully',
+      data: invitation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Resend a pending or expired invitation with a fresh token
+// @route   POST /api/invitations/:id/resend
+// @access  Private (invitation:revoke)
+export const resendInvitation = async (req, res, next) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    if (!can(req.user, 'invitation:revoke', invitation)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to resend this invitation'
+      });
+    }
+
+    if (!['pending', 'expired'].includes(invitation.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot resend an invitation that is ${invitation.status}`
+      });
+    }
+
+    const inviteToken = issueInvitationToken(invitation);
+    await invitation.save();
+
+    await sendInvitation(invitation, inviteToken, req.user.name);
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation resent successfully',
+      inviteToken,
+      data: invitation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
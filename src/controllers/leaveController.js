@@ -0,0 +1,307 @@
+import mongoose from 'mongoose';
+import LeaveRequest from '../models/LeaveRequest.js';
+import Project from '../models/Project.js';
+import User from '../models/user.js';
+import { can, getPermissionScopes } from '../services/permissionService.js';
+import { recordAudit } from '../services/auditService.js';
+import { checkLeaveRequest, canReviewLeave, startOfDay } from '../services/leaveService.js';
+import { resolveDepartment } from '../services/departmentService.js';
+import { sendLeaveReviewedNotification } from '../services/notificationService.js';
+
+// Longest range one calendar request covers
+const MAX_CALENDAR_DAYS = 93;
+
+// @desc    Request time off
+// @route   POST /api/leave
+// @access  Private (leave:request)
+export const requestLeave = async (req, res, next) => {
+  try {
+    const { type, startDate, endDate, halfDay, reason } = req.body;
+
+    const { leave, error } = await checkLeaveRequest(req.user._id, { type, startDate, endDate, halfDay });
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+
+    const request = await LeaveRequest.create({
+      ...leave,
+      user: req.user._id,
+      reason
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Leave requested successfully',
+      data: request
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get own leave requests (?status=)
+// @route   GET /api/leave/me
+// @access  Private (leave:request)
+export const getMyLeave = async (req, res, next) => {
+  try {
+    const query = { user: req.user._id };
+    if (req.query.status) query.status = req.query.status;
+
+    const requests = await LeaveRequest.find(query).sort({ startDate: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: requests.length,
+      data: requests
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get pending leave requests the user can review
+// @route   GET /api/leave/pending
+// @access  Private (leave:review)
+export const getPendingLeave = async (req, res, next) => {
+  try {
+    const query = { status: 'pending', user: { $ne: req.user._id } };
+
+    // Scoped grants only reach members of led projects and direct reports
+    if (!getPermissionScopes(req.user, 'leave:review').includes('any')) {
+      const projects = await Project.find({ assignedLead: req.user._id, isActive: true })
+        .select('assignedLead assignedUsers');
+      const reports = await User.find({ manager: req.user._id, deletedAt: null })
+        .select('manager');
+
+      const userIds = new Set([
+        ...projects
+          .filter(project => can(req.user, 'leave:review', project))
+          .flatMap(project => project.assignedUsers.map(id => id.toString())),
+        ...reports
+          .filter(report => can(req.user, 'leave:review', { user: report }))
+          .map(report => report._id.toString())
+      ]);
+      userIds.delete(req.user._id.toString());
+
+      query.user = { $in: [...userIds] };
+    }
+
+    const requests = await LeaveRequest.find(query)
+      .populate('user', 'name email department')
+      .sort({ startDate: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: requests.length,
+      data: requests
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Approve or reject a pending leave request
+// @route   PATCH /api/leave/:id/review
+// @access  Private (leave:review)
+export const reviewLeave = async (req, res, next) => {
+  try {
+    const { status, note } = req.body;
+
+    if (!['approved', 'rejected'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Status must be 'approved' or 'rejected'"
+      });
+    }
+
+    const leave = await LeaveRequest.findById(req.params.id)
+      .populate('user', 'name email manager fcmToken');
+
+    if (!leave) {
+      return res.status(404).json({
+        success: false,
+        message: 'Leave request not found'
+      });
+    }
+
+    if (!await canReviewLeave(req.user, leave)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to review this leave request'
+      });
+    }
+
+    if (leave.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Leave request is already ${leave.status}`
+      });
+    }
+
+    leave.status = status;
+    leave.reviewedBy = {
+      id: req.user._id,
+      model: req.user.role === 'admin' ? 'Admin' : 'User'
+    };
+    leave.reviewedAt = new Date();
+    if (note !== undefined) leave.reviewNote = note;
+
+    await leave.save();
+
+    await recordAudit(req, {
+      action: status === 'approved' ? 'leave.approve' : 'leave.reject',
+      targetType: 'LeaveRequest',
+      targetId: leave._id,
+      before: { status: 'pending' },
+      after: { status },
+      metadata: {
+        userId: leave.user._id,
+        type: leave.type,
+        startDate: leave.startDate,
+        endDate: leave.endDate,
+        days: leave.days
+      }
+    });
+
+    if (leave.user.fcmToken) {
+      await sendLeaveReviewedNotification(leave.user.fcmToken, status, leave.reviewNote);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Leave request ${status}`,
+      data: leave
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Cancel own pending or upcoming leave
+// @route   PATCH /api/leave/:id/cancel
+// @access  Private (leave:request)
+export const cancelLeave = async (req, res, next) => {
+  try {
+    const leave = await LeaveRequest.findById(req.params.id);
+
+    if (!leave || leave.user.toString() !== req.user._id.toString()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Leave request not found'
+      });
+    }
+
+    // Leave already taken stays on record
+    const cancellable = leave.status === 'pending' ||
+      (leave.status === 'approved' && leave.startDate > startOfDay(new Date()));
+
+    if (!cancellable) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only pending or upcoming leave can be cancelled'
+      });
+    }
+
+    leave.status = 'cancelled';
+    await leave.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Leave request cancelled',
+      data: leave
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get leave overlapping a date range (?from&to&projectId&department&includePending=true)
+// @route   GET /api/leave/calendar
+// @access  Private (leave:calendar)
+export const getLeaveCalendar = async (req, res, next) => {
+  try {
+    const { projectId, department, includePending } = req.query;
+
+    // Defaults to the current month
+    const today = new Date();
+    const from = startOfDay(req.query.from || new Date(today.getFullYear(), today.getMonth(), 1));
+    const to = startOfDay(req.query.to || new Date(today.getFullYear(), today.getMonth() + 1, 0));
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || to < from) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid date range'
+      });
+    }
+
+    if ((to - from) / (24 * 60 * 60 * 1000) > MAX_CALENDAR_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `The calendar covers at most ${MAX_CALENDAR_DAYS} days at a time`
+      });
+    }
+
+    const userQuery = { deletedAt: null };
+
+    if (projectId) {
+      if (!mongoose.isValidObjectId(projectId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid project id'
+        });
+      }
+
+      const project = await Project.findById(projectId);
+      if (!project) {
+        return res.status(404).json({
+          success: false,
+          message: 'Project not found'
+        });
+      }
+
+      if (!can(req.user, 'leave:calendar', project)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to view leave for this project'
+        });
+      }
+
+      userQuery._id = { $in: [project.assignedLead, ...project.assignedUsers].filter(Boolean) };
+    } else if (!getPermissionScopes(req.user, 'leave:calendar').includes('any')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Choose a project to view its leave calendar'
+      });
+    }
+
+    if (department) {
+      const { department: match, error } = await resolveDepartment(department, { activeOnly: false });
+      if (error) {
+        return res.status(error.status).json(error.body);
+      }
+      userQuery.department = match._id;
+    }
+
+    const users = await User.find(userQuery).select('_id');
+
+    const leave = await LeaveRequest.find({
+      user: { $in: users.map(user => user._id) },
+      status: includePending === 'true' ? { $in: ['pending', 'approved'] } : 'approved',
+      startDate: { $lte: to },
+      endDate: { $gte: from }
+    })
+      .populate('user', 'name email department')
+      .select('-reason -reviewNote')
+      .sort({ startDate: 1 });
+
+    res.status(200).json({
+      success: true,
+      from,
+      to,
+      count: leave.length,
+      data: leave
+    });
+  } catch (error) {
+    next(error);
+  }
+};
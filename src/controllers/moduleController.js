@@ -5,13 +5,16 @@
 import Module from '../models/Module.js';
 import Project from '../models/Project.js';
 import User from '../models/user.js';
+import { can } from '../services/permissionService.js';
+import { recordAudit } from '../services/auditService.js';
+import { normalizeSkills, suggestAssignees } from '../services/skillService.js';
 
 // @desc    Create module (Lead only)
 // @route   POST /api/projects/:projectId/modules
-// @access  Private (Lead)
+// @access  Private (module:create)
 export const createModule = async (req, res, next) => {
   try {
-    const { name, description, estimatedTime, priority, assignedUsers, startDate, endDate, notes } = req.body;
+    const { name, description, estimatedTime, priority, assignedUsers, requiredSkills, startDate, endDate, notes } = req.body;
     const { projectId } = req.params;
 
     // Verify project exists
@@ -23,14 +26,18 @@ export const createModule = async (req, res, next) => {
       });
     }
 
-    // Check if lead owns this project
-    if (project.assignedLead.toString() !== req.user._id.toString()) {
+    if (!can(req.user, 'module:create', project)) {
       return res.status(403).json({
         success: false,
         message: 'Only the assigned lead can create modules'
       });
     }
 
+    const { skills, error } = normalizeSkills(requiredSkills ?? []);
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+
     // ✅ AUTO-ASSIGN: Add users to project if not already assigned
     if (assignedUsers && assignedUsers.length > 0) {
       const projectUserIds = project.assignedUsers.map(id => id.toString());
@@ -61,6 +68,7 @@ export const createModule = async (req, res, next) => {
       startDate,
       endDate,
       notes,
+      requiredSkills: skills,
       assignedUsers: assignedUsers || [],
       createdBy: req.user._id
     });
@@ -79,7 +87,7 @@ export const createModule = async (req, res, next) => {
 
 // @desc    Get all modules for a project
 // @route   GET /api/projects/:projectId/modules
-// @access  Private (Admin, Lead)
+// @access  Private (module:read)
 export const getModulesByProject = async (req, res, next) => {
   try {
     const { projectId } = req.params;
@@ -95,8 +103,7 @@ export const getModulesByProject = async (req, res, next) => {
     }
 
     // Check authorization
-    if (req.user.role === 'lead' && 
-        project.assignedLead.toString() !== req.user._id.toString()) {
+    if (!can(req.user, 'module:read', project)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view these modules'
@@ -123,13 +130,13 @@ export const getModulesByProject = async (req, res, next) => {
 
 // @desc    Get single module
 // @route   GET /api/modules/:id
-// @access  Private (Admin, Lead)
+// @access  Private (module:read)
 export const getModule = async (req, res, next) => {
   try {
     const module = await Module.findById(req.params.id)
       .populate('assignedUsers', 'name email department')
       .populate('createdBy', 'name email')
-      .populate('project', 'name department assignedLead');
+      .populate('project', 'name department assignedLead assignedUsers');
 
     if (!module) {
       return res.status(404).json({
@@ -139,8 +146,7 @@ export const getModule = async (req, res, next) => {
     }
 
     // Check authorization
-    if (req.user.role === 'lead' && 
-        module.project.assignedLead.toString() !== req.user._id.toString()) {
+    if (!can(req.user, 'module:read', module)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view this module'
@@ -158,7 +164,7 @@ export const getModule = async (req, res, next) => {
 
 // @desc    Update module (Lead only)
 // @route   PUT /api/modules/:id
-// @access  Private (Lead)
+// @access  Private (module:update)
 export const updateModule = async (req, res, next) => {
   try {
     const {
@@ -172,7 +178,8 @@ export const updateModule = async (req, res, next) => {
       startDate,
       endDate,
       notes,
-      assignedUsers
+      assignedUsers,
+      requiredSkills
     } = req.body;
 
     const module = await Module.findById(req.params.id).populate('project');
@@ -184,25 +191,21 @@ export const updateModule = async (req, res, next) => {
       });
     }
 
-    // Check if lead owns the project
-   // Authorization check
-const isLead =
-req.user.role === 'lead' &&
-module.project.assignedLead.toString() === req.user._id.toString();
-
-const isAssignedUser =
-req.user.role === 'user' &&
-module.assignedUsers.some(
-  userId => userId.toString() === req.user._id.toString()
-);
-
-if (!isLead && !isAssignedUser) {
-return res.status(403).json({
-  success: false,
-  message: 'Not authorized to update this module progress'
-});
-}
+    // Authorization check
+    if (!can(req.user, 'module:update', module)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this module progress'
+      });
+    }
 
+    if (requiredSkills !== undefined) {
+      const { skills, error } = normalizeSkills(requiredSkills);
+      if (error) {
+        return res.status(error.status).json(error.body);
+      }
+      module.requiredSkills = skills;
+    }
 
     // ✅ AUTO-ASSIGN: Add users to project if not already assigned
     if (assignedUsers && assignedUsers.length > 0) {
@@ -248,7 +251,7 @@ return res.status(403).json({
 
 // @desc    Delete module (Lead only)
 // @route   DELETE /api/modules/:id
-// @access  Private (Lead)
+// @access  Private (module:delete)
 export const deleteModule = async (req, res, next) => {
   try {
     const module = await Module.findById(req.params.id).populate('project');
@@ -260,8 +263,7 @@ export const deleteModule = async (req, res, next) => {
       });
     }
 
-    // Check if lead owns the project
-    if (module.project.assignedLead.toString() !== req.user._id.toString()) {
+    if (!can(req.user, 'module:delete', module)) {
       return res.status(403).json({
         success: false,
         message: 'Only the assigned lead can delete modules'
@@ -270,6 +272,19 @@ export const deleteModule = async (req, res, next) => {
 
     await module.deleteOne();
 
+    await recordAudit(req, {
+      action: 'module.delete',
+      targetType: 'Module',
+      targetId: module._id,
+      before: {
+        name: module.name,
+        project: module.project?._id,
+        status: module.status,
+        assignedUsers: module.assignedUsers
+      },
+      after: null
+    });
+
     res.status(200).json({
       success: true,
       message: 'Module deleted successfully'
@@ -279,9 +294,50 @@ export const deleteModule = async (req, res, next) => {
   }
 };
 
+// @desc    Rank users to assign to a module by skills, load and estimate accuracy (?limit=)
+// @route   GET /api/modules/:id/suggestions
+// @access  Private (project:assignUsers)
+export const getAssigneeSuggestions = async (req, res, next) => {
+  try {
+    const module = await Module.findById(req.params.id).populate('project');
+
+    if (!module) {
+      return res.status(404).json({
+        success: false,
+        message: 'Module not found'
+      });
+    }
+
+    if (!can(req.user, 'project:assignUsers', module)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the assigned lead can view assignment suggestions'
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+    const suggestions = await suggestAssignees(module, { limit });
+
+    res.status(200).json({
+      success: true,
+      count: suggestions.length,
+      data: {
+        module: {
+          _id: module._id,
+          name: module.name,
+          requiredSkills: module.requiredSkills
+        },
+        suggestions
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Update module progress (Lead only)
 // @route   PATCH /api/modules/:id/progress
-// @access  Private (Lead)
+// @access  Private (module:updateProgress)
 // At the very bottom of moduleController.js, replace your current updateModuleProgress definition with:
 export const updateModuleProgress = async (req, res) => {
   try {
@@ -291,15 +347,7 @@ export const updateModuleProgress = async (req, res) => {
       return res.status(404).json({ success: false, message: "Module not found" });
     }
 
-    const isAssigned = module.assignedUsers?.some(
-      userId => userId.toString() === req.user._id.toString()
-    );
-
-    const isLead =
-      req.user.role === 'lead' &&
-      module.project?.assignedLead?.toString() === req.user._id.toString();
-
-    if (!isAssigned && !isLead) {
+    if (!can(req.user, 'module:updateProgress', module)) {
       return res.status(403).json({
         success: false,
         message: "You are not assigned to this module"
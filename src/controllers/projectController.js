@@ -1,10 +1,16 @@
 import mongoose from 'mongoose';
 import Project from '../models/Project.js';
 import User from '../models/user.js';
+import { can, getPermissionScopes } from '../services/permissionService.js';
+import { recordAudit, snapshot } from '../services/auditService.js';
+import { resolveDepartment } from '../services/departmentService.js';
+
+// Project fields recorded in audit diffs
+const AUDITED_FIELDS = ['name', 'description', 'department', 'assignedLead', 'deadline', 'priority', 'status', 'isActive'];
 
 // @desc    Create new project (Admin only)
 // @route   POST /api/projects
-// @access  Private (Admin)
+// @access  Private (project:create)
 export const createProject = async (req, res, next) => {
   try {
     const {
@@ -16,13 +22,25 @@ export const createProject = async (req, res, next) => {
       priority
     } = req.body;
 
+    const { department: projectDepartment, error } = await resolveDepartment(department);
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+
+    if (!projectDepartment) {
+      return res.status(400).json({
+        success: false,
+        message: 'Department is required'
+      });
+    }
+
     // Verify lead exists and is approved
     const lead = await User.findOne({
       _id: assignedLead,
       role: 'lead',
       approved: true,
       isActive: true,
-      department: department
+      department: projectDepartment._id
     });
 
     if (!lead) {
@@ -36,13 +54,20 @@ export const createProject = async (req, res, next) => {
     const project = await Project.create({
       name,
       description,
-      department,
+      department: projectDepartment._id,
       assignedLead,
       deadline,
       priority: priority || 'medium',
       createdBy: req.user._id
     });
 
+    await recordAudit(req, {
+      action: 'project.create',
+      targetType: 'Project',
+      targetId: project._id,
+      after: snapshot(project, AUDITED_FIELDS)
+    });
+
     // Populate lead details
     await project.populate('assignedLead', 'name email department');
 
@@ -56,25 +81,50 @@ export const createProject = async (req, res, next) => {
   }
 };
 
-// @desc    Get all projects (Admin sees all, Lead sees assigned only)
+// @desc    Get all projects (scoped grants see only their own projects)
 // @route   GET /api/projects
-// @access  Private (Admin, Lead)
+// @access  Private (project:read)
 export const getAllProjects = async (req, res, next) => {
   try {
     const { status, department, priority, page = 1, limit = 10 } = req.query;
 
     const query = { isActive: true };
 
-    // If user is Lead, only show their assigned projects
-    if (req.user.role === 'lead') {
-      query.assignedLead = req.user._id;
-    }else if(req.user.role=='user'){
-      query.assignedUsers = req.user._id;
+    // Scoped grants only see projects they created, lead or are assigned to
+    const scopes = getPermissionScopes(req.user, 'project:read');
+    if (!scopes.includes('any')) {
+      const visible = [];
+      if (scopes.includes('own')) visible.push({ createdBy: req.user._id });
+      if (scopes.includes('lead')) visible.push({ assignedLead: req.user._id });
+      if (scopes.includes('member') || scopes.includes('assigned')) visible.push({ assignedUsers: req.user._id });
+
+      // No scope that relates a user to a project (e.g. only `manager`)
+      if (visible.length === 0) {
+        return res.status(200).json({
+          success: true,
+          count: 0,
+          totalPages: 0,
+          currentPage: page,
+          data: []
+        });
+      }
+
+      if (visible.length === 1) {
+        Object.assign(query, visible[0]);
+      } else {
+        query.$or = visible;
+      }
     }
 
     // Filters
     if (status) query.status = status;
-    if (department) query.department = department;
+    if (department) {
+      const { department: match, error } = await resolveDepartment(department, { activeOnly: false });
+      if (error) {
+        return res.status(error.status).json(error.body);
+      }
+      query.department = match._id;
+    }
     if (priority) query.priority = priority;
 
     const projects = await Project.find(query)
@@ -101,7 +151,7 @@ export const getAllProjects = async (req, res, next) => {
 
 // @desc    Get single project
 // @route   GET /api/projects/:id
-// @access  Private (Admin, Lead)
+// @access  Private (project:read)
 export const getProject = async (req, res, next) => {
   try {
     const project = await Project.findById(req.params.id)
@@ -122,20 +172,7 @@ export const getProject = async (req, res, next) => {
       });
     }
 
-    const userId = req.user._id.toString();
-    const isAdmin = req.user.role === 'admin';
-    const isLead = req.user.role === 'lead';
-    const isAssignedUser = project.assignedUsers.some(
-      u => u._id.toString() === userId
-    );
-    const isAssignedLead = project.assignedLead?._id?.toString() === userId;
-
-    // Authorization logic
-    if (!(
-      isAdmin || 
-      (isLead && isAssignedLead) ||
-      (req.user.role === 'user' && isAssignedUser)
-    )) {
+    if (!can(req.user, 'project:read', project)) {
       return res.status(403).json({
         success: false,
         message: `Role '${req.user.role}' is not authorized to access this route`
@@ -153,7 +190,7 @@ export const getProject = async (req, res, next) => {
 
 // @desc    Update project (Admin only)
 // @route   PUT /api/projects/:id
-// @access  Private (Admin)
+// @access  Private (project:update)
 export const updateProject = async (req, res, next) => {
   try {
     const {
@@ -175,6 +212,8 @@ export const updateProject = async (req, res, next) => {
       });
     }
 
+    const before = snapshot(project, AUDITED_FIELDS);
+
     // If changing lead, verify new lead
     if (assignedLead && assignedLead !== project.assignedLead.toString()) {
       const lead = await User.findOne({
@@ -194,15 +233,31 @@ export const updateProject = async (req, res, next) => {
       project.assignedLead = assignedLead;
     }
 
+    if (department) {
+      const { department: match, error } = await resolveDepartment(department);
+      if (error) {
+        return res.status(error.status).json(error.body);
+      }
+      project.department = match._id;
+    }
+
     // Update fields
     if (name) project.name = name;
     if (description) project.description = description;
-    if (department) project.department = department;
     if (deadline) project.deadline = deadline;
     if (priority) project.priority = priority;
     if (status) project.status = status;
 
     await project.save();
+
+    await recordAudit(req, {
+      action: 'project.update',
+      targetType: 'Project',
+      targetId: project._id,
+      before,
+      after: snapshot(project, AUDITED_FIELDS)
+    });
+
     await project.populate('assignedLead', 'name email department');
     await project.populate('assignedUsers', 'name email department');
 
@@ -218,7 +273,7 @@ export const updateProject = async (req, res, next) => {
 
 // @desc    Delete project (Admin only)
 // @route   DELETE /api/projects/:id
-// @access  Private (Admin)
+// @access  Private (project:delete)
 export const deleteProject = async (req, res, next) => {
   try {
     const project = await Project.findById(req.params.id);
@@ -234,6 +289,14 @@ export const deleteProject = async (req, res, next) => {
     project.isActive = false;
     await project.save();
 
+    await recordAudit(req, {
+      action: 'project.delete',
+      targetType: 'Project',
+      targetId: project._id,
+      before: { isActive: true },
+      after: { isActive: false }
+    });
+
     res.status(200).json({
       success: true,
       message: 'Project deleted successfully'
@@ -245,7 +308,7 @@ export const deleteProject = async (req, res, next) => {
 
 // @desc    Assign users to project (Lead only)
 // @route   PATCH /api/projects/:id/assign-users
-// @access  Private (Lead)
+// @access  Private (project:assignUsers)
 export const assignUsersToProject = async (req, res, next) => {
   try {
     const { userIds } = req.body;
@@ -266,7 +329,7 @@ export const assignUsersToProject = async (req, res, next) => {
       });
     }
 
-    if (project.assignedLead.toString() !== req.user._id.toString()) {
+    if (!can(req.user, 'project:assignUsers', project)) {
       return res.status(403).json({
         success: false,
         message: 'Only the assigned lead can assign users'
@@ -317,6 +380,13 @@ export const assignUsersToProject = async (req, res, next) => {
       throw new Error('Failed to update project');
     }
 
+    await recordAudit(req, {
+      action: 'project.assign_users',
+      targetType: 'Project',
+      targetId: project._id,
+      metadata: { userIds: newUserObjectIds }
+    });
+
     res.status(200).json({
       success: true,
       message: `${newUserObjectIds.length} user(s) assigned to project`,
@@ -330,7 +400,7 @@ export const assignUsersToProject = async (req, res, next) => {
 
 // @desc    Remove user from project (Lead only)
 // @route   PATCH /api/projects/:id/remove-user/:userId
-// @access  Private (Lead)
+// @access  Private (project:assignUsers)
 export const removeUserFromProject = async (req, res, next) => {
   try {
     const { userId } = req.params;
@@ -344,8 +414,7 @@ export const removeUserFromProject = async (req, res, next) => {
       });
     }
 
-    // Check if lead owns this project
-    if (project.assignedLead.toString() !== req.user._id.toString()) {
+    if (!can(req.user, 'project:assignUsers', project)) {
       return res.status(403).json({
         success: false,
         message: 'Only the assigned lead can remove users'
@@ -358,6 +427,13 @@ export const removeUserFromProject = async (req, res, next) => {
     );
 
     await project.save();
+
+    await recordAudit(req, {
+      action: 'project.remove_user',
+      targetType: 'Project',
+      targetId: project._id,
+      metadata: { userId }
+    });
     await project.populate('assignedUsers', 'name email department');
 
     res.status(200).json({
@@ -372,7 +448,7 @@ export const removeUserFromProject = async (req, res, next) => {
 
 // @desc    Get available users for assignment (Lead only)
 // @route   GET /api/projects/:id/available-users
-// @access  Private (Lead)
+// @access  Private (project:assignUsers)
 export const getAvailableUsers = async (req, res, next) => {
   try {
     const project = await Project.findById(req.params.id);
@@ -384,8 +460,7 @@ export const getAvailableUsers = async (req, res, next) => {
       });
     }
 
-    // Check if lead owns this project
-    if (project.assignedLead.toString() !== req.user._id.toString()) {
+    if (!can(req.user, 'project:assignUsers', project)) {
       return res.status(403).json({
         success: false,
         message: 'Only the assigned lead can view available users'
@@ -399,7 +474,7 @@ export const getAvailableUsers = async (req, res, next) => {
       isActive: true,
       department: project.department,
       _id: { $nin: project.assignedUsers }
-    }).select('name email department');
+    }).select('name email department skills');
 
     res.status(200).json({
       success: true,
@@ -411,18 +486,21 @@ export const getAvailableUsers = async (req, res, next) => {
   }
 };
 
-// @desc    Get available leads by department (Admin only)
+// @desc    Get available leads by department id, code or name (Admin only)
 // @route   GET /api/projects/available-leads/:department
-// @access  Private (Admin)
+// @access  Private (project:assignLead)
 export const getAvailableLeads = async (req, res, next) => {
   try {
-    const { department } = req.params;
+    const { department, error } = await resolveDepartment(req.params.department, { activeOnly: false });
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
 
     const leads = await User.find({
       role: 'lead',
       approved: true,
       isActive: true,
-      department: department
+      department: department._id
     }).select('name email department');
 
     res.status(200).json({
@@ -0,0 +1,223 @@
+import Role from '../models/Role.js';
+import User from '../models/user.js';
+import {
+  PERMISSIONS,
+  PERMISSION_SCOPES,
+  ADMIN_ROLE,
+  isValidPermission
+} from '../constants/permissions.js';
+import { loadRoles } from '../services/permissionService.js';
+import { recordAudit, snapshot } from '../services/auditService.js';
+
+// Role fields recorded in audit diffs
+const AUDITED_FIELDS = ['name', 'description', 'permissions', 'allowSelfRegistration'];
+
+const invalidPermissions = (permissions) =>
+  permissions.filter(permission => !isValidPermission(permission));
+
+// @desc    List every permission in the registry
+// @route   GET /api/admin/permissions
+// @access  Private (role:manage)
+export const getPermissions = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description })),
+        scopes: PERMISSION_SCOPES
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get all roles with the number of users holding each
+// @route   GET /api/admin/roles
+// @access  Private (role:manage)
+export const getRoles = async (req, res, next) => {
+  try {
+    const roles = await Role.find().sort({ name: 1 }).lean();
+
+    const counts = await User.aggregate([
+      { $group: { _id: '$role', count: { $sum: 1 } } }
+    ]);
+    const countByRole = Object.fromEntries(counts.map(c => [c._id, c.count]));
+
+    res.status(200).json({
+      success: true,
+      count: roles.length,
+      data: roles.map(role => ({ ...role, userCount: countByRole[role.name] || 0 }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a role
+// @route   POST /api/admin/roles
+// @access  Private (role:manage)
+export const createRole = async (req, res, next) => {
+  try {
+    const { name, description, permissions = [], allowSelfRegistration } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a role name'
+      });
+    }
+
+    if (!Array.isArray(permissions) || invalidPermissions(permissions).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid permissions',
+        invalid: Array.isArray(permissions) ? invalidPermissions(permissions) : []
+      });
+    }
+
+    const roleExists = await Role.findOne({ name: `${name}`.toLowerCase().trim() });
+    if (roleExists) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role already exists with this name'
+      });
+    }
+
+    const role = await Role.create({
+      name,
+      description,
+      permissions: [...new Set(permissions)],
+      allowSelfRegistration: Boolean(allowSelfRegistration),
+      updatedBy: req.user._id
+    });
+
+    await loadRoles();
+
+    await recordAudit(req, {
+      action: 'role.create',
+      targetType: 'Role',
+      targetId: role._id,
+      after: snapshot(role, AUDITED_FIELDS)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: role
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update a role's description, permissions or registration flag
+// @route   PUT /api/admin/roles/:id
+// @access  Private (role:manage)
+export const updateRole = async (req, res, next) => {
+  try {
+    const { description, permissions, allowSelfRegistration } = req.body;
+
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    // Editing the admin role could lock every admin out of this endpoint
+    if (role.name === ADMIN_ROLE) {
+      return res.status(400).json({
+        success: false,
+        message: 'The admin role cannot be modified'
+      });
+    }
+
+    const before = snapshot(role, AUDITED_FIELDS);
+
+    if (permissions !== undefined) {
+      if (!Array.isArray(permissions) || invalidPermissions(permissions).length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid permissions',
+          invalid: Array.isArray(permissions) ? invalidPermissions(permissions) : []
+        });
+      }
+      role.permissions = [...new Set(permissions)];
+    }
+
+    if (description !== undefined) role.description = description;
+    if (allowSelfRegistration !== undefined) role.allowSelfRegistration = Boolean(allowSelfRegistration);
+    role.updatedBy = req.user._id;
+
+    await role.save();
+    await loadRoles();
+
+    await recordAudit(req, {
+      action: 'role.update',
+      targetType: 'Role',
+      targetId: role._id,
+      before,
+      after: snapshot(role, AUDITED_FIELDS)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Role updated successfully',
+      data: role
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a role that no user holds
+// @route   DELETE /api/admin/roles/:id
+// @access  Private (role:manage)
+export const deleteRole = async (req, res, next) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be deleted'
+      });
+    }
+
+    const userCount = await User.countDocuments({ role: role.name });
+    if (userCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Role is still assigned to ${userCount} user(s)`
+      });
+    }
+
+    await role.deleteOne();
+    await loadRoles();
+
+    await recordAudit(req, {
+      action: 'role.delete',
+      targetType: 'Role',
+      targetId: role._id,
+      before: snapshot(role, AUDITED_FIELDS),
+      after: null
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
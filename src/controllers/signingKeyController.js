@@ -0,0 +1,77 @@
+import config from '../config/env.js';
+import {
+  getJwks,
+  listSigningKeys,
+  rotateSigningKey
+} from '../services/signingKeyService.js';
+import { recordAudit } from '../services/auditService.js';
+
+// @desc    Public keys for verifying ManageX access tokens
+// @route   GET /.well-known/jwks.json
+// @access  Public
+export const getJwksDocument = async (req, res, next) => {
+  try {
+    // Verifiers may cache until instances would have picked up a new key
+    res.set('Cache-Control', `public, max-age=${config.jwtKeys.refreshSeconds}`);
+    res.status(200).json(getJwks());
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List token signing keys
+// @route   GET /api/admin/signing-keys
+// @access  Private (settings:manage)
+export const getSigningKeys = async (req, res, next) => {
+  try {
+    const keys = listSigningKeys();
+
+    res.status(200).json({
+      success: true,
+      count: keys.length,
+      data: keys
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Rotate the token signing key now (immediate: skip the activation delay)
+// @route   POST /api/admin/signing-keys/rotate
+// @access  Private (settings:manage)
+export const rotateSigningKeys = async (req, res, next) => {
+  try {
+    const immediate = req.body.immediate === true;
+
+    const key = await rotateSigningKey({ immediate });
+
+    if (!key) {
+      return res.status(409).json({
+        success: false,
+        message: 'The signing key was rotated at the same time; try again if it still needs rotating',
+        code: 'ROTATION_CONFLICT'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'signing_key.rotate',
+      targetType: 'SigningKey',
+      targetId: key.kid,
+      metadata: { immediate, algorithm: key.algorithm }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: immediate
+        ? 'Signing key rotated; new tokens use it immediately'
+        : 'Signing key rotated; new tokens use it once every instance has loaded it',
+      data: {
+        kid: key.kid,
+        algorithm: key.algorithm,
+        activatesAt: key.activatesAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
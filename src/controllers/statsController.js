@@ -1,11 +1,32 @@
+import mongoose from 'mongoose';
 import UserStats from '../models/UserStats.js';
 import Project from '../models/Project.js';
 import DailyUpdate from '../models/DailyUpdate.js';
 import User from '../models/user.js';
+import Department from '../models/Department.js';
+import { can, getPermissionScopes } from '../services/permissionService.js';
+import { resolveDepartment } from '../services/departmentService.js';
+import {
+  startOfDay,
+  startOfWeek,
+  addDays,
+  getApprovedLeave,
+  groupLeaveByUser,
+  leaveOnDay,
+  expectedHours,
+  forecastCompletion
+} from '../services/leaveService.js';
+import { buildWorkload, summarizeWorkload, weeklyCapacityOf } from '../services/workloadService.js';
+
+// Longest range one workload report covers (13 weeks)
+const MAX_WORKLOAD_DAYS = 91;
+
+// Accounts included in workload reports
+const CURRENT_STAFF = { approved: true, isActive: true, deletedAt: null };
 
 // @desc    Get user's own statistics
 // @route   GET /api/stats/my-stats
-// @access  Private (User, Lead)
+// @access  Private (stats:viewOwn)
 export const getMyStats = async (req, res, next) => {
   try {
     let stats = await UserStats.findOne({ user: req.user._id })
@@ -64,7 +85,7 @@ export const getMyStats = async (req, res, next) => {
 
 // @desc    Get leaderboard
 // @route   GET /api/stats/leaderboard
-// @access  Private (All)
+// @access  Private (stats:leaderboard)
 export const getLeaderboard = async (req, res, next) => {
   try {
     const { 
@@ -78,7 +99,13 @@ export const getLeaderboard = async (req, res, next) => {
 
     // Build query for users
     const userQuery = { approved: true, isActive: true };
-    if (department) userQuery.department = department;
+    if (department) {
+      const { department: match, error } = await resolveDepartment(department, { activeOnly: false });
+      if (error) {
+        return res.status(error.status).json(error.body);
+      }
+      userQuery.department = match._id;
+    }
     if (role) userQuery.role = role;
 
     const users = await User.find(userQuery).select('_id');
@@ -158,24 +185,24 @@ export const getLeaderboard = async (req, res, next) => {
 
 // @desc    Get department leaderboard
 // @route   GET /api/stats/department-leaderboard
-// @access  Private (All)
+// @access  Private (stats:leaderboard)
 export const getDepartmentLeaderboard = async (req, res, next) => {
   try {
     const { timeframe = 'all' } = req.query;
 
-    // Get all departments
-    const departments = await User.distinct('department', { 
+    // Get all departments with active members
+    const departmentIds = await User.distinct('department', { 
       approved: true, 
       isActive: true 
     });
+    const departments = await Department.find({ _id: { $in: departmentIds } })
+      .select('name code');
 
     const departmentStats = [];
 
     for (const dept of departments) {
-      if (!dept) continue;
-
       const deptUsers = await User.find({ 
-        department: dept,
+        department: dept._id,
         approved: true,
         isActive: true 
       }).select('_id');
@@ -234,28 +261,26 @@ export const getDepartmentLeaderboard = async (req, res, next) => {
   }
 };
 
-// @desc    Get user statistics (Admin, Lead can view any user)
+// @desc    Get user statistics (Admin and Lead can view any user, managers their reports)
 // @route   GET /api/stats/user/:userId
-// @access  Private (Admin, Lead, Own)
+// @access  Private (stats:viewUser)
 export const getUserStats = async (req, res, next) => {
   try {
     const { userId } = req.params;
 
-    // Check authorization
-    if (req.user.role !== 'admin' && 
-        req.user.role !== 'lead' && 
-        req.user._id.toString() !== userId) {
-      return res.status(403).json({
+    const user = await User.findById(userId).select('name email department role manager');
+    if (!user) {
+      return res.status(404).json({
         success: false,
-        message: 'Not authorized to view this user\'s stats'
+        message: 'User not found'
       });
     }
 
-    const user = await User.findById(userId).select('name email department role');
-    if (!user) {
-      return res.status(404).json({
+    // Check authorization
+    if (!can(req.user, 'stats:viewUser', user)) {
+      return res.status(403).json({
         success: false,
-        message: 'User not found'
+        message: 'Not authorized to view this user\'s stats'
       });
     }
 
@@ -288,7 +313,7 @@ export const getUserStats = async (req, res, next) => {
 
 // @desc    Get team statistics (Lead only)
 // @route   GET /api/stats/team-stats
-// @access  Private (Lead)
+// @access  Private (stats:viewTeam)
 export const getTeamStats = async (req, res, next) => {
   try {
     // Get all projects where user is lead
@@ -296,7 +321,7 @@ export const getTeamStats = async (req, res, next) => {
       assignedLead: req.user._id,
       isActive: true
     })
-    .populate('assignedUsers', 'name email')
+    .populate('assignedUsers', 'name email weeklyCapacity')
     .select('name status progress assignedUsers totalEstimatedHours totalActualHours');
 
     // Get all team members
@@ -314,6 +339,32 @@ export const getTeamStats = async (req, res, next) => {
       user: { $in: teamMemberIds } 
     }).populate('user', 'name email department');
 
+    // Who is away today and hours expected from each member this week
+    const today = startOfDay(new Date());
+    const weekStart = startOfWeek(today);
+    const weekEnd = new Date(weekStart);
+    weekEnd.setDate(weekEnd.getDate() + 6);
+
+    const leaveByUser = groupLeaveByUser(await getApprovedLeave(teamMemberIds, weekStart, weekEnd));
+    const loggedThisWeek = await DailyUpdate.aggregate([
+      { $match: { user: { $in: teamMemberIds.map(id => new mongoose.Types.ObjectId(id)) }, date: { $gte: weekStart } } },
+      { $group: { _id: '$user', hours: { $sum: '$hoursWorked' } } }
+    ]);
+    const loggedByUser = new Map(loggedThisWeek.map(entry => [entry._id.toString(), entry.hours]));
+
+    const members = new Map(projects.flatMap(project =>
+      project.assignedUsers.map(user => [user._id.toString(), user])));
+    const availability = teamMemberIds.map(userId => {
+      const leaves = leaveByUser.get(userId) || [];
+      const member = members.get(userId);
+      return {
+        user: member,
+        onLeaveToday: leaveOnDay(leaves, today),
+        expectedHoursThisWeek: expectedHours(leaves, weekStart, weekEnd, weeklyCapacityOf(member) / 5),
+        loggedHoursThisWeek: loggedByUser.get(userId) || 0
+      };
+    });
+
     // Calculate team totals
     const totalPoints = teamStats.reduce((sum, stat) => sum + stat.totalPoints, 0);
     const totalHours = teamStats.reduce((sum, stat) => sum + stat.totalHoursWorked, 0);
@@ -338,13 +389,15 @@ export const getTeamStats = async (req, res, next) => {
           completedProjects: projects.filter(p => p.status === 'completed').length,
           ongoingProjects: projects.filter(p => p.status === 'in_progress').length,
           teamSize: teamMemberIds.length,
+          onLeaveToday: availability.filter(member => member.onLeaveToday > 0).length,
           totalPoints,
           totalHours,
           totalCompleted
         },
         projects,
         topPerformers,
-        teamMembers: teamStats
+        teamMembers: teamStats,
+        availability
       }
     });
   } catch (error) {
@@ -354,7 +407,7 @@ export const getTeamStats = async (req, res, next) => {
 
 // @desc    Get project statistics (Admin, Lead)
 // @route   GET /api/stats/project/:projectId
-// @access  Private (Admin, Lead)
+// @access  Private (stats:viewProject)
 export const getProjectStats = async (req, res, next) => {
   try {
     const { projectId } = req.params;
@@ -372,8 +425,7 @@ export const getProjectStats = async (req, res, next) => {
     }
 
     // Check authorization
-    if (req.user.role === 'lead' && 
-        project.assignedLead._id.toString() !== req.user._id.toString()) {
+    if (!can(req.user, 'stats:viewProject', project)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view this project'
@@ -388,6 +440,9 @@ export const getProjectStats = async (req, res, next) => {
     const userContributions = {};
     
     for (const update of dailyUpdates) {
+      // Left behind by a user who has since been removed
+      if (!update.user) continue;
+
       const userId = update.user._id.toString();
       if (!userContributions[userId]) {
         userContributions[userId] = {
@@ -412,6 +467,14 @@ export const getProjectStats = async (req, res, next) => {
         : 0
     }));
 
+    // Finish date at the team's pace, allowing for approved leave
+    const remainingHours = project.modules
+      .filter(module => module.status !== 'completed')
+      .reduce((sum, module) => sum + Math.max(0, module.estimatedTime - module.actualTime), 0);
+    const estimatedCompletion = project.status === 'completed'
+      ? null
+      : await forecastCompletion(remainingHours, project.assignedUsers.map(user => user._id));
+
     // Project efficiency
     const efficiency = project.totalActualHours > 0
       ? Math.round((project.totalEstimatedHours / project.totalActualHours) * 100)
@@ -440,6 +503,14 @@ export const getProjectStats = async (req, res, next) => {
           deadline: project.deadline,
           completedAt: project.completedAt
         },
+        forecast: {
+          remainingHours,
+          estimatedCompletion,
+          deadline: project.deadline,
+          onTrack: project.deadline && estimatedCompletion
+            ? estimatedCompletion <= project.deadline
+            : null
+        },
         moduleStats,
         userContributions: Object.values(userContributions),
         totalUpdates: dailyUpdates.length
@@ -452,7 +523,7 @@ export const getProjectStats = async (req, res, next) => {
 
 // @desc    Get overall system statistics (Admin only)
 // @route   GET /api/stats/system-stats
-// @access  Private (Admin)
+// @access  Private (stats:viewSystem)
 export const getSystemStats = async (req, res, next) => {
   try {
     // Count all entities
@@ -520,4 +591,128 @@ export const getSystemStats = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+// @desc    Get capacity, utilization and over-allocation per user and week
+//          (?from&to&userId&projectId&department&team=mine; defaults to this week and your team)
+// @route   GET /api/stats/workload
+// @access  Private (workload:read)
+export const getWorkload = async (req, res, next) => {
+  try {
+    const { userId, projectId, department, team } = req.query;
+
+    const from = startOfDay(req.query.from || startOfWeek(new Date()));
+    const to = startOfDay(req.query.to || addDays(from, 6));
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || to < from) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid date range'
+      });
+    }
+
+    if ((to - from) / (24 * 60 * 60 * 1000) > MAX_WORKLOAD_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `Workload covers at most ${MAX_WORKLOAD_DAYS} days at a time`
+      });
+    }
+
+    for (const [name, value] of [['user', userId], ['project', projectId]]) {
+      if (value && !mongoose.isValidObjectId(value)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${name} id`
+        });
+      }
+    }
+
+    const userQuery = { ...CURRENT_STAFF };
+    const seesEveryone = getPermissionScopes(req.user, 'workload:read').includes('any');
+
+    if (userId) {
+      const user = await User.findById(userId).select('manager');
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+      // Leads reach their members through the projects they lead, as in the team view
+      const allowed = can(req.user, 'workload:read', user) ||
+        (await Project.find({ assignedLead: req.user._id, assignedUsers: user._id, isActive: true })
+          .select('assignedLead assignedUsers'))
+          .some(project => can(req.user, 'workload:read', project));
+      if (!allowed) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to view this workload'
+        });
+      }
+      userQuery._id = user._id;
+    } else if (projectId) {
+      const project = await Project.findById(projectId).select('assignedLead assignedUsers');
+      if (!project) {
+        return res.status(404).json({
+          success: false,
+          message: 'Project not found'
+        });
+      }
+      if (!can(req.user, 'workload:read', project)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to view workload for this project'
+        });
+      }
+      userQuery._id = { $in: [project.assignedLead, ...project.assignedUsers].filter(Boolean) };
+    } else if (team === 'mine' || !seesEveryone) {
+      // Members of led projects and direct reports, as far as the grants reach
+      const projects = await Project.find({ assignedLead: req.user._id, isActive: true })
+        .select('assignedLead assignedUsers');
+      const reports = await User.find({ manager: req.user._id, ...CURRENT_STAFF }).select('manager');
+
+      const teamIds = new Set([
+        ...projects
+          .filter(project => can(req.user, 'workload:read', project))
+          .flatMap(project => project.assignedUsers.map(id => id.toString())),
+        ...reports
+          .filter(report => can(req.user, 'workload:read', report))
+          .map(report => report._id.toString())
+      ]);
+      if (can(req.user, 'workload:read', req.user)) {
+        teamIds.add(req.user._id.toString());
+      }
+
+      userQuery._id = { $in: [...teamIds] };
+    }
+
+    // Narrows any of the above; scoped grants still only see their team
+    if (department) {
+      const { department: match, error } = await resolveDepartment(department, { activeOnly: false });
+      if (error) {
+        return res.status(error.status).json(error.body);
+      }
+      userQuery.department = match._id;
+    }
+
+    const users = await User.find(userQuery)
+      .select('name email department weeklyCapacity')
+      .sort({ name: 1 })
+      .lean();
+
+    const workload = await buildWorkload(users, from, to);
+
+    res.status(200).json({
+      success: true,
+      from,
+      to,
+      count: workload.length,
+      data: {
+        summary: summarizeWorkload(workload),
+        users: workload
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
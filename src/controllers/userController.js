@@ -1,21 +1,124 @@
+import mongoose from 'mongoose';
 import User from '../models/user.js';
+import Admin from '../models/Admin.js';
+import {
+  generateAccessToken,
+  generateRefreshToken,
+  saveRefreshToken
+} from '../middleware/auth.js';
+import { invalidateTokens } from '../services/sessionService.js';
+import { can, getPermissionScopes } from '../services/permissionService.js';
+import { PASSWORD_FIELDS, setPassword } from '../services/passwordPolicyService.js';
+import {
+  isVerifiedEmailRequired,
+  requestEmailChange
+} from '../services/emailVerificationService.js';
+import { recordAudit, snapshot } from '../services/auditService.js';
+import { resolveDepartment } from '../services/departmentService.js';
+import { normalizeSkills } from '../services/skillService.js';
+import {
+  checkManager,
+  buildOrgChart,
+  getDirectReports
+} from '../services/orgChartService.js';
+import { sendPasswordChangedEmail } from '../services/mailService.js';
+import {
+  softDeleteUser,
+  restoreUser as restoreDeletedUser,
+  getRestoreDeadline
+} from '../services/userDeletionService.js';
+import {
+  collectPersonalData,
+  buildPersonalDataZip,
+  eraseUser
+} from '../services/personalDataService.js';
 import {
   sendAccountApprovedNotification,
-  sendAccountRejectedNotification
+  sendAccountRejectedNotification,
+  sendAccountsApprovedNotification,
+  sendAccountsRejectedNotification
 } from '../services/notificationService.js';
 
+// Profile fields recorded in audit diffs
+const AUDITED_FIELDS = ['name', 'email', 'pendingEmail', 'phone', 'department', 'skills', 'weeklyCapacity', 'role', 'approved', 'isActive'];
+
+// Bulk actions and the permission each needs (the same as its single-user route)
+export const BULK_USER_ACTIONS = {
+  approve: 'user:approve',
+  reject: 'user:approve',
+  deactivate: 'user:deactivate'
+};
+
+// One FCM multicast accepts at most 500 tokens
+const BULK_USER_LIMIT = 500;
+
+// Send a user's personal data as a JSON or ZIP download
+const sendPersonalData = async (req, res, user) => {
+  const format = req.query.format || 'json';
+
+  if (!['json', 'zip'].includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: 'format must be json or zip'
+    });
+  }
+
+  const data = await collectPersonalData(user);
+
+  await recordAudit(req, {
+    action: 'user.data_export',
+    targetType: 'User',
+    targetId: user._id,
+    metadata: { format }
+  });
+
+  const fileName = `personal-data-${user._id}-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+
+  if (format === 'zip') {
+    res.set('Content-Type', 'application/zip');
+    return res.status(200).send(buildPersonalDataZip(data));
+  }
+
+  res.status(200).json({
+    success: true,
+    data
+  });
+};
+
+// Why a user can't take part in a bulk action, or null when they can
+const bulkIneligibility = (action, user, requireVerifiedEmail) => {
+  if (user.deletedAt || user.erasedAt) return 'User has been deleted';
+
+  if (action === 'approve') {
+    if (user.approved) return 'User is already approved';
+    if (requireVerifiedEmail && !user.emailVerified) return 'User has not verified their email address yet';
+    return null;
+  }
+
+  return user.isActive ? null : 'User is already inactive';
+};
+
 // @desc    Get all users (Admin & Lead only)
 // @route   GET /api/users
-// @access  Private (Admin, Lead)
+// @access  Private (user:list)
 export const getAllUsers = async (req, res, next) => {
   try {
-    const { role, isActive, department, approved, page = 1, limit = 10 } = req.query;
+    const { role, isActive, department, approved, emailVerified, deleted, page = 1, limit = 10 } = req.query;
 
-    const query = {};
+    // Deleted users are only listed when asked for (e.g. to restore them)
+    const query = { deletedAt: deleted === 'true' ? { $ne: null } : null };
     if (role) query.role = role;
     if (isActive !== undefined) query.isActive = isActive === 'true';
-    if (department) query.department = department;
+    if (department) {
+      const { department: match, error } = await resolveDepartment(department, { activeOnly: false });
+      if (error) {
+        return res.status(error.status).json(error.body);
+      }
+      query.department = match._id;
+    }
     if (approved !== undefined) query.approved = approved === 'true';
+    if (emailVerified !== undefined) query.emailVerified = emailVerified === 'true';
 
     const users = await User.find(query)
       .limit(limit * 1)
@@ -38,10 +141,10 @@ export const getAllUsers = async (req, res, next) => {
 
 // @desc    Get pending approval users
 // @route   GET /api/users/pending-approval
-// @access  Private (Admin, Lead)
+// @access  Private (user:list)
 export const getPendingApprovalUsers = async (req, res, next) => {
   try {
-    const users = await User.find({ approved: false })
+    const users = await User.find({ approved: false, deletedAt: null })
       .sort({ createdAt: -1 });
 
     res.status(200).json({
@@ -56,7 +159,7 @@ export const getPendingApprovalUsers = async (req, res, next) => {
 
 // @desc    Approve user account (Admin only)
 // @route   PATCH /api/users/:id/approve
-// @access  Private (Admin)
+// @access  Private (user:approve)
 export const approveUser = async (req, res, next) => {
   try {
     const user = await User.findById(req.params.id);
@@ -68,6 +171,13 @@ export const approveUser = async (req, res, next) => {
       });
     }
 
+    if (user.deletedAt || user.erasedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'User has been deleted'
+      });
+    }
+
     if (user.approved) {
       return res.status(400).json({
         success: false,
@@ -75,12 +185,28 @@ export const approveUser = async (req, res, next) => {
       });
     }
 
+    if (!user.emailVerified && await isVerifiedEmailRequired()) {
+      return res.status(400).json({
+        success: false,
+        message: 'User has not verified their email address yet',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
     // Approve user
     user.approved = true;
     user.approvedAt = new Date();
     user.approvedBy = req.user._id; // Admin who approved
     await user.save();
 
+    await recordAudit(req, {
+      action: 'user.approve',
+      targetType: 'User',
+      targetId: user._id,
+      before: { approved: false },
+      after: { approved: true }
+    });
+
     // Send push notification
     if (user.fcmToken) {
       await sendAccountApprovedNotification(user.fcmToken, user.name);
@@ -98,7 +224,7 @@ export const approveUser = async (req, res, next) => {
 
 // @desc    Reject user account (Admin only)
 // @route   PATCH /api/users/:id/reject
-// @access  Private (Admin)
+// @access  Private (user:approve)
 export const rejectUser = async (req, res, next) => {
   try {
     const { reason } = req.body;
@@ -111,14 +237,32 @@ export const rejectUser = async (req, res, next) => {
       });
     }
 
+    if (user.deletedAt || user.erasedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'User has been deleted'
+      });
+    }
+
     // Send rejection notification before deleting/deactivating
     if (user.fcmToken) {
       await sendAccountRejectedNotification(user.fcmToken, user.name, reason);
     }
 
     // Option 1: Deactivate user
+    const wasActive = user.isActive;
     user.isActive = false;
     await user.save();
+    await invalidateTokens(user._id, 'User', 'account_disabled');
+
+    await recordAudit(req, {
+      action: 'user.reject',
+      targetType: 'User',
+      targetId: user._id,
+      before: { isActive: wasActive },
+      after: { isActive: false },
+      metadata: reason ? { reason } : undefined
+    });
 
     // Option 2: Delete user (uncomment if you prefer)
     // await user.deleteOne();
@@ -132,9 +276,113 @@ export const rejectUser = async (req, res, next) => {
   }
 };
 
+// @desc    Approve, reject or deactivate several users at once
+// @route   PATCH /api/users/bulk
+// @access  Private (user:approve for approve/reject, user:deactivate)
+export const bulkUpdateUsers = async (req, res, next) => {
+  try {
+    const { action, ids, reason } = req.body;
+
+    if (!BULK_USER_ACTIONS[action]) {
+      return res.status(400).json({
+        success: false,
+        message: `action must be one of: ${Object.keys(BULK_USER_ACTIONS).join(', ')}`
+      });
+    }
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide valid user IDs'
+      });
+    }
+
+    const uniqueIds = [...new Set(ids.map(String))];
+
+    if (uniqueIds.length > BULK_USER_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${BULK_USER_LIMIT} users can be updated at once`
+      });
+    }
+
+    const validIds = uniqueIds.filter(id => mongoose.isValidObjectId(id));
+    const users = await User.find({ _id: { $in: validIds } });
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+    const requireVerifiedEmail = action === 'approve' && await isVerifiedEmailRequired();
+
+    const doneMessage = { approve: 'User approved', reject: 'User rejected', deactivate: 'User deactivated' }[action];
+    const eligible = [];
+
+    // Results in the caller's order
+    const results = uniqueIds.map(id => {
+      const user = usersById.get(id);
+      const problem = user
+        ? bulkIneligibility(action, user, requireVerifiedEmail)
+        : 'User not found';
+
+      if (problem) {
+        return { id, success: false, message: problem };
+      }
+
+      eligible.push(user);
+      return { id, success: true, message: doneMessage };
+    });
+
+    const eligibleIds = eligible.map(user => user._id);
+
+    if (eligible.length > 0) {
+      if (action === 'approve') {
+        await User.updateMany(
+          { _id: { $in: eligibleIds } },
+          { approved: true, approvedAt: new Date(), approvedBy: req.user._id }
+        );
+      } else {
+        await User.updateMany({ _id: { $in: eligibleIds } }, { isActive: false });
+        await invalidateTokens(eligibleIds, 'User', 'account_disabled');
+      }
+    }
+
+    const fcmTokens = eligible.map(user => user.fcmToken).filter(Boolean);
+    if (fcmTokens.length > 0) {
+      if (action === 'approve') {
+        await sendAccountsApprovedNotification(fcmTokens);
+      } else if (action === 'reject') {
+        await sendAccountsRejectedNotification(fcmTokens, reason);
+      }
+    }
+
+    const summary = {
+      total: uniqueIds.length,
+      succeeded: eligible.length,
+      failed: uniqueIds.length - eligible.length
+    };
+
+    // One entry for the whole batch
+    await recordAudit(req, {
+      action: `user.bulk_${action}`,
+      targetType: 'User',
+      metadata: {
+        userIds: eligibleIds,
+        ...summary,
+        ...(reason ? { reason } : {})
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${summary.succeeded} of ${summary.total} users updated`,
+      summary,
+      data: results
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Get single user
 // @route   GET /api/users/:id
-// @access  Private
+// @access  Private (user:read)
 export const getUser = async (req, res, next) => {
   try {
     const user = await User.findById(req.params.id);
@@ -146,8 +394,8 @@ export const getUser = async (req, res, next) => {
       });
     }
 
-    // Users can only view their own profile unless they're admin/lead
-    if (req.user.role !== 'admin' && req.user.role !== 'lead' && user._id.toString() !== req.user._id.toString()) {
+    // Scoped grants only reach the user's own profile
+    if (!can(req.user, 'user:read', user)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view this user'
@@ -165,10 +413,19 @@ export const getUser = async (req, res, next) => {
 
 // @desc    Update user
 // @route   PUT /api/users/:id
-// @access  Private
+// @access  Private (user:update)
 export const updateUser = async (req, res, next) => {
   try {
-    const { name, phone, department, password, fcmToken } = req.body;
+    const { name, email, phone, department, skills, weeklyCapacity, password, fcmToken } = req.body;
+
+    // Passwords only change through PATCH /api/users/me/password
+    if (password !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use PATCH /api/users/me/password to change a password',
+        code: 'PASSWORD_CHANGE_NOT_ALLOWED'
+      });
+    }
 
     const user = await User.findById(req.params.id);
 
@@ -179,26 +436,98 @@ export const updateUser = async (req, res, next) => {
       });
     }
 
-    // Users can only update their own profile unless they're admin/lead
-    if (req.user.role !== 'admin' && req.user.role !== 'lead' && user._id.toString() !== req.user._id.toString()) {
+    // Scoped grants only reach the user's own profile
+    if (!can(req.user, 'user:update', user)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this user'
       });
     }
 
+    // Capacity is set for people, not by them: scoped grants can't change it
+    if (weeklyCapacity !== undefined && !getPermissionScopes(req.user, 'user:update').includes('any')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to change weekly capacity'
+      });
+    }
+
+    const before = snapshot(user, AUDITED_FIELDS);
+
+    if (department) {
+      const { department: match, error } = await resolveDepartment(department);
+      if (error) {
+        return res.status(error.status).json(error.body);
+      }
+      user.department = match._id;
+    }
+
+    if (skills !== undefined) {
+      const { skills: normalized, error } = normalizeSkills(skills);
+      if (error) {
+        return res.status(error.status).json(error.body);
+      }
+      user.skills = normalized;
+    }
+
+    // null goes back to a full working week
+    if (weeklyCapacity !== undefined) user.weeklyCapacity = weeklyCapacity;
+
     // Update fields
     if (name) user.name = name;
     if (phone) user.phone = phone;
-    if (department) user.department = department;
-    if (password) user.password = password;
     if (fcmToken) user.fcmToken = fcmToken;
 
+    // A new email only takes effect once confirmed from that inbox
+    const newEmail = email ? `${email}`.toLowerCase().trim() : null;
+    const emailChangeRequested = Boolean(newEmail) && newEmail !== user.email;
+    if (emailChangeRequested) {
+      if (req.impersonator) {
+        return res.status(403).json({
+          success: false,
+          message: 'This action is not allowed while impersonating a user',
+          code: 'IMPERSONATION_BLOCKED'
+        });
+      }
+
+      // Whoever controls the new inbox controls the account, so only its owner may move it
+      if (user._id.toString() !== req.user._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Users can only change their own email address',
+          code: 'EMAIL_CHANGE_NOT_ALLOWED'
+        });
+      }
+
+      const taken = await User.findOne({ email: newEmail, _id: { $ne: user._id } });
+      if (taken) {
+        return res.status(400).json({
+          success: false,
+          message: 'This email address is already in use',
+          code: 'EMAIL_TAKEN'
+        });
+      }
+    }
+
     await user.save();
 
+    if (emailChangeRequested) {
+      await requestEmailChange(user, newEmail, req.ip);
+    }
+
+    await recordAudit(req, {
+      action: 'user.update',
+      targetType: 'User',
+      targetId: user._id,
+      before,
+      after: snapshot(user, AUDITED_FIELDS)
+    });
+
     res.status(200).json({
       success: true,
-      message: 'User updated successfully',
+      message: emailChangeRequested
+        ? `User updated successfully. Confirm the link sent to ${newEmail} to finish changing the email.`
+        : 'User updated successfully',
       data: user
     });
   } catch (error) {
@@ -206,9 +535,179 @@ export const updateUser = async (req, res, next) => {
   }
 };
 
-// @desc    Delete user (Admin only)
+// @desc    Get reporting lines as a tree (?root=<userId> for one part)
+// @route   GET /api/users/org-chart
+// @access  Private (user:orgChart)
+export const getOrgChart = async (req, res, next) => {
+  try {
+    const { root } = req.query;
+
+    if (root && !mongoose.isValidObjectId(root)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid root user id'
+      });
+    }
+
+    const chart = await buildOrgChart(root);
+
+    if (root && !chart) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found on the org chart'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: chart
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get your direct reports with their stats
+// @route   GET /api/users/me/reports
+// @access  Private (user:read)
+export const getMyReports = async (req, res, next) => {
+  try {
+    const reports = await getDirectReports(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      count: reports.length,
+      data: reports
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Set or clear (managerId: null) who a user reports to
+// @route   PATCH /api/users/:id/manager
+// @access  Private (user:assignManager)
+export const setManager = async (req, res, next) => {
+  try {
+    const { managerId } = req.body;
+
+    if (managerId === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide managerId (null to clear it)'
+      });
+    }
+
+    if (managerId !== null && !mongoose.isValidObjectId(managerId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid manager id',
+        code: 'INVALID_MANAGER'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user || user.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (managerId !== null) {
+      const { error } = await checkManager(user._id, managerId);
+      if (error) {
+        return res.status(error.status).json(error.body);
+      }
+    }
+
+    const before = snapshot(user, ['manager']);
+
+    user.manager = managerId;
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.manager_change',
+      targetType: 'User',
+      targetId: user._id,
+      before,
+      after: snapshot(user, ['manager'])
+    });
+
+    res.status(200).json({
+      success: true,
+      message: managerId ? 'Manager updated successfully' : 'Manager removed successfully',
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change own password (signs out every other session)
+// @route   PATCH /api/users/me/password
+// @access  Private (session only)
+export const changePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your current and new password'
+      });
+    }
+
+    const userModel = req.user.role === 'admin' ? 'Admin' : 'User';
+    const Model = userModel === 'Admin' ? Admin : User;
+    const account = await Model.findById(req.user._id).select(PASSWORD_FIELDS);
+
+    if (!account || !(await account.comparePassword(currentPassword))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect',
+        code: 'INVALID_CURRENT_PASSWORD'
+      });
+    }
+
+    const { error } = await setPassword(account, newPassword);
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+
+    await account.save();
+
+    // Sign out everywhere, then give this session a fresh pair of tokens
+    await invalidateTokens(account._id, userModel, 'password_changed');
+    account.tokenVersion = (account.tokenVersion ?? 0) + 1;
+
+    await recordAudit(req, {
+      action: 'user.password_change',
+      targetType: userModel,
+      targetId: account._id
+    });
+
+    const accessToken = generateAccessToken(account._id, account.role, account.tokenVersion);
+    const refreshToken = generateRefreshToken(account._id, account.role, account.tokenVersion);
+    await saveRefreshToken(refreshToken, account._id, userModel, req);
+
+    await sendPasswordChangedEmail(account.email, account.name);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed successfully. Your other sessions have been signed out.',
+      accessToken,
+      refreshToken
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete user (restorable until purged after the retention period)
 // @route   DELETE /api/users/:id
-// @access  Private (Admin)
+// @access  Private (user:delete)
 export const deleteUser = async (req, res, next) => {
   try {
     const user = await User.findById(req.params.id);
@@ -220,11 +719,142 @@ export const deleteUser = async (req, res, next) => {
       });
     }
 
-    await user.deleteOne();
+    const before = snapshot(user, AUDITED_FIELDS);
+    const { error } = await softDeleteUser(user, req.user._id);
+
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+
+    const restorableUntil = getRestoreDeadline(user);
+
+    await recordAudit(req, {
+      action: 'user.delete',
+      targetType: 'User',
+      targetId: user._id,
+      before,
+      after: snapshot(user, AUDITED_FIELDS),
+      metadata: { restorableUntil }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User deleted successfully',
+      data: { restorableUntil }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Restore a deleted user within the retention period
+// @route   PATCH /api/users/:id/restore
+// @access  Private (user:delete)
+export const restoreUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { error } = await restoreDeletedUser(user);
+
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+
+    await recordAudit(req, {
+      action: 'user.restore',
+      targetType: 'User',
+      targetId: user._id,
+      before: { deleted: true },
+      after: { deleted: false }
+    });
 
     res.status(200).json({
       success: true,
-      message: 'User deleted successfully'
+      message: 'User restored successfully',
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Download your own personal data (?format=json|zip)
+// @route   GET /api/users/me/export
+// @access  Private (own account, interactive session)
+export const exportMyData = async (req, res, next) => {
+  try {
+    if (req.user.role === 'admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'Data export is only available for user accounts'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    await sendPersonalData(req, res, user);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Download a user's personal data (?format=json|zip)
+// @route   GET /api/users/:id/export
+// @access  Private (user:exportData)
+export const exportUserData = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await sendPersonalData(req, res, user);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Erase a user's personal data, keeping anonymized statistics
+// @route   POST /api/users/:id/erase
+// @access  Private (user:erase)
+export const eraseUserData = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { error } = await eraseUser(user);
+
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+
+    // No before/after: the audit log must not keep what was erased
+    await recordAudit(req, {
+      action: 'user.erase',
+      targetType: 'User',
+      targetId: user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User data erased successfully'
     });
   } catch (error) {
     next(error);
@@ -233,7 +863,7 @@ export const deleteUser = async (req, res, next) => {
 
 // @desc    Toggle user active status (Admin only)
 // @route   PATCH /api/users/:id/toggle-status
-// @access  Private (Admin)
+// @access  Private (user:deactivate)
 export const toggleUserStatus = async (req, res, next) => {
   try {
     const user = await User.findById(req.params.id);
@@ -245,9 +875,36 @@ export const toggleUserStatus = async (req, res, next) => {
       });
     }
 
+    if (user.erasedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Erased users cannot be reactivated'
+      });
+    }
+
+    if (user.deletedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Restore the user before changing their status'
+      });
+    }
+
     user.isActive = !user.isActive;
     await user.save();
 
+    // Deactivation signs the user out everywhere immediately
+    if (!user.isActive) {
+      await invalidateTokens(user._id, 'User', 'account_disabled');
+    }
+
+    await recordAudit(req, {
+      action: user.isActive ? 'user.activate' : 'user.deactivate',
+      targetType: 'User',
+      targetId: user._id,
+      before: { isActive: !user.isActive },
+      after: { isActive: user.isActive }
+    });
+
     res.status(200).json({
       success: true,
       message: `User ${user.isActive ? 'activated' : 'deactivated'} successfully`,
@@ -1,8 +1,40 @@
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
 import config from '../config/env.js';
 import User from '../models/user.js';
 import Admin from '../models/Admin.js';
 import RefreshToken from '../models/RefreshToken.js';
+import ApiToken, { API_TOKEN_PREFIX } from '../models/ApiToken.js';
+import {
+  PERMISSIONS,
+  IMPERSONATION_BLOCKED_PERMISSIONS
+} from '../constants/permissions.js';
+import { can, scopesAllow } from '../services/permissionService.js';
+import { getSigningKey, getVerificationKey } from '../services/signingKeyService.js';
+import {
+  findActiveImpersonation,
+  recordImpersonatedRequest
+} from '../services/impersonationService.js';
+
+// JWT `typ` headers, so a refresh token can never pass as an access token
+// (here or in services verifying against our JWKS)
+const TOKEN_TYPES = {
+  access: 'at+jwt',
+  refresh: 'refresh+jwt'
+};
+
+// The only routes open to a user who still has a temporary password
+const PASSWORD_CHANGE_ROUTES = ['GET /api/auth/me', 'PATCH /api/users/me/password'];
+
+const PASSWORD_CHANGE_REQUIRED_BODY = {
+  success: false,
+  message: 'Please choose a new password before continuing',
+  code: 'PASSWORD_CHANGE_REQUIRED'
+};
+
+const isPasswordChangeBlocked = (req) =>
+  Boolean(req.user.passwordChangeRequired) &&
+  !PASSWORD_CHANGE_ROUTES.includes(`${req.method} ${req.originalUrl.split('?')[0]}`);
 
 // Protect routes - verify JWT token
 export const protect = async (req, res, next) => {
@@ -20,8 +52,21 @@ export const protect = async (req, res, next) => {
       });
     }
 
+    // Personal API tokens are opaque and looked up in the database
+    if (token.startsWith(API_TOKEN_PREFIX)) {
+      return await protectWithApiToken(token, req, res, next);
+    }
+
     try {
-      const decoded = jwt.verify(token, config.jwtSecret);
+      const decoded = verifyToken(token, 'access');
+
+      // 2FA challenge tokens are signed with the same secret but grant no access
+      if (decoded.purpose) {
+        return res.status(401).json({
+          success: false,
+          message: 'Token is invalid'
+        });
+      }
       
       // Check if admin or user/lead
       if (decoded.role === 'admin') {
@@ -37,6 +82,23 @@ export const protect = async (req, res, next) => {
         });
       }
 
+      // Status, approval and token version come from the database, so
+      // deactivation or a role change takes effect on the next request
+      const accessError = checkAccountAccess(req.user, decoded.tv);
+      if (accessError) {
+        return res.status(accessError.status).json(accessError.body);
+      }
+
+      // Impersonation token: an admin (`act`) acting as this user
+      if (decoded.act) {
+        const impersonationError = await checkImpersonation(req, res, decoded);
+        if (impersonationError) {
+          return res.status(impersonationError.status).json(impersonationError.body);
+        }
+      } else if (isPasswordChangeBlocked(req)) {
+        return res.status(403).json(PASSWORD_CHANGE_REQUIRED_BODY);
+      }
+
       next();
     } catch (error) {
       if (error.name === 'TokenExpiredError') {
@@ -57,7 +119,151 @@ export const protect = async (req, res, next) => {
   }
 };
 
-// Authorize specific roles
+const protectWithApiToken = async (token, req, res, next) => {
+  const apiToken = await ApiToken.findOne({
+    tokenHash: ApiToken.hashToken(token),
+    revokedAt: null
+  });
+
+  if (!apiToken) {
+    return res.status(401).json({
+      success: false,
+      message: 'Token is invalid'
+    });
+  }
+
+  if (apiToken.expiresAt <= new Date()) {
+    return res.status(401).json({
+      success: false,
+      message: 'API token expired',
+      code: 'API_TOKEN_EXPIRED'
+    });
+  }
+
+  if (apiToken.userModel === 'Admin') {
+    req.user = await Admin.findById(apiToken.userId);
+  } else {
+    req.user = await User.findById(apiToken.userId).select('-password');
+  }
+
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'User no longer exists'
+    });
+  }
+
+  const accessError = checkAccountAccess(req.user, apiToken.tokenVersion);
+  if (accessError) {
+    return res.status(accessError.status).json(accessError.body);
+  }
+
+  if (isPasswordChangeBlocked(req)) {
+    return res.status(403).json(PASSWORD_CHANGE_REQUIRED_BODY);
+  }
+
+  req.apiToken = apiToken;
+
+  // Record usage at most once a minute to avoid a write per request
+  if (!apiToken.lastUsedAt || Date.now() - apiToken.lastUsedAt.getTime() > 60 * 1000) {
+    await ApiToken.updateOne(
+      { _id: apiToken._id },
+      { lastUsedAt: new Date(), lastUsedIp: req.ip }
+    );
+  }
+
+  next();
+};
+
+const IMPERSONATION_BLOCKED_BODY = {
+  success: false,
+  message: 'This action is not allowed while impersonating a user',
+  code: 'IMPERSONATION_BLOCKED'
+};
+
+// Attach the acting admin and session for an impersonation token and
+// record the request. Returns null when allowed, otherwise the error.
+const checkImpersonation = async (req, res, decoded) => {
+  const [admin, impersonation] = await Promise.all([
+    Admin.findById(decoded.act.id),
+    findActiveImpersonation(decoded.sid)
+  ]);
+
+  if (
+    !admin ||
+    !impersonation ||
+    impersonation.user.toString() !== req.user._id.toString() ||
+    checkAccountAccess(admin, decoded.act.tv)
+  ) {
+    return {
+      status: 401,
+      body: {
+        success: false,
+        message: 'Impersonation session has ended',
+        code: 'IMPERSONATION_ENDED'
+      }
+    };
+  }
+
+  req.impersonator = admin;
+  req.impersonation = impersonation;
+  recordImpersonatedRequest(req, res);
+
+  if (req.method === 'DELETE') {
+    return { status: 403, body: IMPERSONATION_BLOCKED_BODY };
+  }
+
+  return null;
+};
+
+// Routes that manage credentials need an interactive login by the user
+export const sessionOnly = (req, res, next) => {
+  if (req.apiToken) {
+    return res.status(403).json({
+      success: false,
+      message: 'API tokens cannot be used for this route',
+      code: 'API_TOKEN_NOT_ALLOWED'
+    });
+  }
+
+  if (req.impersonator) {
+    return res.status(403).json(IMPERSONATION_BLOCKED_BODY);
+  }
+  next();
+};
+
+// Require a permission from the registry. Scoped grants (e.g.
+// `project:read:lead`) pass here; controllers check the resource itself.
+export const requirePermission = (action) => {
+  if (!PERMISSIONS[action]) {
+    throw new Error(`Unknown permission: ${action}`);
+  }
+
+  return (req, res, next) => {
+    if (!can(req.user, action)) {
+      return res.status(403).json({
+        success: false,
+        message: `Role '${req.user.role}' is not authorized to access this route`,
+        code: 'PERMISSION_DENIED'
+      });
+    }
+
+    if (req.apiToken && !scopesAllow(req.apiToken.scopes, action)) {
+      return res.status(403).json({
+        success: false,
+        message: `API token is missing a scope for '${action}'`,
+        code: 'INSUFFICIENT_SCOPE'
+      });
+    }
+
+    if (req.impersonator && IMPERSONATION_BLOCKED_PERMISSIONS.includes(action)) {
+      return res.status(403).json(IMPERSONATION_BLOCKED_BODY);
+    }
+    next();
+  };
+};
+
+// Authorize specific roles (prefer requirePermission)
 export const authorize = (...roles) => {
   return (req, res, next) => {
     if (!roles.includes(req.user.role)) {
@@ -70,37 +276,186 @@ export const authorize = (...roles) => {
   };
 };
 
+// Check that an account may still use a token carrying `tokenVersion`.
+// Returns null when allowed, otherwise the error response.
+export const checkAccountAccess = (account, tokenVersion) => {
+  if (!account.isActive) {
+    return {
+      status: 401,
+      body: {
+        success: false,
+        message: 'Your account has been deactivated',
+        code: 'ACCOUNT_DEACTIVATED'
+      }
+    };
+  }
+
+  if (account.role !== 'admin' && !account.approved) {
+    return {
+      status: 403,
+      body: {
+        success: false,
+        message: 'Your account is pending approval. Please wait for admin to activate your account.',
+        code: 'PENDING_APPROVAL'
+      }
+    };
+  }
+
+  if ((tokenVersion ?? 0) !== (account.tokenVersion ?? 0)) {
+    return {
+      status: 401,
+      body: {
+        success: false,
+        message: 'Your session is no longer valid. Please log in again.',
+        code: 'TOKEN_REVOKED'
+      }
+    };
+  }
+
+  return null;
+};
+
+// Allow either a normal access token or a 2FA setup challenge token
+// (users whose role requires 2FA must enroll before they get an access token)
+export const protectTwoFactorSetup = async (req, res, next) => {
+  const { challengeToken } = req.body;
+
+  if (!challengeToken) {
+    return protect(req, res, next);
+  }
+
+  try {
+    const decoded = verifyChallengeToken(challengeToken, '2fa_setup');
+    const Model = decoded.role === 'admin' ? Admin : User;
+    req.user = await Model.findById(decoded.id);
+
+    if (!req.user || !req.user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'User no longer exists'
+      });
+    }
+
+    req.twoFactorSetupChallenge = true;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired challenge token',
+      code: 'CHALLENGE_EXPIRED'
+    });
+  }
+};
+
+// Sign with the current key from the key store; `kid` tells verifiers which key
+const signToken = (payload, type, options) => {
+  const { kid, algorithm, privateKey } = getSigningKey();
+
+  return jwt.sign(payload, privateKey, {
+    ...options,
+    algorithm,
+    keyid: kid,
+    issuer: config.jwtKeys.issuer,
+    header: { typ: TOKEN_TYPES[type] }
+  });
+};
+
+// Verify an access or refresh token. Tokens from before asymmetric signing
+// (HS256, no kid) are accepted with the old secrets while they last.
+export const verifyToken = (token, type) => {
+  const decoded = jwt.decode(token, { complete: true });
+
+  if (!decoded) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+
+  const { alg, kid, typ } = decoded.header;
+
+  if (!kid && alg === 'HS256' && config.jwtKeys.acceptLegacyTokens) {
+    const secret = type === 'refresh' ? config.jwtRefreshSecret : config.jwtSecret;
+    return jwt.verify(token, secret, { algorithms: ['HS256'] });
+  }
+
+  const key = getVerificationKey(kid);
+
+  if (!key || typ !== TOKEN_TYPES[type]) {
+    throw new jwt.JsonWebTokenError('invalid token');
+  }
+
+  return jwt.verify(token, key.publicKey, {
+    algorithms: [key.algorithm],
+    issuer: config.jwtKeys.issuer
+  });
+};
+
 // Generate Access Token (short-lived)
-export const generateAccessToken = (id, role) => {
-  return jwt.sign({ id, role }, config.jwtSecret, {
+// tv (token version) lets us invalidate every outstanding token for an account
+export const generateAccessToken = (id, role, tokenVersion = 0) => {
+  return signToken({ id, role, tv: tokenVersion }, 'access', {
     expiresIn: config.jwtExpire
   });
 };
 
 // Generate Refresh Token (long-lived)
-export const generateRefreshToken = (id, role) => {
-  return jwt.sign({ id, role }, config.jwtRefreshSecret, {
-    expiresIn: config.jwtRefreshExpire
+// jwtid keeps tokens unique even when issued within the same second
+export const generateRefreshToken = (id, role, tokenVersion = 0) => {
+  return signToken({ id, role, tv: tokenVersion }, 'refresh', {
+    expiresIn: config.jwtRefreshExpire,
+    jwtid: crypto.randomUUID()
   });
 };
 
+// Generate Impersonation Token (short-lived, no refresh token)
+// `act` names the admin acting as the user (as in RFC 8693), `sid` the session
+export const generateImpersonationToken = (user, admin, impersonation) => {
+  const act = { id: admin._id, role: admin.role, tv: admin.tokenVersion || 0 };
+
+  return signToken(
+    { id: user._id, role: user.role, tv: user.tokenVersion || 0, act, sid: impersonation._id },
+    'access',
+    { expiresIn: Math.max(1, Math.floor((impersonation.expiresAt - Date.now()) / 1000)) }
+  );
+};
+
+// Generate 2FA Challenge Token (issued after the password step)
+export const generateChallengeToken = (id, role, purpose) => {
+  return jwt.sign({ id, role, purpose }, config.jwtSecret, {
+    expiresIn: config.twoFactorChallengeExpire
+  });
+};
+
+// Verify 2FA Challenge Token for the expected purpose
+export const verifyChallengeToken = (token, purpose) => {
+  const decoded = jwt.verify(token, config.jwtSecret, { algorithms: ['HS256'] });
+
+  if (decoded.purpose !== purpose) {
+    throw new Error('Invalid challenge token');
+  }
+
+  return decoded;
+};
+
 // Verify Refresh Token
 export const verifyRefreshToken = (token) => {
   try {
-    return jwt.verify(token, config.jwtRefreshSecret);
+    return verifyToken(token, 'refresh');
   } catch (error) {
     throw new Error('Invalid refresh token');
   }
 };
 
 // Save Refresh Token to Database
-export const saveRefreshToken = async (token, userId, userModel, req) => {
+// Pass the token being rotated to keep its session; a new login starts a new one
+export const saveRefreshToken = async (token, userId, userModel, req, previousToken = null) => {
   const decoded = jwt.decode(token);
   
   const refreshToken = await RefreshToken.create({
     token,
     userId,
     userModel,
+    family: previousToken?.family || crypto.randomUUID(),
+    sessionStartedAt: previousToken?.sessionStartedAt || previousToken?.createdAt || new Date(),
+    lastUsedAt: new Date(),
     expiresAt: new Date(decoded.exp * 1000),
     ipAddress: req.ip || req.connection.remoteAddress,
     userAgent: req.headers['user-agent']
@@ -0,0 +1,12 @@
+import crypto from 'crypto';
+
+// Reuse an upstream proxy's id when it looks sane, so logs can be joined up
+const INCOMING_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+export const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+
+  req.id = incoming && INCOMING_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
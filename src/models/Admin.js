@@ -1,7 +1,14 @@
 import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
 
 const adminSchema = new mongoose.Schema(
   {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Name cannot exceed 50 characters']
+    },
     email: {
       type: String,
       required: true,
@@ -9,15 +16,74 @@ const adminSchema = new mongoose.Schema(
       lowercase: true,
       trim: true
     },
+    // Not set until an invited admin accepts their invitation
     password: {
       type: String,
-      required: true
+      minlength: [8, 'Password must be at least 8 characters'],
+      select: false
+    },
+    // Hashes of previous passwords, newest first (see passwordPolicyService)
+    passwordHistory: {
+      type: [String],
+      select: false
     },
     role: {
       type: String,
       default: 'admin',
       immutable: true
     },
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    invitePending: {
+      type: Boolean,
+      default: false
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    inviteToken: {
+      type: String,
+      select: false
+    },
+    inviteExpiresAt: {
+      type: Date,
+      select: false
+    },
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      secret: {
+        type: String,
+        select: false
+      },
+      // Secret generated by setup, moved to `secret` once a code is verified
+      pendingSecret: {
+        type: String,
+        select: false
+      },
+      // SHA-256 hashes of unused recovery codes
+      recoveryCodes: {
+        type: [String],
+        select: false
+      },
+      lastUsedStep: {
+        type: Number,
+        select: false
+      },
+      enabledAt: {
+        type: Date
+      }
+    },
+    // Bumped to invalidate every outstanding access/refresh token
+    tokenVersion: {
+      type: Number,
+      default: 0
+    },
     lastLogin: {
       type: Date
     }
@@ -27,10 +93,49 @@ const adminSchema = new mongoose.Schema(
   }
 );
 
-// Remove password from JSON response
+// Hash password before saving
+adminSchema.pre('save', async function (next) {
+  if (!this.isModified('password') || !this.password) {
+    return next();
+  }
+
+  const salt = await bcrypt.genSalt(10);
+  this.password = await bcrypt.hash(this.password, salt);
+  next();
+});
+
+// Compare password method
+adminSchema.methods.comparePassword = async function (candidatePassword) {
+  if (!this.password) {
+    return false;
+  }
+  return await bcrypt.compare(candidatePassword, this.password);
+};
+
+// Generate invitation token (returns the raw token, stores only its hash)
+adminSchema.methods.createInviteToken = function (expiresInHours) {
+  const rawToken = crypto.randomBytes(32).toString('hex');
+
+  this.inviteToken = Admin.hashToken(rawToken);
+  this.inviteExpiresAt = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+
+  return rawToken;
+};
+
+adminSchema.statics.hashToken = function (token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Remove secrets from JSON response
 adminSchema.methods.toJSON = function () {
   const obj = this.toObject();
   delete obj.password;
+  delete obj.passwordHistory;
+  delete obj.inviteToken;
+  delete obj.inviteExpiresAt;
+  if (obj.twoFactor) {
+    obj.twoFactor = { enabled: obj.twoFactor.enabled, enabledAt: obj.twoFactor.enabledAt };
+  }
   return obj;
 };
 
@@ -38,4 +143,4 @@ const Admin =
   mongoose.models.Admin || mongoose.model('Admin', adminSchema);
 
 
-export default Admin;
\ No newline at end of file
+export default Admin;
@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// Personal access tokens are recognised by this prefix in the
+// Authorization header (JWTs never start with it)
+export const API_TOKEN_PREFIX = 'mx_pat_';
+
+const apiTokenSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Token name is required'],
+      trim: true,
+      maxlength: [100, 'Token name cannot exceed 100 characters']
+    },
+    // SHA-256 of the token; the raw token is only shown once
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false
+    },
+    // First characters of the token, to tell tokens apart in listings
+    tokenPrefix: {
+      type: String,
+      required: true
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      refPath: 'userModel'
+    },
+    userModel: {
+      type: String,
+      required: true,
+      enum: ['User', 'Admin']
+    },
+    scopes: {
+      type: [String],
+      required: true
+    },
+    // Account token version at creation; bumping it (deactivation,
+    // role change, password reset) invalidates the token like a JWT
+    tokenVersion: {
+      type: Number,
+      default: 0
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    lastUsedAt: Date,
+    lastUsedIp: String,
+    revokedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Create a token (returns the raw token to show once, and the document)
+apiTokenSchema.statics.generate = async function ({ name, userId, userModel, scopes, tokenVersion, expiresAt }) {
+  const rawToken = `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  const apiToken = await this.create({
+    name,
+    tokenHash: this.hashToken(rawToken),
+    tokenPrefix: rawToken.slice(0, API_TOKEN_PREFIX.length + 6),
+    userId,
+    userModel,
+    scopes,
+    tokenVersion,
+    expiresAt
+  });
+
+  return { rawToken, apiToken };
+};
+
+apiTokenSchema.statics.hashToken = function (token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+apiTokenSchema.index({ userId: 1, userModel: 1 });
+
+const ApiToken = mongoose.model('ApiToken', apiTokenSchema);
+
+export default ApiToken;
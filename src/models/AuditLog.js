@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+// Append-only record of administrative and access-changing actions.
+// Entries are written by auditService and never updated or deleted.
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      id: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'actor.model'
+      },
+      model: {
+        type: String,
+        enum: ['Admin', 'User']
+      },
+      // Copied so entries stay readable after the account is deleted
+      email: String,
+      role: String
+    },
+    // Set when an admin acted while impersonating the actor
+    impersonator: {
+      id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+      },
+      email: String
+    },
+    // e.g. user.approve, role.update, project.update, module.delete
+    action: {
+      type: String,
+      required: true
+    },
+    targetType: {
+      type: String,
+      required: true
+    },
+    targetId: {
+      type: String
+    },
+    // Only the fields that changed
+    changes: {
+      before: mongoose.Schema.Types.Mixed,
+      after: mongoose.Schema.Types.Mixed
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    ipAddress: String,
+    userAgent: String,
+    requestId: String
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ 'actor.id': 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+const refuseChange = function (next) {
+  next(new Error('Audit log entries cannot be changed'));
+};
+
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return refuseChange(next);
+  }
+  next();
+});
+
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  refuseChange
+);
+auditLogSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], { document: false, query: true }, refuseChange);
+auditLogSchema.pre('deleteOne', { document: true, query: false }, refuseChange);
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+// Names compare case-insensitively, so "Engineering" and "engineering"
+// are one department
+export const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+const departmentSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Department name is required'],
+      trim: true,
+      maxlength: [60, 'Department name cannot exceed 60 characters']
+    },
+    // Short identifier, e.g. ENG
+    code: {
+      type: String,
+      required: [true, 'Department code is required'],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z0-9][A-Z0-9_-]{1,19}$/, 'Department code may only contain letters, numbers, _ and -']
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Description cannot exceed 200 characters']
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Department',
+      default: null
+    },
+    head: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    // Inactive departments stay on existing users and projects but can't
+    // be assigned
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Collapse repeated spaces too, so "Human  Resources" matches
+departmentSchema.path('name').set(value =>
+  typeof value === 'string' ? value.replace(/\s+/g, ' ') : value
+);
+
+departmentSchema.index({ name: 1 }, { unique: true, collation: NAME_COLLATION });
+departmentSchema.index({ parent: 1 });
+
+const Department = mongoose.model('Department', departmentSchema);
+
+export default Department;
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+const emailVerificationTokenSchema = new mongoose.Schema(
+  {
+    // SHA-256 of the token sent by email; the raw token is never stored
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // The address the link was sent to
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true
+    },
+    // verify: confirm the current address; change: switch to `email`
+    purpose: {
+      type: String,
+      enum: ['verify', 'change'],
+      required: true
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    usedAt: {
+      type: Date,
+      default: null
+    },
+    ipAddress: String
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Create a token for a user (returns the raw token to email)
+emailVerificationTokenSchema.statics.generate = async function (userId, email, purpose, expiresInHours, ipAddress) {
+  const rawToken = crypto.randomBytes(32).toString('hex');
+
+  // Only the newest link for each purpose should work
+  await this.updateMany(
+    { user: userId, purpose, usedAt: null },
+    { usedAt: new Date() }
+  );
+
+  await this.create({
+    tokenHash: this.hashToken(rawToken),
+    user: userId,
+    email,
+    purpose,
+    expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000),
+    ipAddress
+  });
+
+  return rawToken;
+};
+
+emailVerificationTokenSchema.statics.hashToken = function (token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+emailVerificationTokenSchema.index({ user: 1 });
+
+// Index for automatic deletion of expired tokens
+emailVerificationTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const EmailVerificationToken = mongoose.model('EmailVerificationToken', emailVerificationTokenSchema);
+
+export default EmailVerificationToken;
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+// An admin signed in as a user for support. The impersonation token
+// carries this session's id so it can be ended early.
+const impersonationSchema = new mongoose.Schema(
+  {
+    admin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    reason: {
+      type: String,
+      required: [true, 'Please provide a reason'],
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    endedAt: {
+      type: Date,
+      default: null
+    },
+    requestCount: {
+      type: Number,
+      default: 0
+    },
+    ipAddress: String,
+    userAgent: String
+  },
+  {
+    timestamps: true
+  }
+);
+
+impersonationSchema.index({ admin: 1, createdAt: -1 });
+impersonationSchema.index({ user: 1, createdAt: -1 });
+
+const Impersonation = mongoose.model('Impersonation', impersonationSchema);
+
+export default Impersonation;
@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+// One request made with an impersonation token, blocked ones included
+const impersonationRequestSchema = new mongoose.Schema(
+  {
+    impersonation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Impersonation',
+      required: true
+    },
+    admin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    method: {
+      type: String,
+      required: true
+    },
+    path: {
+      type: String,
+      required: true
+    },
+    statusCode: Number,
+    ipAddress: String
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+impersonationRequestSchema.index({ impersonation: 1, createdAt: 1 });
+
+const ImpersonationRequest = mongoose.model('ImpersonationRequest', impersonationRequestSchema);
+
+export default ImpersonationRequest;
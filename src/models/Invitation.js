@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+const invitationSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      lowercase: true,
+      trim: true,
+      match: [
+        /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+        'Please provide a valid email'
+      ]
+    },
+    name: {
+      type: String,
+      trim: true
+    },
+    // Preset for the account created on acceptance
+    role: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true
+    },
+    department: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Department'
+    },
+    phone: {
+      type: String,
+      trim: true
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project'
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'expired', 'revoked'],
+      default: 'pending'
+    },
+    // jwtid of the current invitation token; resending replaces it so
+    // earlier links stop working
+    tokenId: {
+      type: String,
+      select: false
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'createdByModel',
+      required: true
+    },
+    createdByModel: {
+      type: String,
+      enum: ['User', 'Admin'],
+      required: true
+    },
+    acceptedAt: Date,
+    acceptedUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    revokedAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+invitationSchema.index({ email: 1, status: 1 });
+invitationSchema.index({ createdBy: 1 });
+
+// Pending invitations past their expiry are stored as expired lazily
+invitationSchema.statics.expireStale = async function () {
+  return this.updateMany(
+    { status: 'pending', expiresAt: { $lte: new Date() } },
+    { status: 'expired' }
+  );
+};
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+export default Invitation;
@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+export const LEAVE_TYPES = ['vacation', 'sick', 'personal', 'parental', 'unpaid', 'other'];
+
+// Time off requested by a user. Only approved leave counts towards
+// capacity, expected hours and missing-update reminders.
+const leaveRequestSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required']
+    },
+    type: {
+      type: String,
+      enum: LEAVE_TYPES,
+      required: [true, 'Leave type is required']
+    },
+    // First and last day off (both inclusive), stored as the start of the day
+    startDate: {
+      type: Date,
+      required: [true, 'Start date is required']
+    },
+    endDate: {
+      type: Date,
+      required: [true, 'End date is required']
+    },
+    // Only for single-day requests
+    halfDay: {
+      type: String,
+      enum: ['morning', 'afternoon', null],
+      default: null
+    },
+    // Working days covered, e.g. 0.5 for a half day
+    days: {
+      type: Number,
+      required: true,
+      min: [0.5, 'Leave must cover at least half a working day']
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Reason cannot exceed 300 characters']
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected', 'cancelled'],
+      default: 'pending'
+    },
+    reviewedBy: {
+      id: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'reviewedBy.model'
+      },
+      model: {
+        type: String,
+        enum: ['Admin', 'User']
+      }
+    },
+    reviewedAt: {
+      type: Date
+    },
+    reviewNote: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Review note cannot exceed 300 characters']
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+leaveRequestSchema.index({ user: 1, startDate: -1 });
+leaveRequestSchema.index({ status: 1, startDate: 1, endDate: 1 });
+
+const LeaveRequest = mongoose.model('LeaveRequest', leaveRequestSchema);
+
+export default LeaveRequest;
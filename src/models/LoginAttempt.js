@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+// Failed login tracking per email, including emails with no account,
+// so lockout behaves the same whether or not the account exists
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true
+    },
+    accountType: {
+      type: String,
+      required: true,
+      enum: ['User', 'Admin']
+    },
+    failedCount: {
+      type: Number,
+      default: 0
+    },
+    lastFailedAt: {
+      type: Date
+    },
+    // Earliest time the next attempt is accepted (progressive delay)
+    nextAttemptAt: {
+      type: Date
+    },
+    lockedUntil: {
+      type: Date
+    },
+    lastIpAddress: String
+  },
+  {
+    timestamps: true
+  }
+);
+
+loginAttemptSchema.index({ email: 1, accountType: 1 }, { unique: true });
+
+// Forget attempts a day after the last failure
+loginAttemptSchema.index({ lastFailedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+export default LoginAttempt;
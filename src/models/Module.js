@@ -22,6 +22,22 @@ const moduleSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     }],
+    // Skills the work needs; level is the minimum proficiency (1-5)
+    requiredSkills: [{
+      _id: false,
+      name: {
+        type: String,
+        required: [true, 'Skill name is required'],
+        trim: true,
+        maxlength: [40, 'Skill name cannot exceed 40 characters']
+      },
+      level: {
+        type: Number,
+        required: [true, 'Skill level is required'],
+        min: [1, 'Skill level must be between 1 and 5'],
+        max: [5, 'Skill level must be between 1 and 5']
+      }
+    }],
     estimatedTime: {
       type: Number, // in hours
       required: [true, 'Estimated time is required'],
@@ -84,6 +100,7 @@ moduleSchema.post('save', async function() {
 
 // Index for faster queries
 moduleSchema.index({ project: 1, status: 1 });
+moduleSchema.index({ assignedUsers: 1, status: 1 });
 
 const Module = mongoose.model('Module', moduleSchema);
 
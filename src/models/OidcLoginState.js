@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+// One pending SSO login: the `state` sent to the identity provider plus
+// the nonce and PKCE verifier that must never leave the server
+const oidcLoginStateSchema = new mongoose.Schema(
+  {
+    state: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    nonce: {
+      type: String,
+      required: true
+    },
+    codeVerifier: {
+      type: String,
+      required: true
+    },
+    redirectUri: {
+      type: String,
+      required: true
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    ipAddress: String
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Index for automatic deletion of expired states
+oidcLoginStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OidcLoginState = mongoose.model('OidcLoginState', oidcLoginStateSchema);
+
+export default OidcLoginState;
@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+const passwordResetTokenSchema = new mongoose.Schema(
+  {
+    // SHA-256 of the token sent by email; the raw token is never stored
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    usedAt: {
+      type: Date,
+      default: null
+    },
+    ipAddress: String
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Create a token for a user (returns the raw token to email)
+passwordResetTokenSchema.statics.generate = async function (userId, expiresInMinutes, ipAddress) {
+  const rawToken = crypto.randomBytes(32).toString('hex');
+
+  // Only the newest link should work
+  await this.updateMany(
+    { user: userId, usedAt: null },
+    { usedAt: new Date() }
+  );
+
+  await this.create({
+    tokenHash: this.hashToken(rawToken),
+    user: userId,
+    expiresAt: new Date(Date.now() + expiresInMinutes * 60 * 1000),
+    ipAddress
+  });
+
+  return rawToken;
+};
+
+passwordResetTokenSchema.statics.hashToken = function (token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+passwordResetTokenSchema.index({ user: 1 });
+
+// Index for automatic deletion of expired tokens
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const PasswordResetToken = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
+
+export default PasswordResetToken;
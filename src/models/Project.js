@@ -16,9 +16,9 @@ const projectSchema = new mongoose.Schema(
       maxlength: [1000, 'Description cannot exceed 1000 characters']
     },
     department: {
-      type: String,
-      required: [true, 'Department is required'],
-      trim: true
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Department',
+      required: [true, 'Department is required']
     },
     assignedLead: {
       type: mongoose.Schema.Types.ObjectId,
@@ -25,6 +25,41 @@ const refreshTokenSchema = new mongoose.Schema(
       type: Boolean,
       default: false
     },
+    // All tokens issued from one login share a family; rotation keeps the family
+    family: {
+      type: String,
+      index: true
+    },
+    replacedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RefreshToken',
+      default: null
+    },
+    revokedAt: {
+      type: Date
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        'logout',
+        'logout_all',
+        'rotated',
+        'reuse_detected',
+        'password_reset',
+        'password_changed',
+        'email_changed',
+        'account_disabled',
+        'account_deleted',
+        'access_revoked'
+      ]
+    },
+    // Carried over on rotation so a session keeps its original login time
+    sessionStartedAt: {
+      type: Date
+    },
+    lastUsedAt: {
+      type: Date
+    },
     ipAddress: String,
     userAgent: String
   },
@@ -33,6 +68,29 @@ const refreshTokenSchema = new mongoose.Schema(
   }
 );
 
+// Revoke every active token in a rotation family
+refreshTokenSchema.statics.revokeFamily = async function (family, reason) {
+  // Tokens issued before rotation existed have no family
+  if (!family) {
+    return null;
+  }
+
+  return this.updateMany(
+    { family, isRevoked: false },
+    { isRevoked: true, revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Revoke every active token for a user or admin
+refreshTokenSchema.statics.revokeAllForUser = function (userId, userModel, reason) {
+  return this.updateMany(
+    { userId, userModel, isRevoked: false },
+    { isRevoked: true, revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+refreshTokenSchema.index({ userId: 1, userModel: 1, isRevoked: 1 });
+
 // Index for automatic deletion of expired tokens
 refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+import { isValidPermission } from '../constants/permissions.js';
+
+// Maps a role name (as stored on User.role / Admin.role) to the
+// permissions it grants. New roles need no code changes.
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Role name is required'],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      immutable: true,
+      match: [/^[a-z][a-z0-9_-]{1,29}$/, 'Role name may only contain letters, numbers, _ and -']
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Description cannot exceed 200 characters']
+    },
+    permissions: {
+      type: [String],
+      default: [],
+      validate: {
+        validator: (permissions) => permissions.every(isValidPermission),
+        message: 'Unknown permission in list'
+      }
+    },
+    // Whether the role may be chosen at self-registration
+    allowSelfRegistration: {
+      type: Boolean,
+      default: false
+    },
+    // Built-in roles can't be deleted
+    isSystem: {
+      type: Boolean,
+      default: false
+    },
+    // Default permissions already granted by seeding, so a default an
+    // admin removed isn't granted again on the next start
+    seededPermissions: {
+      type: [String],
+      default: []
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+const Role = mongoose.model('Role', roleSchema);
+
+export default Role;
@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+// Runtime settings that admins can change without a redeploy
+const settingSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Get a setting value, or the default if it has never been set
+settingSchema.statics.getValue = async function (key, defaultValue = null) {
+  const setting = await this.findOne({ key });
+  return setting ? setting.value : defaultValue;
+};
+
+settingSchema.statics.setValue = async function (key, value, updatedBy) {
+  return this.findOneAndUpdate(
+    { key },
+    { value, updatedBy },
+    { new: true, upsert: true }
+  );
+};
+
+const Setting = mongoose.model('Setting', settingSchema);
+
+export default Setting;
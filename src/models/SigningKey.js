@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+// Asymmetric key pair used to sign access and refresh tokens. The newest
+// key that has activated signs; every unexpired key can verify.
+const signingKeySchema = new mongoose.Schema(
+  {
+    kid: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    algorithm: {
+      type: String,
+      required: true,
+      enum: ['ES256', 'RS256']
+    },
+    // Public JWK, published as-is in the JWKS
+    publicKey: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+    // PKCS#8 PEM
+    privateKey: {
+      type: String,
+      required: true,
+      select: false
+    },
+    // Published before it signs so every instance knows it in time
+    activatesAt: {
+      type: Date,
+      required: true
+    },
+    retiredAt: {
+      type: Date,
+      default: null
+    },
+    // Dropped from the JWKS (and deleted) once tokens it signed have expired
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+    // kid of the key this one took over from ('initial' for the first);
+    // unique, so concurrent rotations can't both succeed
+    replaces: {
+      type: String
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+signingKeySchema.index({ activatesAt: -1 });
+// Keys from before rotations were recorded have no `replaces`
+signingKeySchema.index(
+  { replaces: 1 },
+  { unique: true, partialFilterExpression: { replaces: { $type: 'string' } } }
+);
+
+// Index for automatic deletion of expired keys
+signingKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const SigningKey = mongoose.model('SigningKey', signingKeySchema);
+
+export default SigningKey;
@@ -27,17 +27,50 @@ const userSchema = new mongoose.Schema(
       minlength: [6, 'Password must be at least 6 characters'],
       select: false
     },
+    // Set for accounts created with a temporary password (CSV import);
+    // cleared when the user chooses their own. Until then `protect` only
+    // lets them change it.
+    passwordChangeRequired: {
+      type: Boolean,
+      default: false
+    },
+    // Hashes of previous passwords, newest first (see passwordPolicyService)
+    passwordHistory: {
+      type: [String],
+      select: false
+    },
+    // Name of a Role document; checked against the Role collection by
+    // the controllers that assign it
     role: {
       type: String,
-      enum: ['user', 'lead'],
       default: 'user',
-      required: true
+      required: true,
+      lowercase: true,
+      trim: true
     },
     phone: {
       type: String,
       trim: true,
       match: [/^[0-9]{10,15}$/, 'Please provide a valid phone number']
     },
+    // Set once the user follows the link emailed to this address
+    emailVerified: {
+      type: Boolean,
+      default: false
+    },
+    emailVerifiedAt: {
+      type: Date
+    },
+    // New address waiting for confirmation; `email` changes once it is confirmed
+    pendingEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      match: [
+        /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+        'Please provide a valid email'
+      ]
+    },
     // NEW: Approval Status
     approved: {
       type: Boolean,
@@ -60,11 +93,119 @@ const userSchema = new mongoose.Schema(
       default: true
     },
     department: {
-      type: String,
-      trim: true
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Department'
+    },
+    // Who the user reports to; managers see their direct reports' updates and stats
+    manager: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    // Hours a week available for project work; null means a full working
+    // week (WORKDAY_HOURS x 5)
+    weeklyCapacity: {
+      type: Number,
+      default: null,
+      min: [0, 'Weekly capacity cannot be negative'],
+      max: [80, 'Weekly capacity cannot exceed 80 hours']
+    },
+    // Skill names compare case-insensitively; level 1 (beginner) to 5 (expert)
+    skills: [{
+      _id: false,
+      name: {
+        type: String,
+        required: [true, 'Skill name is required'],
+        trim: true,
+        maxlength: [40, 'Skill name cannot exceed 40 characters']
+      },
+      level: {
+        type: Number,
+        required: [true, 'Skill level is required'],
+        min: [1, 'Skill level must be between 1 and 5'],
+        max: [5, 'Skill level must be between 1 and 5']
+      }
+    }],
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      secret: {
+        type: String,
+        select: false
+      },
+      // Secret generated by setup, moved to `secret` once a code is verified
+      pendingSecret: {
+        type: String,
+        select: false
+      },
+      // SHA-256 hashes of unused recovery codes
+      recoveryCodes: {
+        type: [String],
+        select: false
+      },
+      lastUsedStep: {
+        type: Number,
+        select: false
+      },
+      enabledAt: {
+        type: Date
+      }
+    },
+    // Identity provider account linked through OIDC single sign-on
+    sso: {
+      issuer: {
+        type: String
+      },
+      subject: {
+        type: String
+      },
+      linkedAt: {
+        type: Date
+      }
+    },
+    // Bumped to invalidate every outstanding access/refresh token
+    tokenVersion: {
+      type: Number,
+      default: 0
     },
     lastLogin: {
       type: Date
+    },
+    // Set when the account's personal data was erased (anonymized)
+    erasedAt: {
+      type: Date
+    },
+    // Soft delete: the account is restorable until purged (see userDeletionService)
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    // Set when the restore period ended and the account was anonymized
+    purgedAt: {
+      type: Date
+    },
+    // What a restore puts back
+    restoreState: {
+      isActive: Boolean,
+      projects: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Project'
+      }],
+      modules: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Module'
+      }],
+      // Departments the user headed
+      departments: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Department'
+      }]
     }
   },
   {
@@ -72,6 +213,10 @@ const userSchema = new mongoose.Schema(
   }
 );
 
+userSchema.index({ 'sso.issuer': 1, 'sso.subject': 1 }, { sparse: true });
+userSchema.index({ deletedAt: 1 });
+userSchema.index({ manager: 1 });
+
 // Hash password before saving
 userSchema.pre('save', async function (next) {
   if (!this.isModified('password')) {
@@ -88,10 +233,14 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Remove password from JSON response
+// Remove secrets from JSON response
 userSchema.methods.toJSON = function () {
   const obj = this.toObject();
   delete obj.password;
+  delete obj.passwordHistory;
+  if (obj.twoFactor) {
+    obj.twoFactor = { enabled: obj.twoFactor.enabled, enabledAt: obj.twoFactor.enabledAt };
+  }
   return obj;
 };
 
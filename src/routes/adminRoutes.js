@@ -2,18 +2,126 @@ import express from 'express';
 import {
   getDashboardStats,
   getUsersByDepartment,
-  bulkUpdateRoles
+  bulkUpdateRoles,
+  importUsers,
+  getAdmins,
+  createAdmin,
+  inviteAdmin,
+  toggleAdminStatus,
+  deleteAdmin,
+  getUserSessions,
+  revokeUserSession,
+  revokeAllUserSessions,
+  getTwoFactorSettings,
+  updateTwoFactorSettings,
+  getRegistrationSettings,
+  updateRegistrationSettings,
+  getPasswordPolicySettings,
+  updatePasswordPolicySettings,
+  resetUserTwoFactor,
+  getLockedAccounts,
+  unlockAccount
 } from '../controllers/adminController.js';
-import { protect, authorize } from '../middleware/auth.js';
+import {
+  getPermissions,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole
+} from '../controllers/roleController.js';
+import {
+  startImpersonation,
+  getImpersonations,
+  getImpersonationRequests
+} from '../controllers/impersonationController.js';
+import {
+  getSigningKeys,
+  rotateSigningKeys
+} from '../controllers/signingKeyController.js';
+import {
+  getAuditLogs,
+  exportAuditLogs
+} from '../controllers/auditLogController.js';
+import {
+  getDepartments,
+  getDepartment,
+  createDepartment,
+  updateDepartment,
+  deleteDepartment
+} from '../controllers/departmentController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
-// All routes are protected and admin only
+// All routes are protected
 router.use(protect);
-router.use(authorize('admin'));
 
-router.get('/stats', getDashboardStats);
-router.get('/users-by-department', getUsersByDepartment);
-router.patch('/bulk-update-roles', bulkUpdateRoles);
+router.get('/stats', requirePermission('admin:dashboard'), getDashboardStats);
+router.get('/users-by-department', requirePermission('admin:dashboard'), getUsersByDepartment);
+router.patch('/bulk-update-roles', requirePermission('user:changeRole'), bulkUpdateRoles);
+
+// CSV user import (raw text/csv body or JSON { csv })
+router.post(
+  '/users/import',
+  requirePermission('user:import'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }),
+  importUsers
+);
+
+// Admin account management
+router.get('/admins', requirePermission('admin:manage'), getAdmins);
+router.post('/admins', requirePermission('admin:manage'), createAdmin);
+router.post('/admins/invite', requirePermission('admin:manage'), inviteAdmin);
+router.patch('/admins/:id/toggle-status', requirePermission('admin:manage'), toggleAdminStatus);
+router.delete('/admins/:id', requirePermission('admin:manage'), deleteAdmin);
+router.get('/admins/:adminId/sessions', requirePermission('admin:manage'), getUserSessions);
+router.delete('/admins/:adminId/sessions', requirePermission('admin:manage'), revokeAllUserSessions);
+router.delete('/admins/:adminId/sessions/:id', requirePermission('admin:manage'), revokeUserSession);
+router.delete('/admins/:adminId/two-factor', requirePermission('admin:manage'), resetUserTwoFactor);
+
+// User session management
+router.get('/users/:userId/sessions', requirePermission('user:manageSecurity'), getUserSessions);
+router.delete('/users/:userId/sessions', requirePermission('user:manageSecurity'), revokeAllUserSessions);
+router.delete('/users/:userId/sessions/:id', requirePermission('user:manageSecurity'), revokeUserSession);
+router.delete('/users/:userId/two-factor', requirePermission('user:manageSecurity'), resetUserTwoFactor);
+
+// Impersonation ("log in as user") and its audit trail
+router.post('/impersonate/:userId', requirePermission('user:impersonate'), startImpersonation);
+router.get('/impersonations', requirePermission('user:impersonate'), getImpersonations);
+router.get('/impersonations/:id/requests', requirePermission('user:impersonate'), getImpersonationRequests);
+
+// Login lockouts
+router.get('/locked-accounts', requirePermission('user:manageSecurity'), getLockedAccounts);
+router.delete('/locked-accounts/:id', requirePermission('user:manageSecurity'), unlockAccount);
+
+// Security settings
+router.get('/settings/two-factor', requirePermission('settings:manage'), getTwoFactorSettings);
+router.put('/settings/two-factor', requirePermission('settings:manage'), updateTwoFactorSettings);
+router.get('/settings/registration', requirePermission('settings:manage'), getRegistrationSettings);
+router.put('/settings/registration', requirePermission('settings:manage'), updateRegistrationSettings);
+router.get('/settings/password-policy', requirePermission('settings:manage'), getPasswordPolicySettings);
+router.put('/settings/password-policy', requirePermission('settings:manage'), updatePasswordPolicySettings);
+
+// Token signing keys
+router.get('/signing-keys', requirePermission('settings:manage'), getSigningKeys);
+router.post('/signing-keys/rotate', requirePermission('settings:manage'), rotateSigningKeys);
+
+// Roles and permissions
+router.get('/permissions', requirePermission('role:manage'), getPermissions);
+router.get('/roles', requirePermission('role:manage'), getRoles);
+router.post('/roles', requirePermission('role:manage'), createRole);
+router.put('/roles/:id', requirePermission('role:manage'), updateRole);
+router.delete('/roles/:id', requirePermission('role:manage'), deleteRole);
+
+// Departments
+router.get('/departments', requirePermission('department:read'), getDepartments);
+router.get('/departments/:id', requirePermission('department:read'), getDepartment);
+router.post('/departments', requirePermission('department:manage'), createDepartment);
+router.put('/departments/:id', requirePermission('department:manage'), updateDepartment);
+router.delete('/departments/:id', requirePermission('department:manage'), deleteDepartment);
+
+// Audit log (read-only; entries can't be changed or deleted)
+router.get('/audit-logs', requirePermission('audit:read'), getAuditLogs);
+router.get('/audit-logs/export', requirePermission('audit:read'), exportAuditLogs);
 
 export default router;
\ No newline at end of file
@@ -1,28 +1,76 @@
 import express from 'express';
 import {
   adminLogin,
+  acceptAdminInvite,
+  acceptInvite,
   register,
   login,
   refreshAccessToken,
   logout,
   logoutAll,
   getMe,
-  updateFCMToken
+  updateFCMToken,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  getSessions,
+  deleteSession,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  startOidcLogin,
+  completeOidcLogin
 } from '../controllers/authController.js';
-import { protect } from '../middleware/auth.js';
+import {
+  getApiTokenScopes,
+  createApiToken,
+  getApiTokens,
+  revokeApiToken
+} from '../controllers/apiTokenController.js';
+import { endImpersonation } from '../controllers/impersonationController.js';
+import { protect, protectTwoFactorSetup, sessionOnly } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // Public routes
 router.post('/admin/login', adminLogin);
+router.post('/admin/accept-invite', acceptAdminInvite);
 router.post('/register', register);
+router.post('/accept-invite', acceptInvite);
 router.post('/login', login);
 router.post('/refresh', refreshAccessToken);
 router.post('/logout', logout);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+router.post('/verify-email', verifyEmail);
+router.post('/verify-email/resend', resendVerificationEmail);
+router.post('/2fa/verify', verifyTwoFactorLogin);
+router.get('/oidc/authorize', startOidcLogin);
+router.post('/oidc/callback', completeOidcLogin);
+
+// 2FA enrollment (also reachable with a setup challenge when 2FA is enforced)
+router.post('/2fa/setup', protectTwoFactorSetup, sessionOnly, setupTwoFactor);
+router.post('/2fa/enable', protectTwoFactorSetup, sessionOnly, enableTwoFactor);
 
 // Protected routes
 router.get('/me', protect, getMe);
-router.post('/logout-all', protect, logoutAll);
-router.patch('/fcm-token', protect, updateFCMToken);
+router.post('/impersonation/end', protect, endImpersonation);
+
+// Account security routes cannot be reached with an API token
+router.post('/logout-all', protect, sessionOnly, logoutAll);
+router.patch('/fcm-token', protect, sessionOnly, updateFCMToken);
+router.get('/sessions', protect, sessionOnly, getSessions);
+router.delete('/sessions/:id', protect, sessionOnly, deleteSession);
+router.post('/2fa/disable', protect, sessionOnly, disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, sessionOnly, regenerateRecoveryCodes);
+
+// Personal API tokens
+router.get('/tokens/scopes', protect, sessionOnly, getApiTokenScopes);
+router.get('/tokens', protect, sessionOnly, getApiTokens);
+router.post('/tokens', protect, sessionOnly, createApiToken);
+router.delete('/tokens/:id', protect, sessionOnly, revokeApiToken);
 
 export default router;
\ No newline at end of file
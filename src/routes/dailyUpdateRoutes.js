@@ -3,23 +3,29 @@ import {
   createDailyUpdate,
   getDailyUpdatesByProject,
   getMyDailyUpdates,
+  getUserDailyUpdates,
   updateDailyUpdate,
-  getTeamDailySummary
+  getTeamDailySummary,
+  remindMissingUpdates
 } from '../controllers/dailyUpdateController.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // All routes are protected
 router.use(protect);
 
-// User routes
-router.post('/', authorize('user'), createDailyUpdate);
-router.get('/my-updates', authorize('user', 'lead'), getMyDailyUpdates);
-router.put('/:id', authorize('user'), updateDailyUpdate);
+// Own updates
+router.post('/', requirePermission('dailyUpdate:create'), createDailyUpdate);
+router.get('/my-updates', requirePermission('dailyUpdate:read'), getMyDailyUpdates);
+router.put('/:id', requirePermission('dailyUpdate:update'), updateDailyUpdate);
 
-// Lead and Admin routes
-router.get('/project/:projectId', authorize('admin', 'lead'), getDailyUpdatesByProject);
-router.get('/team-summary/:projectId', authorize('lead'), getTeamDailySummary);
+// A user's updates (managers see their direct reports')
+router.get('/user/:userId', requirePermission('dailyUpdate:read'), getUserDailyUpdates);
+
+// Reviewing project updates
+router.get('/project/:projectId', requirePermission('dailyUpdate:review'), getDailyUpdatesByProject);
+router.get('/team-summary/:projectId', requirePermission('dailyUpdate:teamSummary'), getTeamDailySummary);
+router.post('/team-summary/:projectId/remind', requirePermission('dailyUpdate:teamSummary'), remindMissingUpdates);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+  resendInvitation
+} from '../controllers/invitationController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+router.post('/', requirePermission('invitation:create'), createInvitation);
+router.get('/', requirePermission('invitation:read'), getInvitations);
+router.patch('/:id/revoke', requirePermission('invitation:revoke'), revokeInvitation);
+router.post('/:id/resend', requirePermission('invitation:revoke'), resendInvitation);
+
+export default router;
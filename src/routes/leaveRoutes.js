@@ -0,0 +1,29 @@
+import express from 'express';
+import {
+  requestLeave,
+  getMyLeave,
+  getPendingLeave,
+  reviewLeave,
+  cancelLeave,
+  getLeaveCalendar
+} from '../controllers/leaveController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// Own leave
+router.post('/', requirePermission('leave:request'), requestLeave);
+router.get('/me', requirePermission('leave:request'), getMyLeave);
+router.patch('/:id/cancel', requirePermission('leave:request'), cancelLeave);
+
+// Approving leave (leads for their project members and reports, admins for everyone)
+router.get('/pending', requirePermission('leave:review'), getPendingLeave);
+router.patch('/:id/review', requirePermission('leave:review'), reviewLeave);
+
+// Who is away when
+router.get('/calendar', requirePermission('leave:calendar'), getLeaveCalendar);
+
+export default router;
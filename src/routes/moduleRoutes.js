@@ -5,27 +5,31 @@ import {
   getModule,
   updateModule,
   deleteModule,
-  updateModuleProgress
+  updateModuleProgress,
+  getAssigneeSuggestions
 } from '../controllers/moduleController.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // All routes are protected
 router.use(protect);
 
-// Create module for a project (Lead only)
-router.post('/projects/:projectId/modules', authorize('lead'), createModule);
+// Create module for a project
+router.post('/projects/:projectId/modules', requirePermission('module:create'), createModule);
 
-// Get all modules for a project (Admin & Lead)
-router.get('/projects/:projectId/modules', authorize('admin', 'lead','user'), getModulesByProject);
+// Get all modules for a project
+router.get('/projects/:projectId/modules', requirePermission('module:read'), getModulesByProject);
 
 // Get, Update, Delete single module
-router.get('/:id', authorize('admin', 'lead','user'), getModule);
-router.put('/:id', authorize('lead','user'), updateModule);
-router.delete('/:id', authorize('lead'), deleteModule);
+router.get('/:id', requirePermission('module:read'), getModule);
+router.put('/:id', requirePermission('module:update'), updateModule);
+router.delete('/:id', requirePermission('module:delete'), deleteModule);
 
-// Update module progress (Lead only)
-router.patch('/:id/progress', authorize('lead','user'), updateModuleProgress);
+// Rank users to assign to a module
+router.get('/:id/suggestions', requirePermission('project:assignUsers'), getAssigneeSuggestions);
+
+// Update module progress
+router.patch('/:id/progress', requirePermission('module:updateProgress'), updateModuleProgress);
 
 export default router;
\ No newline at end of file
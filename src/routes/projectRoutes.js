@@ -10,30 +10,30 @@ import {
   getAvailableUsers,
   getAvailableLeads
 } from '../controllers/projectController.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // All routes are protected
 router.use(protect);
 
-// Admin and Lead can view projects
-router.get('/', authorize('admin', 'lead','user'), getAllProjects);
+// View projects (scoped grants only see their own projects)
+router.get('/', requirePermission('project:read'), getAllProjects);
 
-// Admin only - Create, Update, Delete projects
-router.post('/', authorize('admin'), createProject);
-router.get('/available-leads/:department', authorize('admin'), getAvailableLeads);
+// Create projects
+router.post('/', requirePermission('project:create'), createProject);
+router.get('/available-leads/:department', requirePermission('project:assignLead'), getAvailableLeads);
 
-// Admin and Lead can view single project
-router.get('/:id', authorize('admin', 'lead','user'), getProject);
+// View single project
+router.get('/:id', requirePermission('project:read'), getProject);
 
-// Admin only - Update and Delete
-router.put('/:id', authorize('admin'), updateProject);
-router.delete('/:id', authorize('admin'), deleteProject);
+// Update and Delete
+router.put('/:id', requirePermission('project:update'), updateProject);
+router.delete('/:id', requirePermission('project:delete'), deleteProject);
 
-// Lead only - Assign/Remove users
-router.patch('/:id/assign-users', authorize('lead'), assignUsersToProject);
-router.patch('/:id/remove-user/:userId', authorize('lead'), removeUserFromProject);
-router.get('/:id/available-users', authorize('lead'), getAvailableUsers);
+// Assign/Remove users
+router.patch('/:id/assign-users', requirePermission('project:assignUsers'), assignUsersToProject);
+router.patch('/:id/remove-user/:userId', requirePermission('project:assignUsers'), removeUserFromProject);
+router.get('/:id/available-users', requirePermission('project:assignUsers'), getAvailableUsers);
 
 export default router;
\ No newline at end of file
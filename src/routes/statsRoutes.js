@@ -6,28 +6,32 @@ import {
   getUserStats,
   getTeamStats,
   getProjectStats,
-  getSystemStats
+  getSystemStats,
+  getWorkload
 } from '../controllers/statsController.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // All routes are protected
 router.use(protect);
 
-// Public stats (all authenticated users)
-router.get('/my-stats', getMyStats);
-router.get('/leaderboard', getLeaderboard);
-router.get('/department-leaderboard', getDepartmentLeaderboard);
+// Personal stats and leaderboards
+router.get('/my-stats', requirePermission('stats:viewOwn'), getMyStats);
+router.get('/leaderboard', requirePermission('stats:leaderboard'), getLeaderboard);
+router.get('/department-leaderboard', requirePermission('stats:leaderboard'), getDepartmentLeaderboard);
 
-// Lead routes
-router.get('/team-stats', authorize('lead'), getTeamStats);
+// Stats for led projects
+router.get('/team-stats', requirePermission('stats:viewTeam'), getTeamStats);
 
-// Admin and Lead routes
-router.get('/user/:userId', authorize('admin', 'lead'), getUserStats);
-router.get('/project/:projectId', authorize('admin', 'lead'), getProjectStats);
+// Capacity and over-allocation
+router.get('/workload', requirePermission('workload:read'), getWorkload);
 
-// Admin only routes
-router.get('/system-stats', authorize('admin'), getSystemStats);
+// User and project stats
+router.get('/user/:userId', requirePermission('stats:viewUser'), getUserStats);
+router.get('/project/:projectId', requirePermission('stats:viewProject'), getProjectStats);
+
+// System-wide stats
+router.get('/system-stats', requirePermission('stats:viewSystem'), getSystemStats);
 
 export default router;
\ No newline at end of file
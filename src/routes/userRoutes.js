@@ -7,27 +7,62 @@ import {
   getUser,
   updateUser,
   deleteUser,
-  toggleUserStatus
+  toggleUserStatus,
+  changePassword,
+  bulkUpdateUsers,
+  BULK_USER_ACTIONS,
+  exportMyData,
+  exportUserData,
+  eraseUserData,
+  restoreUser,
+  getOrgChart,
+  getMyReports,
+  setManager
 } from '../controllers/userController.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, requirePermission, sessionOnly } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// A bulk action needs the permission of its single-user route; unknown
+// actions are rejected by the controller
+const bulkPermissions = Object.fromEntries(
+  Object.entries(BULK_USER_ACTIONS).map(([action, permission]) => [action, requirePermission(permission)])
+);
+const requireBulkPermission = (req, res, next) => {
+  const check = bulkPermissions[req.body?.action];
+  return check ? check(req, res, next) : next();
+};
+
 // All routes are protected
 router.use(protect);
 
-// Routes accessible by admin and lead
-router.get('/', authorize('admin', 'lead'), getAllUsers);
-router.get('/pending-approval', authorize('admin', 'lead'), getPendingApprovalUsers);
+// User directory
+router.get('/', requirePermission('user:list'), getAllUsers);
+router.get('/pending-approval', requirePermission('user:list'), getPendingApprovalUsers);
+router.get('/org-chart', requirePermission('user:orgChart'), getOrgChart);
+
+// Own account (before /:id so "me" isn't taken as an id)
+router.patch('/me/password', sessionOnly, changePassword);
+router.get('/me/export', sessionOnly, exportMyData);
+router.get('/me/reports', requirePermission('user:read'), getMyReports);
+
+// Bulk approve / reject / deactivate
+router.patch('/bulk', requireBulkPermission, bulkUpdateUsers);
+
+// Profiles (scoped grants only reach the user's own profile)
+router.get('/:id', requirePermission('user:read'), getUser);
+router.put('/:id', requirePermission('user:update'), updateUser);
 
-// Routes accessible by all authenticated users
-router.get('/:id', getUser);
-router.put('/:id', updateUser);
+// Account management
+router.patch('/:id/approve', requirePermission('user:approve'), approveUser);
+router.patch('/:id/reject', requirePermission('user:approve'), rejectUser);
+router.delete('/:id', requirePermission('user:delete'), deleteUser);
+router.patch('/:id/restore', requirePermission('user:delete'), restoreUser);
+router.patch('/:id/toggle-status', requirePermission('user:deactivate'), toggleUserStatus);
+router.patch('/:id/manager', requirePermission('user:assignManager'), setManager);
 
-// Admin only routes
-router.patch('/:id/approve', authorize('admin'), approveUser);
-router.patch('/:id/reject', authorize('admin'), rejectUser);
-router.delete('/:id', authorize('admin'), deleteUser);
-router.patch('/:id/toggle-status', authorize('admin'), toggleUserStatus);
+// Personal data
+router.get('/:id/export', requirePermission('user:exportData'), exportUserData);
+router.post('/:id/erase', requirePermission('user:erase'), eraseUserData);
 
 export default router;
\ No newline at end of file
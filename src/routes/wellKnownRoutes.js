@@ -0,0 +1,8 @@
+import express from 'express';
+import { getJwksDocument } from '../controllers/signingKeyController.js';
+
+const router = express.Router();
+
+router.get('/jwks.json', getJwksDocument);
+
+export default router;
@@ -0,0 +1,52 @@
+import Admin from '../models/Admin.js';
+import config from '../config/env.js';
+
+/**
+ * Create the first admin account from ADMIN_EMAIL / ADMIN_PASSWORD.
+ * Runs only while the Admin collection is empty, so once real admin
+ * accounts exist the env credentials are ignored.
+ */
+export const bootstrapAdmin = async () => {
+  try {
+    const adminCount = await Admin.countDocuments();
+
+    if (adminCount > 0) {
+      await rehashLegacyAdminPasswords();
+      return null;
+    }
+
+    if (!config.admin.email || !config.admin.password) {
+      console.warn('⚠️ No admin accounts exist and ADMIN_EMAIL/ADMIN_PASSWORD are not set');
+      return null;
+    }
+
+    const admin = await Admin.create({
+      name: 'Administrator',
+      email: config.admin.email,
+      password: config.admin.password
+    });
+
+    console.log(`✅ Bootstrap admin created: ${admin.email}`);
+    return admin;
+  } catch (error) {
+    console.error('❌ Error bootstrapping admin:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Older versions stored the env admin password in plaintext.
+ * Hash any such password so it works with bcrypt comparison.
+ */
+const rehashLegacyAdminPasswords = async () => {
+  const admins = await Admin.find({
+    password: { $exists: true, $not: /^\$2[aby]\$/ }
+  }).select('+password');
+
+  for (const admin of admins) {
+    // Marking the field modified makes the pre-save hook hash it
+    admin.markModified('password');
+    await admin.save();
+    console.log(`✅ Rehashed legacy password for admin: ${admin.email}`);
+  }
+};
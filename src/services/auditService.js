@@ -0,0 +1,91 @@
+import AuditLog from '../models/AuditLog.js';
+
+// Dates -> ISO strings, ObjectIds -> strings, so diffs compare and export cleanly
+const toPlain = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Copy the given fields of a document for a before/after diff
+ */
+export const snapshot = (doc, fields) =>
+  toPlain(Object.fromEntries(fields.map(field => [field, doc?.[field] ?? null])));
+
+/**
+ * Fields that differ between two snapshots, as { before, after }
+ */
+export const diffChanges = (before, after) => {
+  const previous = toPlain(before) || {};
+  const next = toPlain(after) || {};
+  const changes = { before: {}, after: {} };
+
+  for (const key of new Set([...Object.keys(previous), ...Object.keys(next)])) {
+    if (!isEqual(previous[key], next[key])) {
+      changes.before[key] = previous[key] ?? null;
+      changes.after[key] = next[key] ?? null;
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Append an audit entry for an action taken in `req`. Failures are
+ * logged rather than thrown so the action itself is not undone.
+ */
+export const recordAudit = async (req, { action, targetType, targetId, before, after, metadata }) => {
+  try {
+    const actor = req.user;
+
+    await AuditLog.create({
+      actor: actor && {
+        id: actor._id,
+        model: actor.role === 'admin' ? 'Admin' : 'User',
+        email: actor.email,
+        role: actor.role
+      },
+      impersonator: req.impersonator && {
+        id: req.impersonator._id,
+        email: req.impersonator.email
+      },
+      action,
+      targetType,
+      targetId: targetId?.toString(),
+      changes: before || after ? diffChanges(before, after) : undefined,
+      metadata: toPlain(metadata),
+      ipAddress: req.ip,
+      userAgent: req.headers?.['user-agent'],
+      requestId: req.id
+    });
+  } catch (error) {
+    console.error(`❌ Error writing audit log for ${action}:`, error.message);
+  }
+};
+
+/**
+ * Build a find() filter from audit log query parameters.
+ * Returns { filter } or { error } with a message.
+ */
+export const buildAuditFilter = ({ actor, targetType, targetId, action, from, to }) => {
+  const filter = {};
+
+  if (actor) filter['actor.id'] = actor;
+  if (targetType) filter.targetType = targetType;
+  if (targetId) filter.targetId = targetId;
+  if (action) {
+    const actions = `${action}`.split(',').map(name => name.trim()).filter(Boolean);
+    filter.action = actions.length === 1 ? actions[0] : { $in: actions };
+  }
+
+  for (const [name, value, operator] of [['from', from, '$gte'], ['to', to, '$lte']]) {
+    if (!value) continue;
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      return { error: `${name} must be a valid date` };
+    }
+    filter.createdAt = { ...filter.createdAt, [operator]: date };
+  }
+
+  return { filter };
+};
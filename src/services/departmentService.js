@@ -0,0 +1,199 @@
+import mongoose from 'mongoose';
+import Department, { NAME_COLLATION } from '../models/Department.js';
+import User from '../models/user.js';
+import Project from '../models/Project.js';
+import Invitation from '../models/Invitation.js';
+import { buildTree } from '../utils/tree.js';
+
+// Models whose `department` used to be free text
+const DEPARTMENT_REFERENCES = [User, Project, Invitation];
+
+const MAX_NAME_LENGTH = 60;
+
+const departmentError = (message, status = 400, code = 'INVALID_DEPARTMENT') => ({
+  status,
+  body: {
+    success: false,
+    message,
+    code
+  }
+});
+
+// 24 hex characters; mongoose.isValidObjectId also accepts any 12-character name
+const isObjectId = (value) =>
+  value instanceof mongoose.Types.ObjectId || /^[a-f\d]{24}$/i.test(`${value}`);
+
+/**
+ * Trim and collapse whitespace, e.g. " Human  Resources " -> "Human Resources"
+ */
+export const normalizeDepartmentName = (value) => `${value ?? ''}`.trim().replace(/\s+/g, ' ');
+
+/**
+ * Find a department by id, code or name; names and codes match case-insensitively
+ */
+export const findDepartment = async (value) => {
+  if (isObjectId(value)) {
+    return Department.findById(value);
+  }
+
+  const name = normalizeDepartmentName(value);
+  if (!name) {
+    return null;
+  }
+
+  return Department.findOne({ $or: [{ code: name.toUpperCase() }, { name }] })
+    .collation(NAME_COLLATION);
+};
+
+/**
+ * Resolve a department given by id, code or name. Only active departments
+ * can be assigned; filters pass { activeOnly: false }. Returns
+ * { department } (null when no value was given) or { error } with the
+ * response to send.
+ */
+export const resolveDepartment = async (value, { activeOnly = true } = {}) => {
+  if (value === undefined || value === null || normalizeDepartmentName(value) === '') {
+    return { department: null };
+  }
+
+  const department = await findDepartment(value);
+
+  if (!department) {
+    return { error: departmentError(`Unknown department '${value}'`) };
+  }
+
+  if (activeOnly && !department.isActive) {
+    return { error: departmentError(`Department '${department.name}' is no longer active`) };
+  }
+
+  return { department };
+};
+
+/**
+ * Returns { error } unless the user can head a department: an approved,
+ * active account that hasn't been deleted
+ */
+export const checkDepartmentHead = async (userId) => {
+  const head = isObjectId(userId) && await User.findOne({
+    _id: userId,
+    approved: true,
+    isActive: true,
+    deletedAt: null
+  }).select('_id');
+
+  if (!head) {
+    return { error: departmentError('Department head must be an approved, active user') };
+  }
+
+  return {};
+};
+
+/**
+ * Returns { error } when `parentId` can't be the parent of `departmentId`:
+ * it doesn't exist, or the department is the parent or one of its ancestors
+ */
+export const checkParent = async (departmentId, parentId) => {
+  if (!isObjectId(parentId)) {
+    return { error: departmentError('Parent department not found') };
+  }
+
+  let current = await Department.findById(parentId).select('parent');
+  if (!current) {
+    return { error: departmentError('Parent department not found') };
+  }
+
+  const seen = new Set();
+  while (current) {
+    const id = current._id.toString();
+    if (id === departmentId?.toString() || seen.has(id)) {
+      return { error: departmentError('A department cannot be nested under itself or one of its subdepartments') };
+    }
+    seen.add(id);
+    current = current.parent && await Department.findById(current.parent).select('parent');
+  }
+
+  return {};
+};
+
+/**
+ * Users, projects and subdepartments still pointing at a department
+ */
+export const getDepartmentUsage = async (departmentId) => {
+  const [users, projects, children] = await Promise.all([
+    User.countDocuments({ department: departmentId }),
+    Project.countDocuments({ department: departmentId }),
+    Department.countDocuments({ parent: departmentId })
+  ]);
+
+  return { users, projects, children };
+};
+
+/**
+ * Nest departments under their parents: [{ ...department, children: [...] }]
+ */
+export const buildDepartmentTree = (departments) => buildTree(departments, 'parent');
+
+// ENGINEERING -> ENGINEERIN, then ENGINEERI2, ENGINEERI3... until unused
+const availableCode = async (name) => {
+  const base = name.toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 10).padEnd(2, 'X');
+
+  let code = base;
+  for (let n = 2; await Department.exists({ code }); n++) {
+    code = `${base.slice(0, 10 - `${n}`.length)}${n}`;
+  }
+  return code;
+};
+
+/**
+ * Replace free-text departments on users, projects and invitations with
+ * references, creating a department for each distinct name. Variants
+ * differing only in case or spacing end up on the same department.
+ * Safe to run repeatedly. Returns how many records changed.
+ */
+export const migrateDepartmentNames = async () => {
+  let migrated = 0;
+
+  for (const Model of DEPARTMENT_REFERENCES) {
+    // The raw collection, since the schema would try to cast the old strings
+    const values = await Model.collection.distinct('department', { department: { $type: 'string' } });
+
+    for (const value of values) {
+      const name = normalizeDepartmentName(value).slice(0, MAX_NAME_LENGTH).trim();
+
+      if (!name) {
+        const result = await Model.collection.updateMany({ department: value }, { $unset: { department: '' } });
+        migrated += result.modifiedCount;
+        continue;
+      }
+
+      let department = await Department.findOne({ name }).collation(NAME_COLLATION);
+      if (!department) {
+        department = await Department.create({ name, code: await availableCode(name) });
+        console.log(`🏢 Created department ${department.name} (${department.code})`);
+      }
+
+      const result = await Model.collection.updateMany(
+        { department: value },
+        { $set: { department: department._id } }
+      );
+      migrated += result.modifiedCount;
+    }
+  }
+
+  if (migrated > 0) {
+    console.log(`🏢 Moved ${migrated} record(s) onto departments`);
+  }
+
+  return migrated;
+};
+
+/**
+ * Migrate leftover free-text departments on startup
+ */
+export const initDepartments = async () => {
+  try {
+    await migrateDepartmentNames();
+  } catch (error) {
+    console.error('❌ Error migrating departments:', error.message);
+  }
+};
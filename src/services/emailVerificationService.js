@@ -0,0 +1,133 @@
+import User from '../models/user.js';
+import EmailVerificationToken from '../models/EmailVerificationToken.js';
+import Setting from '../models/Setting.js';
+import config from '../config/env.js';
+import {
+  sendEmailVerificationEmail,
+  sendEmailChangeConfirmationEmail,
+  sendEmailChangedEmail
+} from './mailService.js';
+import { invalidateTokens } from './sessionService.js';
+
+export const REQUIRE_VERIFIED_EMAIL_KEY = 'registration.requireVerifiedEmail';
+
+const invalidLinkError = {
+  status: 400,
+  body: {
+    success: false,
+    message: 'Verification link is invalid or has expired',
+    code: 'VERIFICATION_INVALID'
+  }
+};
+
+/**
+ * Whether admins must wait for a verified email before approving a user
+ */
+export const isVerifiedEmailRequired = async () => {
+  return (await Setting.getValue(REQUIRE_VERIFIED_EMAIL_KEY, false)) === true;
+};
+
+const buildLink = (token) => `${config.clientUrl}/verify-email?token=${token}`;
+
+/**
+ * Email a link confirming the user's current address
+ */
+export const sendVerificationEmail = async (user, ipAddress) => {
+  const token = await EmailVerificationToken.generate(
+    user._id,
+    user.email,
+    'verify',
+    config.emailVerificationExpireHours,
+    ipAddress
+  );
+
+  await sendEmailVerificationEmail(user.email, user.name, buildLink(token), config.emailVerificationExpireHours);
+};
+
+/**
+ * Start an email change: the new address is kept as `pendingEmail` and only
+ * replaces `email` once confirmed from that inbox
+ */
+export const requestEmailChange = async (user, newEmail, ipAddress) => {
+  user.pendingEmail = newEmail;
+  await user.save();
+
+  const token = await EmailVerificationToken.generate(
+    user._id,
+    newEmail,
+    'change',
+    config.emailVerificationExpireHours,
+    ipAddress
+  );
+
+  await sendEmailChangeConfirmationEmail(newEmail, user.name, buildLink(token), config.emailVerificationExpireHours);
+};
+
+/**
+ * Use a verification or change-of-email link.
+ * Returns { user, purpose } or { error } with the response to send.
+ */
+export const confirmEmailToken = async (rawToken) => {
+  // Claim the token atomically so it can only be used once
+  const token = await EmailVerificationToken.findOneAndUpdate(
+    {
+      tokenHash: EmailVerificationToken.hashToken(rawToken),
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+
+  if (!token) {
+    return { error: invalidLinkError };
+  }
+
+  const user = await User.findById(token.user);
+
+  // A verify link only counts for the address it was sent to
+  if (!user || (token.purpose === 'verify' && user.email !== token.email)) {
+    return { error: invalidLinkError };
+  }
+
+  if (token.purpose === 'change') {
+    if (user.pendingEmail !== token.email) {
+      return { error: invalidLinkError };
+    }
+
+    const taken = await User.findOne({ email: token.email, _id: { $ne: user._id } });
+    if (taken) {
+      return {
+        error: {
+          status: 409,
+          body: {
+            success: false,
+            message: 'This email address is already in use',
+            code: 'EMAIL_TAKEN'
+          }
+        }
+      };
+    }
+
+    const previousEmail = user.email;
+    user.email = token.email;
+    user.pendingEmail = undefined;
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    // Sessions opened before the move shouldn't outlive it
+    await invalidateTokens(user._id, 'User', 'email_changed');
+    await sendEmailChangedEmail(previousEmail, user.name, user.email);
+    console.log(`✅ Email changed from ${previousEmail} to ${user.email}`);
+
+    return { user, purpose: token.purpose };
+  }
+
+  user.emailVerified = true;
+  user.emailVerifiedAt = new Date();
+  await user.save();
+
+  console.log(`✅ Email verified: ${user.email}`);
+  return { user, purpose: token.purpose };
+};
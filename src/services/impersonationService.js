@@ -0,0 +1,50 @@
+import config from '../config/env.js';
+import Impersonation from '../models/Impersonation.js';
+import ImpersonationRequest from '../models/ImpersonationRequest.js';
+
+/**
+ * Open an impersonation session for an admin acting as a user
+ */
+export const startImpersonationSession = async (admin, user, reason, req) => {
+  return Impersonation.create({
+    admin: admin._id,
+    user: user._id,
+    reason,
+    expiresAt: new Date(Date.now() + config.impersonationExpireMinutes * 60 * 1000),
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+};
+
+/**
+ * An impersonation session that hasn't ended or expired, or null
+ */
+export const findActiveImpersonation = async (id) => {
+  return Impersonation.findOne({
+    _id: id,
+    endedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+/**
+ * Record a request made while impersonating once its response is sent
+ */
+export const recordImpersonatedRequest = (req, res) => {
+  const { impersonation } = req;
+
+  res.on('finish', () => {
+    Promise.all([
+      ImpersonationRequest.create({
+        impersonation: impersonation._id,
+        admin: impersonation.admin,
+        user: impersonation.user,
+        method: req.method,
+        path: req.originalUrl,
+        statusCode: res.statusCode,
+        ipAddress: req.ip
+      }),
+      Impersonation.updateOne({ _id: impersonation._id }, { $inc: { requestCount: 1 } })
+    ]).catch(error => console.error('❌ Error recording impersonated request:', error.message));
+  });
+};
@@ -0,0 +1,110 @@
+import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import Invitation from '../models/Invitation.js';
+import Setting from '../models/Setting.js';
+import config from '../config/env.js';
+import { sendInvitationEmail } from './mailService.js';
+
+export const SELF_REGISTRATION_KEY = 'registration.selfRegistrationOpen';
+
+const INVITE_PURPOSE = 'invite';
+
+const STATUS_MESSAGES = {
+  accepted: 'Invitation has already been accepted',
+  expired: 'Invitation has expired',
+  revoked: 'Invitation has been revoked'
+};
+
+const invitationError = (message, code) => ({
+  status: 400,
+  body: {
+    success: false,
+    message,
+    code
+  }
+});
+
+/**
+ * Whether POST /api/auth/register is open (admins can turn it off so
+ * accounts are only created through invitations)
+ */
+export const isSelfRegistrationOpen = async () => {
+  return (await Setting.getValue(SELF_REGISTRATION_KEY, true)) !== false;
+};
+
+/**
+ * Sign a new token for the invitation and restart its expiry.
+ * Earlier tokens stop working; the caller saves the invitation.
+ */
+export const issueInvitationToken = (invitation) => {
+  const expiresInSeconds = config.invitationExpireHours * 60 * 60;
+
+  invitation.tokenId = crypto.randomUUID();
+  invitation.expiresAt = new Date(Date.now() + expiresInSeconds * 1000);
+  invitation.status = 'pending';
+
+  return jwt.sign(
+    { inv: invitation._id.toString(), purpose: INVITE_PURPOSE },
+    config.jwtSecret,
+    { expiresIn: expiresInSeconds, jwtid: invitation.tokenId }
+  );
+};
+
+/**
+ * Resolve an invitation token. Returns { invitation } for a usable
+ * pending invitation, otherwise { error } with the response to send.
+ */
+export const findInvitationByToken = async (token) => {
+  let decoded;
+
+  try {
+    decoded = jwt.verify(token, config.jwtSecret);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return { error: invitationError(STATUS_MESSAGES.expired, 'INVITE_EXPIRED') };
+    }
+    return { error: invitationError('Invitation is invalid', 'INVITE_INVALID') };
+  }
+
+  if (decoded.purpose !== INVITE_PURPOSE) {
+    return { error: invitationError('Invitation is invalid', 'INVITE_INVALID') };
+  }
+
+  const invitation = await Invitation.findById(decoded.inv).select('+tokenId');
+
+  // A resent invitation carries a new token id
+  if (!invitation || invitation.tokenId !== decoded.jti) {
+    return { error: invitationError('Invitation is invalid', 'INVITE_INVALID') };
+  }
+
+  if (invitation.status === 'pending' && invitation.expiresAt <= new Date()) {
+    invitation.status = 'expired';
+    await invitation.save();
+  }
+
+  if (invitation.status !== 'pending') {
+    return {
+      error: invitationError(
+        STATUS_MESSAGES[invitation.status],
+        `INVITE_${invitation.status.toUpperCase()}`
+      )
+    };
+  }
+
+  return { invitation };
+};
+
+/**
+ * Email the invitation link
+ */
+export const sendInvitation = async (invitation, token, inviterName) => {
+  const acceptUrl = `${config.clientUrl}/accept-invite?token=${token}`;
+
+  return sendInvitationEmail(
+    invitation.email,
+    inviterName,
+    acceptUrl,
+    invitation.role,
+    config.invitationExpireHours
+  );
+};
@@ -0,0 +1,229 @@
+import LeaveRequest, { LEAVE_TYPES } from '../models/LeaveRequest.js';
+import Project from '../models/Project.js';
+import config from '../config/env.js';
+import { can } from './permissionService.js';
+
+// Longest stretch a forecast looks ahead before giving up
+const MAX_FORECAST_DAYS = 730;
+
+const leaveError = (message, status = 400, code = 'INVALID_LEAVE') => ({
+  status,
+  body: {
+    success: false,
+    message,
+    code
+  }
+});
+
+const idOf = (value) => (value?._id ?? value)?.toString();
+
+/**
+ * Midnight at the start of the given day (server time)
+ */
+export const startOfDay = (value) => {
+  const date = new Date(value);
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+/**
+ * The same time `days` later (earlier when negative)
+ */
+export const addDays = (date, days) => {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+};
+
+/**
+ * Midnight on the Monday of the given day's week
+ */
+export const startOfWeek = (value) => {
+  const date = startOfDay(value);
+  return addDays(date, -((date.getDay() + 6) % 7));
+};
+
+/**
+ * Monday to Friday
+ */
+export const isWorkingDay = (date) => date.getDay() !== 0 && date.getDay() !== 6;
+
+/**
+ * Working days from `start` to `end`, both inclusive
+ */
+export const countWorkingDays = (start, end) => {
+  let count = 0;
+  for (let day = startOfDay(start); day <= end; day = addDays(day, 1)) {
+    if (isWorkingDay(day)) count++;
+  }
+  return count;
+};
+
+/**
+ * Validate a new leave request against the user's other pending and
+ * approved leave. Returns { leave } with the fields to store, or { error }
+ * with the response to send.
+ */
+export const checkLeaveRequest = async (userId, { type, startDate, endDate, halfDay }) => {
+  if (!LEAVE_TYPES.includes(type)) {
+    return { error: leaveError(`Leave type must be one of: ${LEAVE_TYPES.join(', ')}`) };
+  }
+
+  const start = startDate && startOfDay(startDate);
+  const end = startOfDay(endDate || startDate);
+  if (!start || Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    return { error: leaveError('Please provide a valid start date (and end date for longer leave)') };
+  }
+
+  if (end < start) {
+    return { error: leaveError('End date cannot be before the start date') };
+  }
+
+  if (halfDay && !['morning', 'afternoon'].includes(halfDay)) {
+    return { error: leaveError("Half day must be 'morning' or 'afternoon'") };
+  }
+
+  if (halfDay && end.getTime() !== start.getTime()) {
+    return { error: leaveError('Half days can only be requested for a single day') };
+  }
+
+  const workingDays = countWorkingDays(start, end);
+  if (workingDays === 0) {
+    return { error: leaveError('Leave must include at least one working day') };
+  }
+
+  const overlapping = await LeaveRequest.findOne({
+    user: userId,
+    status: { $in: ['pending', 'approved'] },
+    startDate: { $lte: end },
+    endDate: { $gte: start }
+  });
+
+  // Morning and afternoon off on the same day don't clash
+  const clashes = overlapping && !(
+    halfDay && overlapping.halfDay && overlapping.halfDay !== halfDay &&
+    overlapping.startDate.getTime() === start.getTime() &&
+    overlapping.endDate.getTime() === start.getTime()
+  );
+
+  if (clashes) {
+    return { error: leaveError('You already have leave requested for some of these days', 409, 'LEAVE_OVERLAP') };
+  }
+
+  return {
+    leave: {
+      type,
+      startDate: start,
+      endDate: end,
+      halfDay: halfDay || null,
+      days: halfDay ? 0.5 : workingDays
+    }
+  };
+};
+
+/**
+ * Whether the user may approve or reject a leave request (with its user
+ * populated with their manager). Nobody reviews their own leave; scoped
+ * grants reach their reports and members of projects they lead.
+ */
+export const canReviewLeave = async (user, leave) => {
+  if (idOf(leave.user) === idOf(user)) {
+    return false;
+  }
+
+  if (can(user, 'leave:review', leave)) {
+    return true;
+  }
+
+  const projects = await Project.find({ assignedUsers: idOf(leave.user), isActive: true })
+    .select('assignedLead assignedUsers');
+
+  return projects.some(project => can(user, 'leave:review', project));
+};
+
+/**
+ * Approved leave of the given users overlapping `from`-`to`
+ */
+export const getApprovedLeave = (userIds, from, to) => LeaveRequest.find({
+  user: { $in: userIds },
+  status: 'approved',
+  startDate: { $lte: to },
+  endDate: { $gte: startOfDay(from) }
+}).lean();
+
+/**
+ * Share of the day a user is away (0, 0.5 or 1) given their leave
+ */
+export const leaveOnDay = (leaves, day) => {
+  const date = startOfDay(day);
+  let away = 0;
+
+  for (const leave of leaves) {
+    if (leave.startDate <= date && leave.endDate >= date) {
+      away += leave.halfDay ? 0.5 : 1;
+    }
+  }
+
+  return Math.min(1, away);
+};
+
+/**
+ * Hours a user is expected to log from `from` to `to` (inclusive): their
+ * working days less approved leave
+ */
+export const expectedHours = (leaves, from, to, hoursPerDay = config.workdayHours) => {
+  let hours = 0;
+  for (let day = startOfDay(from); day <= to; day = addDays(day, 1)) {
+    if (isWorkingDay(day)) {
+      hours += (1 - leaveOnDay(leaves, day)) * hoursPerDay;
+    }
+  }
+  return hours;
+};
+
+/**
+ * Leave grouped by user id
+ */
+export const groupLeaveByUser = (leaves) => {
+  const byUser = new Map();
+  for (const leave of leaves) {
+    const userId = idOf(leave.user);
+    if (!byUser.has(userId)) byUser.set(userId, []);
+    byUser.get(userId).push(leave);
+  }
+  return byUser;
+};
+
+/**
+ * When `remainingHours` of work should be done if the given members each
+ * work a full day on every working day they aren't on leave, starting
+ * from `from`. Returns null if it can't be done within two years.
+ */
+export const forecastCompletion = async (remainingHours, memberIds, from = new Date()) => {
+  const start = startOfDay(from);
+
+  if (remainingHours <= 0) {
+    return start;
+  }
+  if (memberIds.length === 0) {
+    return null;
+  }
+
+  const horizon = addDays(start, MAX_FORECAST_DAYS);
+  const leaveByUser = groupLeaveByUser(await getApprovedLeave(memberIds, start, horizon));
+
+  let remaining = remainingHours;
+  for (let day = start; day <= horizon; day = addDays(day, 1)) {
+    if (!isWorkingDay(day)) continue;
+
+    for (const memberId of memberIds) {
+      remaining -= (1 - leaveOnDay(leaveByUser.get(idOf(memberId)) || [], day)) * config.workdayHours;
+    }
+
+    if (remaining <= 0) {
+      return day;
+    }
+  }
+
+  return null;
+};
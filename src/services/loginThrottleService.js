@@ -0,0 +1,133 @@
+import LoginAttempt from '../models/LoginAttempt.js';
+import config from '../config/env.js';
+
+const normalizeEmail = (email) => `${email}`.toLowerCase().trim();
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+// No delay for the first couple of mistakes, then 1s, 2s, 4s... until lockout
+const getDelayMs = (failedCount) => {
+  const freeAttempts = 2;
+  if (failedCount <= freeAttempts) {
+    return 0;
+  }
+  return Math.min(
+    config.loginLockout.baseDelayMs * 2 ** (failedCount - freeAttempts - 1),
+    config.loginLockout.maxDelayMs
+  );
+};
+
+const lockedResponse = (lockedUntil) => {
+  const retryAfter = secondsUntil(lockedUntil);
+  return {
+    status: 423,
+    retryAfter,
+    body: {
+      success: false,
+      message: `Too many failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+      code: 'LOGIN_LOCKED',
+      retryAfter
+    }
+  };
+};
+
+const throttledResponse = (nextAttemptAt) => {
+  const retryAfter = secondsUntil(nextAttemptAt);
+  return {
+    status: 429,
+    retryAfter,
+    body: {
+      success: false,
+      message: `Too many failed login attempts. Please wait ${retryAfter} second(s) and try again.`,
+      code: 'LOGIN_THROTTLED',
+      retryAfter
+    }
+  };
+};
+
+/**
+ * Check whether a login attempt may proceed.
+ * Returns null when allowed, otherwise the error response to send.
+ */
+export const checkLoginAllowed = async (email, accountType) => {
+  const attempt = await LoginAttempt.findOne({ email: normalizeEmail(email), accountType });
+  const now = new Date();
+
+  if (!attempt) {
+    return null;
+  }
+
+  if (attempt.lockedUntil && attempt.lockedUntil > now) {
+    return lockedResponse(attempt.lockedUntil);
+  }
+
+  if (attempt.nextAttemptAt && attempt.nextAttemptAt > now) {
+    return throttledResponse(attempt.nextAttemptAt);
+  }
+
+  return null;
+};
+
+/**
+ * Record a failed attempt. Returns the lockout response if this failure
+ * locked the account, otherwise null.
+ */
+export const recordFailedLogin = async (email, accountType, ipAddress) => {
+  const { maxAttempts, lockMinutes, windowMinutes } = config.loginLockout;
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - windowMinutes * 60 * 1000);
+  const key = { email: normalizeEmail(email), accountType };
+
+  // Start counting again after an expired lock or a quiet period
+  await LoginAttempt.updateOne(
+    {
+      ...key,
+      $or: [
+        { lockedUntil: { $lte: now } },
+        { lastFailedAt: { $lt: windowStart } }
+      ]
+    },
+    { failedCount: 0, lockedUntil: null, nextAttemptAt: null }
+  );
+
+  const attempt = await LoginAttempt.findOneAndUpdate(
+    key,
+    {
+      $inc: { failedCount: 1 },
+      lastFailedAt: now,
+      lastIpAddress: ipAddress
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  if (attempt.failedCount >= maxAttempts) {
+    attempt.lockedUntil = new Date(now.getTime() + lockMinutes * 60 * 1000);
+    await attempt.save();
+
+    console.warn(`🔒 ${accountType} login locked for ${key.email} after ${attempt.failedCount} failed attempts`);
+    return lockedResponse(attempt.lockedUntil);
+  }
+
+  const delayMs = getDelayMs(attempt.failedCount);
+  if (delayMs > 0) {
+    attempt.nextAttemptAt = new Date(now.getTime() + delayMs);
+    await attempt.save();
+  }
+
+  return null;
+};
+
+/**
+ * Clear failed attempts after a successful login
+ */
+export const clearFailedLogins = async (email, accountType) => {
+  await LoginAttempt.deleteOne({ email: normalizeEmail(email), accountType });
+};
+
+/**
+ * Send a throttle/lock response built by this service
+ */
+export const sendThrottleResponse = (res, throttle) => {
+  res.set('Retry-After', `${throttle.retryAfter}`);
+  return res.status(throttle.status).json(throttle.body);
+};
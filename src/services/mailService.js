@@ -0,0 +1,177 @@
+import fs from 'fs';
+import path from 'path';
+import config from '../config/env.js';
+
+/**
+ * Console transport - prints emails to stdout (local development)
+ */
+const consoleTransport = {
+  send: async (message) => {
+    console.log('📧 Email (console transport)');
+    console.log(`   To: ${message.to}`);
+    console.log(`   Subject: ${message.subject}`);
+    console.log(message.text);
+    return { transport: 'console' };
+  }
+};
+
+/**
+ * File transport - writes each email as JSON into MAIL_OUTPUT_DIR
+ */
+const fileTransport = {
+  send: async (message) => {
+    const outputDir = path.resolve(config.mail.outputDir);
+    await fs.promises.mkdir(outputDir, { recursive: true });
+
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@._-]/gi, '_')}.json`;
+    const filePath = path.join(outputDir, fileName);
+    await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+
+    return { transport: 'file', path: filePath };
+  }
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport
+};
+
+let activeTransport = null;
+
+/**
+ * Register a custom transport (e.g. SMTP, SES). A transport is any
+ * object with an async `send({ from, to, subject, text, html })`.
+ */
+export const registerMailTransport = (name, transport) => {
+  transports[name] = transport;
+  activeTransport = null;
+};
+
+const getTransport = () => {
+  if (!activeTransport) {
+    activeTransport = transports[config.mail.transport];
+
+    if (!activeTransport) {
+      console.warn(`⚠️ Unknown mail transport '${config.mail.transport}', falling back to console`);
+      activeTransport = consoleTransport;
+    }
+  }
+  return activeTransport;
+};
+
+/**
+ * Send an email through the configured transport
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+  try {
+    if (!to) {
+      console.log('⚠️ No recipient provided');
+      return null;
+    }
+
+    const info = await getTransport().send({
+      from: config.mail.from,
+      to,
+      subject,
+      text,
+      html
+    });
+
+    console.log(`✅ Email sent to ${to}`);
+    return info;
+  } catch (error) {
+    console.error('❌ Error sending email:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Password reset
+ */
+export const sendPasswordResetEmail = async (email, userName, resetUrl, expiresInMinutes) => {
+  return sendMail({
+    to: email,
+    subject: 'Reset your ManageX password',
+    text:
+      `Hi ${userName},\n\n` +
+      `We received a request to reset your password. Use the link below to choose a new one:\n\n` +
+      `${resetUrl}\n\n` +
+      `This link expires in ${expiresInMinutes} minutes and can only be used once. ` +
+      `If you did not request a reset, you can ignore this email.`
+  });
+};
+
+/**
+ * Password changed confirmation
+ */
+export const sendPasswordChangedEmail = async (email, userName) => {
+  return sendMail({
+    to: email,
+    subject: 'Your ManageX password was changed',
+    text:
+      `Hi ${userName},\n\n` +
+      `Your password was just changed and you have been signed out of all devices. ` +
+      `If this wasn't you, contact your administrator immediately.`
+  });
+};
+
+/**
+ * Invitation to join with a preset role
+ */
+export const sendInvitationEmail = async (email, inviterName, acceptUrl, role, expiresInHours) => {
+  return sendMail({
+    to: email,
+    subject: 'You have been invited to ManageX',
+    text:
+      `Hi,\n\n` +
+      `${inviterName} has invited you to join ManageX as ${role}. ` +
+      `Use the link below to set your password and activate your account:\n\n` +
+      `${acceptUrl}\n\n` +
+      `This invitation expires in ${expiresInHours} hours.`
+  });
+};
+
+/**
+ * Confirm the address used to register
+ */
+export const sendEmailVerificationEmail = async (email, userName, verifyUrl, expiresInHours) => {
+  return sendMail({
+    to: email,
+    subject: 'Verify your ManageX email address',
+    text:
+      `Hi ${userName},\n\n` +
+      `Please confirm this is your email address by opening the link below:\n\n` +
+      `${verifyUrl}\n\n` +
+      `This link expires in ${expiresInHours} hours.`
+  });
+};
+
+/**
+ * Confirm a new address before the account switches to it
+ */
+export const sendEmailChangeConfirmationEmail = async (email, userName, confirmUrl, expiresInHours) => {
+  return sendMail({
+    to: email,
+    subject: 'Confirm your new ManageX email address',
+    text:
+      `Hi ${userName},\n\n` +
+      `A request was made to change your ManageX email address to this one. ` +
+      `Open the link below to confirm the change:\n\n` +
+      `${confirmUrl}\n\n` +
+      `This link expires in ${expiresInHours} hours. Until then your old address stays in use.`
+  });
+};
+
+/**
+ * Tell the old address that the account moved
+ */
+export const sendEmailChangedEmail = async (email, userName, newEmail) => {
+  return sendMail({
+    to: email,
+    subject: 'Your ManageX email address was changed',
+    text:
+      `Hi ${userName},\n\n` +
+      `Your ManageX email address was changed to ${newEmail}. ` +
+      `If this wasn't you, contact your administrator immediately.`
+  });
+};
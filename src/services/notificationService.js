@@ -128,6 +128,42 @@ export const sendAccountRejectedNotification = async (fcmToken, userName, reason
   return sendNotificationToDevice(fcmToken, notification, data);
 };
 
+/**
+ * Accounts approved in bulk (one multicast for every device)
+ */
+export const sendAccountsApprovedNotification = async (fcmTokens) => {
+  const notification = {
+    title: '🎉 Account Activated!',
+    body: 'Welcome! Your account has been approved and activated.',
+  };
+
+  const data = {
+    type: 'ACCOUNT_APPROVED',
+    action: 'OPEN_APP',
+  };
+
+  return sendNotificationToMultipleDevices(fcmTokens, notification, data);
+};
+
+/**
+ * Accounts rejected in bulk (one multicast for every device)
+ */
+export const sendAccountsRejectedNotification = async (fcmTokens, reason = '') => {
+  const notification = {
+    title: '❌ Account Rejected',
+    body:
+      reason ||
+      'Sorry, your account approval request has been rejected. Please contact support.',
+  };
+
+  const data = {
+    type: 'ACCOUNT_REJECTED',
+    action: 'CONTACT_SUPPORT',
+  };
+
+  return sendNotificationToMultipleDevices(fcmTokens, notification, data);
+};
+
 /**
  * Welcome notification
  */
@@ -144,3 +180,38 @@ export const sendWelcomeNotification = async (fcmToken, userName) => {
 
   return sendNotificationToDevice(fcmToken, notification, data);
 };
+
+/**
+ * Leave request approved or rejected
+ */
+export const sendLeaveReviewedNotification = async (fcmToken, status, note = '') => {
+  const approved = status === 'approved';
+  const notification = {
+    title: approved ? '🌴 Leave Approved' : '❌ Leave Rejected',
+    body: note || `Your leave request has been ${status}.`,
+  };
+
+  const data = {
+    type: approved ? 'LEAVE_APPROVED' : 'LEAVE_REJECTED',
+    action: 'OPEN_LEAVE',
+  };
+
+  return sendNotificationToDevice(fcmToken, notification, data);
+};
+
+/**
+ * Reminder to submit a missing daily update (one multicast for every device)
+ */
+export const sendMissingUpdateReminder = async (fcmTokens, projectName, day) => {
+  const notification = {
+    title: '📝 Daily Update Reminder',
+    body: `You haven't submitted your daily update for ${projectName} on ${day} yet.`,
+  };
+
+  const data = {
+    type: 'DAILY_UPDATE_REMINDER',
+    action: 'OPEN_DAILY_UPDATE',
+  };
+
+  return sendNotificationToMultipleDevices(fcmTokens, notification, data);
+};
@@ -0,0 +1,348 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import config from '../config/env.js';
+import User from '../models/user.js';
+import OidcLoginState from '../models/OidcLoginState.js';
+import { AppError } from '../utils/appError.js';
+import { HTTP_STATUS } from '../constants/httpStatus.js';
+import { isAssignableRole } from './permissionService.js';
+import { invalidateTokens } from './sessionService.js';
+import { resolveDepartment } from './departmentService.js';
+
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// Provider metadata and signing keys rarely change
+const METADATA_CACHE_MS = 60 * 60 * 1000;
+// Minimum gap between key refetches triggered by an unknown `kid`
+const JWKS_REFETCH_MS = 10 * 1000;
+
+let metadataCache = null; // { issuer, metadata, fetchedAt }
+let jwksCache = null; // { uri, keys, fetchedAt }
+
+const getIssuer = () => config.oidc.issuer.replace(/\/$/, '');
+
+const getRedirectUri = () => config.oidc.redirectUri || `${config.clientUrl}/auth/oidc/callback`;
+
+const fetchJson = async (url, options = {}, errorStatus = HTTP_STATUS.BAD_GATEWAY) => {
+  let response;
+  try {
+    response = await fetch(url, { ...options, headers: { Accept: 'application/json', ...options.headers } });
+  } catch (error) {
+    throw new AppError(`Identity provider is unreachable: ${error.message}`, HTTP_STATUS.BAD_GATEWAY);
+  }
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const reason = body.error_description || body.error || `HTTP ${response.status}`;
+    throw new AppError(`Identity provider error: ${reason}`, errorStatus);
+  }
+
+  return body;
+};
+
+const loadJwks = async (uri) => {
+  const { keys } = await fetchJson(uri);
+  jwksCache = { uri, keys: keys || [], fetchedAt: Date.now() };
+};
+
+const getSigningKey = async (jwksUri, kid) => {
+  if (!jwksCache || jwksCache.uri !== jwksUri || Date.now() - jwksCache.fetchedAt > METADATA_CACHE_MS) {
+    await loadJwks(jwksUri);
+  }
+
+  const findKey = () => jwksCache.keys.find(key => key.use !== 'enc' && (!kid || key.kid === kid));
+
+  // An unknown kid usually means the provider rotated its keys
+  let jwk = findKey();
+  if (!jwk && Date.now() - jwksCache.fetchedAt > JWKS_REFETCH_MS) {
+    await loadJwks(jwksUri);
+    jwk = findKey();
+  }
+
+  if (!jwk) {
+    throw new AppError('ID token is signed with an unknown key', HTTP_STATUS.UNAUTHORIZED);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+// Read a claim by dotted path, e.g. `realm_access.roles`
+const getClaim = (claims, claimPath) =>
+  claimPath.split('.').reduce((value, key) => value?.[key], claims);
+
+// First group (in config order) that has a mapping
+const mapGroups = (groups, mapping) => {
+  const group = Object.keys(mapping).find(name => groups.includes(name));
+  return group ? mapping[group] : undefined;
+};
+
+/**
+ * Whether OIDC single sign-on is configured
+ */
+export const isOidcEnabled = () => Boolean(config.oidc.issuer && config.oidc.clientId);
+
+/**
+ * Fetch (and cache) the provider's discovery document
+ */
+export const getProviderMetadata = async () => {
+  const issuer = getIssuer();
+
+  if (metadataCache?.issuer === issuer && Date.now() - metadataCache.fetchedAt < METADATA_CACHE_MS) {
+    return metadataCache.metadata;
+  }
+
+  const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+
+  if (metadata.issuer?.replace(/\/$/, '') !== issuer) {
+    throw new AppError('Identity provider issuer does not match configuration', HTTP_STATUS.BAD_GATEWAY);
+  }
+
+  metadataCache = { issuer, metadata, fetchedAt: Date.now() };
+  return metadata;
+};
+
+/**
+ * Start a login: store state, nonce and PKCE verifier, and build the
+ * provider's authorization URL
+ */
+export const createAuthorizationRequest = async (ipAddress) => {
+  const metadata = await getProviderMetadata();
+
+  const state = crypto.randomBytes(32).toString('base64url');
+  const nonce = crypto.randomBytes(32).toString('base64url');
+  const codeVerifier = crypto.randomBytes(48).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  const redirectUri = getRedirectUri();
+
+  await OidcLoginState.create({
+    state,
+    nonce,
+    codeVerifier,
+    redirectUri,
+    expiresAt: new Date(Date.now() + config.oidc.stateExpireMinutes * 60 * 1000),
+    ipAddress
+  });
+
+  const authorizationUrl = new URL(metadata.authorization_endpoint);
+  const params = {
+    response_type: 'code',
+    client_id: config.oidc.clientId,
+    redirect_uri: redirectUri,
+    scope: config.oidc.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  };
+  for (const [key, value] of Object.entries(params)) {
+    authorizationUrl.searchParams.set(key, value);
+  }
+
+  return { authorizationUrl: authorizationUrl.toString(), state };
+};
+
+/**
+ * Finish a login: redeem the code (once) and return the verified ID token claims
+ */
+export const exchangeAuthorizationCode = async ({ code, state }) => {
+  const loginState = await OidcLoginState.findOneAndDelete({
+    state,
+    expiresAt: { $gt: new Date() }
+  });
+
+  if (!loginState) {
+    throw new AppError('Single sign-on login expired or was already used. Please try again.', HTTP_STATUS.UNAUTHORIZED);
+  }
+
+  const metadata = await getProviderMetadata();
+
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+  if (config.oidc.clientSecret) {
+    const credentials = `${encodeURIComponent(config.oidc.clientId)}:${encodeURIComponent(config.oidc.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  const tokens = await fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers,
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: loginState.redirectUri,
+      client_id: config.oidc.clientId,
+      code_verifier: loginState.codeVerifier
+    })
+  }, HTTP_STATUS.UNAUTHORIZED);
+
+  if (!tokens.id_token) {
+    throw new AppError('Identity provider did not return an ID token', HTTP_STATUS.BAD_GATEWAY);
+  }
+
+  return verifyIdToken(tokens.id_token, metadata, loginState.nonce);
+};
+
+/**
+ * Verify an ID token's signature, issuer, audience, expiry and nonce
+ */
+export const verifyIdToken = async (idToken, metadata, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new AppError('Invalid ID token', HTTP_STATUS.UNAUTHORIZED);
+  }
+
+  const key = await getSigningKey(metadata.jwks_uri, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: metadata.issuer,
+      audience: config.oidc.clientId
+    });
+  } catch (error) {
+    throw new AppError(`Invalid ID token: ${error.message}`, HTTP_STATUS.UNAUTHORIZED);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw new AppError('Invalid ID token: nonce mismatch', HTTP_STATUS.UNAUTHORIZED);
+  }
+
+  return claims;
+};
+
+/**
+ * Turn ID token claims into a profile using the configured claim and group mapping
+ */
+export const mapClaims = (claims) => {
+  const { claims: claimNames, groupRoles, groupDepartments } = config.oidc;
+
+  const email = getClaim(claims, claimNames.email);
+  const rawGroups = getClaim(claims, claimNames.groups);
+  const groups = [].concat(rawGroups ?? []).map(String);
+
+  return {
+    subject: claims.sub,
+    email: email ? `${email}`.toLowerCase().trim() : null,
+    // Only an explicit claim counts: the email decides which account is linked
+    emailVerified: claims.email_verified === true,
+    name: getClaim(claims, claimNames.name) || claims.preferred_username || email,
+    groups,
+    role: mapGroups(groups, groupRoles),
+    department: mapGroups(groups, groupDepartments)
+  };
+};
+
+/**
+ * Find the user linked to the IdP account, link an existing user by
+ * email, or provision a new one. Linking and provisioning need a verified
+ * email. Mapped role and department are synced on every login.
+ * Returns { user } or { error: { status, body } }.
+ */
+export const resolveSsoUser = async (profile) => {
+  const issuer = getIssuer();
+  const unverifiedError = {
+    error: {
+      status: 403,
+      body: {
+        success: false,
+        message: 'Your identity provider account has no verified email',
+        code: 'SSO_EMAIL_UNVERIFIED'
+      }
+    }
+  };
+
+  if (!profile.email) {
+    return unverifiedError;
+  }
+
+  let user = await User.findOne({ 'sso.issuer': issuer, 'sso.subject': profile.subject });
+
+  if (!user) {
+    if (!profile.emailVerified) {
+      return unverifiedError;
+    }
+
+    user = await User.findOne({ email: profile.email });
+
+    if (user?.sso?.subject) {
+      return {
+        error: {
+          status: 409,
+          body: {
+            success: false,
+            message: 'This account is linked to a different identity provider account',
+            code: 'SSO_ACCOUNT_CONFLICT'
+          }
+        }
+      };
+    }
+
+    if (user) {
+      user.sso = { issuer, subject: profile.subject, linkedAt: new Date() };
+      console.log(`🔗 Linked ${user.email} to single sign-on`);
+    }
+  }
+
+  if (!user) {
+    if (!config.oidc.autoProvision) {
+      return {
+        error: {
+          status: 403,
+          body: {
+            success: false,
+            message: 'No account exists for this email. Please ask an administrator for access.',
+            code: 'SSO_NOT_PROVISIONED'
+          }
+        }
+      };
+    }
+
+    // SSO-only account: the random password is never shared
+    user = new User({
+      name: profile.name,
+      email: profile.email,
+      password: crypto.randomBytes(32).toString('hex'),
+      sso: { issuer, subject: profile.subject, linkedAt: new Date() }
+    });
+    console.log(`✅ Provisioned ${profile.email} from single sign-on`);
+  }
+
+  // The identity provider vouches for the accounts it creates; linked
+  // accounts keep waiting for approval like any other
+  if (user.isNew) {
+    user.approved = true;
+    user.approvedAt = new Date();
+  }
+  if (!user.emailVerified && profile.emailVerified && user.email === profile.email) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+
+  const newRole = profile.role && isAssignableRole(profile.role) ? profile.role : null;
+  if (profile.role && !newRole) {
+    console.warn(`⚠️ Ignoring unknown SSO role mapping '${profile.role}' for ${profile.email}`);
+  }
+
+  const roleChanged = Boolean(newRole) && !user.isNew && newRole !== user.role;
+  if (newRole) {
+    user.role = newRole;
+  }
+  if (profile.department) {
+    const { department } = await resolveDepartment(profile.department);
+    if (department) {
+      user.department = department._id;
+    } else {
+      console.warn(`⚠️ Ignoring unknown SSO department mapping '${profile.department}' for ${profile.email}`);
+    }
+  }
+
+  await user.save();
+
+  // Tokens issued with the old role must stop working
+  if (roleChanged) {
+    await invalidateTokens(user._id, 'User', 'access_revoked');
+    user.tokenVersion = (user.tokenVersion ?? 0) + 1;
+  }
+
+  return { user };
+};
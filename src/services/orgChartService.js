@@ -0,0 +1,105 @@
+import User from '../models/user.js';
+import UserStats from '../models/UserStats.js';
+import { buildTree, findInTree } from '../utils/tree.js';
+
+// Accounts shown on the org chart and in report lists
+const CURRENT_STAFF = { approved: true, isActive: true, deletedAt: null };
+
+const CHART_FIELDS = 'name email role department manager';
+
+const managerError = (message) => ({
+  status: 400,
+  body: {
+    success: false,
+    message,
+    code: 'INVALID_MANAGER'
+  }
+});
+
+/**
+ * Returns { error } unless `managerId` can be the user's manager: a
+ * current account that isn't the user or anyone reporting to them
+ */
+export const checkManager = async (userId, managerId) => {
+  if (managerId.toString() === userId.toString()) {
+    return { error: managerError('A user cannot be their own manager') };
+  }
+
+  const manager = await User.findOne({ _id: managerId, ...CURRENT_STAFF }).select('manager');
+  if (!manager) {
+    return { error: managerError('Manager must be an approved, active user') };
+  }
+
+  // Walk up the new manager's reporting line looking for the user
+  const seen = new Set([manager._id.toString()]);
+  let next = manager.manager;
+  while (next) {
+    const id = next.toString();
+    if (id === userId.toString()) {
+      return { error: managerError('The manager already reports to this user') };
+    }
+    if (seen.has(id)) break;
+    seen.add(id);
+    next = (await User.findById(next).select('manager'))?.manager;
+  }
+
+  return {};
+};
+
+/**
+ * Reporting lines as a tree of current staff; only the part below
+ * `rootId` when given (null if that user isn't on the chart)
+ */
+export const buildOrgChart = async (rootId) => {
+  const users = await User.find(CURRENT_STAFF)
+    .select(CHART_FIELDS)
+    .populate('department', 'name code')
+    .sort({ name: 1 })
+    .lean();
+
+  const roots = buildTree(users, 'manager');
+
+  if (!rootId) {
+    return roots;
+  }
+
+  return findInTree(roots, rootId);
+};
+
+/**
+ * A manager's direct reports with a summary of their stats
+ */
+export const getDirectReports = async (managerId) => {
+  const reports = await User.find({ manager: managerId, deletedAt: null })
+    .select('name email role department isActive lastLogin')
+    .populate('department', 'name code')
+    .sort({ name: 1 })
+    .lean();
+
+  const stats = await UserStats.find({ user: { $in: reports.map(report => report._id) } })
+    .select('user totalPoints completedProjects ongoingProjects totalHoursWorked')
+    .lean();
+  const statsByUser = new Map(stats.map(stat => [stat.user.toString(), stat]));
+
+  const reportCounts = await User.aggregate([
+    { $match: { manager: { $in: reports.map(report => report._id) }, deletedAt: null } },
+    { $group: { _id: '$manager', count: { $sum: 1 } } }
+  ]);
+  const reportsByManager = new Map(reportCounts.map(entry => [entry._id.toString(), entry.count]));
+
+  return reports.map(report => {
+    const stat = statsByUser.get(report._id.toString());
+    return {
+      ...report,
+      directReports: reportsByManager.get(report._id.toString()) || 0,
+      stats: stat
+        ? {
+          totalPoints: stat.totalPoints,
+          completedProjects: stat.completedProjects,
+          ongoingProjects: stat.ongoingProjects,
+          totalHoursWorked: stat.totalHoursWorked
+        }
+        : null
+    };
+  });
+};
@@ -0,0 +1,250 @@
+import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import Setting from '../models/Setting.js';
+import config from '../config/env.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const PASSWORD_POLICY_KEY = 'password.policy';
+
+// Select string for loading what the reuse check needs
+export const PASSWORD_FIELDS = '+password +passwordHistory';
+
+const BUNDLED_BLOCKLIST = join(__dirname, '..', 'data', 'common-passwords.txt');
+
+// Rules admins may override, with the values they accept
+const POLICY_RULES = {
+  minLength: { type: 'number', min: 6, max: 128 },
+  maxLength: { type: 'number', min: 8, max: 1024 },
+  requireUppercase: { type: 'boolean' },
+  requireLowercase: { type: 'boolean' },
+  requireNumber: { type: 'boolean' },
+  requireSymbol: { type: 'boolean' },
+  disallowPersonalInfo: { type: 'boolean' },
+  historyCount: { type: 'number', min: 0, max: 24 },
+  checkBreached: { type: 'boolean' }
+};
+
+// Loaded on first use
+let blocklist = null;
+
+const readBlocklist = (file) => {
+  try {
+    return fs.readFileSync(file, 'utf8')
+      .split(/\r?\n/)
+      .map(line => line.trim().toLowerCase())
+      .filter(line => line && !line.startsWith('#'));
+  } catch (error) {
+    console.error(`❌ Error reading password blocklist ${file}:`, error.message);
+    return [];
+  }
+};
+
+const getBlocklist = () => {
+  if (!blocklist) {
+    const files = [BUNDLED_BLOCKLIST, config.passwordPolicy.blocklistFile].filter(Boolean);
+    blocklist = new Set(files.flatMap(readBlocklist));
+  }
+  return blocklist;
+};
+
+/**
+ * Whether the password is on the bundled (or configured) list of common
+ * and breached passwords. Checked offline, case-insensitively.
+ */
+export const isBreachedPassword = (password) => getBlocklist().has(password.toLowerCase());
+
+/**
+ * The effective policy: environment defaults with admin overrides on top
+ */
+export const getPasswordPolicy = async () => {
+  const overrides = await Setting.getValue(PASSWORD_POLICY_KEY, {});
+  const { blocklistFile, ...defaults } = config.passwordPolicy;
+  return { ...defaults, ...(overrides || {}) };
+};
+
+/**
+ * Validate admin overrides. Returns { updates } or { error } with a message.
+ */
+export const parsePolicyUpdate = (body, current) => {
+  const updates = {};
+
+  for (const [key, value] of Object.entries(body || {})) {
+    const rule = POLICY_RULES[key];
+    if (!rule) {
+      return { error: `Unknown password policy setting: ${key}` };
+    }
+    if (rule.type === 'boolean' && typeof value !== 'boolean') {
+      return { error: `${key} must be true or false` };
+    }
+    if (rule.type === 'number' && (!Number.isInteger(value) || value < rule.min || value > rule.max)) {
+      return { error: `${key} must be a whole number from ${rule.min} to ${rule.max}` };
+    }
+    updates[key] = value;
+  }
+
+  const merged = { ...current, ...updates };
+  if (merged.maxLength < merged.minLength) {
+    return { error: 'maxLength must not be less than minLength' };
+  }
+
+  return { updates };
+};
+
+// Name words and email local-part pieces long enough to matter
+const personalTokens = ({ name, email } = {}) => {
+  const localPart = (email || '').split('@')[0];
+  return [...`${name || ''}`.split(/[\s._\-+]+/), localPart, ...localPart.split(/[._\-+]+/)]
+    .map(token => token.toLowerCase())
+    .filter(token => token.length >= 3);
+};
+
+/**
+ * Check a password against the policy (not history). `account` supplies
+ * the name and email for the personal-information rule.
+ * Returns a list of problems; empty when the password is acceptable.
+ */
+export const validatePassword = (password, account = null, policy = config.passwordPolicy) => {
+  const errors = [];
+  const value = typeof password === 'string' ? password : '';
+
+  if (value.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters`);
+  }
+  if (value.length > policy.maxLength) {
+    errors.push(`Password must be at most ${policy.maxLength} characters`);
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(value)) {
+    errors.push('Password must contain an uppercase letter');
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(value)) {
+    errors.push('Password must contain a lowercase letter');
+  }
+  if (policy.requireNumber && !/[0-9]/.test(value)) {
+    errors.push('Password must contain a number');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+    errors.push('Password must contain a symbol');
+  }
+  if (policy.disallowPersonalInfo && account) {
+    const lower = value.toLowerCase();
+    if (personalTokens(account).some(token => lower.includes(token))) {
+      errors.push('Password must not contain your name or email');
+    }
+  }
+  if (policy.checkBreached && value && isBreachedPassword(value)) {
+    errors.push('Password is too common or has appeared in a data breach');
+  }
+
+  return errors;
+};
+
+/**
+ * Whether the password matches the account's current password or one of
+ * the previous ones still covered by the policy's history
+ */
+export const isReusedPassword = async (account, password, policy) => {
+  if (!policy.historyCount || !account.password) {
+    return false;
+  }
+
+  const hashes = [account.password, ...(account.passwordHistory || []).slice(0, policy.historyCount - 1)];
+  for (const hash of hashes) {
+    if (await bcrypt.compare(password, hash)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+const weakPasswordError = (errors) => ({
+  status: 400,
+  body: {
+    success: false,
+    message: errors[0],
+    code: 'WEAK_PASSWORD',
+    errors
+  }
+});
+
+/**
+ * Check a password for a new account ({ name, email }).
+ * Returns { error } with the 400 response when it breaks the policy.
+ */
+export const checkNewPassword = async (password, account) => {
+  const policy = await getPasswordPolicy();
+  const errors = validatePassword(password, account, policy);
+  return errors.length > 0 ? { error: weakPasswordError(errors) } : {};
+};
+
+/**
+ * Check and assign a new password to an existing account loaded with
+ * PASSWORD_FIELDS. The current hash moves into the history; the caller
+ * saves the account. Returns { error } when the password is rejected.
+ */
+export const setPassword = async (account, password) => {
+  const policy = await getPasswordPolicy();
+  const errors = validatePassword(password, account, policy);
+
+  if (errors.length === 0 && await isReusedPassword(account, password, policy)) {
+    errors.push(policy.historyCount === 1
+      ? 'Password must be different from your current password'
+      : `Password must not match any of your last ${policy.historyCount} passwords`);
+  }
+
+  if (errors.length > 0) {
+    return { error: weakPasswordError(errors) };
+  }
+
+  if (account.password) {
+    account.passwordHistory = [account.password, ...(account.passwordHistory || [])]
+      .slice(0, Math.max(policy.historyCount - 1, 0));
+  }
+  account.password = password;
+  // A temporary password has now been replaced by one the user chose
+  if (account.passwordChangeRequired) {
+    account.passwordChangeRequired = false;
+  }
+
+  return {};
+};
+
+// Look-alike characters (0/O, 1/l/I) left out so passwords can be read aloud
+const TEMPORARY_PASSWORD_CHARSETS = [
+  'ABCDEFGHJKLMNPQRSTUVWXYZ',
+  'abcdefghijkmnopqrstuvwxyz',
+  '23456789',
+  '!@#$%*-_+?'
+];
+
+const randomChar = (charset) => charset[crypto.randomInt(charset.length)];
+
+/**
+ * Generate a random password meeting the policy for an account being
+ * created by an admin ({ name, email }), to be changed on first sign-in
+ */
+export const generateTemporaryPassword = (account, policy = config.passwordPolicy) => {
+  const length = Math.min(Math.max(16, policy.minLength), policy.maxLength);
+  const alphabet = TEMPORARY_PASSWORD_CHARSETS.join('');
+
+  for (;;) {
+    // One of each character class, then shuffle the rest in
+    const chars = TEMPORARY_PASSWORD_CHARSETS.map(randomChar);
+    while (chars.length < length) {
+      chars.push(randomChar(alphabet));
+    }
+    for (let i = chars.length - 1; i > 0; i--) {
+      const j = crypto.randomInt(i + 1);
+      [chars[i], chars[j]] = [chars[j], chars[i]];
+    }
+
+    const password = chars.join('');
+    if (validatePassword(password, account, policy).length === 0) {
+      return password;
+    }
+  }
+};
@@ -0,0 +1,179 @@
+import Role from '../models/Role.js';
+import config from '../config/env.js';
+import {
+  PERMISSIONS,
+  ADMIN_ROLE,
+  DEFAULT_ROLES,
+  API_TOKEN_SCOPES
+} from '../constants/permissions.js';
+
+// Role name -> { permissions, allowSelfRegistration }. Starts from the
+// built-in defaults and is replaced by the Role collection once loaded,
+// so permission checks never wait on the database.
+let roleCache = buildCache(DEFAULT_ROLES);
+let refreshTimer = null;
+
+function buildCache(roles) {
+  return new Map(roles.map(role => [role.name, {
+    permissions: [...role.permissions],
+    allowSelfRegistration: role.allowSelfRegistration
+  }]));
+}
+
+const idOf = (value) => (value?._id ?? value)?.toString();
+
+const includesId = (list, id) =>
+  Array.isArray(list) && list.some(item => idOf(item) === id);
+
+// A project is its own project; anything else may carry a populated one
+const projectOf = (resource) =>
+  resource.assignedLead !== undefined ? resource : resource.project;
+
+// Whether the user holds the given scope's relation to the resource
+const hasRelation = (user, scope, resource) => {
+  const userId = idOf(user);
+  const project = projectOf(resource);
+
+  switch (scope) {
+    case 'own':
+      return idOf(resource) === userId ||
+        [resource.user, resource.createdBy].some(owner => owner != null && idOf(owner) === userId);
+    case 'lead':
+      return project?.assignedLead !== undefined && idOf(project.assignedLead) === userId;
+    case 'member':
+      return includesId(project?.assignedUsers, userId);
+    case 'assigned':
+      return includesId(resource.assignedUsers, userId);
+    case 'manager': {
+      // A user, or a record whose user is populated with their manager
+      const subject = resource.user?.manager !== undefined ? resource.user : resource;
+      return subject.manager != null && idOf(subject.manager) === userId;
+    }
+    default:
+      return false;
+  }
+};
+
+/**
+ * Load roles from the database into the in-memory cache
+ */
+export const loadRoles = async () => {
+  const roles = await Role.find().lean();
+  roleCache = buildCache(roles);
+  return roles;
+};
+
+/**
+ * Create any built-in role that doesn't exist yet and grant existing
+ * ones the defaults added since they were last seeded. Other admin
+ * edits survive restarts.
+ */
+export const seedDefaultRoles = async () => {
+  for (const defaults of DEFAULT_ROLES) {
+    const role = await Role.findOne({ name: defaults.name });
+
+    if (!role) {
+      await Role.create({ ...defaults, seededPermissions: defaults.permissions });
+      continue;
+    }
+
+    const added = defaults.permissions.filter(
+      permission => !role.seededPermissions.includes(permission)
+    );
+
+    if (added.length > 0) {
+      role.permissions = [...new Set([...role.permissions, ...added])];
+      role.seededPermissions = [...role.seededPermissions, ...added];
+      await role.save();
+      console.log(`✅ Granted ${added.length} new default permission(s) to role '${role.name}'`);
+    }
+  }
+};
+
+/**
+ * Seed and load roles, then keep the cache fresh so edits made on
+ * another instance apply without a restart
+ */
+export const initRoles = async () => {
+  try {
+    await seedDefaultRoles();
+    const roles = await loadRoles();
+    console.log(`✅ Loaded ${roles.length} roles`);
+
+    if (!refreshTimer) {
+      refreshTimer = setInterval(() => {
+        loadRoles().catch(error => console.error('❌ Error refreshing roles:', error.message));
+      }, config.roleRefreshSeconds * 1000);
+      refreshTimer.unref();
+    }
+  } catch (error) {
+    console.error('❌ Error loading roles:', error.message);
+  }
+};
+
+/**
+ * Permissions granted by a role (empty for unknown roles)
+ */
+export const getRolePermissions = (roleName) =>
+  roleCache.get(roleName)?.permissions || [];
+
+export const roleExists = (roleName) => roleCache.has(roleName);
+
+/**
+ * Whether a role can be given to a User account (the admin role
+ * belongs to the Admin collection)
+ */
+export const isAssignableRole = (roleName) =>
+  roleName !== ADMIN_ROLE && roleExists(roleName);
+
+export const getSelfRegistrationRoles = () =>
+  [...roleCache.entries()]
+    .filter(([name, role]) => role.allowSelfRegistration && name !== ADMIN_ROLE)
+    .map(([name]) => name);
+
+/**
+ * Scopes under which the user's role grants an action: 'any' for an
+ * unscoped grant, otherwise e.g. ['lead', 'member']. Empty means denied.
+ */
+export const getPermissionScopes = (user, action) => {
+  if (!PERMISSIONS[action]) {
+    throw new Error(`Unknown permission: ${action}`);
+  }
+
+  const scopes = [];
+
+  for (const grant of getRolePermissions(user?.role)) {
+    if (grant === action) {
+      scopes.push('any');
+    } else if (grant.startsWith(`${action}:`)) {
+      scopes.push(grant.slice(action.length + 1));
+    }
+  }
+
+  return scopes;
+};
+
+/**
+ * Policy check used by routes and controllers.
+ * Without a resource, answers whether the user may perform the action
+ * on anything at all; with one, whether they may on that resource.
+ */
+export const can = (user, action, resource) => {
+  const scopes = getPermissionScopes(user, action);
+
+  if (scopes.length === 0) {
+    return false;
+  }
+
+  if (!resource || scopes.includes('any')) {
+    return true;
+  }
+
+  return scopes.some(scope => hasRelation(user, scope, resource));
+};
+
+/**
+ * Whether an API token with these scopes may use the action
+ */
+export const scopesAllow = (scopes, action) =>
+  scopes.some(scope => API_TOKEN_SCOPES[scope]?.permissions.includes(action));
@@ -0,0 +1,226 @@
+import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import User from '../models/user.js';
+import DailyUpdate from '../models/DailyUpdate.js';
+import UserStats from '../models/UserStats.js';
+import Project from '../models/Project.js';
+import Module from '../models/Module.js';
+import RefreshToken from '../models/RefreshToken.js';
+import ApiToken from '../models/ApiToken.js';
+import PasswordResetToken from '../models/PasswordResetToken.js';
+import EmailVerificationToken from '../models/EmailVerificationToken.js';
+import LoginAttempt from '../models/LoginAttempt.js';
+import Invitation from '../models/Invitation.js';
+import LeaveRequest from '../models/LeaveRequest.js';
+import { parseUserAgent } from '../utils/userAgent.js';
+import { createZip } from '../utils/zip.js';
+import { checkNoOpenLedProjects, releaseAssignments } from './userDeletionService.js';
+
+export const ERASED_NAME = 'Erased User';
+
+// Placeholder address on a reserved domain, unique per account
+export const erasedEmail = (userId) => `erased-${userId}@erased.invalid`;
+
+const idOf = (value) => (value?._id ?? value)?.toString();
+
+/**
+ * Everything stored about a user: profile, sessions, daily updates,
+ * stats, project history and leave
+ */
+export const collectPersonalData = async (user) => {
+  const sessions = await RefreshToken.find({ userId: user._id, userModel: 'User' })
+    .sort({ createdAt: -1 });
+
+  const dailyUpdates = await DailyUpdate.find({ user: user._id })
+    .populate('project', 'name')
+    .populate('module', 'name')
+    .sort({ date: -1 });
+
+  const stats = await UserStats.findOne({ user: user._id })
+    .populate('projectHistory.project', 'name');
+
+  const projects = await Project.find({
+    $or: [{ assignedLead: user._id }, { assignedUsers: user._id }]
+  })
+    .populate('department', 'name')
+    .sort({ createdAt: -1 });
+
+  const modules = await Module.find({ assignedUsers: user._id })
+    .populate('project', 'name')
+    .sort({ createdAt: -1 });
+
+  const leave = await LeaveRequest.find({ user: user._id }).sort({ startDate: -1 });
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: user.toJSON(),
+    sessions: sessions.map(session => ({
+      ...parseUserAgent(session.userAgent),
+      ipAddress: session.ipAddress,
+      userAgent: session.userAgent,
+      startedAt: session.sessionStartedAt || session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      revokedAt: session.revokedAt,
+      revokedReason: session.revokedReason
+    })),
+    dailyUpdates: dailyUpdates.map(update => ({
+      date: update.date,
+      project: update.project?.name,
+      module: update.module?.name,
+      hoursWorked: update.hoursWorked,
+      progressPercentage: update.progressPercentage,
+      description: update.description,
+      blockers: update.blockers,
+      status: update.status
+    })),
+    stats: stats && {
+      totalProjects: stats.totalProjects,
+      completedProjects: stats.completedProjects,
+      ongoingProjects: stats.ongoingProjects,
+      totalModules: stats.totalModules,
+      completedModules: stats.completedModules,
+      totalHoursWorked: stats.totalHoursWorked,
+      totalPoints: stats.totalPoints,
+      averageCompletionRate: stats.averageCompletionRate,
+      monthlyStats: stats.monthlyStats.map(month => ({
+        month: month.month,
+        projectsCompleted: month.projectsCompleted,
+        hoursWorked: month.hoursWorked,
+        pointsEarned: month.pointsEarned
+      }))
+    },
+    projectHistory: [
+      ...projects.map(project => ({
+        project: project.name,
+        department: project.department?.name,
+        role: idOf(project.assignedLead) === idOf(user) ? 'lead' : 'member',
+        status: project.status,
+        startDate: project.startDate,
+        completedAt: project.completedAt
+      })),
+      // Completed projects whose points were awarded to the user
+      ...(stats?.projectHistory || [])
+        .filter(entry => !projects.some(project => idOf(project) === idOf(entry.project)))
+        .map(entry => ({
+          project: entry.project?.name,
+          role: entry.role,
+          status: 'completed',
+          completedAt: entry.completedAt
+        }))
+    ],
+    modules: modules.map(module => ({
+      module: module.name,
+      project: module.project?.name,
+      status: module.status,
+      progress: module.progress,
+      startDate: module.startDate,
+      endDate: module.endDate
+    })),
+    leave: leave.map(request => ({
+      type: request.type,
+      startDate: request.startDate,
+      endDate: request.endDate,
+      halfDay: request.halfDay,
+      days: request.days,
+      reason: request.reason,
+      status: request.status,
+      reviewNote: request.reviewNote
+    }))
+  };
+};
+
+/**
+ * Package collected data as a ZIP with one JSON file per section
+ */
+export const buildPersonalDataZip = (data) => createZip([
+  { name: 'profile.json', content: JSON.stringify(data.profile, null, 2) },
+  { name: 'sessions.json', content: JSON.stringify(data.sessions, null, 2) },
+  { name: 'daily-updates.json', content: JSON.stringify(data.dailyUpdates, null, 2) },
+  { name: 'stats.json', content: JSON.stringify(data.stats, null, 2) },
+  { name: 'project-history.json', content: JSON.stringify(data.projectHistory, null, 2) },
+  { name: 'modules.json', content: JSON.stringify(data.modules, null, 2) },
+  { name: 'leave.json', content: JSON.stringify(data.leave, null, 2) }
+]);
+
+/**
+ * Anonymize a user in place. The account and the ids pointing at it stay,
+ * so their hours and points still count in project and team statistics;
+ * identifying details, free text, sessions and credentials are removed.
+ * Returns { error } with the response to send when it can't be done yet.
+ */
+export const eraseUser = async (user) => {
+  if (user.erasedAt) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          success: false,
+          message: 'User has already been erased'
+        }
+      }
+    };
+  }
+
+  const { error } = await checkNoOpenLedProjects(user._id);
+  if (error) {
+    return { error };
+  }
+
+  const userId = user._id;
+  const originalEmail = user.email;
+
+  // Nobody knows this password, so the account can never be signed in to
+  const unusablePassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        name: ERASED_NAME,
+        email: erasedEmail(userId),
+        password: unusablePassword,
+        isActive: false,
+        emailVerified: false,
+        fcmToken: null,
+        erasedAt: new Date()
+      },
+      $unset: {
+        phone: 1,
+        pendingEmail: 1,
+        passwordHistory: 1,
+        emailVerifiedAt: 1,
+        twoFactor: 1,
+        sso: 1,
+        lastLogin: 1
+      },
+      $inc: { tokenVersion: 1 }
+    }
+  );
+
+  // Free text may identify people; hours and progress stay for statistics
+  await DailyUpdate.updateMany(
+    { user: userId },
+    { $set: { description: '[erased]' }, $unset: { blockers: 1 } }
+  );
+
+  await LeaveRequest.updateMany(
+    { user: userId },
+    { $unset: { reason: 1, reviewNote: 1 } }
+  );
+
+  await releaseAssignments(userId);
+
+  await RefreshToken.deleteMany({ userId, userModel: 'User' });
+  await ApiToken.deleteMany({ userId, userModel: 'User' });
+  await PasswordResetToken.deleteMany({ user: userId });
+  await EmailVerificationToken.deleteMany({ user: userId });
+  await LoginAttempt.deleteMany({ email: originalEmail, accountType: 'User' });
+  await Invitation.updateMany(
+    { email: originalEmail },
+    { $set: { email: erasedEmail(userId) }, $unset: { name: 1, phone: 1 } }
+  );
+
+  console.log(`🧹 Erased personal data for user ${userId}`);
+  return {};
+};
@@ -0,0 +1,73 @@
+import RefreshToken from '../models/RefreshToken.js';
+import User from '../models/user.js';
+import Admin from '../models/Admin.js';
+import { parseUserAgent } from '../utils/userAgent.js';
+
+/**
+ * List active sessions (one per unrevoked, unexpired refresh token)
+ */
+export const getActiveSessions = async (userId, userModel) => {
+  const tokens = await RefreshToken.find({
+    userId,
+    userModel,
+    isRevoked: false,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1, createdAt: -1 });
+
+  return tokens.map(token => ({
+    id: token._id,
+    ...parseUserAgent(token.userAgent),
+    ipAddress: token.ipAddress,
+    userAgent: token.userAgent,
+    createdAt: token.sessionStartedAt || token.createdAt,
+    lastUsedAt: token.lastUsedAt || token.createdAt,
+    expiresAt: token.expiresAt
+  }));
+};
+
+/**
+ * Revoke one session. Returns false if it doesn't belong to the user.
+ */
+export const revokeSession = async (userId, userModel, sessionId) => {
+  const token = await RefreshToken.findOne({
+    _id: sessionId,
+    userId,
+    userModel,
+    isRevoked: false
+  });
+
+  if (!token) {
+    return false;
+  }
+
+  // Revoke the whole family so an older rotated token can't revive it
+  if (token.family) {
+    await RefreshToken.revokeFamily(token.family, 'logout');
+  } else {
+    token.isRevoked = true;
+    token.revokedAt = new Date();
+    token.revokedReason = 'logout';
+    await token.save();
+  }
+
+  return true;
+};
+
+/**
+ * Invalidate every outstanding access and refresh token for the given
+ * accounts by bumping their token version and revoking refresh tokens
+ */
+export const invalidateTokens = async (ids, userModel, reason) => {
+  const accountIds = Array.isArray(ids) ? ids : [ids];
+  const Model = userModel === 'Admin' ? Admin : User;
+
+  await Model.updateMany(
+    { _id: { $in: accountIds } },
+    { $inc: { tokenVersion: 1 } }
+  );
+
+  await RefreshToken.updateMany(
+    { userId: { $in: accountIds }, userModel, isRevoked: false },
+    { isRevoked: true, revokedAt: new Date(), revokedReason: reason }
+  );
+};
@@ -0,0 +1,199 @@
+import crypto from 'crypto';
+import SigningKey from '../models/SigningKey.js';
+import config from '../config/env.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What the first key "replaces", so only one instance can create it
+const INITIAL_KEY = 'initial';
+
+// Keys sorted newest first, with parsed KeyObjects. Tests that never load
+// keys from the database get a throwaway in-memory key instead.
+let keyCache = null;
+let refreshTimer = null;
+
+const generateKeyDocument = (algorithm, activatesAt) => {
+  const { publicKey, privateKey } = algorithm === 'RS256'
+    ? crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+    : crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const kid = crypto.randomBytes(12).toString('base64url');
+
+  return {
+    kid,
+    algorithm,
+    publicKey: { ...publicKey.export({ format: 'jwk' }), kid, alg: algorithm, use: 'sig' },
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    activatesAt,
+    retiredAt: null,
+    expiresAt: null,
+    createdAt: new Date()
+  };
+};
+
+function buildCache(keys) {
+  return [...keys]
+    .sort((a, b) => b.activatesAt - a.activatesAt)
+    .map(key => ({
+      kid: key.kid,
+      algorithm: key.algorithm,
+      jwk: key.publicKey,
+      publicKey: crypto.createPublicKey({ key: key.publicKey, format: 'jwk' }),
+      privateKey: crypto.createPrivateKey(key.privateKey),
+      activatesAt: new Date(key.activatesAt),
+      retiredAt: key.retiredAt ? new Date(key.retiredAt) : null,
+      expiresAt: key.expiresAt ? new Date(key.expiresAt) : null,
+      createdAt: new Date(key.createdAt)
+    }));
+}
+
+const getKeys = () => {
+  if (!keyCache) {
+    // Anywhere else a made-up key would issue tokens no other instance accepts
+    if (config.nodeEnv !== 'test') {
+      throw new Error('Token signing keys have not been loaded');
+    }
+    keyCache = buildCache([generateKeyDocument(config.jwtKeys.algorithm, new Date(0))]);
+  }
+
+  const now = new Date();
+  return keyCache.filter(key => !key.expiresAt || key.expiresAt > now);
+};
+
+/**
+ * Load unexpired keys from the database into the in-memory cache
+ */
+export const loadSigningKeys = async () => {
+  const keys = await SigningKey.find({
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  }).select('+privateKey').lean();
+
+  if (keys.length > 0) {
+    keyCache = buildCache(keys);
+  }
+  return keys;
+};
+
+/**
+ * Create a new signing key and retire the others. The new key is
+ * published first and starts signing after the activation delay,
+ * unless `immediate` (first key, or a suspected compromise).
+ *
+ * Each key records the kid it replaces, which is unique, so when
+ * instances rotate at once only one succeeds. Pass the kid of the key
+ * the decision was based on; it defaults to the newest stored key.
+ * Returns the new key, or null when another rotation won.
+ */
+export const rotateSigningKey = async ({ immediate = false, replaces } = {}) => {
+  const { algorithm, activationDelaySeconds, retiredKeyDays } = config.jwtKeys;
+  const activatesAt = new Date(Date.now() + (immediate ? 0 : activationDelaySeconds * 1000));
+
+  const predecessor = replaces !== undefined
+    ? replaces
+    : (await SigningKey.findOne().sort({ activatesAt: -1 }).select('kid'))?.kid;
+
+  let key;
+  try {
+    key = await SigningKey.create({
+      ...generateKeyDocument(algorithm, activatesAt),
+      replaces: predecessor ?? INITIAL_KEY
+    });
+  } catch (error) {
+    if (error.code === 11000 && error.keyPattern?.replaces) {
+      await loadSigningKeys();
+      return null;
+    }
+    throw error;
+  }
+
+  await SigningKey.updateMany(
+    { _id: { $ne: key._id }, retiredAt: null },
+    { retiredAt: activatesAt, expiresAt: new Date(activatesAt.getTime() + retiredKeyDays * DAY_MS) }
+  );
+
+  await loadSigningKeys();
+  console.log(`🔑 Rotated token signing key (new kid ${key.kid}, signing from ${activatesAt.toISOString()})`);
+
+  return key;
+};
+
+/**
+ * Rotate when there is no key yet, or the newest one is due
+ */
+export const rotateIfDue = async () => {
+  const keys = await loadSigningKeys();
+
+  if (keys.length === 0) {
+    return rotateSigningKey({ immediate: true, replaces: null });
+  }
+
+  const newest = keys.reduce((latest, key) => (key.activatesAt > latest.activatesAt ? key : latest));
+  const age = Date.now() - new Date(newest.createdAt).getTime();
+  if (newest.retiredAt || age >= config.jwtKeys.rotationDays * DAY_MS) {
+    return rotateSigningKey({ replaces: newest.kid });
+  }
+
+  return null;
+};
+
+/**
+ * Load keys (creating the first one), then keep them fresh and rotate
+ * on schedule. Every instance checks; a rotation on one is picked up
+ * by the others before the new key activates. If the first load fails
+ * the refresh keeps retrying it.
+ */
+export const initSigningKeys = async () => {
+  if (!refreshTimer) {
+    refreshTimer = setInterval(() => {
+      rotateIfDue().catch(error => console.error('❌ Error refreshing signing keys:', error.message));
+    }, config.jwtKeys.refreshSeconds * 1000);
+    refreshTimer.unref();
+  }
+
+  try {
+    await rotateIfDue();
+    console.log(`✅ Loaded ${getKeys().length} token signing key(s)`);
+  } catch (error) {
+    console.error('❌ Error loading signing keys:', error.message);
+  }
+};
+
+/**
+ * The key to sign new tokens with: the newest key that has activated
+ */
+export const getSigningKey = () => {
+  const now = new Date();
+  const keys = getKeys();
+  return keys.find(key => key.activatesAt <= now) || keys[keys.length - 1];
+};
+
+/**
+ * An unexpired key by kid (pending keys included), or null
+ */
+export const getVerificationKey = (kid) =>
+  getKeys().find(key => key.kid === kid) || null;
+
+/**
+ * Public keys for GET /.well-known/jwks.json
+ */
+export const getJwks = () => ({
+  keys: getKeys().map(key => key.jwk)
+});
+
+/**
+ * Key metadata for admins (never the private key)
+ */
+export const listSigningKeys = () => {
+  const signingKid = getSigningKey().kid;
+
+  return getKeys().map(key => ({
+    kid: key.kid,
+    algorithm: key.algorithm,
+    status: key.kid === signingKid
+      ? 'signing'
+      : key.activatesAt > new Date() ? 'pending' : 'retired',
+    activatesAt: key.activatesAt,
+    retiredAt: key.retiredAt,
+    expiresAt: key.expiresAt,
+    createdAt: key.createdAt
+  }));
+};
@@ -0,0 +1,225 @@
+import User from '../models/user.js';
+import Module from '../models/Module.js';
+import DailyUpdate from '../models/DailyUpdate.js';
+
+const MAX_SKILLS = 30;
+
+// Modules still taking up someone's time
+const OPEN_MODULE_STATUSES = ['pending', 'in_progress', 'blocked'];
+
+// Daily update hours in this many days count towards current load
+const RECENT_DAYS = 14;
+
+// Load at which a candidate counts as fully booked
+// (80 hours is ten full working days)
+const FULL_LOAD = { openModules: 5, recentHours: 80 };
+
+// How much each part counts towards a suggestion's score
+export const SUGGESTION_WEIGHTS = { skills: 0.5, load: 0.3, accuracy: 0.2 };
+
+const skillError = (message) => ({
+  status: 400,
+  body: {
+    success: false,
+    message,
+    code: 'INVALID_SKILLS'
+  }
+});
+
+const skillKey = (name) => `${name}`.trim().toLowerCase();
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Validate a list of { name, level } from a request. Names are trimmed
+ * and must be unique ignoring case; levels are whole numbers from 1 to 5.
+ * Returns { skills } or { error } with the response to send.
+ */
+export const normalizeSkills = (value) => {
+  if (!Array.isArray(value)) {
+    return { error: skillError('Skills must be a list of { name, level }') };
+  }
+
+  if (value.length > MAX_SKILLS) {
+    return { error: skillError(`No more than ${MAX_SKILLS} skills can be listed`) };
+  }
+
+  const skills = [];
+  const seen = new Set();
+
+  for (const entry of value) {
+    const name = `${entry?.name ?? ''}`.trim().replace(/\s+/g, ' ');
+    const level = Number(entry?.level);
+
+    if (!name) {
+      return { error: skillError('Every skill needs a name') };
+    }
+    if (!Number.isInteger(level) || level < 1 || level > 5) {
+      return { error: skillError(`Level for '${name}' must be a whole number from 1 to 5`) };
+    }
+    if (seen.has(skillKey(name))) {
+      return { error: skillError(`Skill '${name}' is listed more than once`) };
+    }
+
+    seen.add(skillKey(name));
+    skills.push({ name, level });
+  }
+
+  return { skills };
+};
+
+/**
+ * How well a user's skills cover a module's: each required skill counts
+ * in proportion to the user's level against the level needed, capped at
+ * full credit. A module without required skills matches everyone.
+ */
+export const scoreSkills = (userSkills = [], requiredSkills = []) => {
+  if (requiredSkills.length === 0) {
+    return { score: 1, matched: [], missing: [] };
+  }
+
+  const levels = new Map(userSkills.map(skill => [skillKey(skill.name), skill.level]));
+  const matched = [];
+  const missing = [];
+  let total = 0;
+
+  for (const required of requiredSkills) {
+    const level = levels.get(skillKey(required.name));
+    if (!level) {
+      missing.push(required.name);
+      continue;
+    }
+    matched.push({ name: required.name, level, required: required.level });
+    total += Math.min(1, level / required.level);
+  }
+
+  return { score: round(total / requiredSkills.length), matched, missing };
+};
+
+/**
+ * 1 for someone with nothing on, falling to 0 at FULL_LOAD
+ */
+export const scoreLoad = ({ openModules, recentHours }) => round(1 - (
+  Math.min(1, openModules / FULL_LOAD.openModules) +
+  Math.min(1, recentHours / FULL_LOAD.recentHours)
+) / 2);
+
+/**
+ * Average closeness of actual to estimated hours on completed modules,
+ * from 1 (spot on) to 0 (off by the whole estimate or more); null
+ * without any history
+ */
+export const scoreAccuracy = (modules) => {
+  if (modules.length === 0) {
+    return null;
+  }
+
+  const total = modules.reduce((sum, module) =>
+    sum + Math.max(0, 1 - Math.abs(module.actualTime - module.estimatedTime) / module.estimatedTime), 0);
+
+  return round(total / modules.length);
+};
+
+// Open module counts and recent hours per user id
+const loadByUser = async (userIds) => {
+  const since = new Date(Date.now() - RECENT_DAYS * 24 * 60 * 60 * 1000);
+
+  const openModules = await Module.aggregate([
+    { $match: { assignedUsers: { $in: userIds }, status: { $in: OPEN_MODULE_STATUSES } } },
+    { $unwind: '$assignedUsers' },
+    { $match: { assignedUsers: { $in: userIds } } },
+    { $group: { _id: '$assignedUsers', count: { $sum: 1 } } }
+  ]);
+
+  const recentHours = await DailyUpdate.aggregate([
+    { $match: { user: { $in: userIds }, date: { $gte: since } } },
+    { $group: { _id: '$user', hours: { $sum: '$hoursWorked' } } }
+  ]);
+
+  const modulesById = new Map(openModules.map(entry => [entry._id.toString(), entry.count]));
+  const hoursById = new Map(recentHours.map(entry => [entry._id.toString(), entry.hours]));
+
+  return (userId) => ({
+    openModules: modulesById.get(userId.toString()) || 0,
+    recentHours: hoursById.get(userId.toString()) || 0
+  });
+};
+
+// Completed, estimated modules per user id. A module's actual time covers
+// everyone on it, so each of them shares its accuracy.
+const historyByUser = async (userIds) => {
+  const completed = await Module.find({
+    assignedUsers: { $in: userIds },
+    status: 'completed',
+    estimatedTime: { $gt: 0 },
+    actualTime: { $gt: 0 }
+  })
+    .select('assignedUsers estimatedTime actualTime')
+    .lean();
+
+  return (userId) => completed.filter(module =>
+    module.assignedUsers.some(id => id.toString() === userId.toString()));
+};
+
+/**
+ * Rank candidates for a module (with its project populated): approved,
+ * active users in the project's department or already on the project,
+ * not yet assigned to the module. Best match first.
+ */
+export const suggestAssignees = async (module, { limit = 10 } = {}) => {
+  const project = module.project;
+
+  const candidates = await User.find({
+    role: 'user',
+    approved: true,
+    isActive: true,
+    deletedAt: null,
+    _id: { $nin: module.assignedUsers },
+    $or: [{ department: project.department }, { _id: { $in: project.assignedUsers } }]
+  })
+    .select('name email department skills')
+    .lean();
+
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  const userIds = candidates.map(candidate => candidate._id);
+  const loadOf = await loadByUser(userIds);
+  const historyOf = await historyByUser(userIds);
+  const projectMembers = new Set(project.assignedUsers.map(id => id.toString()));
+
+  const suggestions = candidates.map(candidate => {
+    const skills = scoreSkills(candidate.skills, module.requiredSkills);
+    const load = loadOf(candidate._id);
+    const history = historyOf(candidate._id);
+    const accuracy = scoreAccuracy(history);
+    const loadScore = scoreLoad(load);
+
+    // No history counts as average rather than good or bad
+    const score = round(
+      SUGGESTION_WEIGHTS.skills * skills.score +
+      SUGGESTION_WEIGHTS.load * loadScore +
+      SUGGESTION_WEIGHTS.accuracy * (accuracy ?? 0.5)
+    );
+
+    return {
+      user: {
+        _id: candidate._id,
+        name: candidate.name,
+        email: candidate.email,
+        department: candidate.department,
+        skills: candidate.skills || []
+      },
+      score,
+      onProject: projectMembers.has(candidate._id.toString()),
+      skills,
+      load: { ...load, score: loadScore },
+      estimateAccuracy: { score: accuracy, completedModules: history.length }
+    };
+  });
+
+  return suggestions
+    .sort((a, b) => b.score - a.score || a.user.name.localeCompare(b.user.name))
+    .slice(0, limit);
+};
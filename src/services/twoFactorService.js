@@ -0,0 +1,94 @@
+import Setting from '../models/Setting.js';
+import { generateChallengeToken } from '../middleware/auth.js';
+import {
+  verifyTOTP,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} from '../utils/totp.js';
+
+export const TWO_FACTOR_ENFORCED_ROLES_KEY = 'twoFactor.enforcedRoles';
+
+// Select string for loading the secret parts of a user/admin's 2FA config
+export const TWO_FACTOR_SECRET_FIELDS =
+  '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+/**
+ * Roles that must have 2FA enabled before they can log in
+ */
+export const getEnforcedRoles = async () => {
+  return Setting.getValue(TWO_FACTOR_ENFORCED_ROLES_KEY, []);
+};
+
+export const isTwoFactorEnforced = async (role) => {
+  const enforcedRoles = await getEnforcedRoles();
+  return enforcedRoles.includes(role);
+};
+
+/**
+ * Decide whether a login that passed the password check needs a second step.
+ * Returns the response payload for the challenge, or null to log in directly.
+ */
+export const getLoginChallenge = async (account) => {
+  if (account.twoFactor?.enabled) {
+    return {
+      message: 'Two-factor authentication required',
+      code: 'TWO_FACTOR_REQUIRED',
+      twoFactorRequired: true,
+      challengeToken: generateChallengeToken(account._id, account.role, '2fa_verify')
+    };
+  }
+
+  if (await isTwoFactorEnforced(account.role)) {
+    return {
+      message: 'Two-factor authentication must be set up before you can log in',
+      code: 'TWO_FACTOR_SETUP_REQUIRED',
+      twoFactorSetupRequired: true,
+      challengeToken: generateChallengeToken(account._id, account.role, '2fa_setup')
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Check a TOTP code or a recovery code against an account loaded with
+ * TWO_FACTOR_SECRET_FIELDS. Consumes the code and saves the account.
+ */
+export const verifySecondFactor = async (account, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyTOTP(account.twoFactor.secret, code);
+
+    // Each code only works once, even within its 30 second window
+    if (step === null || step <= (account.twoFactor.lastUsedStep ?? -1)) {
+      return false;
+    }
+
+    account.twoFactor.lastUsedStep = step;
+    await account.save();
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hashed = hashRecoveryCode(recoveryCode);
+    const index = account.twoFactor.recoveryCodes.indexOf(hashed);
+
+    if (index === -1) {
+      return false;
+    }
+
+    account.twoFactor.recoveryCodes.splice(index, 1);
+    await account.save();
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Replace an account's recovery codes. Returns the plaintext codes to show once.
+ */
+export const resetRecoveryCodes = (account) => {
+  const codes = generateRecoveryCodes();
+  account.twoFactor.recoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
@@ -0,0 +1,208 @@
+import User from '../models/user.js';
+import Project from '../models/Project.js';
+import Module from '../models/Module.js';
+import Department from '../models/Department.js';
+import config from '../config/env.js';
+import { invalidateTokens } from './sessionService.js';
+import { eraseUser } from './personalDataService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Projects that still need their lead
+const OPEN_PROJECT_STATUSES = ['pending', 'in_progress', 'on_hold'];
+
+let purgeTimer = null;
+
+const deletionError = (status, message, code) => ({
+  status,
+  body: {
+    success: false,
+    message,
+    ...(code ? { code } : {})
+  }
+});
+
+/**
+ * Returns { error } when the user still leads open projects, which need
+ * a new lead before the user can be removed
+ */
+export const checkNoOpenLedProjects = async (userId) => {
+  const projects = await Project.find({
+    assignedLead: userId,
+    isActive: true,
+    status: { $in: OPEN_PROJECT_STATUSES }
+  }).select('name');
+
+  if (projects.length === 0) {
+    return {};
+  }
+
+  const error = deletionError(409, 'Assign a new lead to the projects this user leads first', 'USER_LEADS_PROJECTS');
+  error.body.data = projects;
+  return { error };
+};
+
+/**
+ * Take the user off unfinished projects and modules. Completed ones keep
+ * them so their statistics stay whole. Returns the ids they left.
+ */
+export const releaseAssignments = async (userId) => {
+  const unfinished = { assignedUsers: userId, status: { $ne: 'completed' } };
+
+  const projects = (await Project.find(unfinished).select('_id')).map(project => project._id);
+  const modules = (await Module.find(unfinished).select('_id')).map(module => module._id);
+
+  await Project.updateMany({ _id: { $in: projects } }, { $pull: { assignedUsers: userId } });
+  await Module.updateMany({ _id: { $in: modules } }, { $pull: { assignedUsers: userId } });
+
+  return { projects, modules };
+};
+
+/**
+ * Leave the departments the user heads without a head. Returns their ids.
+ */
+export const releaseDepartments = async (userId) => {
+  const departments = (await Department.find({ head: userId }).select('_id')).map(department => department._id);
+
+  await Department.updateMany({ _id: { $in: departments } }, { $set: { head: null } });
+
+  return departments;
+};
+
+/**
+ * Last moment a deleted user can be restored
+ */
+export const getRestoreDeadline = (user) =>
+  new Date(user.deletedAt.getTime() + config.userDeletion.retentionDays * DAY_MS);
+
+/**
+ * Soft-delete a user: sign them out, release their assignments and keep
+ * the account restorable until the retention period ends.
+ * Returns { error } with the response to send when it can't be done.
+ */
+export const softDeleteUser = async (user, deletedBy) => {
+  if (user.deletedAt) {
+    return { error: deletionError(400, 'User is already deleted') };
+  }
+
+  const { error } = await checkNoOpenLedProjects(user._id);
+  if (error) {
+    return { error };
+  }
+
+  const released = await releaseAssignments(user._id);
+  const departments = await releaseDepartments(user._id);
+
+  user.restoreState = { isActive: user.isActive, ...released, departments };
+  user.isActive = false;
+  user.deletedAt = new Date();
+  user.deletedBy = deletedBy;
+  await user.save();
+
+  await invalidateTokens(user._id, 'User', 'account_deleted');
+
+  return {};
+};
+
+/**
+ * Undo a soft delete within the retention period. Assignments come back
+ * for projects and modules that are still unfinished, and the user heads
+ * their departments again unless someone else has taken over.
+ */
+export const restoreUser = async (user) => {
+  if (!user.deletedAt) {
+    return { error: deletionError(400, 'User is not deleted') };
+  }
+
+  if (getRestoreDeadline(user) < new Date()) {
+    return { error: deletionError(400, 'The restore period for this user has ended', 'RESTORE_PERIOD_ENDED') };
+  }
+
+  const { projects = [], modules = [], departments = [], isActive = true } = user.restoreState || {};
+
+  await Project.updateMany(
+    { _id: { $in: projects }, isActive: true, status: { $ne: 'completed' } },
+    { $addToSet: { assignedUsers: user._id } }
+  );
+  await Module.updateMany(
+    { _id: { $in: modules }, status: { $ne: 'completed' } },
+    { $addToSet: { assignedUsers: user._id } }
+  );
+  await Department.updateMany(
+    { _id: { $in: departments }, head: null },
+    { $set: { head: user._id } }
+  );
+
+  user.isActive = isActive;
+  user.deletedAt = null;
+  user.deletedBy = undefined;
+  user.restoreState = undefined;
+  await user.save();
+
+  return {};
+};
+
+/**
+ * End a deleted user's restore period. The account is anonymized in place
+ * rather than removed, so the daily updates and stats that point at it keep
+ * counting towards project hours and points. Returns false when it has to
+ * wait for the next run.
+ */
+const purgeUser = async (user) => {
+  const userId = user._id;
+
+  if (!user.erasedAt) {
+    const { error } = await eraseUser(user);
+    if (error) {
+      console.error(`❌ Could not purge deleted user ${userId}:`, error.body.message);
+      return false;
+    }
+  }
+
+  await User.updateMany({ manager: userId }, { $set: { manager: null } });
+  await Department.updateMany({ head: userId }, { $set: { head: null } });
+  await User.updateOne({ _id: userId }, { $set: { purgedAt: new Date() }, $unset: { restoreState: 1 } });
+
+  return true;
+};
+
+/**
+ * Purge users whose restore period has ended. Returns how many.
+ */
+export const purgeDeletedUsers = async () => {
+  const cutoff = new Date(Date.now() - config.userDeletion.retentionDays * DAY_MS);
+  const users = await User.find({ deletedAt: { $ne: null, $lte: cutoff }, purgedAt: null })
+    .select('_id email erasedAt');
+
+  let purged = 0;
+  for (const user of users) {
+    if (await purgeUser(user)) {
+      purged += 1;
+    }
+  }
+
+  if (purged > 0) {
+    console.log(`🗑️ Purged ${purged} deleted user(s)`);
+  }
+
+  return purged;
+};
+
+/**
+ * Purge now, then on a schedule. Purging is idempotent, so every
+ * instance can run it, and a failed run is simply retried next time.
+ */
+export const initUserPurge = async () => {
+  if (!purgeTimer) {
+    purgeTimer = setInterval(() => {
+      purgeDeletedUsers().catch(error => console.error('❌ Error purging deleted users:', error.message));
+    }, config.userDeletion.purgeIntervalMinutes * 60 * 1000);
+    purgeTimer.unref();
+  }
+
+  try {
+    await purgeDeletedUsers();
+  } catch (error) {
+    console.error('❌ Error purging deleted users:', error.message);
+  }
+};
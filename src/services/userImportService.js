@@ -0,0 +1,245 @@
+import User from '../models/user.js';
+import Invitation from '../models/Invitation.js';
+import config from '../config/env.js';
+import { parseCsv, toCsv } from '../utils/csv.js';
+import { can, isAssignableRole } from './permissionService.js';
+import { getPasswordPolicy, generateTemporaryPassword } from './passwordPolicyService.js';
+import { issueInvitationToken, sendInvitation } from './invitationService.js';
+import { resolveDepartment } from './departmentService.js';
+
+export const IMPORT_COLUMNS = ['name', 'email', 'role', 'department', 'phone'];
+const REQUIRED_COLUMNS = ['name', 'email'];
+
+// invite: email an invitation; password: create the account with a temporary password
+export const IMPORT_MODES = ['invite', 'password'];
+
+const DEFAULT_ROLE = User.schema.path('role').defaultValue;
+
+// Stands in for the password during schema validation; imports never set one from the file
+const PLACEHOLDER_PASSWORD = 'placeholder-password';
+
+const REPORT_COLUMNS = [
+  { header: 'row', value: row => row.row },
+  { header: 'name', value: row => row.name },
+  { header: 'email', value: row => row.email },
+  { header: 'role', value: row => row.role },
+  { header: 'department', value: row => row.department },
+  { header: 'phone', value: row => row.phone },
+  { header: 'status', value: row => row.status },
+  { header: 'temporary_password', value: row => row.temporaryPassword },
+  { header: 'errors', value: row => row.errors.join('; ') }
+];
+
+const importError = (message) => ({
+  status: 400,
+  body: {
+    success: false,
+    message,
+    code: 'INVALID_IMPORT'
+  }
+});
+
+/**
+ * Read an import file into rows of { row, name, email, role, department, phone }.
+ * Returns { rows } or { error } with the response to send when the file
+ * itself can't be used.
+ */
+export const parseImportFile = (text) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    return { error: importError('Please provide a CSV file') };
+  }
+
+  const [header, ...records] = parseCsv(text);
+  const columns = header.map(column => column.trim().toLowerCase());
+
+  const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    return { error: importError(`Missing required column(s): ${missing.join(', ')}`) };
+  }
+
+  const unknown = columns.filter(column => !IMPORT_COLUMNS.includes(column));
+  if (unknown.length > 0) {
+    return { error: importError(`Unknown column(s): ${unknown.join(', ')}`) };
+  }
+
+  if (records.length === 0) {
+    return { error: importError('The file has no rows to import') };
+  }
+
+  if (records.length > config.userImportMaxRows) {
+    return { error: importError(`Imports are limited to ${config.userImportMaxRows} rows`) };
+  }
+
+  const rows = records.map((cells, index) => {
+    const row = { row: index + 1 };
+    IMPORT_COLUMNS.forEach(column => {
+      const position = columns.indexOf(column);
+      row[column] = position === -1 ? '' : (cells[position] ?? '').trim();
+    });
+    return row;
+  });
+
+  return { rows };
+};
+
+// Resolve each distinct department in the file once: value -> { department } or { error }
+const resolveDepartments = async (rows) => {
+  const resolved = new Map();
+
+  for (const row of rows) {
+    if (row.department && !resolved.has(row.department)) {
+      resolved.set(row.department, await resolveDepartment(row.department));
+    }
+  }
+
+  return resolved;
+};
+
+/**
+ * Check every row against the User schema, role rules, departments and
+ * existing accounts and invitations. Sets `errors` (and `departmentId`)
+ * on each row; rows without errors can be imported.
+ */
+export const validateImportRows = async (rows, importer) => {
+  for (const row of rows) {
+    row.email = row.email.toLowerCase();
+    row.role = (row.role || DEFAULT_ROLE).toLowerCase();
+  }
+
+  const emails = rows.map(row => row.email).filter(Boolean);
+
+  const existingUsers = await User.find({ email: { $in: emails } }).select('email');
+  const existing = new Set(existingUsers.map(user => user.email));
+
+  const pendingInvitations = await Invitation.find({
+    email: { $in: emails },
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  }).select('email');
+  const invited = new Set(pendingInvitations.map(invitation => invitation.email));
+
+  const departments = await resolveDepartments(rows);
+  const canChangeRole = can(importer, 'user:changeRole');
+  const seen = new Set();
+
+  for (const row of rows) {
+    const errors = [];
+
+    const { department, error: departmentError } = departments.get(row.department) || {};
+    if (departmentError) {
+      errors.push(departmentError.body.message);
+    }
+    row.departmentId = department?._id;
+
+    const validation = new User({
+      name: row.name,
+      email: row.email,
+      role: row.role,
+      department: row.departmentId,
+      phone: row.phone || undefined,
+      password: PLACEHOLDER_PASSWORD
+    }).validateSync();
+
+    if (validation) {
+      errors.push(...Object.values(validation.errors).map(error => error.message));
+    }
+
+    if (!isAssignableRole(row.role)) {
+      errors.push(`Invalid role '${row.role}'`);
+    } else if (row.role !== DEFAULT_ROLE && !canChangeRole) {
+      errors.push(`Not authorized to import users as '${row.role}'`);
+    }
+
+    if (row.email) {
+      if (seen.has(row.email)) {
+        errors.push('Email appears more than once in the file');
+      } else if (existing.has(row.email)) {
+        errors.push('User already exists with this email');
+      } else if (invited.has(row.email)) {
+        errors.push('A pending invitation already exists for this email');
+      }
+      seen.add(row.email);
+    }
+
+    row.errors = errors;
+  }
+
+  return rows;
+};
+
+/**
+ * Import the rows that passed validation, as pre-approved users with a
+ * temporary password or as invitations (which create a pre-approved user
+ * once accepted). Sets each row's `status`, and `temporaryPassword` for
+ * accounts created directly.
+ */
+export const importRows = async (rows, mode, importer) => {
+  const policy = await getPasswordPolicy();
+  const importerModel = importer.role === 'admin' ? 'Admin' : 'User';
+
+  for (const row of rows) {
+    if (row.errors.length > 0) {
+      row.status = 'skipped';
+      continue;
+    }
+
+    const details = {
+      name: row.name,
+      email: row.email,
+      role: row.role,
+      department: row.departmentId,
+      phone: row.phone || undefined
+    };
+
+    try {
+      if (mode === 'password') {
+        const temporaryPassword = generateTemporaryPassword(details, policy);
+
+        const user = await User.create({
+          ...details,
+          password: temporaryPassword,
+          passwordChangeRequired: true,
+          approved: true,
+          approvedAt: new Date(),
+          approvedBy: importerModel === 'Admin' ? importer._id : undefined
+        });
+
+        row.id = user._id;
+        row.temporaryPassword = temporaryPassword;
+        row.status = 'created';
+      } else {
+        const invitation = new Invitation({
+          ...details,
+          createdBy: importer._id,
+          createdByModel: importerModel
+        });
+        const inviteToken = issueInvitationToken(invitation);
+        await invitation.save();
+
+        await sendInvitation(invitation, inviteToken, importer.name);
+
+        row.id = invitation._id;
+        row.status = 'invited';
+      }
+    } catch (error) {
+      // e.g. the address registered while the import was running
+      row.status = 'failed';
+      row.errors.push(error.code === 11000 ? 'User already exists with this email' : error.message);
+    }
+  }
+
+  return rows;
+};
+
+/**
+ * Count rows by status, e.g. { total: 3, created: 2, skipped: 1 }
+ */
+export const summarizeImport = (rows) => rows.reduce(
+  (summary, row) => ({ ...summary, [row.status]: (summary[row.status] || 0) + 1 }),
+  { total: rows.length }
+);
+
+/**
+ * The per-row result report offered for download
+ */
+export const buildImportReport = (rows) => toCsv(rows, REPORT_COLUMNS);
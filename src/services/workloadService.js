@@ -0,0 +1,218 @@
+import Module from '../models/Module.js';
+import DailyUpdate from '../models/DailyUpdate.js';
+import config from '../config/env.js';
+import {
+  startOfDay,
+  startOfWeek,
+  addDays,
+  isWorkingDay,
+  countWorkingDays,
+  getApprovedLeave,
+  groupLeaveByUser,
+  leaveOnDay,
+  expectedHours
+} from './leaveService.js';
+
+// Modules still needing work
+const OPEN_MODULE_STATUSES = ['pending', 'in_progress', 'blocked'];
+
+// Utilization (%) above which a user or week is flagged
+export const OVER_ALLOCATION_THRESHOLD = 100;
+
+const idOf = (value) => (value?._id ?? value)?.toString();
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const utilizationOf = (allocated, capacity) => {
+  if (capacity > 0) return Math.round((allocated / capacity) * 100);
+  return allocated > 0 ? null : 0;
+};
+
+/**
+ * Hours a user can give to project work in a week
+ */
+export const weeklyCapacityOf = (user) => user.weeklyCapacity ?? config.workdayHours * 5;
+
+/**
+ * Days still to work on a module, from today (or its later start) until its
+ * end date, the project deadline or, failing both, `fallbackEnd`. An
+ * unfinished module past its end is due today.
+ */
+export const moduleSchedule = (module, today, fallbackEnd) => {
+  const start = module.startDate && startOfDay(module.startDate) > today
+    ? startOfDay(module.startDate)
+    : today;
+  const dueDate = module.endDate || module.project?.deadline;
+  const end = dueDate ? startOfDay(dueDate) : startOfDay(fallbackEnd);
+
+  if (end < today) {
+    return { start: today, end: today, overdue: true };
+  }
+
+  return { start, end: end < start ? start : end, overdue: false };
+};
+
+/**
+ * Hours of `remainingHours` falling between `from` and `to` when spread
+ * evenly over the working days from `start` to `end`
+ */
+export const spreadHours = (remainingHours, { start, end }, from, to) => {
+  const workingDays = countWorkingDays(start, end);
+
+  // Nothing but weekends left: it all lands on the first day
+  if (workingDays === 0) {
+    return start >= from && start <= to ? remainingHours : 0;
+  }
+
+  const overlapStart = start > from ? start : from;
+  const overlapEnd = end < to ? end : to;
+  if (overlapEnd < overlapStart) {
+    return 0;
+  }
+
+  return (remainingHours * countWorkingDays(overlapStart, overlapEnd)) / workingDays;
+};
+
+/**
+ * Workload of each user from `from` to `to`, week by week: capacity less
+ * approved leave, hours logged in daily updates and the remaining
+ * estimate of their open modules (shared between everyone on a module and
+ * spread over the days left until it is due). Past days count what was
+ * logged; remaining work is only planned from today.
+ */
+export const buildWorkload = async (users, from, to, { today = new Date() } = {}) => {
+  const rangeStart = startOfDay(from);
+  const rangeEnd = startOfDay(to);
+  const now = startOfDay(today);
+  const userIds = users.map(user => user._id);
+
+  const leaveByUser = groupLeaveByUser(await getApprovedLeave(userIds, rangeStart, rangeEnd));
+
+  const updates = await DailyUpdate.find({
+    user: { $in: userIds },
+    date: { $gte: rangeStart, $lt: addDays(rangeEnd, 1) }
+  })
+    .select('user date hoursWorked')
+    .lean();
+
+  const modules = await Module.find({
+    assignedUsers: { $in: userIds },
+    status: { $in: OPEN_MODULE_STATUSES }
+  })
+    .select('name project assignedUsers estimatedTime actualTime startDate endDate status')
+    .populate('project', 'name deadline')
+    .lean();
+
+  const weeks = [];
+  for (let weekStart = startOfWeek(rangeStart); weekStart <= rangeEnd; weekStart = addDays(weekStart, 7)) {
+    weeks.push({
+      weekStart,
+      from: weekStart < rangeStart ? rangeStart : weekStart,
+      to: addDays(weekStart, 6) > rangeEnd ? rangeEnd : addDays(weekStart, 6)
+    });
+  }
+
+  return users.map(user => {
+    const userId = idOf(user);
+    const leaves = leaveByUser.get(userId) || [];
+    const hoursPerDay = weeklyCapacityOf(user) / 5;
+    const logged = updates.filter(update => idOf(update.user) === userId);
+
+    const assigned = modules
+      .filter(module => module.assignedUsers.some(id => idOf(id) === userId))
+      .map(module => {
+        const remainingHours = Math.max(0, module.estimatedTime - module.actualTime) / module.assignedUsers.length;
+        return { module, remainingHours, schedule: moduleSchedule(module, now, rangeEnd) };
+      });
+
+    const weekRows = weeks.map(week => {
+      const capacityHours = expectedHours(leaves, week.from, week.to, hoursPerDay);
+      const loggedHours = logged
+        .filter(update => update.date >= week.from && update.date < addDays(week.to, 1))
+        .reduce((sum, update) => sum + update.hoursWorked, 0);
+      const plannedHours = assigned.reduce((sum, { remainingHours, schedule }) =>
+        sum + spreadHours(remainingHours, schedule, week.from, week.to), 0);
+
+      return {
+        weekStart: week.weekStart,
+        capacityHours: round(capacityHours),
+        loggedHours: round(loggedHours),
+        plannedHours: round(plannedHours),
+        utilization: utilizationOf(loggedHours + plannedHours, capacityHours)
+      };
+    });
+
+    let leaveDays = 0;
+    for (let day = rangeStart; day <= rangeEnd; day = addDays(day, 1)) {
+      if (isWorkingDay(day)) leaveDays += leaveOnDay(leaves, day);
+    }
+
+    const capacityHours = weekRows.reduce((sum, week) => sum + week.capacityHours, 0);
+    const loggedHours = weekRows.reduce((sum, week) => sum + week.loggedHours, 0);
+    const plannedHours = weekRows.reduce((sum, week) => sum + week.plannedHours, 0);
+    const utilization = utilizationOf(loggedHours + plannedHours, capacityHours);
+
+    const warnings = [];
+    const overloadedWeeks = weekRows.filter(week =>
+      week.utilization === null || week.utilization > OVER_ALLOCATION_THRESHOLD);
+    if (overloadedWeeks.length > 0) {
+      warnings.push({
+        code: 'OVER_ALLOCATED',
+        message: `Allocated beyond capacity in ${overloadedWeeks.length} week(s)`,
+        weeks: overloadedWeeks.map(week => week.weekStart)
+      });
+    }
+    const overdue = assigned.filter(({ schedule }) => schedule.overdue);
+    if (overdue.length > 0) {
+      warnings.push({
+        code: 'OVERDUE_MODULES',
+        message: `${overdue.length} assigned module(s) past their end date`,
+        modules: overdue.map(({ module }) => module._id)
+      });
+    }
+
+    return {
+      user: {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        department: user.department,
+        weeklyCapacity: weeklyCapacityOf(user)
+      },
+      capacityHours: round(capacityHours),
+      leaveDays,
+      loggedHours: round(loggedHours),
+      plannedHours: round(plannedHours),
+      utilization,
+      overAllocated: overloadedWeeks.length > 0,
+      weeks: weekRows,
+      modules: assigned.map(({ module, remainingHours, schedule }) => ({
+        _id: module._id,
+        name: module.name,
+        project: module.project && { _id: module.project._id, name: module.project.name },
+        status: module.status,
+        remainingHours: round(remainingHours),
+        hoursInRange: round(spreadHours(remainingHours, schedule, rangeStart, rangeEnd)),
+        dueDate: module.endDate || module.project?.deadline || null,
+        overdue: schedule.overdue
+      })),
+      warnings
+    };
+  });
+};
+
+/**
+ * Totals across a workload report
+ */
+export const summarizeWorkload = (rows) => {
+  const capacityHours = rows.reduce((sum, row) => sum + row.capacityHours, 0);
+  const allocatedHours = rows.reduce((sum, row) => sum + row.loggedHours + row.plannedHours, 0);
+
+  return {
+    users: rows.length,
+    capacityHours: round(capacityHours),
+    allocatedHours: round(allocatedHours),
+    utilization: utilizationOf(allocatedHours, capacityHours),
+    overAllocated: rows.filter(row => row.overAllocated).length
+  };
+};
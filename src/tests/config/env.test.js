@@ -0,0 +1,44 @@
+import { config, findInsecureDefaults, lifetimeSeconds } from '../../config/env.js';
+
+describe('Environment config', () => {
+  describe('findInsecureDefaults', () => {
+    it('allows the fallback secrets outside production', () => {
+      expect(findInsecureDefaults({ ...config, nodeEnv: 'development', jwtSecret: 'fallback-secret-key' })).toEqual([]);
+    });
+
+    it('lists fallback secrets in production', () => {
+      expect(findInsecureDefaults({
+        ...config,
+        nodeEnv: 'production',
+        jwtSecret: 'fallback-secret-key',
+        jwtRefreshSecret: 'fallback-refresh-secret-key'
+      })).toEqual(['JWT_SECRET', 'JWT_REFRESH_SECRET']);
+    });
+
+    it('passes production with real secrets', () => {
+      expect(findInsecureDefaults({
+        ...config,
+        nodeEnv: 'production',
+        jwtSecret: 'a-real-secret',
+        jwtRefreshSecret: 'another-real-secret'
+      })).toEqual([]);
+    });
+  });
+
+  describe('lifetimeSeconds', () => {
+    it('reads token lifetimes the way jsonwebtoken does', () => {
+      expect(lifetimeSeconds('15m')).toBe(900);
+      expect(lifetimeSeconds('7d')).toBe(604800);
+      expect(lifetimeSeconds('12 hours')).toBe(43200);
+      expect(lifetimeSeconds(3600)).toBe(3600);
+      expect(lifetimeSeconds('5000')).toBe(5);
+      expect(lifetimeSeconds('soon')).toBe(0);
+    });
+
+    it('keeps retired keys a day past the refresh token lifetime', () => {
+      expect(config.jwtKeys.retiredKeyDays).toBeGreaterThanOrEqual(
+        Math.ceil(lifetimeSeconds(config.jwtRefreshExpire) / 86400) + 1
+      );
+    });
+  });
+});
@@ -0,0 +1,749 @@
+import { jest } from '@jest/globals';
+import httpMocks from 'node-mocks-http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/* 🔴 MOCK FIRST */
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/Admin.js'), () => {
+  // Invited admins are built with `new Admin()`
+  const Admin = jest.fn(function (fields) {
+    Object.assign(this, {
+      _id: 'invited1',
+      ...fields,
+      createInviteToken: jest.fn(() => 'rawinvite'),
+      save: jest.fn()
+    });
+  });
+
+  return {
+    default: Object.assign(Admin, {
+      find: jest.fn(),
+      findOne: jest.fn(),
+      findById: jest.fn(),
+      create: jest.fn(),
+      countDocuments: jest.fn(),
+    }),
+  };
+});
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../services/mailService.js'), () => ({
+  sendInvitationEmail: jest.fn(),
+  sendPasswordResetEmail: jest.fn(),
+  sendPasswordChangedEmail: jest.fn(),
+  sendEmailVerificationEmail: jest.fn(),
+  sendEmailChangeConfirmationEmail: jest.fn(),
+  sendEmailChangedEmail: jest.fn(),
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/user.js'), () => ({
+  default: {
+    find: jest.fn(),
+    findById: jest.fn(),
+    countDocuments: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/RefreshToken.js'), () => ({
+  default: {
+    revokeAllForUser: jest.fn(),
+    deleteMany: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/LoginAttempt.js'), () => ({
+  default: {
+    find: jest.fn(),
+    findByIdAndDelete: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/Setting.js'), () => ({
+  default: {
+    getValue: jest.fn(),
+    setValue: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../services/sessionService.js'), () => ({
+  getActiveSessions: jest.fn(),
+  revokeSession: jest.fn(),
+  invalidateTokens: jest.fn(),
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/AuditLog.js'), () => ({
+  default: {
+    create: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../services/userImportService.js'), () => ({
+  IMPORT_MODES: ['invite', 'password'],
+  parseImportFile: jest.fn(),
+  validateImportRows: jest.fn(),
+  importRows: jest.fn(),
+  summarizeImport: jest.fn(),
+  buildImportReport: jest.fn(),
+}));
+
+/* 🔴 IMPORT AFTER MOCK */
+const Admin = (await import(path.resolve(__dirname, '../../models/Admin.js'))).default;
+const User = (await import(path.resolve(__dirname, '../../models/user.js'))).default;
+const RefreshToken = (await import(path.resolve(__dirname, '../../models/RefreshToken.js'))).default;
+const LoginAttempt = (await import(path.resolve(__dirname, '../../models/LoginAttempt.js'))).default;
+const Setting = (await import(path.resolve(__dirname, '../../models/Setting.js'))).default;
+const sessionService = await import(path.resolve(__dirname, '../../services/sessionService.js'));
+const userImportService = await import(path.resolve(__dirname, '../../services/userImportService.js'));
+const AuditLog = (await import(path.resolve(__dirname, '../../models/AuditLog.js'))).default;
+const mailService = await import(path.resolve(__dirname, '../../services/mailService.js'));
+const config = (await import(path.resolve(__dirname, '../../config/env.js'))).default;
+const {
+  getDashboardStats,
+  createAdmin,
+  inviteAdmin,
+  toggleAdminStatus,
+  deleteAdmin,
+  updatePasswordPolicySettings,
+  importUsers,
+  getUserSessions,
+  revokeUserSession,
+  revokeAllUserSessions,
+  getLockedAccounts,
+  unlockAccount,
+  resetUserTwoFactor,
+} = await import(path.resolve(__dirname, '../../controllers/adminController.js'));
+
+describe('Admin Controller', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Setting.getValue.mockResolvedValue({});
+  });
+
+  // ==================== DASHBOARD STATS ====================
+  describe('getDashboardStats', () => {
+    it('leaves deleted users out of every count', async () => {
+      User.countDocuments.mockResolvedValue(3);
+      User.find.mockReturnValue({
+        sort: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        select: jest.fn().mockResolvedValue([])
+      });
+
+      const req = httpMocks.createRequest({ method: 'GET' });
+      const res = httpMocks.createResponse();
+
+      await getDashboardStats(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(200);
+      expect(res._getJSONData().data.totalAccounts).toBe(6);
+      expect(User.countDocuments).toHaveBeenCalledTimes(4);
+      User.countDocuments.mock.calls.forEach(([filter]) => expect(filter.deletedAt).toBeNull());
+      expect(User.find).toHaveBeenCalledWith({ deletedAt: null });
+    });
+  });
+
+  // ==================== INVITE ADMIN ====================
+  describe('inviteAdmin', () => {
+    it('emails the invitation instead of returning the token', async () => {
+      Admin.findOne.mockResolvedValue(null);
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { name: 'New Admin', email: 'new-admin@example.com' },
+        user: { _id: 'admin1', name: 'Root', role: 'admin' }
+      });
+      const res = httpMocks.createResponse();
+
+      await inviteAdmin(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(201);
+      const [invited] = Admin.mock.instances;
+      expect(invited.createInviteToken).toHaveBeenCalledWith(config.invitationExpireHours);
+      expect(mailService.sendInvitationEmail).toHaveBeenCalledWith(
+        'new-admin@example.com',
+        'Root',
+        expect.stringContaining('token=rawinvite'),
+        'admin',
+        config.invitationExpireHours
+      );
+      expect(JSON.stringify(res._getJSONData())).not.toContain('rawinvite');
+    });
+  });
+
+  // ==================== CREATE ADMIN ====================
+  describe('createAdmin', () => {
+    it('should create a new admin', async () => {
+      Admin.findOne.mockResolvedValue(null);
+      Admin.create.mockResolvedValue({ _id: 'admin2', email: 'second@company.com' });
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { name: 'Second', email: 'second@company.com', password: 'Secret@1234' },
+        user: { _id: 'admin1', role: 'admin' }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await createAdmin(req, res, next);
+
+      expect(res.statusCode).toBe(201);
+      expect(Admin.create).toHaveBeenCalledWith(
+        expect.objectContaining({ email: 'second@company.com', invitedBy: 'admin1' })
+      );
+    });
+
+    it('should return 400 if admin email already exists', async () => {
+      Admin.findOne.mockResolvedValue({ _id: 'admin2' });
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { email: 'second@company.com', password: 'Secret@1234' },
+        user: { _id: 'admin1', role: 'admin' }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await createAdmin(req, res, next);
+
+      expect(res.statusCode).toBe(400);
+      expect(Admin.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for a password that breaks the policy', async () => {
+      Admin.findOne.mockResolvedValue(null);
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { name: 'Second', email: 'second@company.com', password: 'password' },
+        user: { _id: 'admin1', role: 'admin' }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await createAdmin(req, res, next);
+
+      expect(res.statusCode).toBe(400);
+      expect(res._getJSONData().code).toBe('WEAK_PASSWORD');
+      expect(Admin.create).not.toHaveBeenCalled();
+    });
+  });
+
+  // ==================== PASSWORD POLICY ====================
+  describe('updatePasswordPolicySettings', () => {
+    it('should merge the changes into the stored overrides', async () => {
+      Setting.getValue.mockResolvedValue({ historyCount: 10 });
+
+      const req = httpMocks.createRequest({
+        method: 'PUT',
+        body: { minLength: 12, requireSymbol: true },
+        user: { _id: 'admin1', role: 'admin' }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await updatePasswordPolicySettings(req, res, next);
+
+      expect(res.statusCode).toBe(200);
+      expect(Setting.setValue).toHaveBeenCalledWith(
+        'password.policy',
+        { historyCount: 10, minLength: 12, requireSymbol: true },
+        'admin1'
+      );
+      expect(res._getJSONData().data).toEqual(expect.objectContaining({
+        minLength: 12,
+        requireSymbol: true,
+        historyCount: 10
+      }));
+    });
+
+    it('should return 400 for invalid values', async () => {
+      const req = httpMocks.createRequest({
+        method: 'PUT',
+        body: { historyCount: -1 },
+        user: { _id: 'admin1', role: 'admin' }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await updatePasswordPolicySettings(req, res, next);
+
+      expect(res.statusCode).toBe(400);
+      expect(Setting.setValue).not.toHaveBeenCalled();
+    });
+  });
+
+  // ==================== USER IMPORT ====================
+  describe('importUsers', () => {
+    const admin = { _id: 'admin1', email: 'admin@example.com', role: 'admin' };
+    const rows = [
+      { row: 1, email: 'ana@example.com', errors: [] },
+      { row: 2, email: 'bad', errors: ['Please provide a valid email'] }
+    ];
+
+    beforeEach(() => {
+      userImportService.parseImportFile.mockReturnValue({ rows: rows.map(row => ({ ...row, errors: [...row.errors] })) });
+      userImportService.summarizeImport.mockReturnValue({ total: 2 });
+    });
+
+    it('should only validate on a dry run', async () => {
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        query: { dryRun: 'true' },
+        body: 'name,email\n...',
+        user: admin
+      });
+      const res = httpMocks.createResponse();
+
+      await importUsers(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(200);
+      expect(userImportService.parseImportFile).toHaveBeenCalledWith('name,email\n...');
+      expect(userImportService.importRows).not.toHaveBeenCalled();
+      expect(res._getJSONData().data.map(row => row.status)).toEqual(['valid', 'invalid']);
+      expect(AuditLog.create).not.toHaveBeenCalled();
+    });
+
+    it('should import and audit when committed', async () => {
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        query: { mode: 'password' },
+        body: { csv: 'name,email\n...' },
+        user: admin
+      });
+      const res = httpMocks.createResponse();
+
+      await importUsers(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(200);
+      expect(userImportService.importRows).toHaveBeenCalledWith(expect.any(Array), 'password', admin);
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'user.import',
+        metadata: { mode: 'password', total: 2 }
+      }));
+    });
+
+    it('should return the report as a CSV download', async () => {
+      userImportService.buildImportReport.mockReturnValue('row,name\r\n');
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        query: { format: 'csv' },
+        body: 'name,email\n...',
+        user: admin
+      });
+      const res = httpMocks.createResponse();
+
+      await importUsers(req, res, jest.fn());
+
+      expect(res.getHeader('Content-Disposition')).toMatch(/^attachment; filename="user-import-\d{4}-\d{2}-\d{2}\.csv"$/);
+      expect(res._getData()).toBe('row,name\r\n');
+    });
+
+    it('should reject an unknown mode', async () => {
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        query: { mode: 'magic' },
+        body: 'name,email\n...',
+        user: admin
+      });
+      const res = httpMocks.createResponse();
+
+      await importUsers(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(400);
+      expect(userImportService.parseImportFile).not.toHaveBeenCalled();
+    });
+
+    it('should return the error for an unusable file', async () => {
+      userImportService.parseImportFile.mockReturnValue({
+        error: { status: 400, body: { success: false, message: 'Please provide a CSV file', code: 'INVALID_IMPORT' } }
+      });
+
+      const req = httpMocks.createRequest({ method: 'POST', body: {}, user: admin });
+      const res = httpMocks.createResponse();
+
+      await importUsers(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(400);
+      expect(res._getJSONData().code).toBe('INVALID_IMPORT');
+    });
+  });
+
+  // ==================== TOGGLE ADMIN STATUS ====================
+  describe('toggleAdminStatus', () => {
+    it('should disable admin and revoke their refresh tokens', async () => {
+      const mockAdmin = {
+        _id: 'admin2',
+        isActive: true,
+        save: jest.fn().mockResolvedValue(true)
+      };
+      Admin.findById.mockResolvedValue(mockAdmin);
+      Admin.countDocuments.mockResolvedValue(1);
+
+      const req = httpMocks.createRequest({
+        params: { id: 'admin2' },
+        user: { _id: 'admin1', role: 'admin' }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await toggleAdminStatus(req, res, next);
+
+      expect(res.statusCode).toBe(200);
+      expect(mockAdmin.isActive).toBe(false);
+      expect(sessionService.invalidateTokens).toHaveBeenCalledWith('admin2', 'Admin', 'account_disabled');
+    });
+
+    it('should not allow an admin to disable themselves', async () => {
+      Admin.findById.mockResolvedValue({ _id: 'admin1', isActive: true });
+
+      const req = httpMocks.createRequest({
+        params: { id: 'admin1' },
+        user: { _id: 'admin1', role: 'admin' }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await toggleAdminStatus(req, res, next);
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  // ==================== DELETE ADMIN ====================
+  describe('deleteAdmin', () => {
+    it('should not delete the last active admin', async () => {
+      const mockAdmin = { _id: 'admin2', isActive: true, deleteOne: jest.fn() };
+      Admin.findById.mockResolvedValue(mockAdmin);
+      Admin.countDocuments.mockResolvedValue(0);
+
+      const req = httpMocks.createRequest({
+        params: { id: 'admin2' },
+        user: { _id: 'admin1', role: 'admin' }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await deleteAdmin(req, res, next);
+
+      expect(res.statusCode).toBe(400);
+      expect(mockAdmin.deleteOne).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 if admin not found', async () => {
+      Admin.findById.mockResolvedValue(null);
+
+      const req = httpMocks.createRequest({
+        params: { id: 'missing' },
+        user: { _id: 'admin1', role: 'admin' }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await deleteAdmin(req, res, next);
+
+      expect(res.statusCode).toBe(404);
+    });
+  });
+
+  // ==================== SESSIONS ====================
+  describe('getUserSessions', () => {
+    it('lists a user\'s active sessions', async () => {
+      const user = { _id: 'user1', name: 'Ana', email: 'ana@example.com', role: 'user' };
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+      sessionService.getActiveSessions.mockResolvedValue([{ id: 'token1' }]);
+
+      const req = httpMocks.createRequest({ params: { userId: 'user1' } });
+      const res = httpMocks.createResponse();
+
+      await getUserSessions(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(200);
+      expect(res._getJSONData()).toEqual({ success: true, user, count: 1, data: [{ id: 'token1' }] });
+      expect(sessionService.getActiveSessions).toHaveBeenCalledWith('user1', 'User');
+    });
+
+    it('lists an admin\'s active sessions', async () => {
+      Admin.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ _id: 'admin2', role: 'admin' }) });
+      sessionService.getActiveSessions.mockResolvedValue([]);
+
+      const req = httpMocks.createRequest({ params: { adminId: 'admin2' } });
+      const res = httpMocks.createResponse();
+
+      await getUserSessions(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(200);
+      expect(User.findById).not.toHaveBeenCalled();
+      expect(sessionService.getActiveSessions).toHaveBeenCalledWith('admin2', 'Admin');
+    });
+
+    it('returns 404 for an unknown user', async () => {
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+      const req = httpMocks.createRequest({ params: { userId: 'missing' } });
+      const res = httpMocks.createResponse();
+
+      await getUserSessions(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(404);
+      expect(res._getJSONData().message).toBe('User not found');
+      expect(sessionService.getActiveSessions).not.toHaveBeenCalled();
+    });
+
+    it('returns 404 for an unknown admin', async () => {
+      Admin.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+      const req = httpMocks.createRequest({ params: { adminId: 'missing' } });
+      const res = httpMocks.createResponse();
+
+      await getUserSessions(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(404);
+      expect(res._getJSONData().message).toBe('Admin not found');
+    });
+  });
+
+  describe('revokeUserSession', () => {
+    it('revokes the session and records it', async () => {
+      sessionService.revokeSession.mockResolvedValue(true);
+
+      const req = httpMocks.createRequest({
+        method: 'DELETE',
+        params: { userId: 'user1', id: 'token1' },
+        user: { _id: 'admin1', role: 'admin' }
+      });
+      const res = httpMocks.createResponse();
+
+      await revokeUserSession(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(200);
+      expect(sessionService.revokeSession).toHaveBeenCalledWith('user1', 'User', 'token1');
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'user.session_revoke',
+        targetType: 'User',
+        targetId: 'user1',
+        metadata: { sessionId: 'token1' }
+      }));
+    });
+
+    it('revokes an admin\'s session', async () => {
+      sessionService.revokeSession.mockResolvedValue(true);
+
+      const req = httpMocks.createRequest({
+        method: 'DELETE',
+        params: { adminId: 'admin2', id: 'token1' },
+        user: { _id: 'admin1', role: 'admin' }
+      });
+      const res = httpMocks.createResponse();
+
+      await revokeUserSession(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(200);
+      expect(sessionService.revokeSession).toHaveBeenCalledWith('admin2', 'Admin', 'token1');
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'admin.session_revoke',
+        targetType: 'Admin'
+      }));
+    });
+
+    it('returns 404 when the session is not the user\'s', async () => {
+      sessionService.revokeSession.mockResolvedValue(false);
+
+      const req = httpMocks.createRequest({
+        method: 'DELETE',
+        params: { userId: 'user1', id: 'other-users-token' },
+        user: { _id: 'admin1', role: 'admin' }
+      });
+      const res = httpMocks.createResponse();
+
+      await revokeUserSession(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(404);
+      expect(AuditLog.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('revokeAllUserSessions', () => {
+    it('revokes every session of a user', async () => {
+      RefreshToken.revokeAllForUser.mockResolvedValue({ modifiedCount: 3 });
+
+      const req = httpMocks.createRequest({
+        method: 'DELETE',
+        params: { userId: 'user1' },
+        user: { _id: 'admin1', role: 'admin' }
+      });
+      const res = httpMocks.createResponse();
+
+      await revokeAllUserSessions(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(200);
+      expect(res._getJSONData().message).toBe('3 session(s) revoked successfully');
+      expect(RefreshToken.revokeAllForUser).toHaveBeenCalledWith('user1', 'User', 'logout_all');
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'user.sessions_revoke',
+        metadata: { revoked: 3 }
+      }));
+    });
+
+    it('revokes every session of an admin', async () => {
+      RefreshToken.revokeAllForUser.mockResolvedValue({ modifiedCount: 1 });
+
+      const req = httpMocks.createRequest({
+        method: 'DELETE',
+        params: { adminId: 'admin2' },
+        user: { _id: 'admin1', role: 'admin' }
+      });
+      const res = httpMocks.createResponse();
+
+      await revokeAllUserSessions(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(200);
+      expect(RefreshToken.revokeAllForUser).toHaveBeenCalledWith('admin2', 'Admin', 'logout_all');
+    });
+  });
+
+  // ==================== TWO-FACTOR RESET ====================
+  describe('resetUserTwoFactor', () => {
+    it('turns off a user\'s two-factor authentication', async () => {
+      const user = { _id: 'user1', twoFactor: { enabled: true, secret: 'secret' }, save: jest.fn() };
+      User.findById.mockResolvedValue(user);
+
+      const req = httpMocks.createRequest({
+        method: 'DELETE',
+        params: { userId: 'user1' },
+        user: { _id: 'admin1', role: 'admin' }
+      });
+      const res = httpMocks.createResponse();
+
+      await resetUserTwoFactor(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(200);
+      expect(user.twoFactor).toEqual({ enabled: false });
+      expect(user.save).toHaveBeenCalled();
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'user.two_factor_reset',
+        targetType: 'User'
+      }));
+    });
+
+    it('turns off another admin\'s two-factor authentication', async () => {
+      const admin = { _id: 'admin2', twoFactor: { enabled: true, secret: 'secret' }, save: jest.fn() };
+      Admin.findById.mockResolvedValue(admin);
+
+      const req = httpMocks.createRequest({
+        method: 'DELETE',
+        params: { adminId: 'admin2' },
+        user: { _id: 'admin1', role: 'admin' }
+      });
+      const res = httpMocks.createResponse();
+
+      await resetUserTwoFactor(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(200);
+      expect(User.findById).not.toHaveBeenCalled();
+      expect(admin.twoFactor).toEqual({ enabled: false });
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'admin.two_factor_reset',
+        targetType: 'Admin'
+      }));
+    });
+
+    it('does not let an admin reset their own', async () => {
+      const req = httpMocks.createRequest({
+        method: 'DELETE',
+        params: { adminId: 'admin1' },
+        user: { _id: 'admin1', role: 'admin' }
+      });
+      const res = httpMocks.createResponse();
+
+      await resetUserTwoFactor(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(400);
+      expect(Admin.findById).not.toHaveBeenCalled();
+    });
+
+    it('returns 404 for an unknown admin', async () => {
+      Admin.findById.mockResolvedValue(null);
+
+      const req = httpMocks.createRequest({
+        method: 'DELETE',
+        params: { adminId: 'missing' },
+        user: { _id: 'admin1', role: 'admin' }
+      });
+      const res = httpMocks.createResponse();
+
+      await resetUserTwoFactor(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(404);
+      expect(res._getJSONData().message).toBe('Admin not found');
+    });
+  });
+
+  // ==================== LOGIN LOCKOUTS ====================
+  describe('getLockedAccounts', () => {
+    it('lists emails that are locked or throttled right now', async () => {
+      const locked = [{ _id: 'attempt1', email: 'ana@example.com', accountType: 'User' }];
+      const sort = jest.fn().mockResolvedValue(locked);
+      LoginAttempt.find.mockReturnValue({ sort });
+
+      const req = httpMocks.createRequest({ method: 'GET' });
+      const res = httpMocks.createResponse();
+
+      await getLockedAccounts(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(200);
+      expect(res._getJSONData()).toEqual({ success: true, count: 1, data: locked });
+      const [filter] = LoginAttempt.find.mock.calls[0];
+      expect(filter).toEqual({
+        $or: [
+          { lockedUntil: { $gt: expect.any(Date) } },
+          { nextAttemptAt: { $gt: expect.any(Date) } }
+        ]
+      });
+      expect(sort).toHaveBeenCalledWith({ lastFailedAt: -1 });
+    });
+  });
+
+  describe('unlockAccount', () => {
+    it('clears the lockout and records it', async () => {
+      LoginAttempt.findByIdAndDelete.mockResolvedValue({ _id: 'attempt1', email: 'ana@example.com' });
+
+      const req = httpMocks.createRequest({
+        method: 'DELETE',
+        params: { id: 'attempt1' },
+        user: { _id: 'admin1', role: 'admin' }
+      });
+      const res = httpMocks.createResponse();
+
+      await unlockAccount(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(200);
+      expect(res._getJSONData().message).toBe('ana@example.com unlocked successfully');
+      expect(LoginAttempt.findByIdAndDelete).toHaveBeenCalledWith('attempt1');
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'user.unlock',
+        targetType: 'LoginAttempt',
+        metadata: { email: 'ana@example.com' }
+      }));
+    });
+
+    it('returns 404 for an unknown lockout', async () => {
+      LoginAttempt.findByIdAndDelete.mockResolvedValue(null);
+
+      const req = httpMocks.createRequest({
+        method: 'DELETE',
+        params: { id: 'missing' },
+        user: { _id: 'admin1', role: 'admin' }
+      });
+      const res = httpMocks.createResponse();
+
+      await unlockAccount(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(404);
+      expect(res._getJSONData().message).toBe('Locked account not found');
+      expect(AuditLog.create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,224 @@
+import { jest } from '@jest/globals';
+import httpMocks from 'node-mocks-http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/* 🔴 MOCK FIRST */
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/ApiToken.js'), () => ({
+  API_TOKEN_PREFIX: 'mx_pat_',
+  default: {
+    generate: jest.fn(),
+    find: jest.fn(),
+    findOne: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/AuditLog.js'), () => ({
+  default: {
+    create: jest.fn(),
+  },
+}));
+
+/* 🔴 IMPORT AFTER MOCK */
+const ApiToken = (await import(path.resolve(__dirname, '../../models/ApiToken.js'))).default;
+const {
+  getApiTokenScopes,
+  createApiToken,
+  getApiTokens,
+  revokeApiToken,
+} = await import(path.resolve(__dirname, '../../controllers/apiTokenController.js'));
+
+describe('API Token Controller', () => {
+  const user = { _id: new mongoose.Types.ObjectId(), email: 'user@example.com', role: 'user', tokenVersion: 3 };
+  const admin = { _id: new mongoose.Types.ObjectId(), email: 'admin@example.com', role: 'admin' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ApiToken.generate.mockImplementation(async (data) => ({
+      rawToken: 'mx_pat_secret',
+      apiToken: { _id: 'tok1', tokenPrefix: 'mx_pat_secret'.slice(0, 13), createdAt: new Date(), ...data }
+    }));
+  });
+
+  // ==================== SCOPES ====================
+  describe('getApiTokenScopes', () => {
+    it('lists scopes the role can use', async () => {
+      const req = httpMocks.createRequest({ user });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await getApiTokenScopes(req, res, next);
+
+      const names = res._getJSONData().data.map(scope => scope.name);
+      expect(names).toEqual(expect.arrayContaining(['stats:read', 'dailyUpdates:write']));
+    });
+
+    it('lists nothing for a role without permissions', async () => {
+      const req = httpMocks.createRequest({ user: { ...user, role: 'ghost' } });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await getApiTokenScopes(req, res, next);
+
+      expect(res._getJSONData().count).toBe(0);
+    });
+  });
+
+  // ==================== CREATE ====================
+  describe('createApiToken', () => {
+    it('should create a token and return it once', async () => {
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { name: 'CI stats', scopes: ['stats:read', 'stats:read'], expiresInDays: 7 },
+        user
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await createApiToken(req, res, next);
+
+      expect(res.statusCode).toBe(201);
+      const data = res._getJSONData();
+      expect(data.token).toBe('mx_pat_secret');
+      expect(data.data.tokenHash).toBeUndefined();
+      expect(ApiToken.generate).toHaveBeenCalledWith(expect.objectContaining({
+        name: 'CI stats',
+        userId: user._id,
+        userModel: 'User',
+        scopes: ['stats:read'],
+        tokenVersion: 3
+      }));
+      const { expiresAt } = ApiToken.generate.mock.calls[0][0];
+      expect(expiresAt.getTime() - Date.now()).toBeGreaterThan(6 * 24 * 60 * 60 * 1000);
+    });
+
+    it('should store admin tokens against the Admin model', async () => {
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { name: 'Reporting', scopes: ['stats:read'] },
+        user: admin
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await createApiToken(req, res, next);
+
+      expect(res.statusCode).toBe(201);
+      expect(ApiToken.generate).toHaveBeenCalledWith(expect.objectContaining({ userModel: 'Admin' }));
+    });
+
+    it('should reject unknown scopes and scopes the role cannot use', async () => {
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { name: 'Sneaky', scopes: ['stats:read', 'everything'] },
+        user: { ...user, role: 'ghost' }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await createApiToken(req, res, next);
+
+      expect(res.statusCode).toBe(400);
+      expect(res._getJSONData()).toEqual(expect.objectContaining({
+        code: 'INVALID_SCOPE',
+        message: 'Invalid scopes: stats:read, everything'
+      }));
+      expect(ApiToken.generate).not.toHaveBeenCalled();
+    });
+
+    it('should reject an expiry beyond the maximum', async () => {
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { name: 'Forever', scopes: ['stats:read'], expiresInDays: 10000 },
+        user
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await createApiToken(req, res, next);
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should require a name and scopes', async () => {
+      const req = httpMocks.createRequest({ method: 'POST', body: { name: 'Empty', scopes: [] }, user });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await createApiToken(req, res, next);
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  // ==================== LIST ====================
+  describe('getApiTokens', () => {
+    it("should list the user's tokens with their status", async () => {
+      ApiToken.find.mockReturnValue({
+        sort: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue([
+          { _id: 'a', name: 'Active', expiresAt: new Date(Date.now() + 1000), revokedAt: null },
+          { _id: 'b', name: 'Old', expiresAt: new Date(Date.now() - 1000), revokedAt: null },
+          { _id: 'c', name: 'Gone', expiresAt: new Date(Date.now() + 1000), revokedAt: new Date() }
+        ])
+      });
+
+      const req = httpMocks.createRequest({ user });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await getApiTokens(req, res, next);
+
+      expect(ApiToken.find).toHaveBeenCalledWith({ userId: user._id, userModel: 'User' });
+      expect(res._getJSONData().data.map(token => token.status)).toEqual(['active', 'expired', 'revoked']);
+    });
+  });
+
+  // ==================== REVOKE ====================
+  describe('revokeApiToken', () => {
+    it('should revoke a token owned by the user', async () => {
+      const apiToken = { _id: 'tok1', revokedAt: null, save: jest.fn() };
+      ApiToken.findOne.mockResolvedValue(apiToken);
+
+      const req = httpMocks.createRequest({ params: { id: 'tok1' }, user });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await revokeApiToken(req, res, next);
+
+      expect(ApiToken.findOne).toHaveBeenCalledWith({ _id: 'tok1', userId: user._id, userModel: 'User' });
+      expect(res.statusCode).toBe(200);
+      expect(apiToken.revokedAt).toBeInstanceOf(Date);
+      expect(apiToken.save).toHaveBeenCalled();
+    });
+
+    it('should only match tokens of the same account model', async () => {
+      ApiToken.findOne.mockResolvedValue(null);
+
+      const admin = { _id: user._id, role: 'admin', email: 'admin@example.com' };
+      const req = httpMocks.createRequest({ params: { id: 'tok1' }, user: admin });
+      const res = httpMocks.createResponse();
+
+      await revokeApiToken(req, res, jest.fn());
+
+      expect(ApiToken.findOne).toHaveBeenCalledWith({ _id: 'tok1', userId: user._id, userModel: 'Admin' });
+      expect(res.statusCode).toBe(404);
+    });
+
+    it("should return 404 for someone else's token", async () => {
+      ApiToken.findOne.mockResolvedValue(null);
+
+      const req = httpMocks.createRequest({ params: { id: 'tok1' }, user });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await revokeApiToken(req, res, next);
+
+      expect(res.statusCode).toBe(404);
+    });
+  });
+});
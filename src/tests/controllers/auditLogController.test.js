@@ -0,0 +1,119 @@
+import { jest } from '@jest/globals';
+import httpMocks from 'node-mocks-http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/* 🔴 MOCK FIRST */
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/AuditLog.js'), () => ({
+  default: {
+    find: jest.fn(),
+    countDocuments: jest.fn(),
+  },
+}));
+
+/* 🔴 IMPORT AFTER MOCK */
+const AuditLog = (await import(path.resolve(__dirname, '../../models/AuditLog.js'))).default;
+const config = (await import(path.resolve(__dirname, '../../config/env.js'))).default;
+const {
+  getAuditLogs,
+  exportAuditLogs,
+} = await import(path.resolve(__dirname, '../../controllers/auditLogController.js'));
+
+describe('Audit Log Controller', () => {
+  const admin = { _id: 'admin1', email: 'admin@example.com', role: 'admin' };
+
+  const mockFind = (entries) => {
+    const query = {
+      limit: jest.fn().mockReturnThis(),
+      skip: jest.fn().mockReturnThis(),
+      sort: jest.fn().mockReturnThis(),
+      lean: jest.fn().mockResolvedValue(entries),
+      then: (resolve, reject) => Promise.resolve(entries).then(resolve, reject),
+    };
+    AuditLog.find.mockReturnValue(query);
+    return query;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  // ==================== LIST ====================
+  describe('getAuditLogs', () => {
+    it('should return filtered entries, newest first', async () => {
+      const query = mockFind([{ action: 'role.update' }]);
+      AuditLog.countDocuments.mockResolvedValue(1);
+
+      const req = httpMocks.createRequest({
+        query: { action: 'role.update', targetType: 'Role' },
+        user: admin
+      });
+      const res = httpMocks.createResponse();
+
+      await getAuditLogs(req, res, jest.fn());
+
+      expect(AuditLog.find).toHaveBeenCalledWith({ action: 'role.update', targetType: 'Role' });
+      expect(query.sort).toHaveBeenCalledWith({ createdAt: -1 });
+      expect(res.statusCode).toBe(200);
+      expect(res._getJSONData().count).toBe(1);
+    });
+
+    it('should reject an invalid date range', async () => {
+      const req = httpMocks.createRequest({ query: { from: 'not-a-date' }, user: admin });
+      const res = httpMocks.createResponse();
+
+      await getAuditLogs(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(400);
+      expect(res._getJSONData().message).toBe('from must be a valid date');
+      expect(AuditLog.find).not.toHaveBeenCalled();
+    });
+  });
+
+  // ==================== EXPORT ====================
+  describe('exportAuditLogs', () => {
+    it('should send a CSV attachment', async () => {
+      mockFind([{
+        createdAt: new Date('2026-03-01T10:00:00Z'),
+        action: 'user.approve',
+        actor: { id: 'admin1', email: 'admin@example.com', role: 'admin' },
+        targetType: 'User',
+        targetId: 'user1'
+      }]);
+
+      const req = httpMocks.createRequest({ query: {}, user: admin });
+      const res = httpMocks.createResponse();
+
+      await exportAuditLogs(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(200);
+      expect(res.getHeader('Content-Type')).toBe('text/csv; charset=utf-8');
+      expect(res.getHeader('Content-Disposition')).toMatch(/^attachment; filename="audit-log-\d{4}-\d{2}-\d{2}\.csv"$/);
+      expect(res.getHeader('X-Export-Truncated')).toBe('false');
+
+      const [header, row] = res._getData().split('\r\n');
+      expect(header.startsWith('timestamp,action,actor_id,actor_email')).toBe(true);
+      expect(row.startsWith('2026-03-01T10:00:00.000Z,user.approve,admin1,admin@example.com,admin,,User,user1')).toBe(true);
+    });
+
+    it('should flag exports cut off at the limit', async () => {
+      const original = config.auditExportLimit;
+      config.auditExportLimit = 2;
+      const query = mockFind([{ action: 'a' }, { action: 'b' }, { action: 'c' }]);
+
+      const req = httpMocks.createRequest({ query: {}, user: admin });
+      const res = httpMocks.createResponse();
+
+      await exportAuditLogs(req, res, jest.fn());
+
+      config.auditExportLimit = original;
+
+      expect(query.limit).toHaveBeenCalledWith(3);
+      expect(res.getHeader('X-Export-Truncated')).toBe('true');
+      expect(res._getData().trim().split('\r\n')).toHaveLength(3);
+    });
+  });
+});
@@ -0,0 +1,1140 @@
+import { jest } from '@jest/globals';
+import httpMocks from 'node-mocks-http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import bcrypt from 'bcryptjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/* 🔴 MOCK FIRST */
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/user.js'), () => ({
+  default: {
+    findOne: jest.fn(),
+    findById: jest.fn(),
+    create: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/Invitation.js'), () => ({
+  default: {
+    findById: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+    updateOne: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/Project.js'), () => ({
+  default: {
+    updateOne: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/RefreshToken.js'), () => ({
+  default: {
+    create: jest.fn(),
+    findOne: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+    updateOne: jest.fn(),
+    revokeFamily: jest.fn(),
+    revokeAllForUser: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/PasswordResetToken.js'), () => ({
+  default: {
+    generate: jest.fn(),
+    hashToken: jest.fn(token => `hashed-${token}`),
+    findOneAndUpdate: jest.fn(),
+    updateOne: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/EmailVerificationToken.js'), () => ({
+  default: {
+    generate: jest.fn(),
+    hashToken: jest.fn(token => `hashed-${token}`),
+    findOneAndUpdate: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/Setting.js'), () => ({
+  default: {
+    getValue: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../services/loginThrottleService.js'), () => ({
+  checkLoginAllowed: jest.fn(),
+  recordFailedLogin: jest.fn(),
+  clearFailedLogins: jest.fn(),
+  sendThrottleResponse: jest.fn((res, throttle) => res.status(throttle.status).json(throttle.body)),
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../services/sessionService.js'), () => ({
+  getActiveSessions: jest.fn(),
+  revokeSession: jest.fn(),
+  invalidateTokens: jest.fn(),
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../services/mailService.js'), () => ({
+  sendMail: jest.fn(),
+  sendPasswordResetEmail: jest.fn(),
+  sendPasswordChangedEmail: jest.fn(),
+  sendInvitationEmail: jest.fn(),
+  sendEmailVerificationEmail: jest.fn(),
+  sendEmailChangeConfirmationEmail: jest.fn(),
+  sendEmailChangedEmail: jest.fn(),
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/Department.js'), () => ({
+  NAME_COLLATION: { locale: 'en', strength: 2 },
+  default: {
+    findOne: jest.fn(),
+    findById: jest.fn(),
+  },
+}));
+
+/* 🔴 IMPORT AFTER MOCK */
+const User = (await import(path.resolve(__dirname, '../../models/user.js'))).default;
+const RefreshToken = (await import(path.resolve(__dirname, '../../models/RefreshToken.js'))).default;
+const PasswordResetToken = (await import(path.resolve(__dirname, '../../models/PasswordResetToken.js'))).default;
+const Setting = (await import(path.resolve(__dirname, '../../models/Setting.js'))).default;
+const EmailVerificationToken = (await import(path.resolve(__dirname, '../../models/EmailVerificationToken.js'))).default;
+const Invitation = (await import(path.resolve(__dirname, '../../models/Invitation.js'))).default;
+const Project = (await import(path.resolve(__dirname, '../../models/Project.js'))).default;
+const Department = (await import(path.resolve(__dirname, '../../models/Department.js'))).default;
+const loginThrottle = await import(path.resolve(__dirname, '../../services/loginThrottleService.js'));
+const sessionService = await import(path.resolve(__dirname, '../../services/sessionService.js'));
+const mailService = await import(path.resolve(__dirname, '../../services/mailService.js'));
+const {
+  generateRefreshToken,
+  generateChallengeToken,
+} = await import(path.resolve(__dirname, '../../middleware/auth.js'));
+const { generateTOTP, base32Encode } = await import(path.resolve(__dirname, '../../utils/totp.js'));
+const { issueInvitationToken } = await import(path.resolve(__dirname, '../../services/invitationService.js'));
+const config = (await import(path.resolve(__dirname, '../../config/env.js'))).default;
+const {
+  register,
+  acceptInvite,
+  login,
+  verifyTwoFactorLogin,
+  refreshAccessToken,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  getSessions,
+  deleteSession,
+  startOidcLogin,
+  completeOidcLogin,
+} = await import(path.resolve(__dirname, '../../controllers/authController.js'));
+
+describe('Auth Controller', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  // ==================== LOGIN ====================
+  describe('login', () => {
+    const buildUser = (overrides = {}) => ({
+      _id: 'user123',
+      name: 'Test User',
+      email: 'test@example.com',
+      role: 'lead',
+      isActive: true,
+      approved: true,
+      twoFactor: { enabled: false },
+      comparePassword: jest.fn().mockResolvedValue(true),
+      save: jest.fn().mockResolvedValue(true),
+      ...overrides
+    });
+
+    it('should issue tokens when 2FA is not enabled or enforced', async () => {
+      User.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(buildUser()) });
+      Setting.getValue.mockResolvedValue([]);
+      RefreshToken.create.mockResolvedValue({ _id: 'token1' });
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { email: 'test@example.com', password: 'Password1' }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await login(req, res, next);
+
+      expect(res.statusCode).toBe(200);
+      const data = res._getJSONData();
+      expect(data.accessToken).toBeDefined();
+      expect(data.refreshToken).toBeDefined();
+    });
+
+    it('should record a failed attempt for a wrong password', async () => {
+      User.findOne.mockReturnValue({
+        select: jest.fn().mockResolvedValue(
+          buildUser({ comparePassword: jest.fn().mockResolvedValue(false) })
+        )
+      });
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { email: 'test@example.com', password: 'wrong' }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await login(req, res, next);
+
+      expect(res.statusCode).toBe(401);
+      expect(loginThrottle.recordFailedLogin).toHaveBeenCalledWith('test@example.com', 'User', req.ip);
+    });
+
+    it('should record a failed attempt for an unknown email', async () => {
+      User.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { email: 'nobody@example.com', password: 'wrong' }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await login(req, res, next);
+
+      expect(res.statusCode).toBe(401);
+      expect(loginThrottle.recordFailedLogin).toHaveBeenCalledWith('nobody@example.com', 'User', req.ip);
+    });
+
+    it('should return LOGIN_LOCKED without checking the password while locked', async () => {
+      const user = buildUser();
+      User.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+      loginThrottle.checkLoginAllowed.mockResolvedValueOnce({
+        status: 423,
+        retryAfter: 900,
+        body: { success: false, message: 'Locked', code: 'LOGIN_LOCKED', retryAfter: 900 }
+      });
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { email: 'test@example.com', password: 'Password1' }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await login(req, res, next);
+
+      expect(res.statusCode).toBe(423);
+      expect(res._getJSONData().code).toBe('LOGIN_LOCKED');
+      expect(user.comparePassword).not.toHaveBeenCalled();
+    });
+
+    it('should not reveal a deactivated account before the password is checked', async () => {
+      User.findOne.mockReturnValue({
+        select: jest.fn().mockResolvedValue(buildUser({
+          isActive: false,
+          comparePassword: jest.fn().mockResolvedValue(false)
+        }))
+      });
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { email: 'test@example.com', password: 'wrong' }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await login(req, res, next);
+
+      expect(res.statusCode).toBe(401);
+      expect(res._getJSONData().message).toBe('Invalid credentials');
+    });
+
+    it('should return a challenge instead of tokens when 2FA is enabled', async () => {
+      User.findOne.mockReturnValue({
+        select: jest.fn().mockResolvedValue(buildUser({ twoFactor: { enabled: true } }))
+      });
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { email: 'test@example.com', password: 'Password1' }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await login(req, res, next);
+
+      expect(res.statusCode).toBe(200);
+      const data = res._getJSONData();
+      expect(data.code).toBe('TWO_FACTOR_REQUIRED');
+      expect(data.challengeToken).toBeDefined();
+      expect(data.accessToken).toBeUndefined();
+      expect(RefreshToken.create).not.toHaveBeenCalled();
+    });
+
+    it('should require 2FA setup when the role enforces it', async () => {
+      User.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(buildUser()) });
+      Setting.getValue.mockResolvedValue(['lead']);
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { email: 'test@example.com', password: 'Password1' }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await login(req, res, next);
+
+      const data = res._getJSONData();
+      expect(data.code).toBe('TWO_FACTOR_SETUP_REQUIRED');
+      expect(data.accessToken).toBeUndefined();
+    });
+  });
+
+  // ==================== 2FA VERIFY ====================
+  describe('verifyTwoFactorLogin', () => {
+    const secret = base32Encode(Buffer.from('12345678901234567890'));
+
+    const buildAccount = () => ({
+      _id: 'user123',
+      role: 'lead',
+      isActive: true,
+      twoFactor: {
+        enabled: true,
+        secret,
+        recoveryCodes: [],
+        lastUsedStep: 0
+      },
+      save: jest.fn().mockResolvedValue(true)
+    });
+
+    it('should issue tokens for a valid code', async () => {
+      const account = buildAccount();
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(account) });
+      RefreshToken.create.mockResolvedValue({ _id: 'token1' });
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: {
+          challengeToken: generateChallengeToken('user123', 'lead', '2fa_verify'),
+          code: generateTOTP(secret)
+        }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await verifyTwoFactorLogin(req, res, next);
+
+      expect(res.statusCode).toBe(200);
+      expect(res._getJSONData().accessToken).toBeDefined();
+      expect(account.twoFactor.lastUsedStep).toBeGreaterThan(0);
+    });
+
+    it('should reject a code that was already used', async () => {
+      const account = buildAccount();
+      account.twoFactor.lastUsedStep = Number.MAX_SAFE_INTEGER;
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(account) });
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: {
+          challengeToken: generateChallengeToken('user123', 'lead', '2fa_verify'),
+          code: generateTOTP(secret)
+        }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await verifyTwoFactorLogin(req, res, next);
+
+      expect(res.statusCode).toBe(401);
+      expect(RefreshToken.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject a setup challenge token', async () => {
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: {
+          challengeToken: generateChallengeToken('user123', 'lead', '2fa_setup'),
+          code: '123456'
+        }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await verifyTwoFactorLogin(req, res, next);
+
+      expect(res.statusCode).toBe(401);
+      expect(res._getJSONData().code).toBe('CHALLENGE_EXPIRED');
+    });
+  });
+
+  // ==================== REFRESH TOKEN ====================
+  describe('refreshAccessToken', () => {
+    it('should rotate the refresh token within the same family', async () => {
+      const refreshToken = generateRefreshToken('user123', 'user');
+      const storedToken = {
+        _id: 'token1',
+        userId: 'user123',
+        userModel: 'User',
+        family: 'family1',
+        isRevoked: false
+      };
+      RefreshToken.findOne.mockResolvedValue(storedToken);
+      RefreshToken.findOneAndUpdate.mockResolvedValue(storedToken);
+      RefreshToken.create.mockResolvedValue({ _id: 'token2' });
+      User.findById.mockResolvedValue({
+        _id: 'user123',
+        role: 'user',
+        isActive: true,
+        approved: true,
+        tokenVersion: 0
+      });
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { refreshToken }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await refreshAccessToken(req, res, next);
+
+      expect(res.statusCode).toBe(200);
+      const data = res._getJSONData();
+      expect(data.accessToken).toBeDefined();
+      expect(data.refreshToken).toBeDefined();
+      expect(data.refreshToken).not.toBe(refreshToken);
+      expect(RefreshToken.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'token1', isRevoked: false },
+        expect.objectContaining({ isRevoked: true, revokedReason: 'rotated' })
+      );
+      expect(RefreshToken.create).toHaveBeenCalledWith(
+        expect.objectContaining({ family: 'family1', userModel: 'User' })
+      );
+      expect(RefreshToken.updateOne).toHaveBeenCalledWith(
+        { _id: 'token1' },
+        { replacedBy: 'token2' }
+      );
+    });
+
+    it('should revoke the whole family when a rotated token is reused', async () => {
+      const refreshToken = generateRefreshToken('user123', 'user');
+      RefreshToken.findOne.mockResolvedValue({
+        _id: 'token1',
+        userId: 'user123',
+        userModel: 'User',
+        family: 'family1',
+        isRevoked: true,
+        revokedReason: 'rotated'
+      });
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { refreshToken }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      await refreshAccessToken(req, res, next);
+
+      expect(res.statusCode).toBe(401);
+      expect(res._getJSONData().code).toBe('REFRESH_TOKEN_REUSED');
+      expect(RefreshToken.revokeFamily).toHaveBeenCalledWith('family1', 'reuse_detected');
+      expect(RefreshToken.create).not.toHaveBeenCalled();
+      expect(warnSpy).toHaveBeenCalled();
+      warnSpy.mockRestore();
+    });
+
+    it('should reject a token revoked by logout without revoking the family', async () => {
+      const refreshToken = generateRefreshToken('user123', 'user');
+      RefreshToken.findOne.mockResolvedValue({
+        _id: 'token1',
+        family: 'family1',
+        isRevoked: true,
+        revokedReason: 'logout'
+      });
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { refreshToken }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await refreshAccessToken(req, res, next);
+
+      expect(res.statusCode).toBe(401);
+      expect(RefreshToken.revokeFamily).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to refresh and revoke the family for a deactivated user', async () => {
+      const refreshToken = generateRefreshToken('user123', 'user');
+      RefreshToken.findOne.mockResolvedValue({
+        _id: 'token1',
+        userId: 'user123',
+        userModel: 'User',
+        family: 'family1',
+        isRevoked: false
+      });
+      User.findById.mockResolvedValue({
+        _id: 'user123',
+        role: 'user',
+        isActive: false,
+        approved: true,
+        tokenVersion: 1
+      });
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { refreshToken }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await refreshAccessToken(req, res, next);
+
+      expect(res.statusCode).toBe(401);
+      expect(RefreshToken.revokeFamily).toHaveBeenCalledWith('family1', 'access_revoked');
+      expect(RefreshToken.create).not.toHaveBeenCalled();
+    });
+
+    it('should issue the new access token with the current role from the database', async () => {
+      const jwt = (await import('jsonwebtoken')).default;
+      const refreshToken = generateRefreshToken('user123', 'user');
+      const storedToken = {
+        _id: 'token1',
+        userId: 'user123',
+        userModel: 'User',
+        family: 'family1',
+        isRevoked: false
+      };
+      RefreshToken.findOne.mockResolvedValue(storedToken);
+      RefreshToken.findOneAndUpdate.mockResolvedValue(storedToken);
+      RefreshToken.create.mockResolvedValue({ _id: 'token2' });
+      User.findById.mockResolvedValue({
+        _id: 'user123',
+        role: 'lead',
+        isActive: true,
+        approved: true,
+        tokenVersion: 0
+      });
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { refreshToken }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await refreshAccessToken(req, res, next);
+
+      expect(res.statusCode).toBe(200);
+      expect(jwt.decode(res._getJSONData().accessToken).role).toBe('lead');
+    });
+
+    it('should return 401 for an invalid refresh token', async () => {
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { refreshToken: 'not-a-jwt' }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await refreshAccessToken(req, res, next);
+
+      expect(res.statusCode).toBe(401);
+      expect(RefreshToken.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  // ==================== SESSIONS ====================
+  describe('getSessions', () => {
+    it('lists the active sessions of the signed-in account', async () => {
+      const sessions = [{ id: 'token1', browser: 'Firefox' }];
+      sessionService.getActiveSessions.mockResolvedValue(sessions);
+
+      const req = httpMocks.createRequest({ user: { _id: 'user123', role: 'user' } });
+      const res = httpMocks.createResponse();
+
+      await getSessions(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(200);
+      expect(res._getJSONData()).toEqual({ success: true, count: 1, data: sessions });
+      expect(sessionService.getActiveSessions).toHaveBeenCalledWith('user123', 'User');
+    });
+
+    it('lists an admin\'s own sessions', async () => {
+      sessionService.getActiveSessions.mockResolvedValue([]);
+
+      const req = httpMocks.createRequest({ user: { _id: 'admin1', role: 'admin' } });
+      const res = httpMocks.createResponse();
+
+      await getSessions(req, res, jest.fn());
+
+      expect(sessionService.getActiveSessions).toHaveBeenCalledWith('admin1', 'Admin');
+    });
+  });
+
+  describe('deleteSession', () => {
+    it('revokes one of the account\'s sessions', async () => {
+      sessionService.revokeSession.mockResolvedValue(true);
+
+      const req = httpMocks.createRequest({
+        method: 'DELETE',
+        params: { id: 'token1' },
+        user: { _id: 'user123', role: 'user' }
+      });
+      const res = httpMocks.createResponse();
+
+      await deleteSession(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(200);
+      expect(sessionService.revokeSession).toHaveBeenCalledWith('user123', 'User', 'token1');
+    });
+
+    it('returns 404 for a session the account does not own', async () => {
+      sessionService.revokeSession.mockResolvedValue(false);
+
+      const req = httpMocks.createRequest({
+        method: 'DELETE',
+        params: { id: 'someone-elses' },
+        user: { _id: 'user123', role: 'user' }
+      });
+      const res = httpMocks.createResponse();
+
+      await deleteSession(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(404);
+      expect(res._getJSONData().message).toBe('Session not found');
+    });
+  });
+
+  // ==================== FORGOT PASSWORD ====================
+  describe('forgotPassword', () => {
+    it('should email a reset link to an existing user', async () => {
+      User.findOne.mockResolvedValue({
+        _id: 'user123',
+        name: 'Test User',
+        email: 'test@example.com',
+        isActive: true
+      });
+      PasswordResetToken.generate.mockResolvedValue('rawtoken');
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { email: 'Test@Example.com' }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await forgotPassword(req, res, next);
+
+      expect(res.statusCode).toBe(200);
+      expect(User.findOne).toHaveBeenCalledWith({ email: 'test@example.com' });
+      expect(mailService.sendPasswordResetEmail).toHaveBeenCalledWith(
+        'test@example.com',
+        'Test User',
+        expect.stringContaining('token=rawtoken'),
+        expect.any(Number)
+      );
+    });
+
+    it('should return the same response for unknown emails', async () => {
+      User.findOne.mockResolvedValue(null);
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { email: 'nobody@example.com' }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await forgotPassword(req, res, next);
+
+      expect(res.statusCode).toBe(200);
+      expect(PasswordResetToken.generate).not.toHaveBeenCalled();
+      expect(mailService.sendPasswordResetEmail).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 if email is missing', async () => {
+      const req = httpMocks.createRequest({ method: 'POST', body: {} });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await forgotPassword(req, res, next);
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  // ==================== RESET PASSWORD ====================
+  describe('resetPassword', () => {
+    it('should reset password and revoke all refresh tokens', async () => {
+      const mockUser = {
+        _id: 'user123',
+        name: 'Test User',
+        email: 'test@example.com',
+        isActive: true,
+        save: jest.fn().mockResolvedValue(true)
+      };
+      PasswordResetToken.findOneAndUpdate.mockResolvedValue({ user: 'user123' });
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { token: 'rawtoken', password: 'NewPassword1' }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await resetPassword(req, res, next);
+
+      expect(res.statusCode).toBe(200);
+      expect(PasswordResetToken.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ tokenHash: 'hashed-rawtoken', usedAt: null }),
+        expect.objectContaining({ usedAt: expect.any(Date) }),
+        { new: true }
+      );
+      expect(mockUser.password).toBe('NewPassword1');
+      expect(mockUser.save).toHaveBeenCalled();
+      expect(sessionService.invalidateTokens).toHaveBeenCalledWith('user123', 'User', 'password_reset');
+    });
+
+    it('should return 400 for used or expired token', async () => {
+      PasswordResetToken.findOneAndUpdate.mockResolvedValue(null);
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { token: 'usedtoken', password: 'NewPassword1' }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await resetPassword(req, res, next);
+
+      expect(res.statusCode).toBe(400);
+      expect(User.findById).not.toHaveBeenCalled();
+      expect(sessionService.invalidateTokens).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 if new password is too short', async () => {
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { token: 'rawtoken', password: '123' }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await resetPassword(req, res, next);
+
+      expect(res.statusCode).toBe(400);
+      expect(res._getJSONData().code).toBe('WEAK_PASSWORD');
+      expect(PasswordResetToken.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should reject a recent password and leave the link usable', async () => {
+      const mockUser = {
+        _id: 'user123',
+        name: 'Test User',
+        email: 'test@example.com',
+        isActive: true,
+        password: await bcrypt.hash('OldPassword1', 4),
+        passwordHistory: [],
+        save: jest.fn()
+      };
+      Setting.getValue.mockResolvedValue({});
+      PasswordResetToken.findOneAndUpdate.mockResolvedValue({ _id: 'reset1', user: 'user123' });
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { token: 'rawtoken', password: 'OldPassword1' }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await resetPassword(req, res, next);
+
+      expect(res.statusCode).toBe(400);
+      expect(res._getJSONData().message).toBe('Password must not match any of your last 5 passwords');
+      expect(PasswordResetToken.updateOne).toHaveBeenCalledWith({ _id: 'reset1' }, { usedAt: null });
+      expect(mockUser.save).not.toHaveBeenCalled();
+      expect(sessionService.invalidateTokens).not.toHaveBeenCalled();
+    });
+  });
+  // ==================== VERIFY EMAIL ====================
+  describe('verifyEmail', () => {
+    const buildUser = (overrides = {}) => ({
+      _id: 'user123',
+      name: 'Test User',
+      email: 'test@example.com',
+      emailVerified: false,
+      save: jest.fn(),
+      ...overrides
+    });
+
+    it('should mark the address as verified', async () => {
+      const user = buildUser();
+      EmailVerificationToken.findOneAndUpdate.mockResolvedValue({ user: 'user123', email: 'test@example.com', purpose: 'verify' });
+      User.findById.mockResolvedValue(user);
+
+      const req = httpMocks.createRequest({ method: 'POST', body: { token: 'rawtoken' } });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await verifyEmail(req, res, next);
+
+      expect(res.statusCode).toBe(200);
+      expect(EmailVerificationToken.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ tokenHash: 'hashed-rawtoken', usedAt: null }),
+        expect.objectContaining({ usedAt: expect.any(Date) }),
+        { new: true }
+      );
+      expect(user.emailVerified).toBe(true);
+      expect(user.save).toHaveBeenCalled();
+    });
+
+    it('should ignore links sent to an address the user no longer has', async () => {
+      const user = buildUser({ email: 'current@example.com' });
+      EmailVerificationToken.findOneAndUpdate.mockResolvedValue({ user: 'user123', email: 'test@example.com', purpose: 'verify' });
+      User.findById.mockResolvedValue(user);
+
+      const req = httpMocks.createRequest({ method: 'POST', body: { token: 'rawtoken' } });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await verifyEmail(req, res, next);
+
+      expect(res.statusCode).toBe(400);
+      expect(res._getJSONData().code).toBe('VERIFICATION_INVALID');
+      expect(user.save).not.toHaveBeenCalled();
+    });
+
+    it('should switch to the confirmed new address, end sessions and tell the old one', async () => {
+      const user = buildUser({ emailVerified: true, pendingEmail: 'new@example.com' });
+      EmailVerificationToken.findOneAndUpdate.mockResolvedValue({ user: 'user123', email: 'new@example.com', purpose: 'change' });
+      User.findById.mockResolvedValue(user);
+      User.findOne.mockResolvedValue(null);
+
+      const req = httpMocks.createRequest({ method: 'POST', body: { token: 'rawtoken' } });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await verifyEmail(req, res, next);
+
+      expect(res.statusCode).toBe(200);
+      expect(res._getJSONData().message).toBe('Email address changed successfully');
+      expect(user.email).toBe('new@example.com');
+      expect(user.pendingEmail).toBeUndefined();
+      expect(sessionService.invalidateTokens).toHaveBeenCalledWith('user123', 'User', 'email_changed');
+      expect(mailService.sendEmailChangedEmail).toHaveBeenCalledWith('test@example.com', 'Test User', 'new@example.com');
+    });
+
+    it('should not switch to an address another account took meanwhile', async () => {
+      const user = buildUser({ pendingEmail: 'new@example.com' });
+      EmailVerificationToken.findOneAndUpdate.mockResolvedValue({ user: 'user123', email: 'new@example.com', purpose: 'change' });
+      User.findById.mockResolvedValue(user);
+      User.findOne.mockResolvedValue({ _id: 'other' });
+
+      const req = httpMocks.createRequest({ method: 'POST', body: { token: 'rawtoken' } });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await verifyEmail(req, res, next);
+
+      expect(res.statusCode).toBe(409);
+      expect(user.email).toBe('test@example.com');
+    });
+  });
+
+  // ==================== REGISTER ====================
+  describe('register', () => {
+    it('should return 403 when self-registration is turned off', async () => {
+      Setting.getValue.mockResolvedValue(false);
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { name: 'New User', email: 'new@example.com', password: 'password123' }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await register(req, res, next);
+
+      expect(res.statusCode).toBe(403);
+      expect(res._getJSONData().code).toBe('REGISTRATION_CLOSED');
+      expect(User.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should reject roles not open to self-registration', async () => {
+      Setting.getValue.mockResolvedValue(true);
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { name: 'New User', email: 'new@example.com', password: 'password123', role: 'admin' }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await register(req, res, next);
+
+      expect(res.statusCode).toBe(400);
+      expect(res._getJSONData().message).toBe('Invalid role. Must be one of: lead, user');
+    });
+
+    it('should create a pending user and email a verification link', async () => {
+      Setting.getValue.mockResolvedValue(true);
+      User.findOne.mockResolvedValue(null);
+      User.create.mockResolvedValue({
+        _id: 'user123',
+        name: 'New User',
+        email: 'new@example.com',
+        role: 'user',
+        approved: false,
+        emailVerified: false,
+        tokenVersion: 0
+      });
+      EmailVerificationToken.generate.mockResolvedValue('verifytoken');
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { name: 'New User', email: 'new@example.com', password: 'Harbor-Lantern-42' }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await register(req, res, next);
+
+      expect(res.statusCode).toBe(201);
+      expect(res._getJSONData().data.emailVerified).toBe(false);
+      expect(EmailVerificationToken.generate).toHaveBeenCalledWith(
+        'user123', 'new@example.com', 'verify', config.emailVerificationExpireHours, req.ip
+      );
+      expect(mailService.sendEmailVerificationEmail).toHaveBeenCalledWith(
+        'new@example.com',
+        'New User',
+        `${config.clientUrl}/verify-email?token=verifytoken`,
+        config.emailVerificationExpireHours
+      );
+    });
+
+    it('should store the matching department and reject unknown ones', async () => {
+      const engineering = { _id: 'dept123', name: 'Engineering', isActive: true };
+      Setting.getValue.mockResolvedValue(true);
+      User.findOne.mockResolvedValue(null);
+      User.create.mockResolvedValue({ _id: 'user123', email: 'new@example.com', tokenVersion: 0 });
+      EmailVerificationToken.generate.mockResolvedValue('verifytoken');
+      const body = { name: 'New User', email: 'new@example.com', password: 'Harbor-Lantern-42', department: 'engineering ' };
+
+      Department.findOne.mockReturnValue({ collation: jest.fn().mockResolvedValue(engineering) });
+      let res = httpMocks.createResponse();
+      await register(httpMocks.createRequest({ method: 'POST', body }), res, jest.fn());
+
+      expect(res.statusCode).toBe(201);
+      expect(User.create).toHaveBeenCalledWith(expect.objectContaining({ department: 'dept123' }));
+
+      User.create.mockClear();
+      Department.findOne.mockReturnValue({ collation: jest.fn().mockResolvedValue(null) });
+      res = httpMocks.createResponse();
+      await register(httpMocks.createRequest({ method: 'POST', body }), res, jest.fn());
+
+      expect(res.statusCode).toBe(400);
+      expect(res._getJSONData().code).toBe('INVALID_DEPARTMENT');
+      expect(User.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject common passwords and passwords containing the name', async () => {
+      Setting.getValue.mockResolvedValue(true);
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { name: 'Jordan Smith', email: 'jsmith@example.com', password: 'Smith2024!' }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await register(req, res, next);
+
+      expect(res.statusCode).toBe(400);
+      expect(res._getJSONData()).toEqual(expect.objectContaining({
+        code: 'WEAK_PASSWORD',
+        errors: ['Password must not contain your name or email']
+      }));
+      expect(User.create).not.toHaveBeenCalled();
+    });
+  });
+
+  // ==================== ACCEPT INVITE ====================
+  describe('acceptInvite', () => {
+    const buildInvitation = (overrides = {}) => {
+      const invitation = {
+        _id: 'inv123',
+        email: 'invitee@example.com',
+        name: 'Invitee',
+        role: 'lead',
+        department: 'Engineering',
+        project: 'project123',
+        createdBy: 'admin123',
+        createdByModel: 'Admin',
+        save: jest.fn()
+      };
+      const token = issueInvitationToken(invitation);
+      Object.assign(invitation, overrides);
+      Invitation.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(invitation) });
+      return { invitation, token };
+    };
+
+    it('should create an approved user with the preset role and project', async () => {
+      const { invitation, token } = buildInvitation();
+      const createdUser = {
+        _id: 'user123',
+        name: 'Invitee',
+        email: 'invitee@example.com',
+        role: 'lead',
+        department: 'Engineering',
+        approved: true,
+        tokenVersion: 0,
+        save: jest.fn()
+      };
+      User.findOne.mockResolvedValue(null);
+      Invitation.findOneAndUpdate.mockResolvedValue({ ...invitation, status: 'accepted' });
+      User.create.mockResolvedValue(createdUser);
+      Setting.getValue.mockResolvedValue([]);
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { token, password: 'Harbor-Lantern-42' }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await acceptInvite(req, res, next);
+
+      expect(res.statusCode).toBe(200);
+      expect(res._getJSONData().accessToken).toBeDefined();
+      expect(User.create).toHaveBeenCalledWith(expect.objectContaining({
+        email: 'invitee@example.com',
+        role: 'lead',
+        department: 'Engineering',
+        approved: true,
+        approvedBy: 'admin123'
+      }));
+      expect(Invitation.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: 'inv123', status: 'pending', tokenId: invitation.tokenId }),
+        expect.objectContaining({ status: 'accepted' }),
+        { new: true }
+      );
+      expect(Project.updateOne).toHaveBeenCalledWith(
+        { _id: 'project123', isActive: true },
+        { $addToSet: { assignedUsers: 'user123' } }
+      );
+    });
+
+    it('should reject revoked invitations', async () => {
+      const { token } = buildInvitation({ status: 'revoked' });
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { token, password: 'password123' }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await acceptInvite(req, res, next);
+
+      expect(res.statusCode).toBe(400);
+      expect(res._getJSONData().code).toBe('INVITE_REVOKED');
+      expect(User.create).not.toHaveBeenCalled();
+    });
+
+    it('should mark expired invitations and reject them', async () => {
+      const { invitation, token } = buildInvitation({ expiresAt: new Date(Date.now() - 1000) });
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { token, password: 'password123' }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await acceptInvite(req, res, next);
+
+      expect(res.statusCode).toBe(400);
+      expect(res._getJSONData().code).toBe('INVITE_EXPIRED');
+      expect(invitation.status).toBe('expired');
+      expect(invitation.save).toHaveBeenCalled();
+    });
+
+    it('should reject tokens replaced by a resend', async () => {
+      const { token } = buildInvitation({ tokenId: 'newer-token-id' });
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { token, password: 'password123' }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await acceptInvite(req, res, next);
+
+      expect(res.statusCode).toBe(400);
+      expect(res._getJSONData().code).toBe('INVITE_INVALID');
+    });
+
+    it('should reopen the invitation if the account cannot be created', async () => {
+      const { invitation, token } = buildInvitation();
+      User.findOne.mockResolvedValue(null);
+      Invitation.findOneAndUpdate.mockResolvedValue({ ...invitation, status: 'accepted' });
+      const validationError = new Error('Phone number is invalid');
+      User.create.mockRejectedValue(validationError);
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { token, password: 'Harbor-Lantern-42', phone: 'not-a-phone' }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await acceptInvite(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(validationError);
+      expect(Invitation.updateOne).toHaveBeenCalledWith(
+        { _id: 'inv123' },
+        { status: 'pending', acceptedAt: null }
+      );
+    });
+  });
+
+  // ==================== SINGLE SIGN-ON ====================
+  describe('OIDC login', () => {
+    it('should return 404 when single sign-on is not configured', async () => {
+      const req = httpMocks.createRequest({ method: 'GET' });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await startOidcLogin(req, res, next);
+
+      expect(res.statusCode).toBe(404);
+      expect(res._getJSONData().code).toBe('SSO_DISABLED');
+    });
+
+    it('should require a code and state on callback', async () => {
+      const originalOidc = config.oidc;
+      config.oidc = { ...originalOidc, issuer: 'http://idp.local', clientId: 'managex' };
+
+      const req = httpMocks.createRequest({ method: 'POST', body: { code: 'abc' } });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      try {
+        await completeOidcLogin(req, res, next);
+      } finally {
+        config.oidc = originalOidc;
+      }
+
+      expect(res.statusCode).toBe(400);
+      expect(res._getJSONData().message).toBe('Please provide code and state');
+    });
+  });
+});
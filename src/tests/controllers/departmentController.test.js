@@ -0,0 +1,256 @@
+import { jest } from '@jest/globals';
+import httpMocks from 'node-mocks-http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/* 🔴 MOCK FIRST */
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/Department.js'), () => ({
+  NAME_COLLATION: { locale: 'en', strength: 2 },
+  default: {
+    find: jest.fn(),
+    findOne: jest.fn(),
+    findById: jest.fn(),
+    create: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/user.js'), () => ({
+  default: {
+    aggregate: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/Project.js'), () => ({
+  default: {
+    aggregate: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../services/departmentService.js'), () => ({
+  normalizeDepartmentName: jest.fn(value => `${value}`.trim()),
+  checkDepartmentHead: jest.fn(),
+  checkParent: jest.fn(),
+  getDepartmentUsage: jest.fn(),
+  buildDepartmentTree: jest.fn(),
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/AuditLog.js'), () => ({
+  default: {
+    create: jest.fn(),
+  },
+}));
+
+/* 🔴 IMPORT AFTER MOCK */
+const Department = (await import(path.resolve(__dirname, '../../models/Department.js'))).default;
+const User = (await import(path.resolve(__dirname, '../../models/user.js'))).default;
+const Project = (await import(path.resolve(__dirname, '../../models/Project.js'))).default;
+const departmentService = await import(path.resolve(__dirname, '../../services/departmentService.js'));
+const AuditLog = (await import(path.resolve(__dirname, '../../models/AuditLog.js'))).default;
+const {
+  getDepartments,
+  createDepartment,
+  updateDepartment,
+  deleteDepartment,
+} = await import(path.resolve(__dirname, '../../controllers/departmentController.js'));
+
+describe('Department Controller', () => {
+  const adminUser = { _id: 'admin1', role: 'admin' };
+  const departmentId = new mongoose.Types.ObjectId();
+
+  const buildDepartment = (overrides = {}) => ({
+    _id: departmentId,
+    name: 'Engineering',
+    code: 'ENG',
+    parent: null,
+    head: null,
+    isActive: true,
+    save: jest.fn(),
+    deleteOne: jest.fn(),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Department.findOne.mockReturnValue({ collation: jest.fn().mockResolvedValue(null) });
+    departmentService.checkParent.mockResolvedValue({});
+    departmentService.checkDepartmentHead.mockResolvedValue({});
+  });
+
+  // ==================== GET DEPARTMENTS ====================
+  describe('getDepartments', () => {
+    it('should include member and project counts', async () => {
+      const query = {
+        populate: jest.fn().mockReturnThis(),
+        sort: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue([{ _id: departmentId, name: 'Engineering' }])
+      };
+      Department.find.mockReturnValue(query);
+      User.aggregate.mockResolvedValue([{ _id: departmentId, count: 4 }]);
+      Project.aggregate.mockResolvedValue([]);
+
+      const req = httpMocks.createRequest({ query: { active: 'true' }, user: adminUser });
+      const res = httpMocks.createResponse();
+
+      await getDepartments(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(200);
+      expect(Department.find).toHaveBeenCalledWith({ isActive: true });
+      expect(res._getJSONData().data).toEqual([
+        { _id: departmentId.toString(), name: 'Engineering', userCount: 4, projectCount: 0 }
+      ]);
+      expect(departmentService.buildDepartmentTree).not.toHaveBeenCalled();
+    });
+  });
+
+  // ==================== CREATE DEPARTMENT ====================
+  describe('createDepartment', () => {
+    it('should create a department and audit it', async () => {
+      Department.create.mockResolvedValue(buildDepartment());
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { name: 'Engineering', code: 'eng' },
+        user: adminUser
+      });
+      const res = httpMocks.createResponse();
+
+      await createDepartment(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(201);
+      expect(Department.create).toHaveBeenCalledWith(expect.objectContaining({
+        name: 'Engineering',
+        code: 'eng',
+        parent: null,
+        head: null,
+        updatedBy: 'admin1'
+      }));
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'department.create' }));
+    });
+
+    it('should reject a name or code already in use', async () => {
+      Department.findOne.mockReturnValue({ collation: jest.fn().mockResolvedValue(buildDepartment()) });
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { name: 'engineering', code: 'ENG2' },
+        user: adminUser
+      });
+      const res = httpMocks.createResponse();
+
+      await createDepartment(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(400);
+      expect(Department.findOne).toHaveBeenCalledWith({
+        _id: { $ne: undefined },
+        $or: [{ name: 'engineering' }, { code: 'ENG2' }]
+      });
+      expect(Department.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject an invalid head', async () => {
+      departmentService.checkDepartmentHead.mockResolvedValue({
+        error: { status: 400, body: { success: false, code: 'INVALID_DEPARTMENT' } }
+      });
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { name: 'Engineering', code: 'ENG', head: 'nobody' },
+        user: adminUser
+      });
+      const res = httpMocks.createResponse();
+
+      await createDepartment(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(400);
+      expect(Department.create).not.toHaveBeenCalled();
+    });
+  });
+
+  // ==================== UPDATE DEPARTMENT ====================
+  describe('updateDepartment', () => {
+    it('should refuse a parent that would create a cycle', async () => {
+      const department = buildDepartment();
+      Department.findById.mockResolvedValue(department);
+      departmentService.checkParent.mockResolvedValue({
+        error: { status: 400, body: { success: false, code: 'INVALID_DEPARTMENT' } }
+      });
+
+      const childId = new mongoose.Types.ObjectId().toString();
+      const req = httpMocks.createRequest({
+        method: 'PUT',
+        params: { id: departmentId.toString() },
+        body: { parent: childId },
+        user: adminUser
+      });
+      const res = httpMocks.createResponse();
+
+      await updateDepartment(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(400);
+      expect(departmentService.checkParent).toHaveBeenCalledWith(departmentId, childId);
+      expect(department.save).not.toHaveBeenCalled();
+    });
+
+    it('should clear the head and deactivate', async () => {
+      const headId = new mongoose.Types.ObjectId();
+      const department = buildDepartment({ head: headId });
+      Department.findById.mockResolvedValue(department);
+
+      const req = httpMocks.createRequest({
+        method: 'PUT',
+        params: { id: departmentId.toString() },
+        body: { head: null, isActive: false },
+        user: adminUser
+      });
+      const res = httpMocks.createResponse();
+
+      await updateDepartment(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(200);
+      expect(department.head).toBeNull();
+      expect(department.isActive).toBe(false);
+      expect(department.save).toHaveBeenCalled();
+      expect(AuditLog.create.mock.calls[0][0].changes).toEqual({
+        before: { head: headId.toString(), isActive: true },
+        after: { head: null, isActive: false }
+      });
+    });
+  });
+
+  // ==================== DELETE DEPARTMENT ====================
+  describe('deleteDepartment', () => {
+    it('should refuse while users, projects or subdepartments use it', async () => {
+      const department = buildDepartment();
+      Department.findById.mockResolvedValue(department);
+      departmentService.getDepartmentUsage.mockResolvedValue({ users: 2, projects: 0, children: 0 });
+
+      const req = httpMocks.createRequest({ params: { id: departmentId.toString() }, user: adminUser });
+      const res = httpMocks.createResponse();
+
+      await deleteDepartment(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(409);
+      expect(res._getJSONData().code).toBe('DEPARTMENT_IN_USE');
+      expect(department.deleteOne).not.toHaveBeenCalled();
+    });
+
+    it('should delete an unused department', async () => {
+      const department = buildDepartment();
+      Department.findById.mockResolvedValue(department);
+      departmentService.getDepartmentUsage.mockResolvedValue({ users: 0, projects: 0, children: 0 });
+
+      const req = httpMocks.createRequest({ params: { id: departmentId.toString() }, user: adminUser });
+      const res = httpMocks.createResponse();
+
+      await deleteDepartment(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(200);
+      expect(department.deleteOne).toHaveBeenCalled();
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'department.delete' }));
+    });
+  });
+});
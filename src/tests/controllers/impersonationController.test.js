@@ -0,0 +1,196 @@
+import { jest } from '@jest/globals';
+import httpMocks from 'node-mocks-http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+import jwt from 'jsonwebtoken';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/* 🔴 MOCK FIRST */
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/user.js'), () => ({
+  default: {
+    findById: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/Impersonation.js'), () => ({
+  default: {
+    create: jest.fn(),
+    findById: jest.fn(),
+    find: jest.fn(),
+    countDocuments: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/ImpersonationRequest.js'), () => ({
+  default: {
+    create: jest.fn(),
+    find: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/AuditLog.js'), () => ({
+  default: {
+    create: jest.fn(),
+  },
+}));
+
+/* 🔴 IMPORT AFTER MOCK */
+const User = (await import(path.resolve(__dirname, '../../models/user.js'))).default;
+const Impersonation = (await import(path.resolve(__dirname, '../../models/Impersonation.js'))).default;
+const ImpersonationRequest = (await import(path.resolve(__dirname, '../../models/ImpersonationRequest.js'))).default;
+const AuditLog = (await import(path.resolve(__dirname, '../../models/AuditLog.js'))).default;
+const {
+  startImpersonation,
+  endImpersonation,
+  getImpersonationRequests,
+} = await import(path.resolve(__dirname, '../../controllers/impersonationController.js'));
+
+describe('Impersonation Controller', () => {
+  const admin = { _id: new mongoose.Types.ObjectId(), name: 'Admin', email: 'admin@company.com', role: 'admin', tokenVersion: 4 };
+  const user = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Lead User',
+    email: 'lead@example.com',
+    role: 'lead',
+    isActive: true,
+    approved: true,
+    tokenVersion: 2
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Impersonation.create.mockImplementation(async (data) => ({ _id: new mongoose.Types.ObjectId(), ...data }));
+  });
+
+  // ==================== START ====================
+  describe('startImpersonation', () => {
+    it('should issue a short-lived token carrying the user and the acting admin', async () => {
+      User.findById.mockResolvedValue(user);
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        params: { userId: user._id.toString() },
+        body: { reason: 'Ticket #42: stats look wrong' },
+        user: admin
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await startImpersonation(req, res, next);
+
+      expect(res.statusCode).toBe(201);
+      expect(Impersonation.create).toHaveBeenCalledWith(expect.objectContaining({
+        admin: admin._id,
+        user: user._id,
+        reason: 'Ticket #42: stats look wrong'
+      }));
+
+      const data = res._getJSONData();
+      const decoded = jwt.decode(data.accessToken);
+      expect(decoded).toEqual(expect.objectContaining({
+        id: user._id.toString(),
+        role: 'lead',
+        tv: 2,
+        act: { id: admin._id.toString(), role: 'admin', tv: 4 },
+        sid: data.data.impersonationId
+      }));
+      expect(decoded.exp - decoded.iat).toBeLessThanOrEqual(15 * 60);
+    });
+
+    it('should require a reason', async () => {
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        params: { userId: user._id.toString() },
+        body: {},
+        user: admin
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await startImpersonation(req, res, next);
+
+      expect(res.statusCode).toBe(400);
+      expect(Impersonation.create).not.toHaveBeenCalled();
+    });
+
+    it('should not impersonate deactivated users', async () => {
+      User.findById.mockResolvedValue({ ...user, isActive: false });
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        params: { userId: user._id.toString() },
+        body: { reason: 'Support' },
+        user: admin
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await startImpersonation(req, res, next);
+
+      expect(res.statusCode).toBe(400);
+      expect(Impersonation.create).not.toHaveBeenCalled();
+    });
+  });
+
+  // ==================== END ====================
+  describe('endImpersonation', () => {
+    it('should end the current impersonation', async () => {
+      const impersonation = { _id: 's1', endedAt: null, save: jest.fn() };
+
+      const req = httpMocks.createRequest({ method: 'POST', user, impersonator: admin, impersonation });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await endImpersonation(req, res, next);
+
+      expect(res.statusCode).toBe(200);
+      expect(impersonation.endedAt).toBeInstanceOf(Date);
+      expect(impersonation.save).toHaveBeenCalled();
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'impersonation.end',
+        actor: expect.objectContaining({ id: user._id }),
+        impersonator: { id: admin._id, email: admin.email },
+        targetType: 'User',
+        targetId: user._id.toString(),
+        metadata: { impersonationId: 's1' }
+      }));
+    });
+
+    it('should return 400 for a normal login', async () => {
+      const req = httpMocks.createRequest({ method: 'POST', user });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await endImpersonation(req, res, next);
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  // ==================== AUDIT TRAIL ====================
+  describe('getImpersonationRequests', () => {
+    it('should list the requests made during a session in order', async () => {
+      const impersonation = { _id: 's1' };
+      Impersonation.findById.mockReturnValue({
+        populate: jest.fn().mockReturnThis(),
+        then: (resolve) => resolve(impersonation)
+      });
+      const sort = jest.fn().mockResolvedValue([{ method: 'GET', path: '/api/stats/my-stats', statusCode: 200 }]);
+      ImpersonationRequest.find.mockReturnValue({ sort });
+
+      const req = httpMocks.createRequest({ params: { id: 's1' }, user: admin });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await getImpersonationRequests(req, res, next);
+
+      expect(res.statusCode).toBe(200);
+      expect(ImpersonationRequest.find).toHaveBeenCalledWith({ impersonation: 's1' });
+      expect(sort).toHaveBeenCalledWith({ createdAt: 1 });
+      expect(res._getJSONData().count).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,326 @@
+import { jest } from '@jest/globals';
+import httpMocks from 'node-mocks-http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/* 🔴 MOCK FIRST */
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/Invitation.js'), () => {
+  const Invitation = jest.fn(function (data) {
+    Object.assign(this, { _id: new mongoose.Types.ObjectId(), status: 'pending', ...data });
+    this.save = jest.fn();
+  });
+  Object.assign(Invitation, {
+    find: jest.fn(),
+    findOne: jest.fn(),
+    findById: jest.fn(),
+    countDocuments: jest.fn(),
+    expireStale: jest.fn(),
+  });
+  return { default: Invitation };
+});
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/Project.js'), () => ({
+  default: {
+    findById: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/user.js'), () => ({
+  default: {
+    findOne: jest.fn(),
+    schema: { path: () => ({ defaultValue: 'user' }) },
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../services/mailService.js'), () => ({
+  sendInvitationEmail: jest.fn(),
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/AuditLog.js'), () => ({
+  default: {
+    create: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/Department.js'), () => ({
+  NAME_COLLATION: { locale: 'en', strength: 2 },
+  default: {
+    findOne: jest.fn(),
+    findById: jest.fn(),
+  },
+}));
+
+/* 🔴 IMPORT AFTER MOCK */
+const Invitation = (await import(path.resolve(__dirname, '../../models/Invitation.js'))).default;
+const Project = (await import(path.resolve(__dirname, '../../models/Project.js'))).default;
+const User = (await import(path.resolve(__dirname, '../../models/user.js'))).default;
+const Department = (await import(path.resolve(__dirname, '../../models/Department.js'))).default;
+const mailService = await import(path.resolve(__dirname, '../../services/mailService.js'));
+const {
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+  resendInvitation,
+} = await import(path.resolve(__dirname, '../../controllers/invitationController.js'));
+
+describe('Invitation Controller', () => {
+  const leadId = new mongoose.Types.ObjectId();
+  const lead = { _id: leadId, name: 'Lead User', role: 'lead' };
+  const admin = { _id: new mongoose.Types.ObjectId(), name: 'Admin', role: 'admin' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    User.findOne.mockResolvedValue(null);
+    Invitation.findOne.mockResolvedValue(null);
+  });
+
+  // ==================== CREATE INVITATION ====================
+  describe('createInvitation', () => {
+    it('should let an admin invite with any assignable role', async () => {
+      const engineering = { _id: new mongoose.Types.ObjectId(), name: 'Engineering', isActive: true };
+      Department.findOne.mockReturnValue({ collation: jest.fn().mockResolvedValue(engineering) });
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { email: 'New@Example.com', role: 'lead', department: 'Engineering' },
+        user: admin
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await createInvitation(req, res, next);
+
+      expect(res.statusCode).toBe(201);
+      const data = res._getJSONData();
+      expect(data.inviteToken).toBeDefined();
+      expect(data.data).toEqual(expect.objectContaining({
+        email: 'new@example.com',
+        role: 'lead',
+        department: engineering._id.toString(),
+        createdByModel: 'Admin',
+        status: 'pending'
+      }));
+      expect(mailService.sendInvitationEmail).toHaveBeenCalledWith(
+        'new@example.com',
+        'Admin',
+        expect.stringContaining('/accept-invite?token='),
+        'lead',
+        expect.any(Number)
+      );
+    });
+
+    it('should let a lead invite users into a project they lead', async () => {
+      const project = { _id: new mongoose.Types.ObjectId(), department: 'Design', isActive: true, assignedLead: leadId };
+      Project.findById.mockResolvedValue(project);
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { email: 'member@example.com', projectId: project._id.toString() },
+        user: lead
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await createInvitation(req, res, next);
+
+      expect(res.statusCode).toBe(201);
+      expect(res._getJSONData().data).toEqual(expect.objectContaining({
+        role: 'user',
+        department: 'Design',
+        createdByModel: 'User'
+      }));
+    });
+
+    it('should reject unknown departments', async () => {
+      Department.findOne.mockReturnValue({ collation: jest.fn().mockResolvedValue(null) });
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { email: 'new@example.com', department: 'Engineering ' },
+        user: admin
+      });
+      const res = httpMocks.createResponse();
+
+      await createInvitation(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(400);
+      expect(res._getJSONData().code).toBe('INVALID_DEPARTMENT');
+      expect(mailService.sendInvitationEmail).not.toHaveBeenCalled();
+    });
+
+    it('should not let a lead invite without a project they lead', async () => {
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { email: 'member@example.com' },
+        user: lead
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await createInvitation(req, res, next);
+
+      expect(res.statusCode).toBe(403);
+      expect(res._getJSONData().message).toBe('You can only invite users to projects you lead');
+    });
+
+    it('should not let a lead preset a different role', async () => {
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { email: 'member@example.com', role: 'lead' },
+        user: lead
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await createInvitation(req, res, next);
+
+      expect(res.statusCode).toBe(403);
+      expect(Invitation).not.toHaveBeenCalled();
+    });
+
+    it('should reject the admin role', async () => {
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { email: 'new@example.com', role: 'admin' },
+        user: admin
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await createInvitation(req, res, next);
+
+      expect(res.statusCode).toBe(400);
+      expect(res._getJSONData().message).toBe('Invalid role');
+    });
+
+    it('should return 400 if a pending invitation exists', async () => {
+      Invitation.findOne.mockResolvedValue({ _id: 'inv1' });
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { email: 'new@example.com' },
+        user: admin
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await createInvitation(req, res, next);
+
+      expect(res.statusCode).toBe(400);
+      expect(res._getJSONData().message).toBe('A pending invitation already exists for this email');
+    });
+  });
+
+  // ==================== GET INVITATIONS ====================
+  describe('getInvitations', () => {
+    const mockQuery = () => ({
+      populate: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockReturnThis(),
+      skip: jest.fn().mockReturnThis(),
+      sort: jest.fn().mockResolvedValue([])
+    });
+
+    it('should only list own invitations for scoped grants', async () => {
+      Invitation.find.mockReturnValue(mockQuery());
+      Invitation.countDocuments.mockResolvedValue(0);
+
+      const req = httpMocks.createRequest({ query: { status: 'pending' }, user: lead });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await getInvitations(req, res, next);
+
+      expect(res.statusCode).toBe(200);
+      expect(Invitation.expireStale).toHaveBeenCalled();
+      expect(Invitation.find).toHaveBeenCalledWith({ status: 'pending', createdBy: leadId });
+    });
+
+    it('should list all invitations for admins', async () => {
+      Invitation.find.mockReturnValue(mockQuery());
+      Invitation.countDocuments.mockResolvedValue(0);
+
+      const req = httpMocks.createRequest({ query: {}, user: admin });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await getInvitations(req, res, next);
+
+      expect(Invitation.find).toHaveBeenCalledWith({});
+    });
+  });
+
+  // ==================== REVOKE / RESEND ====================
+  describe('revokeInvitation', () => {
+    it('should revoke a pending invitation created by the lead', async () => {
+      const invitation = { _id: 'inv1', status: 'pending', createdBy: leadId, save: jest.fn() };
+      Invitation.findById.mockResolvedValue(invitation);
+
+      const req = httpMocks.createRequest({ params: { id: 'inv1' }, user: lead });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await revokeInvitation(req, res, next);
+
+      expect(res.statusCode).toBe(200);
+      expect(invitation.status).toBe('revoked');
+      expect(invitation.revokedAt).toBeInstanceOf(Date);
+    });
+
+    it("should not let a lead revoke someone else's invitation", async () => {
+      const invitation = { _id: 'inv1', status: 'pending', createdBy: admin._id, save: jest.fn() };
+      Invitation.findById.mockResolvedValue(invitation);
+
+      const req = httpMocks.createRequest({ params: { id: 'inv1' }, user: lead });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await revokeInvitation(req, res, next);
+
+      expect(res.statusCode).toBe(403);
+      expect(invitation.save).not.toHaveBeenCalled();
+    });
+
+    it('should not revoke accepted invitations', async () => {
+      Invitation.findById.mockResolvedValue({ _id: 'inv1', status: 'accepted', save: jest.fn() });
+
+      const req = httpMocks.createRequest({ params: { id: 'inv1' }, user: admin });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await revokeInvitation(req, res, next);
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('resendInvitation', () => {
+    it('should issue a new token for an expired invitation', async () => {
+      const invitation = {
+        _id: 'inv1',
+        email: 'new@example.com',
+        role: 'user',
+        status: 'expired',
+        tokenId: 'old-token-id',
+        createdBy: admin._id,
+        save: jest.fn()
+      };
+      Invitation.findById.mockResolvedValue(invitation);
+
+      const req = httpMocks.createRequest({ params: { id: 'inv1' }, user: admin });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await resendInvitation(req, res, next);
+
+      expect(res.statusCode).toBe(200);
+      expect(invitation.status).toBe('pending');
+      expect(invitation.tokenId).not.toBe('old-token-id');
+      expect(invitation.expiresAt.getTime()).toBeGreaterThan(Date.now());
+      expect(mailService.sendInvitationEmail).toHaveBeenCalled();
+    });
+  });
+});
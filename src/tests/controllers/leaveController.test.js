@@ -0,0 +1,202 @@
+import { jest } from '@jest/globals';
+import httpMocks from 'node-mocks-http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/* 🔴 MOCK FIRST */
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/LeaveRequest.js'), () => ({
+  LEAVE_TYPES: ['vacation', 'sick', 'personal', 'parental', 'unpaid', 'other'],
+  default: {
+    create: jest.fn(),
+    find: jest.fn(),
+    findOne: jest.fn(),
+    findById: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/Project.js'), () => ({
+  default: {
+    find: jest.fn(),
+    findById: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/user.js'), () => ({
+  default: {
+    find: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/AuditLog.js'), () => ({
+  default: {
+    create: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../services/notificationService.js'), () => ({
+  sendLeaveReviewedNotification: jest.fn(),
+}));
+
+/* 🔴 IMPORT AFTER MOCK */
+const LeaveRequest = (await import(path.resolve(__dirname, '../../models/LeaveRequest.js'))).default;
+const Project = (await import(path.resolve(__dirname, '../../models/Project.js'))).default;
+const AuditLog = (await import(path.resolve(__dirname, '../../models/AuditLog.js'))).default;
+const notificationService = await import(path.resolve(__dirname, '../../services/notificationService.js'));
+const {
+  requestLeave,
+  reviewLeave,
+  cancelLeave,
+  getLeaveCalendar,
+} = await import(path.resolve(__dirname, '../../controllers/leaveController.js'));
+
+describe('Leave Controller', () => {
+  const leadId = new mongoose.Types.ObjectId();
+  const userId = new mongoose.Types.ObjectId();
+  const lead = { _id: leadId, role: 'lead', email: 'lead@example.com' };
+  const member = { _id: userId, role: 'user', email: 'user@example.com' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('requestLeave', () => {
+    it('creates a pending request for the signed-in user', async () => {
+      LeaveRequest.findOne.mockResolvedValue(null);
+      LeaveRequest.create.mockImplementation(async (fields) => ({ _id: 'leave1', status: 'pending', ...fields }));
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { type: 'vacation', startDate: '2026-10-05', endDate: '2026-10-09', reason: 'Trip' },
+        user: member
+      });
+      const res = httpMocks.createResponse();
+
+      await requestLeave(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(201);
+      expect(LeaveRequest.create).toHaveBeenCalledWith(expect.objectContaining({
+        user: userId,
+        type: 'vacation',
+        days: 5,
+        reason: 'Trip'
+      }));
+    });
+  });
+
+  describe('reviewLeave', () => {
+    const pendingLeave = (overrides = {}) => ({
+      _id: new mongoose.Types.ObjectId(),
+      user: { _id: userId, manager: leadId, fcmToken: 'token' },
+      type: 'sick',
+      status: 'pending',
+      startDate: new Date(2026, 9, 5),
+      endDate: new Date(2026, 9, 5),
+      days: 1,
+      save: jest.fn(),
+      ...overrides
+    });
+
+    it('lets a manager approve, audits it and notifies the user', async () => {
+      const leave = pendingLeave();
+      LeaveRequest.findById.mockReturnValue({ populate: jest.fn().mockResolvedValue(leave) });
+
+      const req = httpMocks.createRequest({
+        method: 'PATCH',
+        params: { id: leave._id.toString() },
+        body: { status: 'approved' },
+        user: lead
+      });
+      const res = httpMocks.createResponse();
+
+      await reviewLeave(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(200);
+      expect(leave.status).toBe('approved');
+      expect(leave.reviewedBy).toEqual({ id: leadId, model: 'User' });
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'leave.approve' }));
+      expect(notificationService.sendLeaveReviewedNotification).toHaveBeenCalledWith('token', 'approved', undefined);
+    });
+
+    it('returns 403 for a lead with no relation to the user', async () => {
+      const leave = pendingLeave({ user: { _id: userId, manager: null } });
+      LeaveRequest.findById.mockReturnValue({ populate: jest.fn().mockResolvedValue(leave) });
+      Project.find.mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+
+      const req = httpMocks.createRequest({
+        method: 'PATCH',
+        params: { id: leave._id.toString() },
+        body: { status: 'rejected' },
+        user: lead
+      });
+      const res = httpMocks.createResponse();
+
+      await reviewLeave(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(403);
+      expect(leave.save).not.toHaveBeenCalled();
+    });
+
+    it('returns 400 once a request has been reviewed', async () => {
+      const leave = pendingLeave({ status: 'rejected' });
+      LeaveRequest.findById.mockReturnValue({ populate: jest.fn().mockResolvedValue(leave) });
+
+      const req = httpMocks.createRequest({
+        method: 'PATCH',
+        params: { id: leave._id.toString() },
+        body: { status: 'approved' },
+        user: lead
+      });
+      const res = httpMocks.createResponse();
+
+      await reviewLeave(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('cancelLeave', () => {
+    it('cancels upcoming leave but not leave already taken', async () => {
+      const upcoming = { user: userId, status: 'approved', startDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), save: jest.fn() };
+      const taken = { user: userId, status: 'approved', startDate: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000), save: jest.fn() };
+
+      LeaveRequest.findById.mockResolvedValueOnce(upcoming).mockResolvedValueOnce(taken);
+
+      const res = httpMocks.createResponse();
+      await cancelLeave(httpMocks.createRequest({ params: { id: 'leave1' }, user: member }), res, jest.fn());
+      expect(res.statusCode).toBe(200);
+      expect(upcoming.status).toBe('cancelled');
+
+      const takenRes = httpMocks.createResponse();
+      await cancelLeave(httpMocks.createRequest({ params: { id: 'leave2' }, user: member }), takenRes, jest.fn());
+      expect(takenRes.statusCode).toBe(400);
+      expect(taken.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getLeaveCalendar', () => {
+    it('requires a project for scoped grants', async () => {
+      const req = httpMocks.createRequest({ method: 'GET', query: {}, user: member });
+      const res = httpMocks.createResponse();
+
+      await getLeaveCalendar(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('returns 403 for a project the user is not on', async () => {
+      const projectId = new mongoose.Types.ObjectId();
+      Project.findById.mockResolvedValue({ _id: projectId, assignedLead: leadId, assignedUsers: [] });
+
+      const req = httpMocks.createRequest({ method: 'GET', query: { projectId: projectId.toString() }, user: member });
+      const res = httpMocks.createResponse();
+
+      await getLeaveCalendar(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(403);
+    });
+  });
+});
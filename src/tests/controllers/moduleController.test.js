@@ -28,6 +28,12 @@ jest.unstable_mockModule(path.resolve(__dirname, '../../models/user.js'), () =>
   },
 }));
 
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/AuditLog.js'), () => ({
+  default: {
+    create: jest.fn(),
+  },
+}));
+
 /* 🔴 IMPORT AFTER MOCK */
 const Module = (await import(path.resolve(__dirname, '../../models/Module.js'))).default;
 const Project = (await import(path.resolve(__dirname, '../../models/Project.js'))).default;
@@ -39,6 +45,7 @@ const {
   updateModule,
   deleteModule,
   updateModuleProgress,
+  getAssigneeSuggestions,
 } = await import(path.resolve(__dirname, '../../controllers/moduleController.js'));
 
 describe('Module Controller', () => {
@@ -199,6 +206,29 @@ describe('Module Controller', () => {
       expect(mockProject.assignedUsers).toContain(userId2);
     });
 
+    it('should return 400 for a required skill without a valid level', async () => {
+      const leadId = new mongoose.Types.ObjectId();
+      const projectId = new mongoose.Types.ObjectId();
+
+      Project.findById.mockResolvedValue({ _id: projectId, assignedLead: leadId, assignedUsers: [] });
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        params: { projectId: projectId.toString() },
+        body: { name: 'API', estimatedTime: 10, requiredSkills: [{ name: 'Node.js', level: 9 }] },
+        user: { _id: leadId, role: 'lead' }
+      });
+
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await createModule(req, res, next);
+
+      expect(res.statusCode).toBe(400);
+      expect(res._getJSONData().code).toBe('INVALID_SKILLS');
+      expect(Module.create).not.toHaveBeenCalled();
+    });
+
     it('should handle errors properly', async () => {
       Project.findById.mockRejectedValue(new Error('Database error'));
 
@@ -714,6 +744,70 @@ describe('Module Controller', () => {
     });
   });
 
+  // ==================== ASSIGNEE SUGGESTIONS ====================
+  describe('getAssigneeSuggestions', () => {
+    it('should return ranked suggestions for the lead', async () => {
+      const leadId = new mongoose.Types.ObjectId();
+
+      const mockModule = {
+        _id: new mongoose.Types.ObjectId(),
+        name: 'API',
+        requiredSkills: [{ name: 'Node.js', level: 3 }],
+        assignedUsers: [],
+        project: { assignedLead: leadId, assignedUsers: [], department: new mongoose.Types.ObjectId() }
+      };
+
+      Module.findById.mockReturnValue({
+        populate: jest.fn().mockResolvedValue(mockModule)
+      });
+      User.find.mockReturnValue({
+        select: jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue([]) })
+      });
+
+      const req = httpMocks.createRequest({
+        method: 'GET',
+        params: { id: mockModule._id.toString() },
+        user: { _id: leadId, role: 'lead' }
+      });
+
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await getAssigneeSuggestions(req, res, next);
+
+      expect(res.statusCode).toBe(200);
+      const data = res._getJSONData();
+      expect(data.data.module.requiredSkills).toEqual([{ name: 'Node.js', level: 3 }]);
+      expect(data.data.suggestions).toEqual([]);
+    });
+
+    it('should return 403 if another lead asks', async () => {
+      const mockModule = {
+        _id: new mongoose.Types.ObjectId(),
+        assignedUsers: [],
+        project: { assignedLead: new mongoose.Types.ObjectId(), assignedUsers: [] }
+      };
+
+      Module.findById.mockReturnValue({
+        populate: jest.fn().mockResolvedValue(mockModule)
+      });
+
+      const req = httpMocks.createRequest({
+        method: 'GET',
+        params: { id: mockModule._id.toString() },
+        user: { _id: new mongoose.Types.ObjectId(), role: 'lead' }
+      });
+
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await getAssigneeSuggestions(req, res, next);
+
+      expect(res.statusCode).toBe(403);
+      expect(User.find).not.toHaveBeenCalled();
+    });
+  });
+
   // ==================== UPDATE MODULE PROGRESS ====================
   describe('updateModuleProgress', () => {
     it('should update progress successfully by assigned user', async () => {
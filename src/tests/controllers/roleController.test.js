@@ -0,0 +1,233 @@
+import { jest } from '@jest/globals';
+import httpMocks from 'node-mocks-http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/* 🔴 MOCK FIRST */
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/Role.js'), () => ({
+  default: {
+    find: jest.fn(),
+    findOne: jest.fn(),
+    findById: jest.fn(),
+    create: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/user.js'), () => ({
+  default: {
+    countDocuments: jest.fn(),
+    aggregate: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../services/permissionService.js'), () => ({
+  loadRoles: jest.fn(),
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/AuditLog.js'), () => ({
+  default: {
+    create: jest.fn(),
+  },
+}));
+
+/* 🔴 IMPORT AFTER MOCK */
+const Role = (await import(path.resolve(__dirname, '../../models/Role.js'))).default;
+const User = (await import(path.resolve(__dirname, '../../models/user.js'))).default;
+const { loadRoles } = await import(path.resolve(__dirname, '../../services/permissionService.js'));
+const AuditLog = (await import(path.resolve(__dirname, '../../models/AuditLog.js'))).default;
+const {
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+} = await import(path.resolve(__dirname, '../../controllers/roleController.js'));
+
+describe('Role Controller', () => {
+  const adminUser = { _id: 'admin1', role: 'admin' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  // ==================== GET ROLES ====================
+  describe('getRoles', () => {
+    it('should include the number of users per role', async () => {
+      Role.find.mockReturnValue({
+        sort: jest.fn().mockReturnValue({
+          lean: jest.fn().mockResolvedValue([{ name: 'lead' }, { name: 'viewer' }])
+        })
+      });
+      User.aggregate.mockResolvedValue([{ _id: 'lead', count: 3 }]);
+
+      const req = httpMocks.createRequest({ user: adminUser });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await getRoles(req, res, next);
+
+      expect(res.statusCode).toBe(200);
+      expect(res._getJSONData().data).toEqual([
+        { name: 'lead', userCount: 3 },
+        { name: 'viewer', userCount: 0 }
+      ]);
+    });
+  });
+
+  // ==================== CREATE ROLE ====================
+  describe('createRole', () => {
+    it('should create a role and reload the permission cache', async () => {
+      Role.findOne.mockResolvedValue(null);
+      Role.create.mockResolvedValue({ _id: 'role1', name: 'viewer' });
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { name: 'viewer', permissions: ['project:read', 'project:read'] },
+        user: adminUser
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await createRole(req, res, next);
+
+      expect(res.statusCode).toBe(201);
+      expect(Role.create).toHaveBeenCalledWith(
+        expect.objectContaining({ name: 'viewer', permissions: ['project:read'], allowSelfRegistration: false })
+      );
+      expect(loadRoles).toHaveBeenCalled();
+    });
+
+    it('should reject permissions missing from the registry', async () => {
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { name: 'viewer', permissions: ['project:read', 'project:fly'] },
+        user: adminUser
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await createRole(req, res, next);
+
+      expect(res.statusCode).toBe(400);
+      expect(res._getJSONData().invalid).toEqual(['project:fly']);
+      expect(Role.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 if the role already exists', async () => {
+      Role.findOne.mockResolvedValue({ _id: 'role1', name: 'viewer' });
+
+      const req = httpMocks.createRequest({
+        method: 'POST',
+        body: { name: 'Viewer' },
+        user: adminUser
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await createRole(req, res, next);
+
+      expect(res.statusCode).toBe(400);
+      expect(Role.findOne).toHaveBeenCalledWith({ name: 'viewer' });
+    });
+  });
+
+  // ==================== UPDATE ROLE ====================
+  describe('updateRole', () => {
+    it('should update permissions', async () => {
+      const mockRole = { _id: 'role1', name: 'lead', permissions: [], save: jest.fn() };
+      Role.findById.mockResolvedValue(mockRole);
+
+      const req = httpMocks.createRequest({
+        method: 'PUT',
+        params: { id: 'role1' },
+        body: { permissions: ['project:read:lead', 'stats:viewTeam'] },
+        user: adminUser
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await updateRole(req, res, next);
+
+      expect(res.statusCode).toBe(200);
+      expect(mockRole.permissions).toEqual(['project:read:lead', 'stats:viewTeam']);
+      expect(mockRole.save).toHaveBeenCalled();
+      expect(loadRoles).toHaveBeenCalled();
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'role.update',
+        targetId: 'role1',
+        changes: {
+          before: { permissions: [] },
+          after: { permissions: ['project:read:lead', 'stats:viewTeam'] }
+        }
+      }));
+    });
+
+    it('should not allow modifying the admin role', async () => {
+      const mockRole = { _id: 'role1', name: 'admin', save: jest.fn() };
+      Role.findById.mockResolvedValue(mockRole);
+
+      const req = httpMocks.createRequest({
+        method: 'PUT',
+        params: { id: 'role1' },
+        body: { permissions: [] },
+        user: adminUser
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await updateRole(req, res, next);
+
+      expect(res.statusCode).toBe(400);
+      expect(mockRole.save).not.toHaveBeenCalled();
+    });
+  });
+
+  // ==================== DELETE ROLE ====================
+  describe('deleteRole', () => {
+    it('should not delete built-in roles', async () => {
+      Role.findById.mockResolvedValue({ name: 'user', isSystem: true, deleteOne: jest.fn() });
+
+      const req = httpMocks.createRequest({ method: 'DELETE', params: { id: 'role1' }, user: adminUser });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await deleteRole(req, res, next);
+
+      expect(res.statusCode).toBe(400);
+      expect(res._getJSONData().message).toBe('Built-in roles cannot be deleted');
+    });
+
+    it('should not delete a role still held by users', async () => {
+      const mockRole = { name: 'viewer', isSystem: false, deleteOne: jest.fn() };
+      Role.findById.mockResolvedValue(mockRole);
+      User.countDocuments.mockResolvedValue(2);
+
+      const req = httpMocks.createRequest({ method: 'DELETE', params: { id: 'role1' }, user: adminUser });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await deleteRole(req, res, next);
+
+      expect(res.statusCode).toBe(400);
+      expect(mockRole.deleteOne).not.toHaveBeenCalled();
+    });
+
+    it('should delete an unused custom role', async () => {
+      const mockRole = { name: 'viewer', isSystem: false, deleteOne: jest.fn() };
+      Role.findById.mockResolvedValue(mockRole);
+      User.countDocuments.mockResolvedValue(0);
+
+      const req = httpMocks.createRequest({ method: 'DELETE', params: { id: 'role1' }, user: adminUser });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await deleteRole(req, res, next);
+
+      expect(res.statusCode).toBe(200);
+      expect(mockRole.deleteOne).toHaveBeenCalled();
+      expect(loadRoles).toHaveBeenCalled();
+    });
+  });
+});
@@ -1,6 +1,7 @@
 import { jest } from '@jest/globals';
 import httpMocks from 'node-mocks-http';
 import path from 'path';
+import mongoose from 'mongoose';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -9,13 +10,107 @@ const __dirname = path.dirname(__filename);
 jest.unstable_mockModule(path.resolve(__dirname, '../../models/user.js'), () => ({
   default: {
     find: jest.fn(),
+    findById: jest.fn(),
+    findOne: jest.fn(),
     countDocuments: jest.fn(),
+    updateMany: jest.fn(),
   },
 }));
 
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/EmailVerificationToken.js'), () => ({
+  default: {
+    generate: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/RefreshToken.js'), () => ({
+  default: {
+    create: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/Setting.js'), () => ({
+  default: {
+    getValue: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../services/sessionService.js'), () => ({
+  invalidateTokens: jest.fn(),
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../services/mailService.js'), () => ({
+  sendPasswordChangedEmail: jest.fn(),
+  sendEmailVerificationEmail: jest.fn(),
+  sendEmailChangeConfirmationEmail: jest.fn(),
+  sendEmailChangedEmail: jest.fn(),
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/AuditLog.js'), () => ({
+  default: {
+    create: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../services/notificationService.js'), () => ({
+  sendAccountApprovedNotification: jest.fn(),
+  sendAccountRejectedNotification: jest.fn(),
+  sendAccountsApprovedNotification: jest.fn(),
+  sendAccountsRejectedNotification: jest.fn(),
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../services/personalDataService.js'), () => ({
+  collectPersonalData: jest.fn(),
+  buildPersonalDataZip: jest.fn(),
+  eraseUser: jest.fn(),
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../services/departmentService.js'), () => ({
+  resolveDepartment: jest.fn(),
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../services/orgChartService.js'), () => ({
+  checkManager: jest.fn(),
+  buildOrgChart: jest.fn(),
+  getDirectReports: jest.fn(),
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../services/userDeletionService.js'), () => ({
+  softDeleteUser: jest.fn(),
+  restoreUser: jest.fn(),
+  getRestoreDeadline: jest.fn(),
+}));
+
 /* 🔴 IMPORT AFTER MOCK */
 const User = (await import(path.resolve(__dirname, '../../models/user.js'))).default;
-const { getAllUsers } = await import(path.resolve(__dirname, '../../controllers/userController.js'));
+const RefreshToken = (await import(path.resolve(__dirname, '../../models/RefreshToken.js'))).default;
+const Setting = (await import(path.resolve(__dirname, '../../models/Setting.js'))).default;
+const EmailVerificationToken = (await import(path.resolve(__dirname, '../../models/EmailVerificationToken.js'))).default;
+const sessionService = await import(path.resolve(__dirname, '../../services/sessionService.js'));
+const mailService = await import(path.resolve(__dirname, '../../services/mailService.js'));
+const notificationService = await import(path.resolve(__dirname, '../../services/notificationService.js'));
+const AuditLog = (await import(path.resolve(__dirname, '../../models/AuditLog.js'))).default;
+const personalDataService = await import(path.resolve(__dirname, '../../services/personalDataService.js'));
+const departmentService = await import(path.resolve(__dirname, '../../services/departmentService.js'));
+const orgChartService = await import(path.resolve(__dirname, '../../services/orgChartService.js'));
+const userDeletionService = await import(path.resolve(__dirname, '../../services/userDeletionService.js'));
+const { verifyToken } = await import(path.resolve(__dirname, '../../middleware/auth.js'));
+const {
+  getAllUsers,
+  approveUser,
+  rejectUser,
+  updateUser,
+  changePassword,
+  bulkUpdateUsers,
+  exportMyData,
+  exportUserData,
+  eraseUserData,
+  toggleUserStatus,
+  deleteUser,
+  restoreUser,
+  getOrgChart,
+  setManager,
+} = await import(path.resolve(__dirname, '../../controllers/userController.js'));
 
 describe('User Controller', () => {
   beforeEach(() => {
@@ -184,4 +279,671 @@ describe('User Controller', () => {
       expect(total).toBe(totalCount);
     }
   });
-});
\ No newline at end of file
+
+  describe('approveUser', () => {
+    const buildPendingUser = (overrides = {}) => ({
+      _id: 'user123',
+      name: 'Pending User',
+      approved: false,
+      emailVerified: false,
+      save: jest.fn(),
+      ...overrides
+    });
+
+    it('waits for a verified email when required', async () => {
+      const user = buildPendingUser();
+      User.findById.mockResolvedValue(user);
+      Setting.getValue.mockResolvedValue(true);
+
+      const req = httpMocks.createRequest({ params: { id: 'user123' }, user: { _id: 'admin1', role: 'admin' } });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await approveUser(req, res, next);
+
+      expect(res.statusCode).toBe(400);
+      expect(res._getJSONData().code).toBe('EMAIL_NOT_VERIFIED');
+      expect(user.save).not.toHaveBeenCalled();
+    });
+
+    it('approves unverified users when not required', async () => {
+      const user = buildPendingUser();
+      User.findById.mockResolvedValue(user);
+      Setting.getValue.mockResolvedValue(false);
+
+      const req = httpMocks.createRequest({ params: { id: 'user123' }, user: { _id: 'admin1', role: 'admin' } });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await approveUser(req, res, next);
+
+      expect(res.statusCode).toBe(200);
+      expect(user.approved).toBe(true);
+    });
+
+    it('leaves deleted users alone', async () => {
+      const user = buildPendingUser({ deletedAt: new Date(), isActive: false });
+      User.findById.mockResolvedValue(user);
+
+      const admin = { _id: 'admin1', role: 'admin' };
+      const res = httpMocks.createResponse();
+      await approveUser(httpMocks.createRequest({ params: { id: 'user123' }, user: admin }), res, jest.fn());
+
+      expect(res.statusCode).toBe(400);
+      expect(res._getJSONData().message).toBe('User has been deleted');
+
+      const rejectRes = httpMocks.createResponse();
+      await rejectUser(httpMocks.createRequest({ params: { id: 'user123' }, body: {}, user: admin }), rejectRes, jest.fn());
+
+      expect(rejectRes.statusCode).toBe(400);
+      expect(user.save).not.toHaveBeenCalled();
+      expect(sessionService.invalidateTokens).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('bulkUpdateUsers', () => {
+    const admin = { _id: 'admin1', role: 'admin' };
+    const ids = ['64b000000000000000000001', '64b000000000000000000002', '64b000000000000000000003'];
+    const buildUser = (id, overrides = {}) => ({
+      _id: { toString: () => id },
+      approved: false,
+      emailVerified: true,
+      isActive: true,
+      fcmToken: `token-${id.slice(-1)}`,
+      ...overrides
+    });
+
+    it('approves eligible users and reports the rest', async () => {
+      User.find.mockResolvedValue([
+        buildUser(ids[0]),
+        buildUser(ids[1], { approved: true })
+      ]);
+      Setting.getValue.mockResolvedValue(false);
+
+      const req = httpMocks.createRequest({
+        method: 'PATCH',
+        body: { action: 'approve', ids: [...ids, 'not-an-id', ids[0]] },
+        user: admin
+      });
+      const res = httpMocks.createResponse();
+
+      await bulkUpdateUsers(req, res, jest.fn());
+
+      const body = res._getJSONData();
+      expect(res.statusCode).toBe(200);
+      expect(body.summary).toEqual({ total: 4, succeeded: 1, failed: 3 });
+      expect(body.data).toEqual([
+        { id: ids[0], success: true, message: 'User approved' },
+        { id: ids[1], success: false, message: 'User is already approved' },
+        { id: ids[2], success: false, message: 'User not found' },
+        { id: 'not-an-id', success: false, message: 'User not found' }
+      ]);
+      expect(User.find).toHaveBeenCalledWith({ _id: { $in: ids } });
+      expect(User.updateMany).toHaveBeenCalledTimes(1);
+      expect(notificationService.sendAccountsApprovedNotification).toHaveBeenCalledWith(['token-1']);
+      expect(notificationService.sendAccountApprovedNotification).not.toHaveBeenCalled();
+    });
+
+    it('rejects users, signs them out and records one batch entry', async () => {
+      User.find.mockResolvedValue([buildUser(ids[0]), buildUser(ids[1], { fcmToken: null })]);
+
+      const req = httpMocks.createRequest({
+        method: 'PATCH',
+        body: { action: 'reject', ids: ids.slice(0, 2), reason: 'Duplicate accounts' },
+        user: admin
+      });
+      const res = httpMocks.createResponse();
+
+      await bulkUpdateUsers(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(200);
+      expect(User.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: [expect.anything(), expect.anything()] } },
+        { isActive: false }
+      );
+      expect(sessionService.invalidateTokens).toHaveBeenCalledWith(expect.any(Array), 'User', 'account_disabled');
+      expect(notificationService.sendAccountsRejectedNotification).toHaveBeenCalledWith(['token-1'], 'Duplicate accounts');
+      expect(AuditLog.create).toHaveBeenCalledTimes(1);
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'user.bulk_reject',
+        metadata: expect.objectContaining({ succeeded: 2, failed: 0, reason: 'Duplicate accounts' })
+      }));
+    });
+
+    it('skips users that are already inactive when deactivating', async () => {
+      User.find.mockResolvedValue([buildUser(ids[0], { isActive: false })]);
+
+      const req = httpMocks.createRequest({
+        method: 'PATCH',
+        body: { action: 'deactivate', ids: [ids[0]] },
+        user: admin
+      });
+      const res = httpMocks.createResponse();
+
+      await bulkUpdateUsers(req, res, jest.fn());
+
+      expect(res._getJSONData().data[0]).toEqual({ id: ids[0], success: false, message: 'User is already inactive' });
+      expect(User.updateMany).not.toHaveBeenCalled();
+      expect(sessionService.invalidateTokens).not.toHaveBeenCalled();
+    });
+
+    it('rejects unknown actions and empty id lists', async () => {
+      for (const body of [{ action: 'delete', ids }, { action: 'approve', ids: [] }]) {
+        const req = httpMocks.createRequest({ method: 'PATCH', body, user: admin });
+        const res = httpMocks.createResponse();
+
+        await bulkUpdateUsers(req, res, jest.fn());
+
+        expect(res.statusCode).toBe(400);
+      }
+      expect(User.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('personal data', () => {
+    const admin = { _id: 'admin1', role: 'admin' };
+    const user = { _id: 'user123', name: 'Ana Silva', role: 'user' };
+
+    it('exports a user\'s data as a ZIP download', async () => {
+      User.findById.mockResolvedValue(user);
+      personalDataService.collectPersonalData.mockResolvedValue({ profile: {} });
+      personalDataService.buildPersonalDataZip.mockReturnValue(Buffer.from('zip'));
+
+      const req = httpMocks.createRequest({ params: { id: 'user123' }, query: { format: 'zip' }, user: admin });
+      const res = httpMocks.createResponse();
+
+      await exportUserData(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(200);
+      expect(res.getHeader('Content-Type')).toBe('application/zip');
+      expect(res.getHeader('Content-Disposition')).toMatch(/^attachment; filename="personal-data-user123-\d{4}-\d{2}-\d{2}\.zip"$/);
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'user.data_export',
+        metadata: { format: 'zip' }
+      }));
+    });
+
+    it('lets users export their own data as JSON', async () => {
+      User.findById.mockResolvedValue(user);
+      personalDataService.collectPersonalData.mockResolvedValue({ profile: { name: 'Ana Silva' } });
+
+      const req = httpMocks.createRequest({ user });
+      const res = httpMocks.createResponse();
+
+      await exportMyData(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(200);
+      expect(User.findById).toHaveBeenCalledWith('user123');
+      expect(res._getJSONData().data.profile.name).toBe('Ana Silva');
+    });
+
+    it('passes on why a user can\'t be erased yet', async () => {
+      User.findById.mockResolvedValue(user);
+      personalDataService.eraseUser.mockResolvedValue({
+        error: { status: 409, body: { success: false, code: 'USER_LEADS_PROJECTS' } }
+      });
+
+      const req = httpMocks.createRequest({ params: { id: 'user123' }, user: admin });
+      const res = httpMocks.createResponse();
+
+      await eraseUserData(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(409);
+      expect(AuditLog.create).not.toHaveBeenCalled();
+    });
+
+    it('records erasure without keeping the erased details', async () => {
+      User.findById.mockResolvedValue(user);
+      personalDataService.eraseUser.mockResolvedValue({});
+
+      const req = httpMocks.createRequest({ params: { id: 'user123' }, user: admin });
+      const res = httpMocks.createResponse();
+
+      await eraseUserData(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(200);
+      const entry = AuditLog.create.mock.calls[0][0];
+      expect(entry).toEqual(expect.objectContaining({ action: 'user.erase', targetId: 'user123' }));
+      expect(entry.changes).toBeUndefined();
+    });
+
+    it('does not reactivate erased users', async () => {
+      const erased = { _id: 'user123', isActive: false, erasedAt: new Date(), save: jest.fn() };
+      User.findById.mockResolvedValue(erased);
+
+      const req = httpMocks.createRequest({ params: { id: 'user123' }, user: admin });
+      const res = httpMocks.createResponse();
+
+      await toggleUserStatus(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(400);
+      expect(erased.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deletion', () => {
+    const admin = { _id: 'admin1', role: 'admin' };
+
+    it('soft-deletes a user and reports the restore deadline', async () => {
+      const user = { _id: 'user123', name: 'Ana Silva', isActive: true, deletedAt: null };
+      const restorableUntil = new Date('2026-11-18T00:00:00Z');
+      User.findById.mockResolvedValue(user);
+      userDeletionService.softDeleteUser.mockImplementation(async (target) => {
+        target.isActive = false;
+        target.deletedAt = new Date();
+        return {};
+      });
+      userDeletionService.getRestoreDeadline.mockReturnValue(restorableUntil);
+
+      const req = httpMocks.createRequest({ params: { id: 'user123' }, user: admin });
+      const res = httpMocks.createResponse();
+
+      await deleteUser(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(200);
+      expect(userDeletionService.softDeleteUser).toHaveBeenCalledWith(user, 'admin1');
+      expect(res._getJSONData().data.restorableUntil).toBe(restorableUntil.toISOString());
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'user.delete',
+        metadata: { restorableUntil: restorableUntil.toISOString() }
+      }));
+    });
+
+    it('passes on why a user can\'t be deleted', async () => {
+      User.findById.mockResolvedValue({ _id: 'user123' });
+      userDeletionService.softDeleteUser.mockResolvedValue({
+        error: { status: 409, body: { success: false, code: 'USER_LEADS_PROJECTS' } }
+      });
+
+      const req = httpMocks.createRequest({ params: { id: 'user123' }, user: admin });
+      const res = httpMocks.createResponse();
+
+      await deleteUser(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(409);
+      expect(AuditLog.create).not.toHaveBeenCalled();
+    });
+
+    it('restores a deleted user', async () => {
+      User.findById.mockResolvedValue({ _id: 'user123', deletedAt: new Date() });
+      userDeletionService.restoreUser.mockResolvedValue({});
+
+      const req = httpMocks.createRequest({ params: { id: 'user123' }, user: admin });
+      const res = httpMocks.createResponse();
+
+      await restoreUser(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(200);
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'user.restore' }));
+    });
+
+    it('does not reactivate deleted users', async () => {
+      const deleted = { _id: 'user123', isActive: false, deletedAt: new Date(), save: jest.fn() };
+      User.findById.mockResolvedValue(deleted);
+
+      const req = httpMocks.createRequest({ params: { id: 'user123' }, user: admin });
+      const res = httpMocks.createResponse();
+
+      await toggleUserStatus(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(400);
+      expect(deleted.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reporting lines', () => {
+    const admin = { _id: 'admin1', role: 'admin' };
+    const managerId = new mongoose.Types.ObjectId().toString();
+
+    it('sets a manager after checking the reporting line', async () => {
+      const user = { _id: 'user123', manager: null, save: jest.fn() };
+      User.findById.mockResolvedValue(user);
+      orgChartService.checkManager.mockResolvedValue({});
+
+      const req = httpMocks.createRequest({ params: { id: 'user123' }, body: { managerId }, user: admin });
+      const res = httpMocks.createResponse();
+
+      await setManager(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(200);
+      expect(orgChartService.checkManager).toHaveBeenCalledWith('user123', managerId);
+      expect(user.manager).toBe(managerId);
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'user.manager_change',
+        changes: { before: { manager: null }, after: { manager: managerId } }
+      }));
+    });
+
+    it('passes on why a manager can\'t be set', async () => {
+      const user = { _id: 'user123', manager: null, save: jest.fn() };
+      User.findById.mockResolvedValue(user);
+      orgChartService.checkManager.mockResolvedValue({
+        error: { status: 400, body: { success: false, code: 'INVALID_MANAGER' } }
+      });
+
+      const req = httpMocks.createRequest({ params: { id: 'user123' }, body: { managerId }, user: admin });
+      const res = httpMocks.createResponse();
+
+      await setManager(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(400);
+      expect(user.save).not.toHaveBeenCalled();
+    });
+
+    it('clears a manager without checks', async () => {
+      const user = { _id: 'user123', manager: managerId, save: jest.fn() };
+      User.findById.mockResolvedValue(user);
+
+      const req = httpMocks.createRequest({ params: { id: 'user123' }, body: { managerId: null }, user: admin });
+      const res = httpMocks.createResponse();
+
+      await setManager(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(200);
+      expect(user.manager).toBeNull();
+      expect(orgChartService.checkManager).not.toHaveBeenCalled();
+    });
+
+    it('returns 404 for an org chart root that is not on the chart', async () => {
+      orgChartService.buildOrgChart.mockResolvedValue(null);
+
+      const req = httpMocks.createRequest({ query: { root: managerId }, user: admin });
+      const res = httpMocks.createResponse();
+
+      await getOrgChart(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(404);
+      expect(orgChartService.buildOrgChart).toHaveBeenCalledWith(managerId);
+    });
+  });
+
+  describe('updateUser', () => {
+    it('keeps the old email until the new one is confirmed', async () => {
+      const user = {
+        _id: 'user123',
+        name: 'Test User',
+        email: 'test@example.com',
+        role: 'user',
+        save: jest.fn()
+      };
+      User.findById.mockResolvedValue(user);
+      User.findOne.mockResolvedValue(null);
+      EmailVerificationToken.generate.mockResolvedValue('changetoken');
+
+      const req = httpMocks.createRequest({
+        method: 'PUT',
+        params: { id: 'user123' },
+        body: { email: 'New@Example.com' },
+        user: { _id: 'user123', role: 'user' }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await updateUser(req, res, next);
+
+      expect(res.statusCode).toBe(200);
+      expect(user.email).toBe('test@example.com');
+      expect(user.pendingEmail).toBe('new@example.com');
+      expect(EmailVerificationToken.generate).toHaveBeenCalledWith(
+        'user123', 'new@example.com', 'change', expect.any(Number), req.ip
+      );
+      expect(mailService.sendEmailChangeConfirmationEmail).toHaveBeenCalledWith(
+        'new@example.com', 'Test User', expect.stringContaining('changetoken'), expect.any(Number)
+      );
+    });
+
+    it('does not let anyone else change a user\'s email', async () => {
+      const user = { _id: 'user123', email: 'test@example.com', role: 'user', save: jest.fn() };
+      User.findById.mockResolvedValue(user);
+
+      const req = httpMocks.createRequest({
+        method: 'PUT',
+        params: { id: 'user123' },
+        body: { email: 'lead-owned@example.com' },
+        user: { _id: 'lead1', role: 'lead' }
+      });
+      const res = httpMocks.createResponse();
+
+      await updateUser(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(403);
+      expect(res._getJSONData().code).toBe('EMAIL_CHANGE_NOT_ALLOWED');
+      expect(user.pendingEmail).toBeUndefined();
+      expect(EmailVerificationToken.generate).not.toHaveBeenCalled();
+    });
+
+    it('does not change the email of an impersonated user', async () => {
+      const user = { _id: 'user123', email: 'test@example.com', role: 'user', save: jest.fn() };
+      User.findById.mockResolvedValue(user);
+
+      const req = httpMocks.createRequest({
+        method: 'PUT',
+        params: { id: 'user123' },
+        body: { email: 'admin-owned@example.com' },
+        user: { _id: 'user123', role: 'user' }
+      });
+      req.impersonator = { _id: 'admin1', email: 'admin@example.com' };
+      const res = httpMocks.createResponse();
+
+      await updateUser(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(403);
+      expect(res._getJSONData().code).toBe('IMPERSONATION_BLOCKED');
+      expect(user.save).not.toHaveBeenCalled();
+    });
+
+    it('lets users list their own skills', async () => {
+      const user = { _id: 'user123', email: 'test@example.com', role: 'user', skills: [], save: jest.fn() };
+      User.findById.mockResolvedValue(user);
+
+      const req = httpMocks.createRequest({
+        method: 'PUT',
+        params: { id: 'user123' },
+        body: { skills: [{ name: ' React ', level: 4 }] },
+        user: { _id: 'user123', role: 'user' }
+      });
+      const res = httpMocks.createResponse();
+
+      await updateUser(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(200);
+      expect(user.skills).toEqual([{ name: 'React', level: 4 }]);
+
+      const invalid = httpMocks.createRequest({
+        method: 'PUT',
+        params: { id: 'user123' },
+        body: { skills: [{ name: 'React', level: 7 }] },
+        user: { _id: 'user123', role: 'user' }
+      });
+      const invalidRes = httpMocks.createResponse();
+
+      await updateUser(invalid, invalidRes, jest.fn());
+
+      expect(invalidRes.statusCode).toBe(400);
+      expect(invalidRes._getJSONData().code).toBe('INVALID_SKILLS');
+    });
+
+    it('lets leads set weekly capacity but not users themselves', async () => {
+      const user = { _id: 'user123', email: 'test@example.com', role: 'user', weeklyCapacity: null, save: jest.fn() };
+      User.findById.mockResolvedValue(user);
+
+      const own = httpMocks.createRequest({
+        method: 'PUT',
+        params: { id: 'user123' },
+        body: { weeklyCapacity: 10 },
+        user: { _id: 'user123', role: 'user' }
+      });
+      const ownRes = httpMocks.createResponse();
+
+      await updateUser(own, ownRes, jest.fn());
+
+      expect(ownRes.statusCode).toBe(403);
+      expect(user.save).not.toHaveBeenCalled();
+
+      const byLead = httpMocks.createRequest({
+        method: 'PUT',
+        params: { id: 'user123' },
+        body: { weeklyCapacity: 24 },
+        user: { _id: 'lead1', role: 'lead' }
+      });
+      const leadRes = httpMocks.createResponse();
+
+      await updateUser(byLead, leadRes, jest.fn());
+
+      expect(leadRes.statusCode).toBe(200);
+      expect(user.weeklyCapacity).toBe(24);
+    });
+
+    it('stores the resolved department and rejects unknown ones', async () => {
+      const user = { _id: 'user123', email: 'test@example.com', role: 'user', save: jest.fn() };
+      User.findById.mockResolvedValue(user);
+      departmentService.resolveDepartment.mockResolvedValueOnce({ department: { _id: 'dept123', name: 'Design' } });
+
+      const req = httpMocks.createRequest({
+        method: 'PUT',
+        params: { id: 'user123' },
+        body: { department: 'design' },
+        user: { _id: 'admin1', role: 'admin' }
+      });
+      let res = httpMocks.createResponse();
+
+      await updateUser(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(200);
+      expect(user.department).toBe('dept123');
+
+      user.save.mockClear();
+      departmentService.resolveDepartment.mockResolvedValueOnce({
+        error: { status: 400, body: { success: false, code: 'INVALID_DEPARTMENT' } }
+      });
+      res = httpMocks.createResponse();
+
+      await updateUser(req, res, jest.fn());
+
+      expect(res.statusCode).toBe(400);
+      expect(user.save).not.toHaveBeenCalled();
+    });
+
+    it('rejects an email that belongs to another account', async () => {
+      User.findById.mockResolvedValue({ _id: 'user123', email: 'test@example.com', role: 'user', save: jest.fn() });
+      User.findOne.mockResolvedValue({ _id: 'other' });
+
+      const req = httpMocks.createRequest({
+        method: 'PUT',
+        params: { id: 'user123' },
+        body: { email: 'taken@example.com' },
+        user: { _id: 'user123', role: 'user' }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await updateUser(req, res, next);
+
+      expect(res.statusCode).toBe(400);
+      expect(res._getJSONData().code).toBe('EMAIL_TAKEN');
+      expect(EmailVerificationToken.generate).not.toHaveBeenCalled();
+    });
+
+    it('does not change passwords', async () => {
+      const req = httpMocks.createRequest({
+        method: 'PUT',
+        params: { id: 'user123' },
+        body: { name: 'Renamed', password: 'Harbor-Lantern-42' },
+        user: { _id: 'user123', role: 'user' }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await updateUser(req, res, next);
+
+      expect(res.statusCode).toBe(400);
+      expect(res._getJSONData().code).toBe('PASSWORD_CHANGE_NOT_ALLOWED');
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('changePassword', () => {
+    const buildAccount = (overrides = {}) => ({
+      _id: 'user123',
+      name: 'Test User',
+      email: 'test@example.com',
+      role: 'user',
+      tokenVersion: 3,
+      password: 'stored-hash',
+      passwordHistory: [],
+      comparePassword: jest.fn().mockResolvedValue(true),
+      save: jest.fn(),
+      ...overrides
+    });
+
+    beforeEach(() => {
+      Setting.getValue.mockResolvedValue({ historyCount: 0 });
+    });
+
+    it('changes the password, signs out other sessions and keeps this one', async () => {
+      const account = buildAccount();
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(account) });
+
+      const req = httpMocks.createRequest({
+        method: 'PATCH',
+        body: { currentPassword: 'Current-Pass-1', newPassword: 'Harbor-Lantern-42' },
+        user: { _id: 'user123', role: 'user' }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await changePassword(req, res, next);
+
+      expect(res.statusCode).toBe(200);
+      expect(account.comparePassword).toHaveBeenCalledWith('Current-Pass-1');
+      expect(account.password).toBe('Harbor-Lantern-42');
+      expect(account.save).toHaveBeenCalled();
+      expect(sessionService.invalidateTokens).toHaveBeenCalledWith('user123', 'User', 'password_changed');
+      expect(mailService.sendPasswordChangedEmail).toHaveBeenCalledWith('test@example.com', 'Test User');
+
+      // The new tokens carry the bumped version so they survive the revocation
+      const { accessToken } = res._getJSONData();
+      expect(verifyToken(accessToken, 'access').tv).toBe(4);
+      expect(RefreshToken.create).toHaveBeenCalledWith(expect.objectContaining({ userId: 'user123', userModel: 'User' }));
+    });
+
+    it('requires the current password', async () => {
+      const account = buildAccount({ comparePassword: jest.fn().mockResolvedValue(false) });
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(account) });
+
+      const req = httpMocks.createRequest({
+        method: 'PATCH',
+        body: { currentPassword: 'wrong', newPassword: 'Harbor-Lantern-42' },
+        user: { _id: 'user123', role: 'user' }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await changePassword(req, res, next);
+
+      expect(res.statusCode).toBe(400);
+      expect(res._getJSONData().code).toBe('INVALID_CURRENT_PASSWORD');
+      expect(account.save).not.toHaveBeenCalled();
+      expect(sessionService.invalidateTokens).not.toHaveBeenCalled();
+    });
+
+    it('enforces the password policy', async () => {
+      const account = buildAccount();
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(account) });
+
+      const req = httpMocks.createRequest({
+        method: 'PATCH',
+        body: { currentPassword: 'Current-Pass-1', newPassword: 'qwerty123' },
+        user: { _id: 'user123', role: 'user' }
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await changePassword(req, res, next);
+
+      expect(res.statusCode).toBe(400);
+      expect(res._getJSONData().code).toBe('WEAK_PASSWORD');
+      expect(account.save).not.toHaveBeenCalled();
+    });
+  });
+});
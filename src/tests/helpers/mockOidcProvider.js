@@ -0,0 +1,112 @@
+import http from 'http';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+/**
+ * Minimal local OpenID Connect provider for tests: discovery, JWKS, an
+ * authorize endpoint that signs `provider.claims` in straight away, and a
+ * token endpoint that checks the client, redirect URI and PKCE verifier.
+ */
+export const startMockOidcProvider = async ({ clientId, clientSecret, claims = {} }) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = 'mock-key-1';
+  const codes = new Map();
+  const provider = { issuer: null, claims };
+
+  const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, provider.issuer);
+
+    if (url.pathname === '/.well-known/openid-configuration') {
+      return sendJson(res, 200, {
+        issuer: provider.issuer,
+        authorization_endpoint: `${provider.issuer}/authorize`,
+        token_endpoint: `${provider.issuer}/token`,
+        jwks_uri: `${provider.issuer}/jwks`,
+        response_types_supported: ['code'],
+        code_challenge_methods_supported: ['S256'],
+        id_token_signing_alg_values_supported: ['RS256']
+      });
+    }
+
+    if (url.pathname === '/jwks') {
+      return sendJson(res, 200, {
+        keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }]
+      });
+    }
+
+    if (url.pathname === '/authorize') {
+      const params = url.searchParams;
+      if (params.get('client_id') !== clientId || params.get('code_challenge_method') !== 'S256') {
+        return sendJson(res, 400, { error: 'invalid_request' });
+      }
+
+      const code = crypto.randomBytes(16).toString('hex');
+      codes.set(code, {
+        challenge: params.get('code_challenge'),
+        nonce: params.get('nonce'),
+        redirectUri: params.get('redirect_uri')
+      });
+
+      const redirect = new URL(params.get('redirect_uri'));
+      redirect.searchParams.set('code', code);
+      redirect.searchParams.set('state', params.get('state'));
+      res.writeHead(302, { Location: redirect.toString() });
+      return res.end();
+    }
+
+    if (url.pathname === '/token' && req.method === 'POST') {
+      let raw = '';
+      for await (const chunk of req) raw += chunk;
+      const body = new URLSearchParams(raw);
+
+      const expectedAuth = `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`;
+      if (clientSecret && req.headers.authorization !== expectedAuth) {
+        return sendJson(res, 401, { error: 'invalid_client' });
+      }
+
+      // Codes are single use
+      const grant = codes.get(body.get('code'));
+      codes.delete(body.get('code'));
+
+      const verifierHash = crypto
+        .createHash('sha256')
+        .update(body.get('code_verifier') || '')
+        .digest('base64url');
+
+      if (!grant || grant.redirectUri !== body.get('redirect_uri') || grant.challenge !== verifierHash) {
+        return sendJson(res, 400, { error: 'invalid_grant', error_description: 'Invalid authorization code' });
+      }
+
+      // Tests may override iss/aud through `provider.claims`
+      const idToken = jwt.sign(
+        { iss: provider.issuer, aud: clientId, nonce: grant.nonce, ...provider.claims },
+        privateKey,
+        { algorithm: 'RS256', keyid: kid, expiresIn: '5m' }
+      );
+
+      return sendJson(res, 200, {
+        access_token: crypto.randomBytes(16).toString('hex'),
+        token_type: 'Bearer',
+        expires_in: 300,
+        id_token: idToken
+      });
+    }
+
+    sendJson(res, 404, { error: 'not_found' });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  provider.issuer = `http://127.0.0.1:${server.address().port}`;
+
+  provider.close = () => new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+
+  return provider;
+};
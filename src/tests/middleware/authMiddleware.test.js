@@ -13,16 +13,45 @@ jest.unstable_mockModule(path.resolve(__dirname, '../../models/user.js'), () =>
   },
 }));
 
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/Admin.js'), () => ({
+  default: {
+    findById: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../services/impersonationService.js'), () => ({
+  findActiveImpersonation: jest.fn(),
+  recordImpersonatedRequest: jest.fn(),
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/ApiToken.js'), () => ({
+  API_TOKEN_PREFIX: 'mx_pat_',
+  default: {
+    findOne: jest.fn(),
+    updateOne: jest.fn(),
+    hashToken: jest.fn(token => `hash:${token}`),
+  },
+}));
+
 jest.unstable_mockModule('jsonwebtoken', () => ({
   default: {
     verify: jest.fn(),
+    decode: jest.fn(() => ({ header: { alg: 'ES256', kid: 'key-1', typ: 'at+jwt' } })),
   },
 }));
 
+jest.unstable_mockModule(path.resolve(__dirname, '../../services/signingKeyService.js'), () => ({
+  getSigningKey: jest.fn(),
+  getVerificationKey: jest.fn(kid => (kid === 'key-1' ? { algorithm: 'ES256', publicKey: 'public-key' } : null)),
+}));
+
 /* 🔴 IMPORT AFTER MOCK */
 const jwt = (await import('jsonwebtoken')).default;
 const User = (await import(path.resolve(__dirname, '../../models/user.js'))).default;
-const { protect } = await import(path.resolve(__dirname, '../../middleware/auth.js'));
+const ApiToken = (await import(path.resolve(__dirname, '../../models/ApiToken.js'))).default;
+const Admin = (await import(path.resolve(__dirname, '../../models/Admin.js'))).default;
+const impersonationService = await import(path.resolve(__dirname, '../../services/impersonationService.js'));
+const { protect, requirePermission, sessionOnly } = await import(path.resolve(__dirname, '../../middleware/auth.js'));
 
 describe('Auth Middleware', () => {
   beforeEach(() => {
@@ -75,7 +104,11 @@ describe('Auth Middleware', () => {
     const mockUser = { 
       _id: '123', 
       name: 'Test User',
-      email: 'test@example.com' 
+      email: 'test@example.com',
+      role: 'user',
+      isActive: true,
+      approved: true,
+      tokenVersion: 0
     };
 
     jwt.verify.mockReturnValue({ id: '123' });
@@ -96,6 +129,61 @@ describe('Auth Middleware', () => {
     expect(req.user).toEqual(mockUser);
   });
 
+  it('blocks deactivated users with a still-valid token', async () => {
+    jwt.verify.mockReturnValue({ id: '123', role: 'user', tv: 0 });
+    User.findById.mockReturnValue({
+      select: jest.fn().mockResolvedValue({ _id: '123', role: 'user', isActive: false, approved: true, tokenVersion: 0 })
+    });
+
+    const req = httpMocks.createRequest({
+      headers: { authorization: 'Bearer validtoken' },
+    });
+    const res = httpMocks.createResponse();
+    const next = jest.fn();
+
+    await protect(req, res, next);
+
+    expect(res.statusCode).toBe(401);
+    expect(res._getJSONData().code).toBe('ACCOUNT_DEACTIVATED');
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('blocks users pending approval', async () => {
+    jwt.verify.mockReturnValue({ id: '123', role: 'user', tv: 0 });
+    User.findById.mockReturnValue({
+      select: jest.fn().mockResolvedValue({ _id: '123', role: 'user', isActive: true, approved: false, tokenVersion: 0 })
+    });
+
+    const req = httpMocks.createRequest({
+      headers: { authorization: 'Bearer validtoken' },
+    });
+    const res = httpMocks.createResponse();
+    const next = jest.fn();
+
+    await protect(req, res, next);
+
+    expect(res.statusCode).toBe(403);
+    expect(res._getJSONData().code).toBe('PENDING_APPROVAL');
+  });
+
+  it('blocks tokens issued before the token version was bumped', async () => {
+    jwt.verify.mockReturnValue({ id: '123', role: 'user', tv: 0 });
+    User.findById.mockReturnValue({
+      select: jest.fn().mockResolvedValue({ _id: '123', role: 'lead', isActive: true, approved: true, tokenVersion: 1 })
+    });
+
+    const req = httpMocks.createRequest({
+      headers: { authorization: 'Bearer oldtoken' },
+    });
+    const res = httpMocks.createResponse();
+    const next = jest.fn();
+
+    await protect(req, res, next);
+
+    expect(res.statusCode).toBe(401);
+    expect(res._getJSONData().code).toBe('TOKEN_REVOKED');
+  });
+
   it('blocks request when user not found in database', async () => {
     jwt.verify.mockReturnValue({ id: '999' });
     User.findById.mockReturnValue({
@@ -113,6 +201,22 @@ describe('Auth Middleware', () => {
     expect(res.statusCode).toBe(401);
   });
 
+  it('rejects 2FA challenge tokens as access tokens', async () => {
+    jwt.verify.mockReturnValue({ id: '123', role: 'lead', purpose: '2fa_verify' });
+
+    const req = httpMocks.createRequest({
+      headers: { authorization: 'Bearer challengetoken' },
+    });
+    const res = httpMocks.createResponse();
+    const next = jest.fn();
+
+    await protect(req, res, next);
+
+    expect(res.statusCode).toBe(401);
+    expect(next).not.toHaveBeenCalled();
+    expect(User.findById).not.toHaveBeenCalled();
+  });
+
   it('handles expired token', async () => {
     jwt.verify.mockImplementation(() => {
       const error = new Error('jwt expired');
@@ -131,6 +235,40 @@ describe('Auth Middleware', () => {
     expect(res.statusCode).toBe(401);
   });
 
+  it('only lets users with a temporary password change it', async () => {
+    jwt.verify.mockReturnValue({ id: '123', role: 'user', tv: 0 });
+    User.findById.mockReturnValue({
+      select: jest.fn().mockResolvedValue({
+        _id: '123', role: 'user', isActive: true, approved: true, tokenVersion: 0, passwordChangeRequired: true
+      })
+    });
+
+    const blocked = httpMocks.createRequest({
+      method: 'GET',
+      url: '/api/projects',
+      headers: { authorization: 'Bearer validtoken' },
+    });
+    const blockedRes = httpMocks.createResponse();
+    const blockedNext = jest.fn();
+
+    await protect(blocked, blockedRes, blockedNext);
+
+    expect(blockedRes.statusCode).toBe(403);
+    expect(blockedRes._getJSONData().code).toBe('PASSWORD_CHANGE_REQUIRED');
+    expect(blockedNext).not.toHaveBeenCalled();
+
+    const change = httpMocks.createRequest({
+      method: 'PATCH',
+      url: '/api/users/me/password',
+      headers: { authorization: 'Bearer validtoken' },
+    });
+    const next = jest.fn();
+
+    await protect(change, httpMocks.createResponse(), next);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
   it('handles malformed token', async () => {
     jwt.verify.mockImplementation(() => {
       const error = new Error('jwt malformed');
@@ -148,4 +286,272 @@ describe('Auth Middleware', () => {
     
     expect(res.statusCode).toBe(401);
   });
-});
\ No newline at end of file
+
+  describe('requirePermission', () => {
+    it('allows roles granted the permission', () => {
+      const req = httpMocks.createRequest({ user: { _id: '123', role: 'admin' } });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      requirePermission('project:create')(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('allows scoped grants through to the controller check', () => {
+      const req = httpMocks.createRequest({ user: { _id: '123', role: 'lead' } });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      requirePermission('module:delete')(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('blocks roles without the permission', () => {
+      const req = httpMocks.createRequest({ user: { _id: '123', role: 'user' } });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      requirePermission('project:delete')(req, res, next);
+
+      expect(res.statusCode).toBe(403);
+      expect(res._getJSONData().code).toBe('PERMISSION_DENIED');
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('rejects permissions missing from the registry', () => {
+      expect(() => requirePermission('project:explode')).toThrow('Unknown permission');
+    });
+  });
+
+  describe('API tokens', () => {
+    const mockUser = {
+      _id: '123',
+      email: 'test@example.com',
+      role: 'user',
+      isActive: true,
+      approved: true,
+      tokenVersion: 2
+    };
+
+    const mockApiToken = (overrides = {}) => ({
+      _id: 'tok1',
+      userId: '123',
+      userModel: 'User',
+      scopes: ['stats:read'],
+      tokenVersion: 2,
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      ...overrides
+    });
+
+    it('accepts a valid API token without verifying a JWT', async () => {
+      ApiToken.findOne.mockResolvedValue(mockApiToken());
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
+
+      const req = httpMocks.createRequest({
+        headers: { authorization: 'Bearer mx_pat_abc' },
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await protect(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(jwt.verify).not.toHaveBeenCalled();
+      expect(ApiToken.findOne).toHaveBeenCalledWith({ tokenHash: 'hash:mx_pat_abc', revokedAt: null });
+      expect(req.user).toEqual(mockUser);
+      expect(req.apiToken.scopes).toEqual(['stats:read']);
+      expect(ApiToken.updateOne).toHaveBeenCalled();
+    });
+
+    it('rejects unknown or revoked API tokens', async () => {
+      ApiToken.findOne.mockResolvedValue(null);
+
+      const req = httpMocks.createRequest({
+        headers: { authorization: 'Bearer mx_pat_abc' },
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await protect(req, res, next);
+
+      expect(res.statusCode).toBe(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('rejects expired API tokens', async () => {
+      ApiToken.findOne.mockResolvedValue(mockApiToken({ expiresAt: new Date(Date.now() - 1000) }));
+
+      const req = httpMocks.createRequest({
+        headers: { authorization: 'Bearer mx_pat_abc' },
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await protect(req, res, next);
+
+      expect(res.statusCode).toBe(401);
+      expect(res._getJSONData().code).toBe('API_TOKEN_EXPIRED');
+    });
+
+    it('rejects API tokens issued before the account token version changed', async () => {
+      ApiToken.findOne.mockResolvedValue(mockApiToken({ tokenVersion: 1 }));
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
+
+      const req = httpMocks.createRequest({
+        headers: { authorization: 'Bearer mx_pat_abc' },
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await protect(req, res, next);
+
+      expect(res.statusCode).toBe(401);
+      expect(res._getJSONData().code).toBe('TOKEN_REVOKED');
+    });
+
+    it('rejects API tokens of users who still have a temporary password', async () => {
+      ApiToken.findOne.mockResolvedValue(mockApiToken());
+      User.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({ ...mockUser, passwordChangeRequired: true })
+      });
+
+      const req = httpMocks.createRequest({
+        method: 'GET',
+        url: '/api/projects',
+        headers: { authorization: 'Bearer mx_pat_abc' },
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await protect(req, res, next);
+
+      expect(res.statusCode).toBe(403);
+      expect(res._getJSONData().code).toBe('PASSWORD_CHANGE_REQUIRED');
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('enforces token scopes on top of role permissions', () => {
+      const apiToken = mockApiToken();
+      const allowed = httpMocks.createRequest({ user: mockUser, apiToken });
+      const blocked = httpMocks.createRequest({ user: mockUser, apiToken });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      requirePermission('stats:viewOwn')(allowed, httpMocks.createResponse(), next);
+      requirePermission('dailyUpdate:create')(blocked, res, next);
+
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.statusCode).toBe(403);
+      expect(res._getJSONData().code).toBe('INSUFFICIENT_SCOPE');
+    });
+
+    it('keeps API tokens off session-only routes', () => {
+      const req = httpMocks.createRequest({ user: mockUser, apiToken: mockApiToken() });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      sessionOnly(req, res, next);
+
+      expect(res.statusCode).toBe(403);
+      expect(res._getJSONData().code).toBe('API_TOKEN_NOT_ALLOWED');
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('impersonation', () => {
+    const mockUser = { _id: 'u1', role: 'user', isActive: true, approved: true, tokenVersion: 0 };
+    const mockAdmin = { _id: 'a1', email: 'admin@company.com', role: 'admin', isActive: true, tokenVersion: 1 };
+    const mockImpersonation = { _id: 's1', user: 'u1', admin: 'a1' };
+
+    beforeEach(() => {
+      jwt.verify.mockReturnValue({ id: 'u1', role: 'user', tv: 0, act: { id: 'a1', tv: 1 }, sid: 's1' });
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
+      Admin.findById.mockResolvedValue(mockAdmin);
+      impersonationService.findActiveImpersonation.mockResolvedValue(mockImpersonation);
+    });
+
+    it('exposes both the user and the acting admin and records the request', async () => {
+      const req = httpMocks.createRequest({
+        method: 'GET',
+        headers: { authorization: 'Bearer impersonationtoken' },
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await protect(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(req.user).toEqual(mockUser);
+      expect(req.impersonator).toEqual(mockAdmin);
+      expect(req.impersonation).toEqual(mockImpersonation);
+      expect(impersonationService.findActiveImpersonation).toHaveBeenCalledWith('s1');
+      expect(impersonationService.recordImpersonatedRequest).toHaveBeenCalledWith(req, res);
+    });
+
+    it('rejects tokens for an ended session', async () => {
+      impersonationService.findActiveImpersonation.mockResolvedValue(null);
+
+      const req = httpMocks.createRequest({
+        headers: { authorization: 'Bearer impersonationtoken' },
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await protect(req, res, next);
+
+      expect(res.statusCode).toBe(401);
+      expect(res._getJSONData().code).toBe('IMPERSONATION_ENDED');
+    });
+
+    it('rejects tokens once the admin has been signed out', async () => {
+      Admin.findById.mockResolvedValue({ ...mockAdmin, tokenVersion: 2 });
+
+      const req = httpMocks.createRequest({
+        headers: { authorization: 'Bearer impersonationtoken' },
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await protect(req, res, next);
+
+      expect(res.statusCode).toBe(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('blocks and still records DELETE requests', async () => {
+      const req = httpMocks.createRequest({
+        method: 'DELETE',
+        headers: { authorization: 'Bearer impersonationtoken' },
+      });
+      const res = httpMocks.createResponse();
+      const next = jest.fn();
+
+      await protect(req, res, next);
+
+      expect(res.statusCode).toBe(403);
+      expect(res._getJSONData().code).toBe('IMPERSONATION_BLOCKED');
+      expect(impersonationService.recordImpersonatedRequest).toHaveBeenCalled();
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('blocks destructive permissions and session-only routes', () => {
+      const lead = { _id: 'u1', role: 'lead' };
+      const blocked = httpMocks.createRequest({ user: lead, impersonator: mockAdmin });
+      const allowed = httpMocks.createRequest({ user: lead, impersonator: mockAdmin });
+      const sessionReq = httpMocks.createRequest({ user: lead, impersonator: mockAdmin });
+      const blockedRes = httpMocks.createResponse();
+      const sessionRes = httpMocks.createResponse();
+      const next = jest.fn();
+
+      requirePermission('module:delete')(blocked, blockedRes, next);
+      requirePermission('module:update')(allowed, httpMocks.createResponse(), next);
+      sessionOnly(sessionReq, sessionRes, next);
+
+      expect(blockedRes.statusCode).toBe(403);
+      expect(sessionRes.statusCode).toBe(403);
+      expect(next).toHaveBeenCalledTimes(1);
+    });
+  });
+});
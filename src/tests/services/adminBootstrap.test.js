@@ -0,0 +1,67 @@
+import { jest } from '@jest/globals';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/* 🔴 MOCK FIRST */
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/Admin.js'), () => ({
+  default: {
+    countDocuments: jest.fn(),
+    create: jest.fn(),
+    find: jest.fn(),
+  },
+}));
+
+/* 🔴 IMPORT AFTER MOCK */
+const Admin = (await import(path.resolve(__dirname, '../../models/Admin.js'))).default;
+const config = (await import(path.resolve(__dirname, '../../config/env.js'))).default;
+const { bootstrapAdmin } = await import(path.resolve(__dirname, '../../services/adminBootstrap.js'));
+
+describe('Admin Bootstrap', () => {
+  const originalAdmin = config.admin;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Admin.countDocuments.mockResolvedValue(0);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    config.admin = originalAdmin;
+    console.log.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  it('creates the first admin from the environment', async () => {
+    config.admin = { email: 'root@example.com', password: 'Harbor-Lantern-42' };
+    Admin.create.mockImplementation(async (fields) => fields);
+
+    const admin = await bootstrapAdmin();
+
+    expect(Admin.create).toHaveBeenCalledWith({
+      name: 'Administrator',
+      email: 'root@example.com',
+      password: 'Harbor-Lantern-42'
+    });
+    expect(admin.email).toBe('root@example.com');
+  });
+
+  it('creates no admin without ADMIN_PASSWORD', async () => {
+    config.admin = { email: 'root@example.com', password: undefined };
+
+    expect(await bootstrapAdmin()).toBeNull();
+    expect(Admin.create).not.toHaveBeenCalled();
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('ADMIN_PASSWORD'));
+  });
+
+  it('leaves existing admins alone', async () => {
+    Admin.countDocuments.mockResolvedValue(2);
+    Admin.find.mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+
+    expect(await bootstrapAdmin()).toBeNull();
+    expect(Admin.create).not.toHaveBeenCalled();
+  });
+});
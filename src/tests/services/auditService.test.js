@@ -0,0 +1,112 @@
+import { jest } from '@jest/globals';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/* 🔴 MOCK FIRST */
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/AuditLog.js'), () => ({
+  default: {
+    create: jest.fn(),
+  },
+}));
+
+/* 🔴 IMPORT AFTER MOCK */
+const AuditLog = (await import(path.resolve(__dirname, '../../models/AuditLog.js'))).default;
+const {
+  snapshot,
+  diffChanges,
+  recordAudit,
+  buildAuditFilter,
+} = await import(path.resolve(__dirname, '../../services/auditService.js'));
+
+describe('Audit Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('diffChanges', () => {
+    it('keeps only the fields that changed', () => {
+      const before = snapshot({ name: 'Old', department: 'IT', skills: ['a'] }, ['name', 'department', 'skills']);
+      const after = snapshot({ name: 'New', department: 'IT', skills: ['a'] }, ['name', 'department', 'skills']);
+
+      expect(diffChanges(before, after)).toEqual({ before: { name: 'Old' }, after: { name: 'New' } });
+    });
+
+    it('treats a missing side as null', () => {
+      expect(diffChanges(undefined, { name: 'Created' })).toEqual({
+        before: { name: null },
+        after: { name: 'Created' }
+      });
+    });
+  });
+
+  describe('recordAudit', () => {
+    const actorId = new mongoose.Types.ObjectId();
+    const req = {
+      id: 'req-123',
+      ip: '10.0.0.1',
+      headers: { 'user-agent': 'jest' },
+      user: { _id: actorId, email: 'lead@example.com', role: 'lead' },
+      impersonator: { _id: 'admin1', email: 'admin@example.com' }
+    };
+
+    it('stores the actor, impersonator, request details and diff', async () => {
+      const targetId = new mongoose.Types.ObjectId();
+
+      await recordAudit(req, {
+        action: 'user.update',
+        targetType: 'User',
+        targetId,
+        before: { name: 'Old', department: 'IT' },
+        after: { name: 'New', department: 'IT' }
+      });
+
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        actor: { id: actorId, model: 'User', email: 'lead@example.com', role: 'lead' },
+        impersonator: { id: 'admin1', email: 'admin@example.com' },
+        action: 'user.update',
+        targetId: targetId.toString(),
+        changes: { before: { name: 'Old' }, after: { name: 'New' } },
+        ipAddress: '10.0.0.1',
+        userAgent: 'jest',
+        requestId: 'req-123'
+      }));
+    });
+
+    it('does not throw when the entry cannot be written', async () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      AuditLog.create.mockRejectedValueOnce(new Error('db down'));
+
+      await expect(recordAudit(req, { action: 'user.delete', targetType: 'User' })).resolves.toBeUndefined();
+      expect(consoleSpy).toHaveBeenCalled();
+
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('buildAuditFilter', () => {
+    it('maps query parameters to a filter', () => {
+      const { filter } = buildAuditFilter({
+        actor: 'a1',
+        targetType: 'Project',
+        action: 'project.update, project.delete',
+        from: '2026-01-01',
+        to: '2026-02-01'
+      });
+
+      expect(filter).toEqual({
+        'actor.id': 'a1',
+        targetType: 'Project',
+        action: { $in: ['project.update', 'project.delete'] },
+        createdAt: { $gte: new Date('2026-01-01'), $lte: new Date('2026-02-01') }
+      });
+    });
+
+    it('rejects invalid dates', () => {
+      expect(buildAuditFilter({ to: 'yesterday' })).toEqual({ error: 'to must be a valid date' });
+    });
+  });
+});
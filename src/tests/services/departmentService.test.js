@@ -0,0 +1,192 @@
+import { jest } from '@jest/globals';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/* 🔴 MOCK FIRST */
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/Department.js'), () => ({
+  NAME_COLLATION: { locale: 'en', strength: 2 },
+  default: {
+    findById: jest.fn(),
+    findOne: jest.fn(),
+    exists: jest.fn(),
+    create: jest.fn(),
+    countDocuments: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/user.js'), () => ({
+  default: {
+    findOne: jest.fn(),
+    countDocuments: jest.fn(),
+    collection: {
+      distinct: jest.fn(),
+      updateMany: jest.fn(),
+    },
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/Project.js'), () => ({
+  default: {
+    countDocuments: jest.fn(),
+    collection: {
+      distinct: jest.fn(),
+      updateMany: jest.fn(),
+    },
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/Invitation.js'), () => ({
+  default: {
+    collection: {
+      distinct: jest.fn(),
+      updateMany: jest.fn(),
+    },
+  },
+}));
+
+/* 🔴 IMPORT AFTER MOCK */
+const Department = (await import(path.resolve(__dirname, '../../models/Department.js'))).default;
+const User = (await import(path.resolve(__dirname, '../../models/user.js'))).default;
+const Project = (await import(path.resolve(__dirname, '../../models/Project.js'))).default;
+const Invitation = (await import(path.resolve(__dirname, '../../models/Invitation.js'))).default;
+const {
+  normalizeDepartmentName,
+  resolveDepartment,
+  checkParent,
+  buildDepartmentTree,
+  migrateDepartmentNames,
+} = await import(path.resolve(__dirname, '../../services/departmentService.js'));
+
+const collating = (result) => ({ collation: jest.fn().mockResolvedValue(result) });
+const selecting = (result) => ({ select: jest.fn().mockResolvedValue(result) });
+
+describe('Department Service', () => {
+  const engineering = { _id: new mongoose.Types.ObjectId(), name: 'Engineering', code: 'ENG', isActive: true };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('normalizes names', () => {
+    expect(normalizeDepartmentName('  Human   Resources ')).toBe('Human Resources');
+    expect(normalizeDepartmentName(undefined)).toBe('');
+  });
+
+  describe('resolveDepartment', () => {
+    it('returns no department when none is given', async () => {
+      expect(await resolveDepartment('  ')).toEqual({ department: null });
+      expect(Department.findOne).not.toHaveBeenCalled();
+    });
+
+    it('looks ids up directly and names or codes case-insensitively', async () => {
+      Department.findById.mockResolvedValue(engineering);
+      expect(await resolveDepartment(engineering._id.toString())).toEqual({ department: engineering });
+
+      // A 12-character name is not an ObjectId
+      Department.findOne.mockReturnValue(collating(engineering));
+      await resolveDepartment(' engineering1 ');
+      expect(Department.findOne).toHaveBeenCalledWith({ $or: [{ code: 'ENGINEERING1' }, { name: 'engineering1' }] });
+    });
+
+    it('refuses unknown departments, and inactive ones unless filtering', async () => {
+      Department.findOne.mockReturnValue(collating(null));
+      expect((await resolveDepartment('Astrology')).error.body.code).toBe('INVALID_DEPARTMENT');
+
+      const retired = { ...engineering, isActive: false };
+      Department.findOne.mockReturnValue(collating(retired));
+      expect((await resolveDepartment('ENG')).error.body.message).toBe("Department 'Engineering' is no longer active");
+      expect(await resolveDepartment('ENG', { activeOnly: false })).toEqual({ department: retired });
+    });
+  });
+
+  describe('checkParent', () => {
+    const root = { _id: new mongoose.Types.ObjectId(), parent: null };
+    const child = { _id: new mongoose.Types.ObjectId(), parent: root._id };
+    const byId = { [root._id]: root, [child._id]: child };
+
+    beforeEach(() => {
+      Department.findById.mockImplementation(id => selecting(byId[id] || null));
+    });
+
+    it('accepts a parent outside the department\'s subtree', async () => {
+      expect(await checkParent(new mongoose.Types.ObjectId(), child._id)).toEqual({});
+    });
+
+    it('refuses the department itself or one of its descendants', async () => {
+      expect((await checkParent(root._id, root._id)).error).toBeDefined();
+      expect((await checkParent(root._id, child._id)).error.body.message)
+        .toBe('A department cannot be nested under itself or one of its subdepartments');
+    });
+
+    it('refuses parents that do not exist', async () => {
+      expect((await checkParent(root._id, new mongoose.Types.ObjectId())).error.body.message)
+        .toBe('Parent department not found');
+    });
+  });
+
+  it('nests departments under their parents', () => {
+    const root = { _id: new mongoose.Types.ObjectId(), name: 'Engineering', parent: null };
+    const child = { _id: new mongoose.Types.ObjectId(), name: 'Platform', parent: { _id: root._id, name: 'Engineering' } };
+    const orphan = { _id: new mongoose.Types.ObjectId(), name: 'Legacy', parent: new mongoose.Types.ObjectId() };
+
+    const tree = buildDepartmentTree([root, child, orphan]);
+
+    expect(tree.map(node => node.name)).toEqual(['Engineering', 'Legacy']);
+    expect(tree[0].children.map(node => node.name)).toEqual(['Platform']);
+  });
+
+  describe('migrateDepartmentNames', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      for (const Model of [User, Project, Invitation]) {
+        Model.collection.distinct.mockResolvedValue([]);
+        Model.collection.updateMany.mockResolvedValue({ modifiedCount: 1 });
+      }
+    });
+
+    afterEach(() => {
+      console.log.mockRestore();
+    });
+
+    it('moves spelling variants onto one department', async () => {
+      const created = { _id: new mongoose.Types.ObjectId(), name: 'Engineering', code: 'ENGINEERIN' };
+      User.collection.distinct.mockResolvedValue(['Engineering', 'engineering ']);
+      Project.collection.distinct.mockResolvedValue(['  ENGINEERING']);
+      Department.findOne
+        .mockReturnValueOnce(collating(null))
+        .mockReturnValue(collating(created));
+      Department.exists.mockResolvedValue(null);
+      Department.create.mockResolvedValue(created);
+
+      expect(await migrateDepartmentNames()).toBe(3);
+
+      expect(User.collection.distinct).toHaveBeenCalledWith('department', { department: { $type: 'string' } });
+      expect(Department.create).toHaveBeenCalledTimes(1);
+      expect(Department.create).toHaveBeenCalledWith({ name: 'Engineering', code: 'ENGINEERIN' });
+      expect(User.collection.updateMany).toHaveBeenCalledWith(
+        { department: 'engineering ' },
+        { $set: { department: created._id } }
+      );
+      expect(Project.collection.updateMany).toHaveBeenCalledWith(
+        { department: '  ENGINEERING' },
+        { $set: { department: created._id } }
+      );
+    });
+
+    it('picks a free code and clears blank departments', async () => {
+      Invitation.collection.distinct.mockResolvedValue(['Design', '  ']);
+      Department.findOne.mockReturnValue(collating(null));
+      Department.exists.mockResolvedValueOnce({ _id: 'taken' }).mockResolvedValue(null);
+      Department.create.mockImplementation(async (data) => ({ _id: new mongoose.Types.ObjectId(), ...data }));
+
+      await migrateDepartmentNames();
+
+      expect(Department.create).toHaveBeenCalledWith({ name: 'Design', code: 'DESIGN2' });
+      expect(Invitation.collection.updateMany).toHaveBeenCalledWith({ department: '  ' }, { $unset: { department: '' } });
+    });
+  });
+});
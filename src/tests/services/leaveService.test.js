@@ -0,0 +1,143 @@
+import { jest } from '@jest/globals';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/* 🔴 MOCK FIRST */
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/LeaveRequest.js'), () => ({
+  LEAVE_TYPES: ['vacation', 'sick', 'personal', 'parental', 'unpaid', 'other'],
+  default: {
+    find: jest.fn(),
+    findOne: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/Project.js'), () => ({
+  default: {
+    find: jest.fn(),
+  },
+}));
+
+/* 🔴 IMPORT AFTER MOCK */
+const LeaveRequest = (await import(path.resolve(__dirname, '../../models/LeaveRequest.js'))).default;
+const Project = (await import(path.resolve(__dirname, '../../models/Project.js'))).default;
+const {
+  startOfWeek,
+  countWorkingDays,
+  checkLeaveRequest,
+  canReviewLeave,
+  leaveOnDay,
+  expectedHours,
+  forecastCompletion,
+} = await import(path.resolve(__dirname, '../../services/leaveService.js'));
+
+// Monday 5 October 2026 and the days after it
+const day = (date) => new Date(2026, 9, date);
+
+describe('Leave Service', () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    LeaveRequest.findOne.mockResolvedValue(null);
+  });
+
+  describe('working days', () => {
+    it('counts weekdays only and finds the Monday of a week', () => {
+      expect(countWorkingDays(day(5), day(11))).toBe(5);
+      expect(countWorkingDays(day(10), day(11))).toBe(0);
+      expect(startOfWeek(day(11))).toEqual(day(5));
+    });
+  });
+
+  describe('checkLeaveRequest', () => {
+    it('stores whole days and the working days covered', async () => {
+      const { leave } = await checkLeaveRequest(userId, {
+        type: 'vacation',
+        startDate: new Date(2026, 9, 9, 15),
+        endDate: day(13)
+      });
+
+      expect(leave).toEqual({
+        type: 'vacation',
+        startDate: day(9),
+        endDate: day(13),
+        halfDay: null,
+        days: 3
+      });
+    });
+
+    it('counts a half day as half a day', async () => {
+      const { leave } = await checkLeaveRequest(userId, { type: 'personal', startDate: day(6), halfDay: 'morning' });
+
+      expect(leave.days).toBe(0.5);
+      expect(leave.endDate).toEqual(day(6));
+    });
+
+    it('rejects weekends, backwards ranges and half days over several days', async () => {
+      expect((await checkLeaveRequest(userId, { type: 'vacation', startDate: day(10), endDate: day(11) })).error.status).toBe(400);
+      expect((await checkLeaveRequest(userId, { type: 'vacation', startDate: day(8), endDate: day(6) })).error.status).toBe(400);
+      expect((await checkLeaveRequest(userId, { type: 'sick', startDate: day(6), endDate: day(7), halfDay: 'morning' })).error.status).toBe(400);
+      expect((await checkLeaveRequest(userId, { type: 'holiday', startDate: day(6) })).error.status).toBe(400);
+    });
+
+    it('refuses overlapping leave but allows the other half of a day', async () => {
+      LeaveRequest.findOne.mockResolvedValue({ startDate: day(6), endDate: day(6), halfDay: 'morning' });
+
+      const overlap = await checkLeaveRequest(userId, { type: 'vacation', startDate: day(6), endDate: day(7) });
+      expect(overlap.error.status).toBe(409);
+      expect(overlap.error.body.code).toBe('LEAVE_OVERLAP');
+
+      const afternoon = await checkLeaveRequest(userId, { type: 'personal', startDate: day(6), halfDay: 'afternoon' });
+      expect(afternoon.leave.days).toBe(0.5);
+    });
+  });
+
+  describe('expected hours', () => {
+    const leaves = [
+      { startDate: day(6), endDate: day(7), halfDay: null },
+      { startDate: day(9), endDate: day(9), halfDay: 'afternoon' }
+    ];
+
+    it('subtracts full and half days of leave', () => {
+      expect(leaveOnDay(leaves, day(7))).toBe(1);
+      expect(leaveOnDay(leaves, new Date(2026, 9, 9, 14))).toBe(0.5);
+      expect(leaveOnDay(leaves, day(8))).toBe(0);
+      expect(expectedHours(leaves, day(5), day(11))).toBe(20);
+    });
+
+    it('pushes a forecast back by the team\'s leave', async () => {
+      const memberId = new mongoose.Types.ObjectId();
+      LeaveRequest.find.mockReturnValue({
+        lean: jest.fn().mockResolvedValue([{ user: memberId, startDate: day(6), endDate: day(7), halfDay: null }])
+      });
+
+      // 24 hours: Monday, then Thursday and Friday
+      expect(await forecastCompletion(24, [memberId], day(5))).toEqual(day(9));
+      expect(await forecastCompletion(0, [memberId], day(5))).toEqual(day(5));
+      expect(await forecastCompletion(8, [], day(5))).toBeNull();
+    });
+  });
+
+  describe('canReviewLeave', () => {
+    const leadId = new mongoose.Types.ObjectId();
+    const lead = { _id: leadId, role: 'lead' };
+
+    it('lets leads review members of their projects but never their own leave', async () => {
+      Project.find.mockReturnValue({
+        select: jest.fn().mockResolvedValue([{ assignedLead: leadId, assignedUsers: [userId] }])
+      });
+
+      expect(await canReviewLeave(lead, { user: { _id: userId, manager: null } })).toBe(true);
+      expect(await canReviewLeave(lead, { user: { _id: leadId, manager: null } })).toBe(false);
+    });
+
+    it('lets leads review their direct reports without a shared project', async () => {
+      expect(await canReviewLeave(lead, { user: { _id: userId, manager: leadId } })).toBe(true);
+      expect(Project.find).not.toHaveBeenCalled();
+    });
+  });
+});
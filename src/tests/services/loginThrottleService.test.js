@@ -0,0 +1,113 @@
+import { jest } from '@jest/globals';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/* 🔴 MOCK FIRST */
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/LoginAttempt.js'), () => ({
+  default: {
+    findOne: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+    updateOne: jest.fn(),
+    deleteOne: jest.fn(),
+  },
+}));
+
+/* 🔴 IMPORT AFTER MOCK */
+const LoginAttempt = (await import(path.resolve(__dirname, '../../models/LoginAttempt.js'))).default;
+const {
+  checkLoginAllowed,
+  recordFailedLogin,
+  clearFailedLogins,
+} = await import(path.resolve(__dirname, '../../services/loginThrottleService.js'));
+
+describe('Login Throttle Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('checkLoginAllowed', () => {
+    it('allows emails with no failed attempts', async () => {
+      LoginAttempt.findOne.mockResolvedValue(null);
+
+      expect(await checkLoginAllowed('Test@Example.com', 'User')).toBeNull();
+      expect(LoginAttempt.findOne).toHaveBeenCalledWith({ email: 'test@example.com', accountType: 'User' });
+    });
+
+    it('returns LOGIN_LOCKED while locked', async () => {
+      LoginAttempt.findOne.mockResolvedValue({
+        lockedUntil: new Date(Date.now() + 10 * 60 * 1000)
+      });
+
+      const result = await checkLoginAllowed('test@example.com', 'User');
+
+      expect(result.status).toBe(423);
+      expect(result.body.code).toBe('LOGIN_LOCKED');
+      expect(result.retryAfter).toBeGreaterThan(500);
+    });
+
+    it('returns LOGIN_THROTTLED during a progressive delay', async () => {
+      LoginAttempt.findOne.mockResolvedValue({
+        nextAttemptAt: new Date(Date.now() + 2000)
+      });
+
+      const result = await checkLoginAllowed('test@example.com', 'Admin');
+
+      expect(result.status).toBe(429);
+      expect(result.body.code).toBe('LOGIN_THROTTLED');
+    });
+
+    it('allows attempts once the lock has expired', async () => {
+      LoginAttempt.findOne.mockResolvedValue({
+        lockedUntil: new Date(Date.now() - 1000)
+      });
+
+      expect(await checkLoginAllowed('test@example.com', 'User')).toBeNull();
+    });
+  });
+
+  describe('recordFailedLogin', () => {
+    it('does not delay the first failures', async () => {
+      const attempt = { failedCount: 1, save: jest.fn() };
+      LoginAttempt.findOneAndUpdate.mockResolvedValue(attempt);
+
+      expect(await recordFailedLogin('test@example.com', 'User', '127.0.0.1')).toBeNull();
+      expect(attempt.save).not.toHaveBeenCalled();
+    });
+
+    it('adds a growing delay after repeated failures', async () => {
+      const attempt = { failedCount: 4, save: jest.fn() };
+      LoginAttempt.findOneAndUpdate.mockResolvedValue(attempt);
+
+      const before = Date.now();
+      expect(await recordFailedLogin('test@example.com', 'User', '127.0.0.1')).toBeNull();
+
+      expect(attempt.save).toHaveBeenCalled();
+      expect(attempt.nextAttemptAt.getTime() - before).toBeGreaterThanOrEqual(2000);
+    });
+
+    it('locks the account at the maximum number of failures', async () => {
+      const attempt = { failedCount: 5, save: jest.fn() };
+      LoginAttempt.findOneAndUpdate.mockResolvedValue(attempt);
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const result = await recordFailedLogin('test@example.com', 'User', '127.0.0.1');
+
+      expect(result.status).toBe(423);
+      expect(result.body.code).toBe('LOGIN_LOCKED');
+      expect(attempt.lockedUntil).toBeInstanceOf(Date);
+      expect(attempt.save).toHaveBeenCalled();
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe('clearFailedLogins', () => {
+    it('removes the attempt record for the email', async () => {
+      await clearFailedLogins(' Test@Example.com ', 'User');
+
+      expect(LoginAttempt.deleteOne).toHaveBeenCalledWith({ email: 'test@example.com', accountType: 'User' });
+    });
+  });
+});
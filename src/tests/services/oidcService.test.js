@@ -0,0 +1,326 @@
+import { jest } from '@jest/globals';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/* 🔴 MOCK FIRST */
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/OidcLoginState.js'), () => ({
+  default: {
+    create: jest.fn(),
+    findOneAndDelete: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/user.js'), () => {
+  const User = jest.fn(function (data) {
+    Object.assign(this, { _id: new mongoose.Types.ObjectId(), role: 'user', isActive: true, approved: false, isNew: true, ...data });
+    this.save = jest.fn();
+  });
+  User.findOne = jest.fn();
+  return { default: User };
+});
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../services/sessionService.js'), () => ({
+  invalidateTokens: jest.fn(),
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../services/departmentService.js'), () => ({
+  resolveDepartment: jest.fn(),
+}));
+
+/* 🔴 IMPORT AFTER MOCK */
+const OidcLoginState = (await import(path.resolve(__dirname, '../../models/OidcLoginState.js'))).default;
+const User = (await import(path.resolve(__dirname, '../../models/user.js'))).default;
+const { invalidateTokens } = await import(path.resolve(__dirname, '../../services/sessionService.js'));
+const { resolveDepartment } = await import(path.resolve(__dirname, '../../services/departmentService.js'));
+const config = (await import(path.resolve(__dirname, '../../config/env.js'))).default;
+const {
+  isOidcEnabled,
+  createAuthorizationRequest,
+  exchangeAuthorizationCode,
+  mapClaims,
+  resolveSsoUser,
+} = await import(path.resolve(__dirname, '../../services/oidcService.js'));
+const { startMockOidcProvider } = await import(path.resolve(__dirname, '../helpers/mockOidcProvider.js'));
+
+describe('OIDC Service', () => {
+  const originalOidc = config.oidc;
+  let provider;
+  let states;
+
+  beforeAll(async () => {
+    provider = await startMockOidcProvider({
+      clientId: 'managex',
+      clientSecret: 'test-secret',
+      claims: {
+        sub: 'idp-user-1',
+        email: 'Jane.Doe@Example.com',
+        email_verified: true,
+        name: 'Jane Doe',
+        groups: ['staff', 'engineering-leads']
+      }
+    });
+  });
+
+  afterAll(async () => {
+    config.oidc = originalOidc;
+    await provider.close();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    config.oidc = {
+      ...originalOidc,
+      issuer: provider.issuer,
+      clientId: 'managex',
+      clientSecret: 'test-secret',
+      redirectUri: 'http://localhost:3000/auth/oidc/callback',
+      groupRoles: { 'engineering-leads': 'lead', staff: 'user' },
+      groupDepartments: { 'engineering-leads': 'Engineering' },
+      autoProvision: true
+    };
+
+    // In-memory state store with the same single-use semantics
+    states = new Map();
+    OidcLoginState.create.mockImplementation(async (doc) => {
+      states.set(doc.state, doc);
+      return doc;
+    });
+    OidcLoginState.findOneAndDelete.mockImplementation(async ({ state }) => {
+      const doc = states.get(state);
+      states.delete(state);
+      return doc && doc.expiresAt > new Date() ? doc : null;
+    });
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  // Follow the provider's authorize redirect and read the code back
+  const authorize = async (authorizationUrl) => {
+    const response = await fetch(authorizationUrl, { redirect: 'manual' });
+    const callback = new URL(response.headers.get('location'));
+    return { code: callback.searchParams.get('code'), state: callback.searchParams.get('state') };
+  };
+
+  describe('authorization code + PKCE flow', () => {
+    it('builds an authorization request with a stored state and S256 challenge', async () => {
+      const { authorizationUrl, state } = await createAuthorizationRequest('127.0.0.1');
+      const url = new URL(authorizationUrl);
+
+      expect(url.origin).toBe(provider.issuer);
+      expect(url.searchParams.get('response_type')).toBe('code');
+      expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+      expect(url.searchParams.get('redirect_uri')).toBe('http://localhost:3000/auth/oidc/callback');
+      expect(url.searchParams.get('state')).toBe(state);
+      // The verifier stays on the server
+      expect(authorizationUrl).not.toContain(states.get(state).codeVerifier);
+    });
+
+    it('exchanges the code and returns verified ID token claims', async () => {
+      const { authorizationUrl } = await createAuthorizationRequest('127.0.0.1');
+      const { code, state } = await authorize(authorizationUrl);
+
+      const claims = await exchangeAuthorizationCode({ code, state });
+
+      expect(claims).toEqual(expect.objectContaining({
+        sub: 'idp-user-1',
+        email: 'Jane.Doe@Example.com',
+        iss: provider.issuer,
+        aud: 'managex'
+      }));
+    });
+
+    it('refuses to reuse a state', async () => {
+      const { authorizationUrl } = await createAuthorizationRequest('127.0.0.1');
+      const { code, state } = await authorize(authorizationUrl);
+      await exchangeAuthorizationCode({ code, state });
+
+      await expect(exchangeAuthorizationCode({ code, state }))
+        .rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    it('fails when the PKCE verifier does not match', async () => {
+      const { authorizationUrl } = await createAuthorizationRequest('127.0.0.1');
+      const { code, state } = await authorize(authorizationUrl);
+      states.get(state).codeVerifier = 'not-the-original-verifier-not-the-original-verifier';
+
+      await expect(exchangeAuthorizationCode({ code, state }))
+        .rejects.toMatchObject({ statusCode: 401, message: 'Identity provider error: Invalid authorization code' });
+    });
+
+    it('rejects ID tokens issued for another client', async () => {
+      const { authorizationUrl } = await createAuthorizationRequest('127.0.0.1');
+      const { code, state } = await authorize(authorizationUrl);
+      provider.claims.aud = 'someone-else';
+
+      try {
+        await expect(exchangeAuthorizationCode({ code, state }))
+          .rejects.toMatchObject({ statusCode: 401 });
+      } finally {
+        delete provider.claims.aud;
+      }
+    });
+
+    it('is disabled without an issuer and client id', () => {
+      expect(isOidcEnabled()).toBe(true);
+      config.oidc = { ...config.oidc, issuer: undefined };
+      expect(isOidcEnabled()).toBe(false);
+    });
+  });
+
+  describe('mapClaims', () => {
+    it('maps groups to role and department, first configured group winning', () => {
+      const profile = mapClaims({ sub: 's1', email: 'A@B.com', email_verified: true, groups: ['staff', 'engineering-leads'] });
+
+      expect(profile).toEqual(expect.objectContaining({
+        subject: 's1',
+        email: 'a@b.com',
+        emailVerified: true,
+        role: 'lead',
+        department: 'Engineering'
+      }));
+    });
+
+    it('reads nested claims', () => {
+      config.oidc.claims = { ...config.oidc.claims, groups: 'realm_access.roles' };
+
+      const profile = mapClaims({ sub: 's1', email: 'a@b.com', realm_access: { roles: ['staff'] } });
+
+      expect(profile.groups).toEqual(['staff']);
+      expect(profile.role).toBe('user');
+      expect(profile.department).toBeUndefined();
+    });
+
+    it('does not treat a missing email_verified claim as verified', () => {
+      expect(mapClaims({ sub: 's1', email: 'a@b.com' }).emailVerified).toBe(false);
+    });
+  });
+
+  describe('resolveSsoUser', () => {
+    const profile = {
+      subject: 'idp-user-1',
+      email: 'jane@example.com',
+      emailVerified: true,
+      name: 'Jane Doe',
+      role: 'lead',
+      department: 'Engineering'
+    };
+    const engineering = { _id: new mongoose.Types.ObjectId(), name: 'Engineering', isActive: true };
+
+    beforeEach(() => {
+      resolveDepartment.mockResolvedValue({ department: engineering });
+    });
+
+    it('provisions an approved user with the mapped role', async () => {
+      User.findOne.mockResolvedValue(null);
+
+      const { user } = await resolveSsoUser(profile);
+
+      expect(user).toEqual(expect.objectContaining({
+        email: 'jane@example.com',
+        role: 'lead',
+        department: engineering._id,
+        approved: true,
+        sso: expect.objectContaining({ issuer: provider.issuer, subject: 'idp-user-1' })
+      }));
+      expect(user.password).toHaveLength(64);
+      expect(user.save).toHaveBeenCalled();
+      expect(invalidateTokens).not.toHaveBeenCalled();
+    });
+
+    it('links an existing user by email and revokes tokens after a role change', async () => {
+      const existing = { _id: 'u1', email: 'jane@example.com', role: 'user', approved: true, tokenVersion: 2, save: jest.fn() };
+      User.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(existing);
+
+      const { user } = await resolveSsoUser(profile);
+
+      expect(User.findOne).toHaveBeenLastCalledWith({ email: 'jane@example.com' });
+      expect(user.sso.subject).toBe('idp-user-1');
+      expect(user.role).toBe('lead');
+      expect(invalidateTokens).toHaveBeenCalledWith('u1', 'User', 'access_revoked');
+      expect(user.tokenVersion).toBe(3);
+    });
+
+    it('refuses an email already linked to another IdP account', async () => {
+      User.findOne
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ email: 'jane@example.com', sso: { subject: 'someone-else' }, save: jest.fn() });
+
+      const { error } = await resolveSsoUser(profile);
+
+      expect(error.status).toBe(409);
+      expect(error.body.code).toBe('SSO_ACCOUNT_CONFLICT');
+    });
+
+    it('links but does not approve an account waiting for approval', async () => {
+      const pending = { _id: 'u2', email: 'jane@example.com', role: 'user', approved: false, emailVerified: false, save: jest.fn() };
+      User.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(pending);
+
+      const { user } = await resolveSsoUser(profile);
+
+      expect(user.sso.subject).toBe('idp-user-1');
+      expect(user.approved).toBe(false);
+      expect(user.emailVerified).toBe(true);
+    });
+
+    it('refuses to link or provision by an unverified email', async () => {
+      User.findOne.mockResolvedValue(null);
+
+      const { error } = await resolveSsoUser({ ...profile, emailVerified: false });
+
+      expect(error.body.code).toBe('SSO_EMAIL_UNVERIFIED');
+      expect(User.findOne).toHaveBeenCalledTimes(1);
+      expect(User.findOne).not.toHaveBeenCalledWith({ email: 'jane@example.com' });
+      expect(User).not.toHaveBeenCalled();
+    });
+
+    it('still signs in an already linked account', async () => {
+      const linked = { _id: 'u3', email: 'jane@example.com', role: 'lead', approved: true, sso: { subject: 'idp-user-1' }, save: jest.fn() };
+      User.findOne.mockResolvedValueOnce(linked);
+
+      const { user } = await resolveSsoUser({ ...profile, emailVerified: false });
+
+      expect(user).toBe(linked);
+    });
+
+    it('does not provision when auto-provisioning is off', async () => {
+      config.oidc.autoProvision = false;
+      User.findOne.mockResolvedValue(null);
+
+      const { error } = await resolveSsoUser(profile);
+
+      expect(error.body.code).toBe('SSO_NOT_PROVISIONED');
+      expect(User).not.toHaveBeenCalled();
+    });
+
+    it('ignores mappings to roles that cannot be assigned', async () => {
+      User.findOne.mockResolvedValue(null);
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const { user } = await resolveSsoUser({ ...profile, role: 'admin' });
+
+      expect(user.role).toBe('user');
+      warnSpy.mockRestore();
+    });
+
+    it('ignores mappings to unknown departments', async () => {
+      User.findOne.mockResolvedValue(null);
+      resolveDepartment.mockResolvedValue({ error: { status: 400, body: {} } });
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const { user } = await resolveSsoUser(profile);
+
+      expect(resolveDepartment).toHaveBeenCalledWith('Engineering');
+      expect(user.department).toBeUndefined();
+      expect(warnSpy).toHaveBeenCalled();
+      warnSpy.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,110 @@
+import { jest } from '@jest/globals';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/* 🔴 MOCK FIRST */
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/user.js'), () => ({
+  default: {
+    find: jest.fn(),
+    findOne: jest.fn(),
+    findById: jest.fn(),
+    aggregate: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/UserStats.js'), () => ({
+  default: {
+    find: jest.fn(),
+  },
+}));
+
+/* 🔴 IMPORT AFTER MOCK */
+const User = (await import(path.resolve(__dirname, '../../models/user.js'))).default;
+const UserStats = (await import(path.resolve(__dirname, '../../models/UserStats.js'))).default;
+const {
+  checkManager,
+  buildOrgChart,
+  getDirectReports,
+} = await import(path.resolve(__dirname, '../../services/orgChartService.js'));
+
+// Chainable stand-in for a mongoose query resolving to `result`
+const query = (result) => {
+  const chain = {
+    select: jest.fn(() => chain),
+    populate: jest.fn(() => chain),
+    sort: jest.fn(() => chain),
+    lean: jest.fn(() => chain),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return chain;
+};
+
+describe('Org Chart Service', () => {
+  const ceo = { _id: new mongoose.Types.ObjectId(), name: 'Ceo', manager: null };
+  const cto = { _id: new mongoose.Types.ObjectId(), name: 'Cto', manager: ceo._id };
+  const dev = { _id: new mongoose.Types.ObjectId(), name: 'Dev', manager: cto._id };
+  const byId = { [ceo._id]: ceo, [cto._id]: cto, [dev._id]: dev };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    User.findOne.mockImplementation(({ _id }) => query(byId[_id] || null));
+    User.findById.mockImplementation(id => query(byId[id] || null));
+  });
+
+  describe('checkManager', () => {
+    it('accepts a manager outside the user\'s reporting line', async () => {
+      expect(await checkManager(dev._id, ceo._id)).toEqual({});
+      expect(User.findOne).toHaveBeenCalledWith({ _id: ceo._id, approved: true, isActive: true, deletedAt: null });
+    });
+
+    it('refuses the user themselves or someone who reports to them', async () => {
+      expect((await checkManager(ceo._id, ceo._id)).error.body.message).toBe('A user cannot be their own manager');
+      expect((await checkManager(ceo._id, dev._id)).error.body.message).toBe('The manager already reports to this user');
+    });
+
+    it('refuses accounts that are not current staff', async () => {
+      const { error } = await checkManager(dev._id, new mongoose.Types.ObjectId());
+
+      expect(error.status).toBe(400);
+      expect(error.body.code).toBe('INVALID_MANAGER');
+    });
+  });
+
+  describe('buildOrgChart', () => {
+    beforeEach(() => {
+      User.find.mockReturnValue(query([ceo, cto, dev]));
+    });
+
+    it('nests current staff under their managers', async () => {
+      const chart = await buildOrgChart();
+
+      expect(User.find).toHaveBeenCalledWith({ approved: true, isActive: true, deletedAt: null });
+      expect(chart).toHaveLength(1);
+      expect(chart[0].children[0].children[0].name).toBe('Dev');
+    });
+
+    it('returns the part below a given user', async () => {
+      expect((await buildOrgChart(cto._id.toString())).children.map(node => node.name)).toEqual(['Dev']);
+      expect(await buildOrgChart(new mongoose.Types.ObjectId().toString())).toBeNull();
+    });
+  });
+
+  it('lists direct reports with their stats and own report counts', async () => {
+    User.find.mockReturnValue(query([cto]));
+    UserStats.find.mockReturnValue(query([{ user: cto._id, totalPoints: 40, completedProjects: 2, ongoingProjects: 1, totalHoursWorked: 90 }]));
+    User.aggregate.mockResolvedValue([{ _id: cto._id, count: 1 }]);
+
+    const reports = await getDirectReports(ceo._id);
+
+    expect(User.find).toHaveBeenCalledWith({ manager: ceo._id, deletedAt: null });
+    expect(reports).toEqual([expect.objectContaining({
+      name: 'Cto',
+      directReports: 1,
+      stats: { totalPoints: 40, completedProjects: 2, ongoingProjects: 1, totalHoursWorked: 90 }
+    })]);
+  });
+});
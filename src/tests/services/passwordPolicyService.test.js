@@ -0,0 +1,161 @@
+import { jest } from '@jest/globals';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import bcrypt from 'bcryptjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/* 🔴 MOCK FIRST */
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/Setting.js'), () => ({
+  default: {
+    getValue: jest.fn(),
+  },
+}));
+
+/* 🔴 IMPORT AFTER MOCK */
+const Setting = (await import(path.resolve(__dirname, '../../models/Setting.js'))).default;
+const config = (await import(path.resolve(__dirname, '../../config/env.js'))).default;
+const {
+  getPasswordPolicy,
+  parsePolicyUpdate,
+  validatePassword,
+  isBreachedPassword,
+  checkNewPassword,
+  setPassword,
+} = await import(path.resolve(__dirname, '../../services/passwordPolicyService.js'));
+
+describe('Password Policy Service', () => {
+  const policy = { ...config.passwordPolicy };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Setting.getValue.mockResolvedValue({});
+  });
+
+  describe('validatePassword', () => {
+    it('accepts a password that meets every rule', () => {
+      expect(validatePassword('Harbor-Lantern-42', null, policy)).toEqual([]);
+    });
+
+    it('lists every rule a password breaks', () => {
+      expect(validatePassword('abc', null, policy)).toEqual([
+        'Password must be at least 8 characters',
+        'Password must contain an uppercase letter',
+        'Password must contain a number'
+      ]);
+    });
+
+    it('requires a symbol only when configured', () => {
+      expect(validatePassword('HarborLantern42', null, { ...policy, requireSymbol: true }))
+        .toEqual(['Password must contain a symbol']);
+    });
+
+    it('rejects passwords containing the name or email', () => {
+      const account = { name: 'Maria Lopez', email: 'm.lopez@example.com' };
+
+      expect(validatePassword('Lopez-Harbor-42', account, policy))
+        .toEqual(['Password must not contain your name or email']);
+      expect(validatePassword('Harbor-Lantern-42', account, policy)).toEqual([]);
+    });
+
+    it('rejects common and breached passwords regardless of case', () => {
+      expect(isBreachedPassword('PassWord123')).toBe(true);
+      expect(validatePassword('Password123', null, policy))
+        .toEqual(['Password is too common or has appeared in a data breach']);
+      expect(validatePassword('Password123', null, { ...policy, checkBreached: false })).toEqual([]);
+    });
+  });
+
+  describe('getPasswordPolicy', () => {
+    it('applies admin overrides on top of the defaults', async () => {
+      Setting.getValue.mockResolvedValue({ minLength: 12, requireSymbol: true });
+
+      const effective = await getPasswordPolicy();
+
+      expect(effective).toEqual(expect.objectContaining({ minLength: 12, requireSymbol: true, historyCount: 5 }));
+      expect(effective.blocklistFile).toBeUndefined();
+    });
+  });
+
+  describe('parsePolicyUpdate', () => {
+    it('accepts known rules with valid values', () => {
+      expect(parsePolicyUpdate({ minLength: 10, requireSymbol: true }, policy))
+        .toEqual({ updates: { minLength: 10, requireSymbol: true } });
+    });
+
+    it('rejects unknown rules and out-of-range values', () => {
+      expect(parsePolicyUpdate({ blocklistFile: '/etc/passwd' }, policy).error)
+        .toBe('Unknown password policy setting: blocklistFile');
+      expect(parsePolicyUpdate({ minLength: 4 }, policy).error)
+        .toBe('minLength must be a whole number from 6 to 128');
+      expect(parsePolicyUpdate({ minLength: 20, maxLength: 16 }, policy).error)
+        .toBe('maxLength must not be less than minLength');
+    });
+  });
+
+  describe('checkNewPassword', () => {
+    it('returns a 400 response listing the problems', async () => {
+      const { error } = await checkNewPassword('short', { name: 'New User', email: 'new@example.com' });
+
+      expect(error.status).toBe(400);
+      expect(error.body).toEqual(expect.objectContaining({
+        success: false,
+        code: 'WEAK_PASSWORD',
+        message: 'Password must be at least 8 characters'
+      }));
+      expect(error.body.errors.length).toBeGreaterThan(1);
+    });
+  });
+
+  describe('setPassword', () => {
+    const hash = (password) => bcrypt.hash(password, 4);
+
+    it('moves the current hash into the history and assigns the new password', async () => {
+      const current = await hash('Current-Pass-1');
+      const account = { name: 'Test User', email: 'test@example.com', password: current, passwordHistory: [] };
+
+      const result = await setPassword(account, 'Brand-New-Pass-2');
+
+      expect(result).toEqual({});
+      expect(account.password).toBe('Brand-New-Pass-2');
+      expect(account.passwordHistory).toEqual([current]);
+    });
+
+    it('clears the change-required flag left by a temporary password', async () => {
+      const account = { name: 'Test User', email: 'test@example.com', passwordChangeRequired: true };
+
+      await setPassword(account, 'Brand-New-Pass-2');
+
+      expect(account.passwordChangeRequired).toBe(false);
+    });
+
+    it('rejects the last N passwords', async () => {
+      const account = {
+        name: 'Test User',
+        email: 'test@example.com',
+        password: await hash('Current-Pass-1'),
+        passwordHistory: [await hash('Older-Pass-2'), await hash('Oldest-Pass-3')]
+      };
+
+      const { error } = await setPassword(account, 'Older-Pass-2');
+
+      expect(error.body.message).toBe('Password must not match any of your last 5 passwords');
+      expect(account.password).not.toBe('Older-Pass-2');
+    });
+
+    it('allows passwords that fell out of the history', async () => {
+      Setting.getValue.mockResolvedValue({ historyCount: 2 });
+      const account = {
+        name: 'Test User',
+        email: 'test@example.com',
+        password: await hash('Current-Pass-1'),
+        passwordHistory: [await hash('Older-Pass-2'), await hash('Oldest-Pass-3')]
+      };
+
+      expect(await setPassword(account, 'Oldest-Pass-3')).toEqual({});
+      // Only the previous password is kept: it plus the new one make the last 2
+      expect(account.passwordHistory).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,191 @@
+import { jest } from '@jest/globals';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/* 🔴 MOCK FIRST */
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/Role.js'), () => ({
+  default: {
+    find: jest.fn(),
+    findOne: jest.fn(),
+    create: jest.fn(),
+  },
+}));
+
+/* 🔴 IMPORT AFTER MOCK */
+const Role = (await import(path.resolve(__dirname, '../../models/Role.js'))).default;
+const {
+  can,
+  getPermissionScopes,
+  loadRoles,
+  seedDefaultRoles,
+  isAssignableRole,
+  getSelfRegistrationRoles,
+} = await import(path.resolve(__dirname, '../../services/permissionService.js'));
+const { DEFAULT_ROLES, isValidPermission } = await import(path.resolve(__dirname, '../../constants/permissions.js'));
+
+const mockRoles = (roles) => {
+  Role.find.mockReturnValue({ lean: jest.fn().mockResolvedValue(roles) });
+};
+
+describe('Permission Service', () => {
+  const leadId = new mongoose.Types.ObjectId();
+  const userId = new mongoose.Types.ObjectId();
+  const lead = { _id: leadId, role: 'lead' };
+  const user = { _id: userId, role: 'user' };
+  const admin = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+
+  const project = {
+    _id: new mongoose.Types.ObjectId(),
+    assignedLead: leadId,
+    assignedUsers: [userId]
+  };
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    mockRoles(DEFAULT_ROLES);
+    await loadRoles();
+  });
+
+  describe('can', () => {
+    it('allows unscoped grants on any resource', () => {
+      const otherProject = { ...project, assignedLead: new mongoose.Types.ObjectId() };
+
+      expect(can(admin, 'project:read', otherProject)).toBe(true);
+      expect(can(lead, 'stats:viewUser', { _id: userId })).toBe(true);
+    });
+
+    it('limits lead grants to projects the user leads', () => {
+      expect(can(lead, 'project:assignUsers', project)).toBe(true);
+      expect(can(lead, 'project:assignUsers', { ...project, assignedLead: new mongoose.Types.ObjectId() })).toBe(false);
+    });
+
+    it('resolves the project through a populated module', () => {
+      const module = { project, assignedUsers: [] };
+
+      expect(can(lead, 'module:delete', module)).toBe(true);
+      expect(can(user, 'module:update', module)).toBe(false);
+      expect(can(user, 'module:update', { ...module, assignedUsers: [{ _id: userId }] })).toBe(true);
+    });
+
+    it('limits own grants to the user or their resources', () => {
+      expect(can(user, 'user:read', { _id: userId })).toBe(true);
+      expect(can(user, 'user:read', { _id: leadId })).toBe(false);
+      expect(can(user, 'dailyUpdate:update', { user: userId })).toBe(true);
+      expect(can(user, 'dailyUpdate:update', { user: leadId })).toBe(false);
+    });
+
+    it('limits manager grants to the user\'s direct reports', () => {
+      const report = { _id: new mongoose.Types.ObjectId(), manager: userId };
+      const stranger = { _id: new mongoose.Types.ObjectId(), manager: leadId };
+
+      expect(can(user, 'stats:viewUser', report)).toBe(true);
+      expect(can(user, 'stats:viewUser', stranger)).toBe(false);
+      expect(can(user, 'dailyUpdate:read', { user: report })).toBe(true);
+      expect(can(user, 'dailyUpdate:read', { user: stranger })).toBe(false);
+      // Unpopulated users carry no reporting line
+      expect(can(user, 'dailyUpdate:read', { user: report._id })).toBe(false);
+    });
+
+    it('answers route-level checks for scoped grants without a resource', () => {
+      expect(can(user, 'project:read')).toBe(true);
+      expect(can(user, 'project:create')).toBe(false);
+      expect(can(admin, 'module:create')).toBe(false);
+    });
+
+    it('denies unknown roles', () => {
+      expect(can({ _id: userId, role: 'ghost' }, 'project:read')).toBe(false);
+    });
+
+    it('throws on permissions missing from the registry', () => {
+      expect(() => can(admin, 'project:explode')).toThrow('Unknown permission');
+    });
+  });
+
+  describe('getPermissionScopes', () => {
+    it('lists every scope granted for an action', () => {
+      expect(getPermissionScopes(admin, 'project:read')).toEqual(['any']);
+      expect(getPermissionScopes(lead, 'module:updateProgress')).toEqual(['lead', 'assigned']);
+      expect(getPermissionScopes(user, 'project:delete')).toEqual([]);
+    });
+  });
+
+  describe('loadRoles', () => {
+    it('picks up roles added in the database', async () => {
+      mockRoles([
+        ...DEFAULT_ROLES,
+        { name: 'viewer', permissions: ['project:read', 'stats:leaderboard'], allowSelfRegistration: false }
+      ]);
+
+      await loadRoles();
+      const viewer = { _id: new mongoose.Types.ObjectId(), role: 'viewer' };
+
+      expect(can(viewer, 'project:read', project)).toBe(true);
+      expect(can(viewer, 'project:update', project)).toBe(false);
+      expect(isAssignableRole('viewer')).toBe(true);
+      expect(getSelfRegistrationRoles()).toEqual(['lead', 'user']);
+    });
+
+    it('never treats the admin role as assignable to users', () => {
+      expect(isAssignableRole('admin')).toBe(false);
+      expect(isAssignableRole('missing')).toBe(false);
+    });
+  });
+
+  describe('seedDefaultRoles', () => {
+    it('creates missing built-in roles', async () => {
+      Role.findOne.mockResolvedValue(null);
+
+      await seedDefaultRoles();
+
+      expect(Role.create).toHaveBeenCalledTimes(DEFAULT_ROLES.length);
+      expect(Role.create).toHaveBeenCalledWith(expect.objectContaining({
+        name: 'lead',
+        seededPermissions: expect.arrayContaining(['project:read:lead'])
+      }));
+    });
+
+    it('grants new defaults once without restoring ones an admin removed', async () => {
+      const leadDefaults = DEFAULT_ROLES.find(role => role.name === 'lead').permissions;
+      const leadRole = {
+        name: 'lead',
+        permissions: ['project:read:lead'],
+        seededPermissions: leadDefaults.filter(permission => permission !== 'invitation:create:lead'),
+        save: jest.fn()
+      };
+      Role.findOne.mockImplementation(async ({ name }) => (
+        name === 'lead'
+          ? leadRole
+          : { name, permissions: [], seededPermissions: DEFAULT_ROLES.find(role => role.name === name).permissions, save: jest.fn() }
+      ));
+      const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      await seedDefaultRoles();
+
+      expect(Role.create).not.toHaveBeenCalled();
+      expect(leadRole.permissions).toEqual(['project:read:lead', 'invitation:create:lead']);
+      expect(leadRole.seededPermissions).toContain('invitation:create:lead');
+      expect(leadRole.save).toHaveBeenCalled();
+      logSpy.mockRestore();
+    });
+  });
+
+  describe('isValidPermission', () => {
+    it('accepts registry permissions with optional known scopes', () => {
+      expect(isValidPermission('project:update')).toBe(true);
+      expect(isValidPermission('project:update:lead')).toBe(true);
+      expect(isValidPermission('project:update:team')).toBe(false);
+      expect(isValidPermission('project:fly')).toBe(false);
+      expect(isValidPermission('project:update:lead:extra')).toBe(false);
+    });
+
+    it('only references registry permissions in the default roles', () => {
+      for (const role of DEFAULT_ROLES) {
+        expect(role.permissions.every(isValidPermission)).toBe(true);
+      }
+    });
+  });
+});
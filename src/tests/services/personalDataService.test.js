@@ -0,0 +1,228 @@
+import { jest } from '@jest/globals';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/* 🔴 MOCK FIRST */
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/user.js'), () => ({
+  default: {
+    updateOne: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/DailyUpdate.js'), () => ({
+  default: {
+    find: jest.fn(),
+    updateMany: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/UserStats.js'), () => ({
+  default: {
+    findOne: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/Project.js'), () => ({
+  default: {
+    find: jest.fn(),
+    updateMany: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/Module.js'), () => ({
+  default: {
+    find: jest.fn(),
+    updateMany: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/RefreshToken.js'), () => ({
+  default: {
+    find: jest.fn(),
+    deleteMany: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/ApiToken.js'), () => ({
+  default: {
+    deleteMany: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/PasswordResetToken.js'), () => ({
+  default: {
+    deleteMany: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/EmailVerificationToken.js'), () => ({
+  default: {
+    deleteMany: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/LoginAttempt.js'), () => ({
+  default: {
+    deleteMany: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/Invitation.js'), () => ({
+  default: {
+    updateMany: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/LeaveRequest.js'), () => ({
+  default: {
+    find: jest.fn(),
+    updateMany: jest.fn(),
+  },
+}));
+
+/* 🔴 IMPORT AFTER MOCK */
+const User = (await import(path.resolve(__dirname, '../../models/user.js'))).default;
+const DailyUpdate = (await import(path.resolve(__dirname, '../../models/DailyUpdate.js'))).default;
+const UserStats = (await import(path.resolve(__dirname, '../../models/UserStats.js'))).default;
+const Project = (await import(path.resolve(__dirname, '../../models/Project.js'))).default;
+const Module = (await import(path.resolve(__dirname, '../../models/Module.js'))).default;
+const RefreshToken = (await import(path.resolve(__dirname, '../../models/RefreshToken.js'))).default;
+const ApiToken = (await import(path.resolve(__dirname, '../../models/ApiToken.js'))).default;
+const LoginAttempt = (await import(path.resolve(__dirname, '../../models/LoginAttempt.js'))).default;
+const LeaveRequest = (await import(path.resolve(__dirname, '../../models/LeaveRequest.js'))).default;
+const {
+  collectPersonalData,
+  eraseUser,
+  erasedEmail,
+} = await import(path.resolve(__dirname, '../../services/personalDataService.js'));
+
+// A query whose chained calls all resolve to `result`
+const query = (result) => {
+  const chain = {
+    populate: jest.fn(() => chain),
+    sort: jest.fn(() => chain),
+    select: jest.fn(() => chain),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return chain;
+};
+
+describe('Personal Data Service', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const user = {
+    _id: userId,
+    name: 'Ana Silva',
+    email: 'ana@example.com',
+    toJSON: () => ({ _id: userId, name: 'Ana Silva', email: 'ana@example.com' })
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe('collectPersonalData', () => {
+    it('gathers profile, sessions, updates, stats and project history', async () => {
+      const ledProject = new mongoose.Types.ObjectId();
+      const pastProject = new mongoose.Types.ObjectId();
+
+      RefreshToken.find.mockReturnValue(query([{
+        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        ipAddress: '10.0.0.1',
+        createdAt: new Date('2026-01-01')
+      }]));
+      DailyUpdate.find.mockReturnValue(query([{
+        date: new Date('2026-01-02'),
+        project: { name: 'Apollo' },
+        module: { name: 'API' },
+        hoursWorked: 6,
+        progressPercentage: 40,
+        description: 'Built endpoints',
+        status: 'on_track'
+      }]));
+      UserStats.findOne.mockReturnValue(query({
+        totalHoursWorked: 120,
+        totalPoints: 300,
+        monthlyStats: [],
+        projectHistory: [{ project: { _id: pastProject, name: 'Hermes' }, role: 'member', completedAt: new Date('2025-12-01') }]
+      }));
+      Project.find.mockReturnValue(query([{ _id: ledProject, name: 'Apollo', assignedLead: userId, status: 'in_progress' }]));
+      Module.find.mockReturnValue(query([]));
+      LeaveRequest.find.mockReturnValue(query([{ type: 'vacation', days: 3, reason: 'Trip', status: 'approved' }]));
+
+      const data = await collectPersonalData(user);
+
+      expect(data.profile.email).toBe('ana@example.com');
+      expect(data.sessions[0]).toEqual(expect.objectContaining({ browser: 'Chrome 120', ipAddress: '10.0.0.1' }));
+      expect(data.dailyUpdates[0]).toEqual(expect.objectContaining({ project: 'Apollo', module: 'API', hoursWorked: 6 }));
+      expect(data.stats).toEqual(expect.objectContaining({ totalHoursWorked: 120, totalPoints: 300 }));
+      expect(data.projectHistory).toEqual([
+        expect.objectContaining({ project: 'Apollo', role: 'lead', status: 'in_progress' }),
+        expect.objectContaining({ project: 'Hermes', role: 'member', status: 'completed' })
+      ]);
+      expect(data.leave).toEqual([expect.objectContaining({ type: 'vacation', days: 3, reason: 'Trip' })]);
+    });
+  });
+
+  describe('eraseUser', () => {
+    it('refuses while the user still leads open projects', async () => {
+      Project.find.mockReturnValue(query([{ name: 'Apollo' }]));
+
+      const { error } = await eraseUser(user);
+
+      expect(error.status).toBe(409);
+      expect(error.body.code).toBe('USER_LEADS_PROJECTS');
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('anonymizes the user but keeps hours and points', async () => {
+      const openProject = new mongoose.Types.ObjectId();
+      // No led projects, then one unfinished project they work on
+      Project.find.mockReturnValueOnce(query([])).mockReturnValueOnce(query([{ _id: openProject }]));
+      Module.find.mockReturnValue(query([]));
+
+      expect(await eraseUser(user)).toEqual({});
+
+      const [filter, update] = User.updateOne.mock.calls[0];
+      expect(filter).toEqual({ _id: userId });
+      expect(update.$set).toEqual(expect.objectContaining({
+        name: 'Erased User',
+        email: erasedEmail(userId),
+        isActive: false
+      }));
+      expect(update.$unset).toEqual(expect.objectContaining({ phone: 1, twoFactor: 1, sso: 1 }));
+
+      // Only the free text of daily updates goes; hours are untouched
+      expect(DailyUpdate.updateMany).toHaveBeenCalledWith(
+        { user: userId },
+        { $set: { description: '[erased]' }, $unset: { blockers: 1 } }
+      );
+      expect(LeaveRequest.updateMany).toHaveBeenCalledWith(
+        { user: userId },
+        { $unset: { reason: 1, reviewNote: 1 } }
+      );
+      expect(Project.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: [openProject] } },
+        { $pull: { assignedUsers: userId } }
+      );
+      expect(RefreshToken.deleteMany).toHaveBeenCalledWith({ userId, userModel: 'User' });
+      expect(ApiToken.deleteMany).toHaveBeenCalledWith({ userId, userModel: 'User' });
+      expect(LoginAttempt.deleteMany).toHaveBeenCalledWith({ email: 'ana@example.com', accountType: 'User' });
+    });
+
+    it('does nothing for an already erased user', async () => {
+      const { error } = await eraseUser({ ...user, erasedAt: new Date() });
+
+      expect(error.status).toBe(400);
+      expect(Project.find).not.toHaveBeenCalled();
+    });
+  });
+});
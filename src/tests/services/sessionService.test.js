@@ -0,0 +1,156 @@
+import { jest } from '@jest/globals';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/* 🔴 MOCK FIRST */
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/RefreshToken.js'), () => ({
+  default: {
+    find: jest.fn(),
+    findOne: jest.fn(),
+    updateMany: jest.fn(),
+    revokeFamily: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/user.js'), () => ({
+  default: {
+    updateMany: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/Admin.js'), () => ({
+  default: {
+    updateMany: jest.fn(),
+  },
+}));
+
+/* 🔴 IMPORT AFTER MOCK */
+const RefreshToken = (await import(path.resolve(__dirname, '../../models/RefreshToken.js'))).default;
+const User = (await import(path.resolve(__dirname, '../../models/user.js'))).default;
+const Admin = (await import(path.resolve(__dirname, '../../models/Admin.js'))).default;
+const {
+  getActiveSessions,
+  revokeSession,
+  invalidateTokens,
+} = await import(path.resolve(__dirname, '../../services/sessionService.js'));
+
+const FIREFOX_ON_LINUX = 'Mozilla/5.0 (X11; Linux x86_64; rv:120.0) Gecko/20100101 Firefox/120.0';
+
+describe('Session Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getActiveSessions', () => {
+    it('lists unrevoked, unexpired refresh tokens of the account', async () => {
+      const startedAt = new Date('2026-01-01T00:00:00Z');
+      const usedAt = new Date('2026-01-02T00:00:00Z');
+      const sort = jest.fn().mockResolvedValue([{
+        _id: 'token1',
+        userAgent: FIREFOX_ON_LINUX,
+        ipAddress: '10.0.0.1',
+        sessionStartedAt: startedAt,
+        createdAt: usedAt,
+        lastUsedAt: usedAt,
+        expiresAt: new Date('2026-01-09T00:00:00Z')
+      }]);
+      RefreshToken.find.mockReturnValue({ sort });
+
+      const sessions = await getActiveSessions('user1', 'User');
+
+      const [filter] = RefreshToken.find.mock.calls[0];
+      expect(filter).toEqual({
+        userId: 'user1',
+        userModel: 'User',
+        isRevoked: false,
+        expiresAt: { $gt: expect.any(Date) }
+      });
+      expect(sort).toHaveBeenCalledWith({ lastUsedAt: -1, createdAt: -1 });
+      expect(sessions).toHaveLength(1);
+      expect(sessions[0]).toEqual(expect.objectContaining({
+        id: 'token1',
+        browser: expect.stringContaining('Firefox'),
+        ipAddress: '10.0.0.1',
+        createdAt: startedAt,
+        lastUsedAt: usedAt
+      }));
+    });
+
+    it('falls back to the token creation time for older tokens', async () => {
+      const createdAt = new Date('2026-01-01T00:00:00Z');
+      RefreshToken.find.mockReturnValue({
+        sort: jest.fn().mockResolvedValue([{ _id: 'token1', createdAt, expiresAt: new Date() }])
+      });
+
+      const [session] = await getActiveSessions('user1', 'User');
+
+      expect(session.createdAt).toBe(createdAt);
+      expect(session.lastUsedAt).toBe(createdAt);
+    });
+  });
+
+  describe('revokeSession', () => {
+    it('revokes the whole token family', async () => {
+      const token = { _id: 'token1', family: 'family1', save: jest.fn() };
+      RefreshToken.findOne.mockResolvedValue(token);
+
+      expect(await revokeSession('user1', 'User', 'token1')).toBe(true);
+
+      expect(RefreshToken.findOne).toHaveBeenCalledWith({
+        _id: 'token1',
+        userId: 'user1',
+        userModel: 'User',
+        isRevoked: false
+      });
+      expect(RefreshToken.revokeFamily).toHaveBeenCalledWith('family1', 'logout');
+      expect(token.save).not.toHaveBeenCalled();
+    });
+
+    it('revokes a token without a family on its own', async () => {
+      const token = { _id: 'token1', save: jest.fn() };
+      RefreshToken.findOne.mockResolvedValue(token);
+
+      expect(await revokeSession('user1', 'User', 'token1')).toBe(true);
+
+      expect(token.isRevoked).toBe(true);
+      expect(token.revokedAt).toBeInstanceOf(Date);
+      expect(token.revokedReason).toBe('logout');
+      expect(token.save).toHaveBeenCalled();
+      expect(RefreshToken.revokeFamily).not.toHaveBeenCalled();
+    });
+
+    it('returns false for a session that belongs to someone else', async () => {
+      RefreshToken.findOne.mockResolvedValue(null);
+
+      expect(await revokeSession('user1', 'User', 'token2')).toBe(false);
+
+      expect(RefreshToken.revokeFamily).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('invalidateTokens', () => {
+    it('bumps the token version and revokes refresh tokens of users', async () => {
+      await invalidateTokens('user1', 'User', 'password_changed');
+
+      expect(User.updateMany).toHaveBeenCalledWith({ _id: { $in: ['user1'] } }, { $inc: { tokenVersion: 1 } });
+      expect(Admin.updateMany).not.toHaveBeenCalled();
+      expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+        { userId: { $in: ['user1'] }, userModel: 'User', isRevoked: false },
+        { isRevoked: true, revokedAt: expect.any(Date), revokedReason: 'password_changed' }
+      );
+    });
+
+    it('invalidates admins through the Admin model', async () => {
+      await invalidateTokens(['admin1', 'admin2'], 'Admin', 'account_disabled');
+
+      expect(Admin.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: ['admin1', 'admin2'] } },
+        { $inc: { tokenVersion: 1 } }
+      );
+      expect(User.updateMany).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,221 @@
+import { jest } from '@jest/globals';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import jwt from 'jsonwebtoken';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// In-memory SigningKey collection
+let storedKeys = [];
+
+/* 🔴 MOCK FIRST */
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/SigningKey.js'), () => ({
+  default: {
+    find: jest.fn(() => ({
+      select: () => ({
+        lean: async () => storedKeys.filter(key => !key.expiresAt || key.expiresAt > new Date())
+      })
+    })),
+    findOne: jest.fn(() => ({
+      sort: () => ({
+        select: async () => [...storedKeys].sort((a, b) => b.activatesAt - a.activatesAt)[0] || null
+      })
+    })),
+    create: jest.fn(async (doc) => {
+      if (storedKeys.some(key => key.replaces === doc.replaces)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern: { replaces: 1 } });
+      }
+      const key = { _id: `id-${storedKeys.length}`, ...doc, createdAt: new Date() };
+      storedKeys.push(key);
+      return key;
+    }),
+    updateMany: jest.fn(async ({ _id, retiredAt }, update) => {
+      storedKeys
+        .filter(key => key._id !== _id.$ne && key.retiredAt === retiredAt)
+        .forEach(key => Object.assign(key, update));
+    }),
+  },
+}));
+
+/* 🔴 IMPORT AFTER MOCK */
+const config = (await import(path.resolve(__dirname, '../../config/env.js'))).default;
+const SigningKey = (await import(path.resolve(__dirname, '../../models/SigningKey.js'))).default;
+const {
+  initSigningKeys,
+  rotateSigningKey,
+  rotateIfDue,
+  getSigningKey,
+  getVerificationKey,
+  getJwks,
+  listSigningKeys,
+} = await import(path.resolve(__dirname, '../../services/signingKeyService.js'));
+const {
+  generateAccessToken,
+  generateRefreshToken,
+  verifyToken,
+} = await import(path.resolve(__dirname, '../../middleware/auth.js'));
+
+describe('Signing Key Service', () => {
+  beforeEach(() => {
+    storedKeys = [];
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it('refuses to sign before keys are loaded outside tests', () => {
+    const originalEnv = config.nodeEnv;
+    config.nodeEnv = 'production';
+
+    try {
+      expect(() => generateAccessToken('u1', 'user', 0)).toThrow('Token signing keys have not been loaded');
+    } finally {
+      config.nodeEnv = originalEnv;
+    }
+  });
+
+  it('signs with a throwaway key before keys are loaded', () => {
+    const token = generateAccessToken('u1', 'user', 0);
+
+    expect(jwt.decode(token, { complete: true }).header).toEqual(expect.objectContaining({
+      alg: 'ES256',
+      typ: 'at+jwt',
+      kid: getSigningKey().kid
+    }));
+    expect(verifyToken(token, 'access')).toEqual(expect.objectContaining({ id: 'u1', iss: 'managex' }));
+  });
+
+  it('creates the first key immediately', async () => {
+    await rotateIfDue();
+
+    expect(storedKeys).toHaveLength(1);
+    expect(getSigningKey().kid).toBe(storedKeys[0].kid);
+    expect(getJwks().keys).toEqual([
+      expect.objectContaining({ kid: storedKeys[0].kid, kty: 'EC', crv: 'P-256', alg: 'ES256', use: 'sig' })
+    ]);
+    // Private parts never reach the JWKS
+    expect(getJwks().keys[0].d).toBeUndefined();
+  });
+
+  it('publishes a rotated key before it signs and keeps verifying old tokens', async () => {
+    await rotateSigningKey({ immediate: true });
+    const oldKid = getSigningKey().kid;
+    const oldToken = generateAccessToken('u1', 'user', 0);
+
+    const newKey = await rotateSigningKey();
+
+    // Still signing with the old key during the activation delay
+    expect(getSigningKey().kid).toBe(oldKid);
+    expect(getJwks().keys.map(key => key.kid)).toEqual([newKey.kid, oldKid]);
+    expect(listSigningKeys().map(key => key.status)).toEqual(['pending', 'signing']);
+
+    // After the delay the new key signs and the old one is retired but still verifies
+    storedKeys[0].activatesAt = new Date(Date.now() - 60 * 1000);
+    newKey.activatesAt = new Date(Date.now() - 1000);
+    await rotateIfDue();
+
+    expect(getSigningKey().kid).toBe(newKey.kid);
+    expect(verifyToken(oldToken, 'access').id).toBe('u1');
+    expect(getVerificationKey(oldKid).expiresAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('rotates when the newest key is older than the rotation period', async () => {
+    await rotateSigningKey({ immediate: true });
+    storedKeys[0].createdAt = new Date(Date.now() - (config.jwtKeys.rotationDays + 1) * 24 * 60 * 60 * 1000);
+
+    await rotateIfDue();
+
+    expect(storedKeys).toHaveLength(2);
+    expect(storedKeys[0].retiredAt).toEqual(storedKeys[1].activatesAt);
+  });
+
+  it('lets only one of two instances rotate the same key', async () => {
+    await rotateSigningKey({ immediate: true });
+    const [first] = storedKeys;
+    first.createdAt = new Date(Date.now() - (config.jwtKeys.rotationDays + 1) * 24 * 60 * 60 * 1000);
+
+    const results = await Promise.all([
+      rotateSigningKey({ replaces: first.kid }),
+      rotateSigningKey({ replaces: first.kid })
+    ]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect(storedKeys).toHaveLength(2);
+    expect(storedKeys[1].replaces).toBe(first.kid);
+    expect(storedKeys[1].retiredAt).toBeNull();
+  });
+
+  it('creates only one first key', async () => {
+    await Promise.all([rotateIfDue(), rotateIfDue()]);
+
+    expect(storedKeys).toHaveLength(1);
+    expect(storedKeys[0].replaces).toBe('initial');
+  });
+
+  it('supports RS256 keys', async () => {
+    const originalKeys = config.jwtKeys;
+    config.jwtKeys = { ...originalKeys, algorithm: 'RS256' };
+
+    try {
+      await rotateSigningKey({ immediate: true });
+      const token = generateRefreshToken('u1', 'user', 0);
+
+      expect(jwt.decode(token, { complete: true }).header.alg).toBe('RS256');
+      expect(getJwks().keys[0].kty).toBe('RSA');
+      expect(verifyToken(token, 'refresh').id).toBe('u1');
+    } finally {
+      config.jwtKeys = originalKeys;
+    }
+  });
+
+  it('does not accept a refresh token as an access token', async () => {
+    await rotateSigningKey({ immediate: true });
+    const refreshToken = generateRefreshToken('u1', 'user', 0);
+
+    expect(() => verifyToken(refreshToken, 'access')).toThrow('invalid token');
+  });
+
+  it('rejects tokens signed with an unknown key', () => {
+    const forged = jwt.sign({ id: 'u1' }, 'guessed-secret', { keyid: 'unknown', header: { typ: 'at+jwt' } });
+
+    expect(() => verifyToken(forged, 'access')).toThrow('invalid token');
+  });
+
+  it('keeps retrying when the first load fails', async () => {
+    const timer = { unref: jest.fn() };
+    const setIntervalSpy = jest.spyOn(global, 'setInterval').mockReturnValue(timer);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    SigningKey.find.mockImplementationOnce(() => {
+      throw new Error('connection lost');
+    });
+
+    try {
+      await initSigningKeys();
+
+      expect(setIntervalSpy).toHaveBeenCalledWith(expect.any(Function), config.jwtKeys.refreshSeconds * 1000);
+      expect(timer.unref).toHaveBeenCalled();
+      expect(console.error).toHaveBeenCalledWith('❌ Error loading signing keys:', 'connection lost');
+    } finally {
+      setIntervalSpy.mockRestore();
+      console.error.mockRestore();
+    }
+  });
+
+  it('accepts legacy HS256 tokens only while enabled', () => {
+    const legacy = jwt.sign({ id: 'u1', role: 'user', tv: 0 }, config.jwtSecret, { expiresIn: '15m' });
+    const originalKeys = config.jwtKeys;
+
+    expect(verifyToken(legacy, 'access').id).toBe('u1');
+
+    config.jwtKeys = { ...originalKeys, acceptLegacyTokens: false };
+    try {
+      expect(() => verifyToken(legacy, 'access')).toThrow();
+    } finally {
+      config.jwtKeys = originalKeys;
+    }
+  });
+});
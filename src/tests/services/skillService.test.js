@@ -0,0 +1,154 @@
+import { jest } from '@jest/globals';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/* 🔴 MOCK FIRST */
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/user.js'), () => ({
+  default: {
+    find: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/Module.js'), () => ({
+  default: {
+    find: jest.fn(),
+    aggregate: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/DailyUpdate.js'), () => ({
+  default: {
+    aggregate: jest.fn(),
+  },
+}));
+
+/* 🔴 IMPORT AFTER MOCK */
+const User = (await import(path.resolve(__dirname, '../../models/user.js'))).default;
+const Module = (await import(path.resolve(__dirname, '../../models/Module.js'))).default;
+const DailyUpdate = (await import(path.resolve(__dirname, '../../models/DailyUpdate.js'))).default;
+const {
+  normalizeSkills,
+  scoreSkills,
+  scoreLoad,
+  scoreAccuracy,
+  suggestAssignees,
+} = await import(path.resolve(__dirname, '../../services/skillService.js'));
+
+// Chainable stand-in for a mongoose query resolving to `result`
+const query = (result) => {
+  const chain = {
+    select: jest.fn(() => chain),
+    lean: jest.fn(() => chain),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return chain;
+};
+
+describe('Skill Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('normalizeSkills', () => {
+    it('trims names and keeps whole-number levels', () => {
+      expect(normalizeSkills([{ name: '  Node.js ', level: '4' }])).toEqual({
+        skills: [{ name: 'Node.js', level: 4 }]
+      });
+    });
+
+    it('rejects duplicate names regardless of case', () => {
+      const { error } = normalizeSkills([{ name: 'React', level: 2 }, { name: 'react', level: 3 }]);
+
+      expect(error.status).toBe(400);
+      expect(error.body.code).toBe('INVALID_SKILLS');
+    });
+
+    it('rejects levels outside 1-5 and lists that are not arrays', () => {
+      expect(normalizeSkills([{ name: 'SQL', level: 0 }]).error).toBeDefined();
+      expect(normalizeSkills([{ name: 'SQL', level: 2.5 }]).error).toBeDefined();
+      expect(normalizeSkills('SQL').error).toBeDefined();
+    });
+  });
+
+  describe('scoring', () => {
+    it('gives partial credit for lower levels and none for missing skills', () => {
+      const result = scoreSkills(
+        [{ name: 'node.js', level: 5 }, { name: 'SQL', level: 1 }],
+        [{ name: 'Node.js', level: 3 }, { name: 'SQL', level: 2 }, { name: 'Docker', level: 1 }]
+      );
+
+      expect(result.score).toBe(0.5);
+      expect(result.matched.map(skill => skill.name)).toEqual(['Node.js', 'SQL']);
+      expect(result.missing).toEqual(['Docker']);
+    });
+
+    it('matches everyone when the module needs no skills', () => {
+      expect(scoreSkills([], []).score).toBe(1);
+    });
+
+    it('scores load from open modules and recent hours', () => {
+      expect(scoreLoad({ openModules: 0, recentHours: 0 })).toBe(1);
+      expect(scoreLoad({ openModules: 5, recentHours: 40 })).toBe(0.25);
+      expect(scoreLoad({ openModules: 9, recentHours: 200 })).toBe(0);
+    });
+
+    it('scores estimate accuracy, or null without history', () => {
+      expect(scoreAccuracy([])).toBeNull();
+      expect(scoreAccuracy([
+        { estimatedTime: 10, actualTime: 10 },
+        { estimatedTime: 10, actualTime: 15 },
+        { estimatedTime: 10, actualTime: 40 }
+      ])).toBe(0.5);
+    });
+  });
+
+  describe('suggestAssignees', () => {
+    const expert = { _id: new mongoose.Types.ObjectId(), name: 'Expert', skills: [{ name: 'Node.js', level: 4 }] };
+    const busyExpert = { _id: new mongoose.Types.ObjectId(), name: 'Busy', skills: [{ name: 'Node.js', level: 5 }] };
+    const newcomer = { _id: new mongoose.Types.ObjectId(), name: 'Newcomer', skills: [] };
+
+    const module = {
+      _id: new mongoose.Types.ObjectId(),
+      requiredSkills: [{ name: 'Node.js', level: 3 }],
+      assignedUsers: [],
+      project: { department: new mongoose.Types.ObjectId(), assignedUsers: [newcomer._id] }
+    };
+
+    it('ranks candidates by skills, load and estimate accuracy', async () => {
+      User.find.mockReturnValue(query([newcomer, busyExpert, expert]));
+      Module.aggregate.mockResolvedValue([{ _id: busyExpert._id, count: 5 }]);
+      DailyUpdate.aggregate.mockResolvedValue([{ _id: busyExpert._id, hours: 80 }]);
+      Module.find.mockReturnValue(query([
+        { assignedUsers: [expert._id], estimatedTime: 10, actualTime: 11 }
+      ]));
+
+      const suggestions = await suggestAssignees(module);
+
+      expect(suggestions.map(suggestion => suggestion.user.name)).toEqual(['Expert', 'Busy', 'Newcomer']);
+      expect(suggestions[0]).toMatchObject({
+        score: 0.98,
+        load: { openModules: 0, recentHours: 0, score: 1 },
+        estimateAccuracy: { score: 0.9, completedModules: 1 }
+      });
+      expect(suggestions[2].onProject).toBe(true);
+      expect(suggestions[2].skills.missing).toEqual(['Node.js']);
+    });
+
+    it('only considers active users outside the module', async () => {
+      User.find.mockReturnValue(query([]));
+
+      expect(await suggestAssignees(module)).toEqual([]);
+      expect(User.find).toHaveBeenCalledWith(expect.objectContaining({
+        approved: true,
+        isActive: true,
+        deletedAt: null,
+        _id: { $nin: module.assignedUsers }
+      }));
+      expect(Module.aggregate).not.toHaveBeenCalled();
+    });
+  });
+});
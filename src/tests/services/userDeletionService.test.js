@@ -0,0 +1,240 @@
+import { jest } from '@jest/globals';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/* 🔴 MOCK FIRST */
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/user.js'), () => ({
+  default: {
+    find: jest.fn(),
+    updateMany: jest.fn(),
+    updateOne: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/Project.js'), () => ({
+  default: {
+    find: jest.fn(),
+    updateMany: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/Module.js'), () => ({
+  default: {
+    find: jest.fn(),
+    updateMany: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/Department.js'), () => ({
+  default: {
+    find: jest.fn(),
+    updateMany: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../services/sessionService.js'), () => ({
+  invalidateTokens: jest.fn(),
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../services/personalDataService.js'), () => ({
+  eraseUser: jest.fn(),
+}));
+
+/* 🔴 IMPORT AFTER MOCK */
+const User = (await import(path.resolve(__dirname, '../../models/user.js'))).default;
+const Project = (await import(path.resolve(__dirname, '../../models/Project.js'))).default;
+const Module = (await import(path.resolve(__dirname, '../../models/Module.js'))).default;
+const Department = (await import(path.resolve(__dirname, '../../models/Department.js'))).default;
+const sessionService = await import(path.resolve(__dirname, '../../services/sessionService.js'));
+const personalDataService = await import(path.resolve(__dirname, '../../services/personalDataService.js'));
+const config = (await import(path.resolve(__dirname, '../../config/env.js'))).default;
+const {
+  softDeleteUser,
+  restoreUser,
+  purgeDeletedUsers,
+  initUserPurge,
+} = await import(path.resolve(__dirname, '../../services/userDeletionService.js'));
+
+const selectResolving = (docs) => ({ select: jest.fn().mockResolvedValue(docs) });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('User Deletion Service', () => {
+  const adminId = new mongoose.Types.ObjectId();
+  const projectId = new mongoose.Types.ObjectId();
+  const moduleId = new mongoose.Types.ObjectId();
+  const departmentId = new mongoose.Types.ObjectId();
+
+  const buildUser = (overrides = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    email: 'ana@example.com',
+    isActive: true,
+    deletedAt: null,
+    save: jest.fn(),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    Department.find.mockReturnValue(selectResolving([]));
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe('softDeleteUser', () => {
+    it('releases unfinished assignments and headed departments and remembers them for a restore', async () => {
+      const user = buildUser();
+      Project.find
+        .mockReturnValueOnce(selectResolving([]))
+        .mockReturnValueOnce(selectResolving([{ _id: projectId }]));
+      Module.find.mockReturnValue(selectResolving([{ _id: moduleId }]));
+      Department.find.mockReturnValue(selectResolving([{ _id: departmentId }]));
+
+      expect(await softDeleteUser(user, adminId)).toEqual({});
+
+      expect(Project.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: [projectId] } },
+        { $pull: { assignedUsers: user._id } }
+      );
+      expect(Department.find).toHaveBeenCalledWith({ head: user._id });
+      expect(Department.updateMany).toHaveBeenCalledWith({ _id: { $in: [departmentId] } }, { $set: { head: null } });
+      expect(user.restoreState).toEqual({
+        isActive: true,
+        projects: [projectId],
+        modules: [moduleId],
+        departments: [departmentId]
+      });
+      expect(user.isActive).toBe(false);
+      expect(user.deletedAt).toBeInstanceOf(Date);
+      expect(user.deletedBy).toBe(adminId);
+      expect(user.save).toHaveBeenCalled();
+      expect(sessionService.invalidateTokens).toHaveBeenCalledWith(user._id, 'User', 'account_deleted');
+    });
+
+    it('refuses while the user leads open projects', async () => {
+      const user = buildUser();
+      Project.find.mockReturnValueOnce(selectResolving([{ name: 'Apollo' }]));
+
+      const { error } = await softDeleteUser(user, adminId);
+
+      expect(error.status).toBe(409);
+      expect(error.body.code).toBe('USER_LEADS_PROJECTS');
+      expect(user.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('restoreUser', () => {
+    it('puts the account and its open assignments back', async () => {
+      const user = buildUser({
+        isActive: false,
+        deletedAt: new Date(),
+        restoreState: { isActive: true, projects: [projectId], modules: [moduleId], departments: [departmentId] }
+      });
+
+      expect(await restoreUser(user)).toEqual({});
+
+      expect(Project.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: [projectId] }, isActive: true, status: { $ne: 'completed' } },
+        { $addToSet: { assignedUsers: user._id } }
+      );
+      // Only where nobody has been made head in the meantime
+      expect(Department.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: [departmentId] }, head: null },
+        { $set: { head: user._id } }
+      );
+      expect(user.isActive).toBe(true);
+      expect(user.deletedAt).toBeNull();
+      expect(user.save).toHaveBeenCalled();
+    });
+
+    it('refuses once the retention period has ended', async () => {
+      const user = buildUser({
+        deletedAt: new Date(Date.now() - (config.userDeletion.retentionDays + 1) * DAY_MS)
+      });
+
+      const { error } = await restoreUser(user);
+
+      expect(error.body.code).toBe('RESTORE_PERIOD_ENDED');
+      expect(user.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('purgeDeletedUsers', () => {
+    it('anonymizes expired users so their updates and stats still count', async () => {
+      const user = buildUser({ deletedAt: new Date(0) });
+      User.find.mockReturnValue(selectResolving([user]));
+      personalDataService.eraseUser.mockResolvedValue({});
+
+      expect(await purgeDeletedUsers()).toBe(1);
+
+      const [filter] = User.find.mock.calls[0];
+      expect(filter.deletedAt.$ne).toBeNull();
+      expect(filter.deletedAt.$lte.getTime()).toBeLessThanOrEqual(Date.now() - config.userDeletion.retentionDays * DAY_MS);
+      expect(filter.purgedAt).toBeNull();
+      expect(personalDataService.eraseUser).toHaveBeenCalledWith(user);
+      expect(User.updateMany).toHaveBeenCalledWith({ manager: user._id }, { $set: { manager: null } });
+      expect(Department.updateMany).toHaveBeenCalledWith({ head: user._id }, { $set: { head: null } });
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: user._id },
+        { $set: { purgedAt: expect.any(Date) }, $unset: { restoreState: 1 } }
+      );
+    });
+
+    it('does not erase a user twice', async () => {
+      const user = buildUser({ deletedAt: new Date(0), erasedAt: new Date(0) });
+      User.find.mockReturnValue(selectResolving([user]));
+
+      expect(await purgeDeletedUsers()).toBe(1);
+
+      expect(personalDataService.eraseUser).not.toHaveBeenCalled();
+      expect(User.updateOne).toHaveBeenCalled();
+    });
+
+    it('leaves a user for the next run when erasing is refused', async () => {
+      const user = buildUser({ deletedAt: new Date(0) });
+      User.find.mockReturnValue(selectResolving([user]));
+      personalDataService.eraseUser.mockResolvedValue({
+        error: { status: 409, body: { success: false, message: 'Assign a new lead to the projects this user leads first' } }
+      });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      try {
+        expect(await purgeDeletedUsers()).toBe(0);
+
+        expect(User.updateOne).not.toHaveBeenCalled();
+      } finally {
+        console.error.mockRestore();
+      }
+    });
+  });
+
+  describe('initUserPurge', () => {
+    it('schedules purging even when the first run fails', async () => {
+      const timer = { unref: jest.fn() };
+      const setIntervalSpy = jest.spyOn(global, 'setInterval').mockReturnValue(timer);
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      User.find.mockReturnValue({ select: jest.fn().mockRejectedValue(new Error('connection lost')) });
+
+      try {
+        await initUserPurge();
+
+        expect(setIntervalSpy).toHaveBeenCalledWith(
+          expect.any(Function),
+          config.userDeletion.purgeIntervalMinutes * 60 * 1000
+        );
+        expect(timer.unref).toHaveBeenCalled();
+        expect(console.error).toHaveBeenCalledWith('❌ Error purging deleted users:', 'connection lost');
+      } finally {
+        setIntervalSpy.mockRestore();
+        console.error.mockRestore();
+      }
+    });
+  });
+});
@@ -0,0 +1,216 @@
+import { jest } from '@jest/globals';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/* 🔴 MOCK FIRST */
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/Invitation.js'), () => {
+  const Invitation = jest.fn(function (data) {
+    Object.assign(this, { _id: new mongoose.Types.ObjectId(), ...data });
+    this.save = jest.fn();
+  });
+  Invitation.find = jest.fn();
+  return { default: Invitation };
+});
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/Setting.js'), () => ({
+  default: {
+    getValue: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../services/invitationService.js'), () => ({
+  issueInvitationToken: jest.fn(() => 'invite-token'),
+  sendInvitation: jest.fn(),
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../services/departmentService.js'), () => ({
+  resolveDepartment: jest.fn(),
+}));
+
+/* 🔴 IMPORT AFTER MOCK */
+const User = (await import(path.resolve(__dirname, '../../models/user.js'))).default;
+const Invitation = (await import(path.resolve(__dirname, '../../models/Invitation.js'))).default;
+const Setting = (await import(path.resolve(__dirname, '../../models/Setting.js'))).default;
+const invitationService = await import(path.resolve(__dirname, '../../services/invitationService.js'));
+const { resolveDepartment } = await import(path.resolve(__dirname, '../../services/departmentService.js'));
+const { validatePassword } = await import(path.resolve(__dirname, '../../services/passwordPolicyService.js'));
+const {
+  parseImportFile,
+  validateImportRows,
+  importRows,
+  summarizeImport,
+  buildImportReport,
+} = await import(path.resolve(__dirname, '../../services/userImportService.js'));
+
+describe('User Import Service', () => {
+  const admin = { _id: new mongoose.Types.ObjectId(), name: 'Admin', email: 'admin@example.com', role: 'admin' };
+  const lead = { _id: new mongoose.Types.ObjectId(), name: 'Lead', email: 'lead@example.com', role: 'lead' };
+
+  const design = { _id: new mongoose.Types.ObjectId(), name: 'Design', isActive: true };
+
+  const selectResolving = (docs) => ({ select: jest.fn().mockResolvedValue(docs) });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Setting.getValue.mockResolvedValue({});
+    jest.spyOn(User, 'find').mockReturnValue(selectResolving([]));
+    jest.spyOn(User, 'create').mockImplementation(async (data) => ({ _id: new mongoose.Types.ObjectId(), ...data }));
+    Invitation.find.mockReturnValue(selectResolving([]));
+    resolveDepartment.mockImplementation(async (value) => (
+      value.toLowerCase() === 'design'
+        ? { department: design }
+        : { error: { status: 400, body: { message: `Unknown department '${value}'` } } }
+    ));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('parseImportFile', () => {
+    it('maps columns by header name, in any order', () => {
+      const { rows } = parseImportFile('Email,Name,Department\r\nana@example.com,Ana Silva,Design\r\n');
+
+      expect(rows).toEqual([{
+        row: 1,
+        name: 'Ana Silva',
+        email: 'ana@example.com',
+        role: '',
+        department: 'Design',
+        phone: ''
+      }]);
+    });
+
+    it('rejects files missing a required column or with unknown ones', () => {
+      expect(parseImportFile('name,role\nAna,user').error.body.message)
+        .toBe('Missing required column(s): email');
+      expect(parseImportFile('name,email,salary\nAna,ana@example.com,10').error.body.message)
+        .toBe('Unknown column(s): salary');
+      expect(parseImportFile('name,email\n').error.body.message).toBe('The file has no rows to import');
+    });
+  });
+
+  describe('validateImportRows', () => {
+    const parse = (text) => parseImportFile(text).rows;
+
+    it('reports User schema errors for each row', async () => {
+      const rows = await validateImportRows(parse('name,email,phone\nA,not-an-email,12\nAna Silva,ana@example.com,5551234567'), admin);
+
+      expect(rows[0].errors).toEqual([
+        'Name must be at least 2 characters',
+        'Please provide a valid email',
+        'Please provide a valid phone number'
+      ]);
+      expect(rows[1].errors).toEqual([]);
+      expect(rows[1].role).toBe('user');
+    });
+
+    it('rejects unknown roles and roles the importer may not grant', async () => {
+      const file = 'name,email,role\nAna Silva,ana@example.com,wizard\nBen Cho,ben@example.com,lead\nCy Diaz,cy@example.com,admin';
+
+      const asAdmin = await validateImportRows(parse(file), admin);
+      expect(asAdmin.map(row => row.errors)).toEqual([["Invalid role 'wizard'"], [], ["Invalid role 'admin'"]]);
+
+      const asLead = await validateImportRows(parse(file), lead);
+      expect(asLead[1].errors).toEqual(["Not authorized to import users as 'lead'"]);
+    });
+
+    it('flags duplicates in the file, existing users and pending invitations', async () => {
+      User.find.mockReturnValue(selectResolving([{ email: 'taken@example.com' }]));
+      Invitation.find.mockReturnValue(selectResolving([{ email: 'invited@example.com' }]));
+
+      const rows = await validateImportRows(parse([
+        'name,email',
+        'Ana Silva,ANA@example.com',
+        'Ana Again,ana@example.com',
+        'Tom Taken,taken@example.com',
+        'Ivy Invited,invited@example.com'
+      ].join('\n')), admin);
+
+      expect(rows.map(row => row.errors)).toEqual([
+        [],
+        ['Email appears more than once in the file'],
+        ['User already exists with this email'],
+        ['A pending invitation already exists for this email']
+      ]);
+    });
+
+    it('resolves departments once per distinct value', async () => {
+      const rows = await validateImportRows(parse([
+        'name,email,department',
+        'Ana Silva,ana@example.com,Design',
+        'Ben Cho,ben@example.com,design',
+        'Cy Diaz,cy@example.com,Design',
+        'Dee Ray,dee@example.com,Astrology'
+      ].join('\n')), admin);
+
+      expect(resolveDepartment).toHaveBeenCalledTimes(3);
+      expect(rows.map(row => row.departmentId)).toEqual([design._id, design._id, design._id, undefined]);
+      expect(rows[3].errors).toEqual(["Unknown department 'Astrology'"]);
+    });
+  });
+
+  describe('importRows', () => {
+    const validRows = async (text) => validateImportRows(parseImportFile(text).rows, admin);
+
+    it('creates pre-approved users with a temporary password that meets the policy', async () => {
+      const rows = await importRows(await validRows('name,email,role\nAna Silva,ana@example.com,lead\nX,bad,user'), 'password', admin);
+
+      expect(rows[0].status).toBe('created');
+      expect(rows[1].status).toBe('skipped');
+      expect(User.create).toHaveBeenCalledTimes(1);
+      expect(User.create).toHaveBeenCalledWith(expect.objectContaining({
+        email: 'ana@example.com',
+        role: 'lead',
+        password: rows[0].temporaryPassword,
+        passwordChangeRequired: true,
+        approved: true,
+        approvedBy: admin._id
+      }));
+      expect(validatePassword(rows[0].temporaryPassword, rows[0])).toEqual([]);
+    });
+
+    it('sends invitations carrying the row details', async () => {
+      const rows = await importRows(await validRows('name,email,department,phone\nAna Silva,ana@example.com,Design,5551234567'), 'invite', admin);
+
+      expect(rows[0].status).toBe('invited');
+      expect(rows[0].temporaryPassword).toBeUndefined();
+      expect(invitationService.sendInvitation).toHaveBeenCalledWith(
+        expect.objectContaining({ email: 'ana@example.com', department: design._id, phone: '5551234567', createdByModel: 'Admin' }),
+        'invite-token',
+        'Admin'
+      );
+      expect(User.create).not.toHaveBeenCalled();
+    });
+
+    it('records rows that fail while importing', async () => {
+      User.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+      const rows = await importRows(await validRows('name,email\nAna Silva,ana@example.com'), 'password', admin);
+
+      expect(rows[0].status).toBe('failed');
+      expect(rows[0].errors).toEqual(['User already exists with this email']);
+      expect(summarizeImport(rows)).toEqual({ total: 1, failed: 1 });
+    });
+  });
+
+  describe('buildImportReport', () => {
+    it('lists each row with its status and errors', () => {
+      const report = buildImportReport([
+        { row: 1, name: 'Ana Silva', email: 'ana@example.com', role: 'user', status: 'created', temporaryPassword: 'Tmp-Pass-1', errors: [] },
+        { row: 2, name: 'X', email: 'bad', role: 'user', status: 'skipped', errors: ['Name must be at least 2 characters', 'Please provide a valid email'] }
+      ]);
+
+      expect(report.split('\r\n')).toEqual([
+        'row,name,email,role,department,phone,status,temporary_password,errors',
+        '1,Ana Silva,ana@example.com,user,,,created,Tmp-Pass-1,',
+        '2,X,bad,user,,,skipped,,Name must be at least 2 characters; Please provide a valid email',
+        ''
+      ]);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+import { jest } from '@jest/globals';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/* 🔴 MOCK FIRST */
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/LeaveRequest.js'), () => ({
+  LEAVE_TYPES: ['vacation', 'sick', 'personal', 'parental', 'unpaid', 'other'],
+  default: {
+    find: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/DailyUpdate.js'), () => ({
+  default: {
+    find: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule(path.resolve(__dirname, '../../models/Module.js'), () => ({
+  default: {
+    find: jest.fn(),
+  },
+}));
+
+/* 🔴 IMPORT AFTER MOCK */
+const LeaveRequest = (await import(path.resolve(__dirname, '../../models/LeaveRequest.js'))).default;
+const DailyUpdate = (await import(path.resolve(__dirname, '../../models/DailyUpdate.js'))).default;
+const Module = (await import(path.resolve(__dirname, '../../models/Module.js'))).default;
+const {
+  weeklyCapacityOf,
+  moduleSchedule,
+  spreadHours,
+  buildWorkload,
+  summarizeWorkload,
+} = await import(path.resolve(__dirname, '../../services/workloadService.js'));
+
+// Chainable stand-in for a mongoose query resolving to `result`
+const query = (result) => {
+  const chain = {
+    select: jest.fn(() => chain),
+    populate: jest.fn(() => chain),
+    lean: jest.fn(() => chain),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return chain;
+};
+
+// Monday 5 October 2026 and the days after it
+const day = (date) => new Date(2026, 9, date);
+
+describe('Workload Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('scheduling', () => {
+    it('defaults capacity to a full working week', () => {
+      expect(weeklyCapacityOf({ weeklyCapacity: null })).toBe(40);
+      expect(weeklyCapacityOf({ weeklyCapacity: 20 })).toBe(20);
+    });
+
+    it('plans from today until the module, or else project, is due', () => {
+      expect(moduleSchedule({ startDate: day(1), endDate: day(16) }, day(5), day(30)))
+        .toEqual({ start: day(5), end: day(16), overdue: false });
+      expect(moduleSchedule({ startDate: day(12), project: { deadline: day(23) } }, day(5), day(30)))
+        .toEqual({ start: day(12), end: day(23), overdue: false });
+      expect(moduleSchedule({ endDate: day(1) }, day(5), day(30)))
+        .toEqual({ start: day(5), end: day(5), overdue: true });
+    });
+
+    it('spreads remaining hours evenly over working days', () => {
+      const schedule = { start: day(5), end: day(16) };
+
+      expect(spreadHours(20, schedule, day(5), day(11))).toBe(10);
+      expect(spreadHours(20, schedule, day(12), day(18))).toBe(10);
+      expect(spreadHours(20, schedule, day(19), day(25))).toBe(0);
+    });
+  });
+
+  describe('buildWorkload', () => {
+    const userId = new mongoose.Types.ObjectId();
+    const otherId = new mongoose.Types.ObjectId();
+    const overdueModule = new mongoose.Types.ObjectId();
+    const user = { _id: userId, name: 'Ana', email: 'ana@example.com', weeklyCapacity: 20 };
+
+    beforeEach(() => {
+      LeaveRequest.find.mockReturnValue(query([
+        { user: userId, startDate: day(9), endDate: day(9), halfDay: null }
+      ]));
+      DailyUpdate.find.mockReturnValue(query([
+        { user: userId, date: day(5), hoursWorked: 3 }
+      ]));
+      Module.find.mockReturnValue(query([
+        // 30 hours left, shared by two people over two weeks
+        {
+          _id: new mongoose.Types.ObjectId(),
+          name: 'API',
+          project: { _id: new mongoose.Types.ObjectId(), name: 'Apollo' },
+          assignedUsers: [userId, otherId],
+          estimatedTime: 40,
+          actualTime: 10,
+          endDate: day(16),
+          status: 'in_progress'
+        },
+        // Already late, so all due now
+        {
+          _id: overdueModule,
+          name: 'Docs',
+          assignedUsers: [userId],
+          estimatedTime: 30,
+          actualTime: 0,
+          endDate: day(1),
+          status: 'pending'
+        }
+      ]));
+    });
+
+    it('combines capacity, leave, logged hours and remaining estimates by week', async () => {
+      const [row] = await buildWorkload([user], day(5), day(18), { today: day(5) });
+
+      expect(row.leaveDays).toBe(1);
+      expect(row.weeks).toEqual([
+        { weekStart: day(5), capacityHours: 16, loggedHours: 3, plannedHours: 37.5, utilization: 253 },
+        { weekStart: day(12), capacityHours: 20, loggedHours: 0, plannedHours: 7.5, utilization: 38 }
+      ]);
+      expect(row).toMatchObject({ capacityHours: 36, loggedHours: 3, plannedHours: 45, utilization: 133 });
+      expect(row.modules[0]).toMatchObject({ name: 'API', remainingHours: 15, hoursInRange: 15, overdue: false });
+    });
+
+    it('warns about over-allocated weeks and overdue modules', async () => {
+      const [row] = await buildWorkload([user], day(5), day(18), { today: day(5) });
+
+      expect(row.overAllocated).toBe(true);
+      expect(row.warnings).toEqual([
+        expect.objectContaining({ code: 'OVER_ALLOCATED', weeks: [day(5)] }),
+        expect.objectContaining({ code: 'OVERDUE_MODULES', modules: [overdueModule] })
+      ]);
+      expect(summarizeWorkload([row])).toEqual({
+        users: 1,
+        capacityHours: 36,
+        allocatedHours: 48,
+        utilization: 133,
+        overAllocated: 1
+      });
+    });
+
+    it('only counts part weeks inside the range', async () => {
+      Module.find.mockReturnValue(query([]));
+      DailyUpdate.find.mockReturnValue(query([]));
+
+      const [row] = await buildWorkload([{ ...user, weeklyCapacity: null }], day(7), day(8), { today: day(5) });
+
+      expect(row.weeks).toEqual([
+        { weekStart: day(5), capacityHours: 16, loggedHours: 0, plannedHours: 0, utilization: 0 }
+      ]);
+      expect(row.warnings).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,53 @@
+import { parseCsv, toCsv } from '../../utils/csv.js';
+
+describe('toCsv', () => {
+  const columns = [
+    { header: 'name', value: row => row.name },
+    { header: 'details', value: row => row.details }
+  ];
+
+  it('writes a header row and CRLF-terminated lines', () => {
+    expect(toCsv([{ name: 'Ana', details: 'ok' }], columns)).toBe('name,details\r\nAna,ok\r\n');
+  });
+
+  it('quotes cells containing commas, quotes or newlines', () => {
+    const csv = toCsv([{ name: 'Lopez, Maria', details: 'said "hi"\nthen left' }], columns);
+
+    expect(csv).toBe('name,details\r\n"Lopez, Maria","said ""hi""\nthen left"\r\n');
+  });
+
+  it('encodes dates, objects and empty values', () => {
+    const csv = toCsv([{ name: new Date('2026-01-02T03:04:05Z'), details: { role: 'lead' } }, { name: null }], columns);
+
+    expect(csv).toBe('name,details\r\n2026-01-02T03:04:05.000Z,"{""role"":""lead""}"\r\n,\r\n');
+  });
+
+  it('neutralises cells that a spreadsheet would run as formulas', () => {
+    const csv = toCsv([{ name: '=HYPERLINK("http://evil")', details: '-5' }], columns);
+
+    expect(csv).toBe('name,details\r\n"\'=HYPERLINK(""http://evil"")",\'-5\r\n');
+  });
+});
+
+describe('parseCsv', () => {
+  it('splits rows and cells, skipping blank lines', () => {
+    expect(parseCsv('name,email\r\nAna,ana@example.com\n\nBen,\n')).toEqual([
+      ['name', 'email'],
+      ['Ana', 'ana@example.com'],
+      ['Ben', '']
+    ]);
+  });
+
+  it('reads quoted cells with commas, quotes and newlines', () => {
+    expect(parseCsv('"Lopez, Maria","said ""hi""\nthen left"')).toEqual([
+      ['Lopez, Maria', 'said "hi"\nthen left']
+    ]);
+  });
+
+  it('ignores a byte order mark and reads what toCsv writes', () => {
+    const rows = [{ name: 'a,"b"', details: 'c' }];
+    const columns = [{ header: 'name', value: row => row.name }, { header: 'details', value: row => row.details }];
+
+    expect(parseCsv(`\uFEFF${toCsv(rows, columns)}`)).toEqual([['name', 'details'], ['a,"b"', 'c']]);
+  });
+});
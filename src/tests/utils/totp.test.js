@@ -0,0 +1,59 @@
+import {
+  base32Encode,
+  base32Decode,
+  generateTOTP,
+  verifyTOTP,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} from '../../utils/totp.js';
+
+// RFC 6238 Appendix B test secret ("12345678901234567890")
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP utilities', () => {
+  it('round-trips base32 encoding', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(base32Decode(RFC_SECRET).toString()).toBe('12345678901234567890');
+  });
+
+  it('matches the RFC 6238 SHA1 test vectors (last 6 digits)', () => {
+    expect(generateTOTP(RFC_SECRET, 59 * 1000)).toBe('287082');
+    expect(generateTOTP(RFC_SECRET, 1111111109 * 1000)).toBe('081804');
+    expect(generateTOTP(RFC_SECRET, 1234567890 * 1000)).toBe('005924');
+  });
+
+  it('accepts codes within one step of clock drift and returns the step', () => {
+    const time = 1111111109 * 1000;
+    const previousCode = generateTOTP(RFC_SECRET, time - 30 * 1000);
+
+    expect(verifyTOTP(RFC_SECRET, '081804', { time })).toBe(Math.floor(1111111109 / 30));
+    expect(verifyTOTP(RFC_SECRET, previousCode, { time })).toBe(Math.floor(1111111109 / 30) - 1);
+  });
+
+  it('rejects wrong, stale and malformed codes', () => {
+    const time = 1111111109 * 1000;
+    const staleCode = generateTOTP(RFC_SECRET, time - 5 * 60 * 1000);
+
+    expect(verifyTOTP(RFC_SECRET, '000000', { time })).toBeNull();
+    expect(verifyTOTP(RFC_SECRET, staleCode, { time })).toBeNull();
+    expect(verifyTOTP(RFC_SECRET, 'abc123', { time })).toBeNull();
+  });
+
+  it('builds an otpauth provisioning URI', () => {
+    const uri = buildOtpauthUri(RFC_SECRET, 'lead@company.com', 'ManageX');
+
+    expect(uri.startsWith('otpauth://totp/ManageX%3Alead%40company.com?')).toBe(true);
+    expect(uri).toContain(`secret=${RFC_SECRET}`);
+    expect(uri).toContain('issuer=ManageX');
+  });
+
+  it('generates unique recovery codes and hashes them case-insensitively', () => {
+    const codes = generateRecoveryCodes();
+
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    expect(codes[0]).toMatch(/^[0-9a-f]{4}-[0-9a-f]{4}$/);
+    expect(hashRecoveryCode(codes[0].toUpperCase())).toBe(hashRecoveryCode(codes[0]));
+  });
+});
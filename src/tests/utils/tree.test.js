@@ -0,0 +1,26 @@
+import { buildTree, findInTree } from '../../utils/tree.js';
+
+describe('tree utils', () => {
+  const items = [
+    { _id: 'ceo', name: 'Ceo', manager: null },
+    { _id: 'cto', name: 'Cto', manager: 'ceo' },
+    { _id: 'dev', name: 'Dev', manager: { _id: 'cto', name: 'Cto' } },
+    { _id: 'contractor', name: 'Contractor', manager: 'someone-gone' }
+  ];
+
+  it('nests items under their parent id or populated parent', () => {
+    const roots = buildTree(items, 'manager');
+
+    expect(roots.map(node => node._id)).toEqual(['ceo', 'contractor']);
+    expect(roots[0].children[0]._id).toBe('cto');
+    expect(roots[0].children[0].children[0]._id).toBe('dev');
+    expect(roots[1].children).toEqual([]);
+  });
+
+  it('finds a node anywhere in the tree', () => {
+    const roots = buildTree(items, 'manager');
+
+    expect(findInTree(roots, 'dev').name).toBe('Dev');
+    expect(findInTree(roots, 'nobody')).toBeNull();
+  });
+});
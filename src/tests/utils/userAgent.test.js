@@ -0,0 +1,33 @@
+import { parseUserAgent } from '../../utils/userAgent.js';
+
+describe('parseUserAgent', () => {
+  it('parses desktop Chrome on Windows', () => {
+    const ua = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+    expect(parseUserAgent(ua)).toEqual({ browser: 'Chrome 120', os: 'Windows', device: 'desktop' });
+  });
+
+  it('does not mistake Edge for Chrome', () => {
+    const ua = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 Edg/120.0.2210.91';
+
+    expect(parseUserAgent(ua).browser).toBe('Edge 120');
+  });
+
+  it('parses mobile Safari on iPhone', () => {
+    const ua = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Mobile/15E148 Safari/604.1';
+
+    expect(parseUserAgent(ua)).toEqual({ browser: 'Safari 17', os: 'iOS', device: 'mobile' });
+  });
+
+  it('recognises the mobile app HTTP client', () => {
+    expect(parseUserAgent('Dart/3.2 (dart:io)')).toEqual({
+      browser: 'ManageX App 3',
+      os: 'Unknown',
+      device: 'mobile'
+    });
+  });
+
+  it('handles a missing user agent', () => {
+    expect(parseUserAgent(undefined)).toEqual({ browser: 'Unknown', os: 'Unknown', device: 'unknown' });
+  });
+});
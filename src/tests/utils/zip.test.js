@@ -0,0 +1,42 @@
+import zlib from 'zlib';
+import { createZip, crc32 } from '../../utils/zip.js';
+
+// Read the entries back from the central directory
+const readZip = (buffer) => {
+  const end = buffer.length - 22;
+  const count = buffer.readUInt16LE(end + 10);
+  let position = buffer.readUInt32LE(end + 16);
+  const entries = {};
+
+  for (let i = 0; i < count; i++) {
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const name = buffer.toString('utf8', position + 46, position + 46 + nameLength);
+    const offset = buffer.readUInt32LE(position + 42);
+    const size = buffer.readUInt32LE(position + 20);
+    const dataStart = offset + 30 + buffer.readUInt16LE(offset + 26);
+
+    entries[name] = zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + size)).toString('utf8');
+    position += 46 + nameLength;
+  }
+
+  return entries;
+};
+
+describe('createZip', () => {
+  it('computes the standard CRC-32', () => {
+    expect(crc32(Buffer.from('123456789')).toString(16)).toBe('cbf43926');
+  });
+
+  it('stores each file so it can be read back', () => {
+    const zip = createZip([
+      { name: 'profile.json', content: '{"name":"Zoë"}' },
+      { name: 'notes/empty.txt', content: '' }
+    ]);
+
+    expect(zip.readUInt32LE(0)).toBe(0x04034b50);
+    expect(readZip(zip)).toEqual({
+      'profile.json': '{"name":"Zoë"}',
+      'notes/empty.txt': ''
+    });
+  });
+});
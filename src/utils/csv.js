@@ -0,0 +1,83 @@
+// Minimal RFC 4180 CSV reading (imports) and writing (exports).
+// When writing, cells starting with = + - @ are prefixed with ' so spreadsheet apps
+// don't evaluate them as formulas.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date
+    ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  if (FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV document. `columns` is a list of { header, value(row) }.
+ */
+export const toCsv = (rows, columns) => {
+  const lines = [
+    columns.map(column => formatCell(column.header)).join(','),
+    ...rows.map(row => columns.map(column => formatCell(column.value(row))).join(','))
+  ];
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Parse a CSV document into rows of cells. Handles quoted cells with
+ * embedded commas, quotes and newlines, CRLF or LF line endings and a
+ * leading byte order mark. Blank lines are skipped.
+ */
+export const parseCsv = (text) => {
+  const input = `${text}`.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
@@ -0,0 +1,39 @@
+// Nest flat records under their parents in memory, e.g. departments by
+// `parent` or users by `manager`
+
+const idOf = (value) => (value?._id ?? value)?.toString();
+
+/**
+ * Build [{ ...item, children: [...] }] from items whose `parentField`
+ * holds a parent id (or populated parent). Items whose parent isn't in
+ * the list become roots.
+ */
+export const buildTree = (items, parentField) => {
+  const nodes = new Map(items.map(item => [idOf(item), { ...item, children: [] }]));
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node[parentField] && nodes.get(idOf(node[parentField]));
+    (parent ? parent.children : roots).push(node);
+  }
+
+  return roots;
+};
+
+/**
+ * Depth-first search of a tree built by buildTree
+ */
+export const findInTree = (roots, id) => {
+  for (const node of roots) {
+    if (idOf(node) === `${id}`) {
+      return node;
+    }
+
+    const found = findInTree(node.children, id);
+    if (found) {
+      return found;
+    }
+  }
+
+  return null;
+};
@@ -0,0 +1,52 @@
+// Lightweight user-agent parsing for the session list.
+// Order matters: Edge and Opera include "Chrome", Chrome includes "Safari".
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(?:e|A|iOS)?\/([\d.]+)/ },
+  { name: 'Opera', pattern: /(?:OPR|Opera)\/([\d.]+)/ },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\/([\d.]+)/ },
+  { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/([\d.]+)/ },
+  { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/([\d.]+)/ },
+  { name: 'Safari', pattern: /Version\/([\d.]+).*Safari/ },
+  { name: 'ManageX App', pattern: /(?:Dart|okhttp)\/([\d.]+)/ },
+  { name: 'Postman', pattern: /PostmanRuntime\/([\d.]+)/ },
+  { name: 'curl', pattern: /curl\/([\d.]+)/ }
+];
+
+const OPERATING_SYSTEMS = [
+  { name: 'Windows', pattern: /Windows NT/ },
+  { name: 'Android', pattern: /Android/ },
+  { name: 'iOS', pattern: /iPhone|iPad|iPod/ },
+  { name: 'macOS', pattern: /Mac OS X|Macintosh/ },
+  { name: 'ChromeOS', pattern: /CrOS/ },
+  { name: 'Linux', pattern: /Linux/ }
+];
+
+export const parseUserAgent = (userAgent) => {
+  if (!userAgent) {
+    return { browser: 'Unknown', os: 'Unknown', device: 'unknown' };
+  }
+
+  const browserMatch = BROWSERS.find(b => b.pattern.test(userAgent));
+  const osMatch = OPERATING_SYSTEMS.find(o => o.pattern.test(userAgent));
+
+  let device = 'desktop';
+  if (/iPad|Tablet/.test(userAgent) || (/Android/.test(userAgent) && !/Mobile/.test(userAgent))) {
+    device = 'tablet';
+  } else if (/Mobile|iPhone|iPod|Dart|okhttp/.test(userAgent)) {
+    device = 'mobile';
+  } else if (!osMatch) {
+    device = 'unknown';
+  }
+
+  let browser = 'Unknown';
+  if (browserMatch) {
+    const version = userAgent.match(browserMatch.pattern)[1];
+    browser = `${browserMatch.name} ${version.split('.')[0]}`;
+  }
+
+  return {
+    browser,
+    os: osMatch ? osMatch.name : 'Unknown',
+    device
+  };
+};